@@ -11,11 +11,24 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const connectDB = require("./config/db");
+const errorEnvelope = require("./middleware/errorEnvelope");
+const { toErrorBody } = require("./utils/errors");
 
 // Import route modules
 const memberRoutes = require("./routes/memberRoutes");
 const productRoutes = require("./routes/productRoutes");
 const transactionRoutes = require("./routes/transactionRoutes");
+const clubCategoryRoutes = require("./routes/clubCategoryRoutes");
+const rewardRoutes = require("./routes/rewardRoutes");
+const voucherRoutes = require("./routes/voucherRoutes");
+const promotionRoutes = require("./routes/promotionRoutes");
+const reportRoutes = require("./routes/reportRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const authRoutes = require("./routes/authRoutes");
+const staffRoutes = require("./routes/staffRoutes");
+const storeRoutes = require("./routes/storeRoutes");
+const productCategoryRoutes = require("./routes/productCategoryRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
 
 // Load environment variables from .env file, if present
 dotenv.config();
@@ -29,6 +42,9 @@ connectDB();
 // Middleware: Enable CORS for all origins (can be restricted as needed)
 app.use(cors());
 
+// Middleware: Give every error response the shared { error, code, details } envelope
+app.use(errorEnvelope);
+
 // Middleware: Parse JSON request bodies
 app.use(express.json());
 
@@ -42,20 +58,39 @@ app.get("/status", (req, res) => {
   res.status(200).json({ status: "ok", message: "Status route is working." });
 });
 
-// Register API routes
+// Register API routes (each router enforces its own authentication and roles)
+app.use("/auth", authRoutes);
+app.use("/staff", staffRoutes);
+app.use("/stores", storeRoutes);
 app.use("/members", memberRoutes);
 app.use("/products", productRoutes);
+app.use("/product-categories", productCategoryRoutes);
 app.use("/transactions", transactionRoutes);
+app.use("/club-categories", clubCategoryRoutes);
+app.use("/rewards", rewardRoutes);
+app.use("/vouchers", voucherRoutes);
+app.use("/promotions", promotionRoutes);
+app.use("/reports", reportRoutes);
+app.use("/webhooks", webhookRoutes);
+app.use("/jobs", jobRoutes);
 
 // 404 handler for unknown routes
 app.use((req, res, next) => {
-  res.status(404).json({ error: "Endpoint not found." });
+  res.status(404).json(toErrorBody(404, "Endpoint not found."));
 });
 
-// Global error handler (for uncaught errors)
+// Global error handler (malformed or oversized request bodies, and uncaught errors)
 app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json(toErrorBody(400, "Request body is not valid JSON.", { code: "INVALID_JSON" }));
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json(toErrorBody(413, "Request body is too large."));
+  }
   console.error("Global error:", err);
-  res.status(500).json({ error: "Internal server error." });
+  return res.status(500).json(toErrorBody(500, "Internal server error."));
 });
 
 // Export app for Vercel serverless function
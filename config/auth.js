@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Authentication configuration for Tsuki Coffee backend.
+ * Holds the token signing secret and lifetimes for staff and member sessions and member QR
+ * tokens, and the shared secret a scheduler uses to trigger jobs.
+ *
+ * Usage:
+ *   const authConfig = require('./config/auth');
+ *   jwt.sign(payload, authConfig.jwtSecret, { expiresIn: authConfig.staffTokenExpiresIn });
+ */
+
+const dotenv = require('dotenv');
+const { readNumber } = require('../utils/env');
+
+// Load environment variables from .env file, if present
+dotenv.config();
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set: login and authenticated routes will fail.');
+}
+
+module.exports = {
+  // Secret used to sign and verify access tokens (required)
+  jwtSecret: process.env.JWT_SECRET || null,
+  // Lifetime of staff tokens (a shift at the counter)
+  staffTokenExpiresIn: process.env.STAFF_TOKEN_EXPIRES_IN || '12h',
+  // Lifetime of member tokens (customer app stays signed in)
+  memberTokenExpiresIn: process.env.MEMBER_TOKEN_EXPIRES_IN || '30d',
+  // Lifetime in seconds of the rotating QR token the member app shows at the counter
+  memberQrTokenTtlSeconds: readNumber('MEMBER_QR_TOKEN_TTL_SECONDS', 60),
+  // Bearer secret that triggers /jobs routes; Vercel Cron sends it automatically when set
+  cronSecret: process.env.CRON_SECRET || null,
+  // bcrypt cost factor for password hashes
+  passwordSaltRounds: 10,
+};
@@ -6,6 +6,9 @@
  * Usage:
  *   const connectDB = require('./config/db');
  *   connectDB();
+ *
+ *   const { runInTransaction } = require('./config/db');
+ *   await runInTransaction(async (session) => { ... });
  */
 
 const mongoose = require('mongoose');
@@ -43,6 +46,22 @@ const connectDB = async () => {
   }
 };
 
+/**
+ * Runs a unit of work inside a MongoDB transaction.
+ * The callback may be retried on transient errors; mongoose resets the state of documents
+ * saved in the session between attempts, so calling doc.save({ session }) inside is safe.
+ * Requires MongoDB to run as a replica set (Atlas clusters do by default).
+ * @param {function(Object): Promise<*>} work Receives the session and returns a result
+ * @returns {Promise<*>} The value returned by the successful attempt of work
+ */
+const runInTransaction = async (work) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+  return result;
+};
+
 // Handle connection events for better reliability
 mongoose.connection.on('connected', () => {
   console.log('Mongoose connection established.');
@@ -58,3 +77,4 @@ mongoose.connection.on('disconnected', () => {
 
 // Export the connectDB function for use in app.js and elsewhere
 module.exports = connectDB;
+module.exports.runInTransaction = runInTransaction;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Loyalty program configuration for Tsuki Coffee backend.
+ * Centralizes the tunable rules of the royalty program. Every value can be overridden
+ * through environment variables and falls back to the defaults below.
+ *
+ * Usage:
+ *   const loyaltyConfig = require('./config/loyalty');
+ *   loyaltyConfig.defaultMinRedeemPoints; // 10
+ */
+
+const dotenv = require('dotenv');
+const { readNumber } = require('../utils/env');
+
+// Load environment variables from .env file, if present
+dotenv.config();
+
+module.exports = {
+  // Earn multiplier for members without a club category
+  defaultEarnMultiplier: readNumber('DEFAULT_EARN_MULTIPLIER', 1),
+  // Minimum points per redemption for members without a club category
+  defaultMinRedeemPoints: readNumber('DEFAULT_MIN_REDEEM_POINTS', 10),
+  // Membership renewal period in months for members without a club category
+  defaultRenewalPeriodMonths: readNumber('DEFAULT_RENEWAL_PERIOD_MONTHS', 12),
+  // Days before validUntil at which members are announced as expiring (membership.expiring)
+  membershipExpiryNoticeDays: readNumber('MEMBERSHIP_EXPIRY_NOTICE_DAYS', 7),
+  // Days after validUntil during which sales are still accepted but their points are held
+  membershipGraceDays: readNumber('MEMBERSHIP_GRACE_DAYS', 14),
+  // Months after which an earned point lot expires
+  pointsExpiryMonths: readNumber('POINTS_EXPIRY_MONTHS', 12),
+  // What to do when a void/refund takes back points the member already spent:
+  // "reject" fails the request, "allow" lets the balance go negative
+  pointsReversalPolicy: process.env.POINTS_REVERSAL_POLICY === 'allow' ? 'allow' : 'reject',
+  // Bonus points for the member whose referral code was used, once the referee qualifies
+  referralReferrerBonus: readNumber('REFERRAL_REFERRER_BONUS', 50),
+  // Bonus points for the referred member on their first qualifying transaction
+  referralRefereeBonus: readNumber('REFERRAL_REFEREE_BONUS', 25),
+  // Minimum sale total for the referee's first transaction to qualify for referral bonuses
+  referralMinSpend: readNumber('REFERRAL_MIN_SPEND', 0),
+  // Bonus points granted once a year during the member's birthday month
+  birthdayBonusPoints: readNumber('BIRTHDAY_BONUS_POINTS', 100),
+  // Optional Reward id issued as a free voucher during the birthday month (in addition to points)
+  birthdayRewardId: process.env.BIRTHDAY_REWARD_ID || null,
+  // Bonus points granted on each yearly anniversary of joining
+  anniversaryBonusPoints: readNumber('ANNIVERSARY_BONUS_POINTS', 50),
+  // Days back the celebration job looks for anniversaries it has not granted yet, so a missed
+  // run does not skip them
+  celebrationLookbackDays: readNumber('CELEBRATION_LOOKBACK_DAYS', 7),
+  // Months of purchase history used to score members for RFM segmentation
+  rfmWindowMonths: readNumber('RFM_WINDOW_MONTHS', 12),
+  // Oldest offline sale (hours before the sync) POST /transactions/sync accepts; product price
+  // history is kept for the same window
+  offlineSyncMaxAgeHours: readNumber('OFFLINE_SYNC_MAX_AGE_HOURS', 72),
+  // Time zone used for calendar dates shown to members and in reports
+  timezone: process.env.TIMEZONE || 'Asia/Jakarta',
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Member notification configuration for Tsuki Coffee backend.
+ * Picks the adapter that sends each channel (WhatsApp, SMS, email) and holds the retry
+ * schedule of the notification queue. Every value can be overridden through environment
+ * variables.
+ *
+ * Adapters: "console" (log the message), "file" (append it to NOTIFICATION_FILE_PATH),
+ * "http" (POST it to the gateway at NOTIFICATION_HTTP_URL) or "none" (channel disabled).
+ * The console and file adapters are meant for development and testing.
+ *
+ * Usage:
+ *   const notificationConfig = require('./config/notifications');
+ *   notificationConfig.adapters.whatsapp; // "console"
+ */
+
+const dotenv = require('dotenv');
+const { readNumber } = require('../utils/env');
+
+// Load environment variables from .env file, if present
+dotenv.config();
+
+module.exports = {
+  // Adapter that sends each channel
+  adapters: {
+    whatsapp: process.env.NOTIFICATION_WHATSAPP_ADAPTER || 'console',
+    sms: process.env.NOTIFICATION_SMS_ADAPTER || 'console',
+    email: process.env.NOTIFICATION_EMAIL_ADAPTER || 'console',
+  },
+  // File the "file" adapter appends messages to (one JSON object per line)
+  filePath: process.env.NOTIFICATION_FILE_PATH || 'notifications.log',
+  // Gateway the "http" adapter posts messages to, and its bearer token
+  httpUrl: process.env.NOTIFICATION_HTTP_URL || null,
+  httpToken: process.env.NOTIFICATION_HTTP_TOKEN || null,
+  // Milliseconds to wait for the gateway before the attempt counts as failed
+  timeoutMs: readNumber('NOTIFICATION_TIMEOUT_MS', 10000),
+  // Attempts (first try included) before a notification is marked failed
+  maxAttempts: readNumber('NOTIFICATION_MAX_ATTEMPTS', 5),
+  // Delay before the first retry; it doubles after every failed attempt
+  retryBaseSeconds: readNumber('NOTIFICATION_RETRY_BASE_SECONDS', 60),
+  // Longest delay between two attempts
+  retryMaxSeconds: readNumber('NOTIFICATION_RETRY_MAX_SECONDS', 60 * 60),
+  // Days a notification stays in the log
+  logRetentionDays: readNumber('NOTIFICATION_LOG_RETENTION_DAYS', 90),
+  // Notifications attempted per run of POST /jobs/send-notifications
+  batchSize: readNumber('NOTIFICATION_BATCH_SIZE', 100),
+};
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Outbound webhook configuration for Tsuki Coffee backend.
+ * Holds the request timeout, retry schedule and delivery log retention for webhook deliveries.
+ * Every value can be overridden through environment variables.
+ *
+ * Usage:
+ *   const webhookConfig = require('./config/webhooks');
+ *   webhookConfig.maxAttempts; // 8
+ */
+
+const dotenv = require('dotenv');
+const { readNumber } = require('../utils/env');
+
+// Load environment variables from .env file, if present
+dotenv.config();
+
+module.exports = {
+  // Milliseconds to wait for a subscriber to answer before the attempt counts as failed
+  timeoutMs: readNumber('WEBHOOK_TIMEOUT_MS', 10000),
+  // Attempts (first try included) before a delivery is marked failed
+  maxAttempts: readNumber('WEBHOOK_MAX_ATTEMPTS', 8),
+  // Delay before the first retry; it doubles after every failed attempt
+  retryBaseSeconds: readNumber('WEBHOOK_RETRY_BASE_SECONDS', 30),
+  // Longest delay between two attempts
+  retryMaxSeconds: readNumber('WEBHOOK_RETRY_MAX_SECONDS', 6 * 60 * 60),
+  // Days a delivery stays in the delivery log (and can be replayed)
+  logRetentionDays: readNumber('WEBHOOK_LOG_RETENTION_DAYS', 30),
+  // Deliveries attempted per run of POST /jobs/deliver-webhooks
+  batchSize: readNumber('WEBHOOK_BATCH_SIZE', 100),
+};
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Controller for authentication in Tsuki Coffee backend.
+ * Implements loginStaff, loginMember, getMe, issueMemberQrToken, changeMemberPassword.
+ * Uses Staff and Member models and authService.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const authController = require('./authController');
+ *   // authController.loginStaff(req, res), etc.
+ */
+
+const Staff = require('../models/Staff');
+const Member = require('../models/Member');
+const authService = require('../services/authService');
+const { hashPassword, verifyPassword, validatePassword } = require('../utils/password');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Signs a staff member in.
+ * Expects req.body: { username, password }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.loginStaff = async (req, res) => {
+  try {
+    const { username = '', password = '' } = req.body;
+    if (typeof username !== 'string' || !username.trim() || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'Username and password are required.' });
+    }
+
+    const { token, staff } = await authService.loginStaff(username, password);
+
+    return res.status(200).json({ token, staff });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('loginStaff error:', error);
+    return res.status(500).json({ error: 'Failed to log in.' });
+  }
+};
+
+/**
+ * Signs a member in to the customer app.
+ * Expects req.body: { phone, password }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.loginMember = async (req, res) => {
+  try {
+    const { phone = '', password = '' } = req.body;
+    if (typeof phone !== 'string' || !phone.trim() || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'Phone and password are required.' });
+    }
+
+    const { token, member } = await authService.loginMember(phone, password);
+
+    return res.status(200).json({ token, member });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('loginMember error:', error);
+    return res.status(500).json({ error: 'Failed to log in.' });
+  }
+};
+
+/**
+ * Returns the signed-in staff account or member.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getMe = async (req, res) => {
+  try {
+    const { type, id } = req.user;
+    const principal =
+      type === authService.TOKEN_TYPES.STAFF
+        ? await Staff.findById(id)
+        : await Member.findById(id).populate('clubCategory');
+
+    return res.status(200).json({ type, [type]: principal });
+  } catch (error) {
+    console.error('getMe error:', error);
+    return res.status(500).json({ error: 'Failed to get current user.' });
+  }
+};
+
+/**
+ * Issues a rotating QR token for the signed-in member to show at the counter.
+ * The token is short-lived and single-use; the app requests a new one before it expires.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.issueMemberQrToken = async (req, res) => {
+  try {
+    if (req.user.type !== authService.TOKEN_TYPES.MEMBER) {
+      return res.status(403).json({ error: 'Only members can request a QR code.' });
+    }
+
+    const member = await Member.findById(req.user.id);
+    const { token, expiresAt } = authService.issueMemberQrToken(member);
+
+    return res.status(200).json({ token, expiresAt });
+  } catch (error) {
+    console.error('issueMemberQrToken error:', error);
+    return res.status(500).json({ error: 'Failed to issue QR code.' });
+  }
+};
+
+/**
+ * Changes the signed-in member's own password.
+ * Expects req.body: { currentPassword, newPassword }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.changeMemberPassword = async (req, res) => {
+  try {
+    if (req.user.type !== authService.TOKEN_TYPES.MEMBER) {
+      return res.status(403).json({ error: 'Only members can change their password here.' });
+    }
+
+    const { currentPassword = '', newPassword = '' } = req.body;
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const member = await Member.findById(req.user.id).select('+passwordHash');
+    if (!(await verifyPassword(currentPassword, member.passwordHash))) {
+      return res.status(401).json({ error: 'Current password is incorrect.' });
+    }
+
+    member.passwordHash = await hashPassword(newPassword);
+    await member.save();
+
+    return res.status(200).json({ message: 'Password changed.' });
+  } catch (error) {
+    console.error('changeMemberPassword error:', error);
+    return res.status(500).json({ error: 'Failed to change password.' });
+  }
+};
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Controller for ClubCategory (membership tier) operations in Tsuki Coffee backend.
+ * Implements addClubCategory, editClubCategory, getClubCategories, getClubCategory, deleteClubCategory.
+ * Uses ClubCategory and Member models.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const clubCategoryController = require('./clubCategoryController');
+ *   // clubCategoryController.addClubCategory(req, res), etc.
+ */
+
+const ClubCategory = require('../models/ClubCategory');
+const Member = require('../models/Member');
+const mongoose = require('mongoose');
+
+/**
+ * Adds a new club category.
+ * Expects req.body: { name, description, earnMultiplier, minRedeemPoints, renewalPeriodMonths, benefits,
+ *   rank, qualification: { minSpend, minVisits, periodMonths } }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addClubCategory = async (req, res) => {
+  try {
+    const {
+      name = '',
+      description = '',
+      earnMultiplier,
+      minRedeemPoints,
+      renewalPeriodMonths,
+      benefits,
+      rank,
+      qualification,
+    } = req.body;
+
+    // Validate required fields
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Club category name is required.' });
+    }
+
+    // Check for duplicate name
+    const existingCategory = await ClubCategory.findOne({ name: name.trim() });
+    if (existingCategory) {
+      return res.status(400).json({ error: 'Club category name already exists.' });
+    }
+
+    // Create club category; omitted rules fall back to schema defaults
+    const category = new ClubCategory({
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      earnMultiplier,
+      minRedeemPoints,
+      renewalPeriodMonths,
+      benefits: benefits ? benefits.map((benefit) => benefit.trim()) : [],
+      rank,
+      qualification,
+    });
+
+    await category.save();
+
+    return res.status(200).json(category);
+  } catch (error) {
+    console.error('addClubCategory error:', error);
+    return res.status(500).json({ error: 'Failed to add club category.' });
+  }
+};
+
+/**
+ * Edits an existing club category.
+ * Expects req.params.id and req.body: { name, description, earnMultiplier, minRedeemPoints,
+ *   renewalPeriodMonths, benefits, rank, qualification: { minSpend, minVisits, periodMonths } }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editClubCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      name,
+      description,
+      earnMultiplier,
+      minRedeemPoints,
+      renewalPeriodMonths,
+      benefits,
+      rank,
+      qualification,
+    } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid club category id.' });
+    }
+
+    // Find club category
+    const category = await ClubCategory.findById(id);
+    if (!category) {
+      return res.status(404).json({ error: 'Club category not found.' });
+    }
+
+    // Update fields if provided
+    if (typeof name === 'string' && name.trim()) {
+      // Check for duplicate name (excluding current category)
+      const duplicate = await ClubCategory.findOne({ name: name.trim(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ error: 'Club category name already exists.' });
+      }
+      category.name = name.trim();
+    }
+    if (typeof description === 'string') category.description = description.trim();
+    if (earnMultiplier !== undefined) category.earnMultiplier = earnMultiplier;
+    if (minRedeemPoints !== undefined) category.minRedeemPoints = minRedeemPoints;
+    if (renewalPeriodMonths !== undefined) category.renewalPeriodMonths = renewalPeriodMonths;
+    if (benefits !== undefined) category.benefits = benefits.map((benefit) => benefit.trim());
+    if (rank !== undefined) category.rank = rank;
+    if (qualification !== undefined) {
+      category.qualification = { ...category.qualification.toObject(), ...qualification };
+    }
+
+    await category.save();
+
+    return res.status(200).json(category);
+  } catch (error) {
+    console.error('editClubCategory error:', error);
+    return res.status(500).json({ error: 'Failed to edit club category.' });
+  }
+};
+
+/**
+ * Gets a list of all club categories.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getClubCategories = async (req, res) => {
+  try {
+    const categories = await ClubCategory.find({}).sort({ rank: 1, name: 1 });
+    return res.status(200).json(categories);
+  } catch (error) {
+    console.error('getClubCategories error:', error);
+    return res.status(500).json({ error: 'Failed to get club categories.' });
+  }
+};
+
+/**
+ * Gets a single club category.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getClubCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid club category id.' });
+    }
+
+    const category = await ClubCategory.findById(id);
+    if (!category) {
+      return res.status(404).json({ error: 'Club category not found.' });
+    }
+
+    return res.status(200).json(category);
+  } catch (error) {
+    console.error('getClubCategory error:', error);
+    return res.status(500).json({ error: 'Failed to get club category.' });
+  }
+};
+
+/**
+ * Deletes a club category that no member is assigned to.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.deleteClubCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid club category id.' });
+    }
+
+    const category = await ClubCategory.findById(id);
+    if (!category) {
+      return res.status(404).json({ error: 'Club category not found.' });
+    }
+
+    // Refuse to orphan members that still reference this tier
+    const memberCount = await Member.countDocuments({ clubCategory: category._id });
+    if (memberCount > 0) {
+      return res.status(409).json({
+        error: `Club category is assigned to ${memberCount} member(s) and cannot be deleted.`,
+      });
+    }
+
+    await category.deleteOne();
+
+    return res.status(200).json({ message: 'Club category deleted.' });
+  } catch (error) {
+    console.error('deleteClubCategory error:', error);
+    return res.status(500).json({ error: 'Failed to delete club category.' });
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Controller for scheduled job triggers in Tsuki Coffee backend.
+ * Implements runEvaluateTiers, runExpirePoints, runGrantCelebrations, runScoreSegments,
+ * runDeliverWebhooks, runNotifyExpiringMemberships, runSendNotifications.
+ * Each handler runs one job from the jobs directory and returns its summary,
+ * so the jobs can be triggered by a scheduler (e.g. Vercel Cron) over HTTP.
+ *
+ * Usage:
+ *   const jobController = require('./jobController');
+ *   // jobController.runEvaluateTiers(req, res), etc.
+ */
+
+const evaluateTiers = require('../jobs/evaluateTiers');
+const expirePoints = require('../jobs/expirePoints');
+const grantCelebrations = require('../jobs/grantCelebrations');
+const scoreSegments = require('../jobs/scoreSegments');
+const deliverWebhooks = require('../jobs/deliverWebhooks');
+const notifyExpiringMemberships = require('../jobs/notifyExpiringMemberships');
+const sendNotifications = require('../jobs/sendNotifications');
+
+/**
+ * Runs the tier re-evaluation job.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.runEvaluateTiers = async (req, res) => {
+  try {
+    const summary = await evaluateTiers();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('runEvaluateTiers error:', error);
+    return res.status(500).json({ error: 'Failed to evaluate tiers.' });
+  }
+};
+
+/**
+ * Runs the point expiry job.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.runExpirePoints = async (req, res) => {
+  try {
+    const summary = await expirePoints();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('runExpirePoints error:', error);
+    return res.status(500).json({ error: 'Failed to expire points.' });
+  }
+};
+
+/**
+ * Runs the birthday and anniversary gift job.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.runGrantCelebrations = async (req, res) => {
+  try {
+    const summary = await grantCelebrations();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('runGrantCelebrations error:', error);
+    return res.status(500).json({ error: 'Failed to grant celebrations.' });
+  }
+};
+
+/**
+ * Runs the RFM segmentation job.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.runScoreSegments = async (req, res) => {
+  try {
+    const summary = await scoreSegments();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('runScoreSegments error:', error);
+    return res.status(500).json({ error: 'Failed to score segments.' });
+  }
+};
+
+/**
+ * Runs the webhook retry job.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.runDeliverWebhooks = async (req, res) => {
+  try {
+    const summary = await deliverWebhooks();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('runDeliverWebhooks error:', error);
+    return res.status(500).json({ error: 'Failed to deliver webhooks.' });
+  }
+};
+
+/**
+ * Runs the expiring membership announcement job.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.runNotifyExpiringMemberships = async (req, res) => {
+  try {
+    const summary = await notifyExpiringMemberships();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('runNotifyExpiringMemberships error:', error);
+    return res.status(500).json({ error: 'Failed to notify expiring memberships.' });
+  }
+};
+
+/**
+ * Runs the member notification retry job.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.runSendNotifications = async (req, res) => {
+  try {
+    const summary = await sendNotifications();
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('runSendNotifications error:', error);
+    return res.status(500).json({ error: 'Failed to send notifications.' });
+  }
+};
@@ -1,7 +1,16 @@
 /**
  * @fileoverview Controller for Member operations in Tsuki Coffee backend.
- * Implements addMember, editMember, searchMember, getMembers, checkValidity, redeemPoints.
- * Uses Member and ClubCategory models.
+ * Implements addMember, getMember, lookupMember, editMember, searchMember, getMembers,
+ * importMembers, exportMembers, getExpiringMembers, getSegmentMembers, checkValidity,
+ * renewMembership, redeemPoints, getMemberVouchers, getPointsHistory, getExpiringPoints,
+ * reconcilePoints, getTierProgress, getTierHistory, getReferrals, getCelebrations,
+ * getNotificationPreferences, editNotificationPreferences, getNotifications.
+ * Uses Member, ClubCategory, PointLedger, TierChange, Voucher and Notification models; point
+ * changes go through
+ * pointsService, tier changes through tierService, redemptions through rewardService,
+ * referrals through referralService, birthday/anniversary gifts through celebrationService,
+ * CSV imports through importService, webhook events through webhookService and member
+ * notifications through notificationService.
  * All functions are async and return JSON responses for Express routes.
  *
  * Usage:
@@ -11,79 +20,162 @@
 
 const Member = require("../models/Member");
 const ClubCategory = require("../models/ClubCategory");
-const mongoose = require("mongoose");
+const PointLedger = require("../models/PointLedger");
+const TierChange = require("../models/TierChange");
+const Voucher = require("../models/Voucher");
+const Notification = require("../models/Notification");
+const { runInTransaction } = require("../config/db");
+const pointsService = require("../services/pointsService");
+const tierService = require("../services/tierService");
+const rewardService = require("../services/rewardService");
+const memberService = require("../services/memberService");
+const importService = require("../services/importService");
+const membershipService = require("../services/membershipService");
+const referralService = require("../services/referralService");
+const celebrationService = require("../services/celebrationService");
+const storeService = require("../services/storeService");
+const authService = require("../services/authService");
+const webhookService = require("../services/webhookService");
+const notificationService = require("../services/notificationService");
+const { ApiError } = require("../utils/errors");
+const { hashPassword } = require("../utils/password");
+const { escapeRegExp, parseListQuery, toRange, toPage } = require("../utils/listQuery");
+const { parseCsv, streamCsv } = require("../utils/csv");
+const { normalizePhone } = require("../utils/phone");
+const {
+  MEMBER_LIST_QUERY,
+  SEGMENT_MEMBER_LIST_QUERY,
+  POINTS_HISTORY_QUERY,
+  NOTIFICATION_LIST_QUERY,
+} = require("../validators/memberValidators");
+
+// Most members returned by a free-text search
+const SEARCH_RESULT_LIMIT = 20;
+
+// Search text that is a phone number in any format ("+62 812-3456", "0812 3456")
+const PHONE_QUERY_PATTERN = /^[+\d\s().-]+$/;
+
+/**
+ * Builds the Mongo filter for listing or exporting members.
+ * @param {Object} filters Filters parsed by parseListQuery
+ * @returns {Object} Mongo filter
+ */
+const buildMemberFilter = (filters) => {
+  const filter = {};
+  if (filters.clubCategory) {
+    filter.clubCategory = filters.clubCategory;
+  }
+  const validUntil = toRange(filters.validUntilFrom || filters.validUntil, filters.validUntilTo);
+  if (validUntil) {
+    filter.validUntil = validUntil;
+  }
+  if (filters.name) {
+    filter.name = new RegExp(escapeRegExp(filters.name), "i");
+  }
+  if (filters.phone) {
+    // Phones are stored normalized, so "+62 812" finds "0812..."
+    filter.phone = new RegExp(escapeRegExp(normalizePhone(filters.phone) || filters.phone));
+  }
+  return filter;
+};
+
+/**
+ * Creates a prepared member and announces it with the member.created webhook event.
+ * @param {Object} prepared Result of memberService.prepareMember
+ * @returns {Promise<Object>} The new member
+ */
+const createAndAnnounceMember = async (prepared) => {
+  const member = await memberService.createMember(prepared);
+  await webhookService.emitEvent("member.created", { member });
+  return member;
+};
 
 /**
  * Adds a new member to the database.
- * Expects req.body: { name, phone, clubCategory (optional), validUntil (optional), points (optional) }
+ * Expects req.body: { name, phone, clubCategory (optional, manager), validUntil (optional),
+ *   points (optional, manager),
+ *   password (optional, enables the member's customer app login),
+ *   referralCode (optional, code of the member who referred them), birthDate (optional),
+ *   email (optional) }
+ * Every new member gets their own referral code; referral bonuses are paid on the new member's
+ * first qualifying transaction. The new member is announced with the member.created webhook event.
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
  */
 exports.addMember = async (req, res) => {
   try {
-    const {
-      name = "",
-      phone = "",
-      clubCategory = null,
-      validUntil = null,
-      points = 0,
-    } = req.body;
+    const prepared = await memberService.prepareMember(req.body);
+    const member = await createAndAnnounceMember(prepared);
 
-    // Validate required fields
-    if (!name.trim() || !phone.trim()) {
-      return res.status(400).json({ error: "Name and phone are required." });
-    }
-
-    // Check for duplicate phone number
-    const existingMember = await Member.findOne({ phone: phone.trim() });
-    if (existingMember) {
-      return res.status(400).json({ error: "Member ini sudah terdaftar." });
+    return res.status(200).json(member);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error("addMember error:", error);
+    return res.status(500).json({ error: "Failed to add member." });
+  }
+};
 
-    // If clubCategory is provided, validate existence
-    let clubCategoryId = null;
-    if (clubCategory) {
-      const category = await ClubCategory.findOne({ name: clubCategory });
-      if (!category) {
-        return res.status(400).json({ error: "ClubCategory not found." });
-      }
-      clubCategoryId = category._id;
-    }
-
-    // Set validUntil: default 1 year from now if not provided
-    let validUntilDate = validUntil
-      ? new Date(validUntil)
-      : (() => {
-          const now = new Date();
-          now.setFullYear(now.getFullYear() + 1);
-          return now;
-        })();
-
-    // Create member
-    const member = new Member({
-      name: name.trim(),
-      phone: phone.trim(),
-      clubCategory: clubCategoryId,
-      validUntil: validUntilDate,
-      points: typeof points === "number" && points >= 0 ? points : 0,
+/**
+ * Identifies a member from the QR token shown in their app.
+ * The token is signed, expires after a short time and can only be used once, so a screenshot
+ * of the code cannot be reused.
+ * Expects req.params.token.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.lookupMember = async (req, res) => {
+  try {
+    const member = await authService.redeemMemberQrToken(req.params.token, {
+      usedBy: req.user.id,
     });
 
-    await member.save();
+    return res.status(200).json({
+      ...member.toJSON(),
+      membership: membershipService.getMembershipStatus(member),
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("lookupMember error:", error);
+    return res.status(500).json({ error: "Failed to look up member." });
+  }
+};
 
-    // Populate clubCategory for response
-    await member.populate("clubCategory");
+/**
+ * Gets a single member.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getMember = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id).populate("clubCategory");
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
 
     return res.status(200).json(member);
   } catch (error) {
-    console.error("addMember error:", error);
-    return res.status(500).json({ error: "Failed to add member." });
+    console.error("getMember error:", error);
+    return res.status(500).json({ error: "Failed to get member." });
   }
 };
 
 /**
  * Edits an existing member's data.
- * Expects req.params.id and req.body: { name, phone, clubCategory, validUntil, points }
+ * Expects req.params.id and req.body: { name, phone, clubCategory, validUntil, points, note (optional),
+ *   password (optional), birthDate (optional), email (optional), tierLocked (optional) }
+ * A change to points is recorded in the ledger as a manual adjustment,
+ * and a change of clubCategory is recorded as a manual tier change (and announced with the
+ * tier.changed webhook event). A manual tier change locks the tier against the scheduled
+ * tier evaluation unless tierLocked is false; tierLocked alone sets or clears the lock.
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
@@ -91,7 +183,18 @@ exports.addMember = async (req, res) => {
 exports.editMember = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone, clubCategory, validUntil, points } = req.body;
+    const {
+      name,
+      phone,
+      clubCategory,
+      validUntil,
+      points,
+      note = "",
+      password,
+      birthDate,
+      email,
+      tierLocked,
+    } = req.body;
 
     // Find member
     const member = await Member.findById(id);
@@ -101,8 +204,13 @@ exports.editMember = async (req, res) => {
 
     // Update fields if provided
     if (typeof name === "string") member.name = name.trim();
-    if (typeof phone === "string") member.phone = phone.trim();
+    if (typeof phone === "string") {
+      member.phone = await memberService.assertPhoneAvailable(phone, member._id);
+    }
+    if (birthDate !== undefined) member.birthDate = memberService.toBirthDate(birthDate);
+    if (email !== undefined) member.email = email ? email.trim() : null;
 
+    let newCategory = null;
     if (clubCategory) {
       const category = await ClubCategory.findOne({
         name: clubCategory,
@@ -110,24 +218,73 @@ exports.editMember = async (req, res) => {
       if (!category) {
         return res.status(400).json({ error: "ClubCategory not found." });
       }
-      member.clubCategory = category._id;
+      if (String(category._id) !== String(member.clubCategory)) {
+        newCategory = category;
+      }
     }
 
     if (validUntil) {
       member.validUntil = new Date(validUntil);
     }
 
-    if (typeof points === "number" && points >= 0) {
-      member.points = points;
+    // A tier picked by hand stays until a manager clears the lock
+    if (typeof tierLocked === "boolean") {
+      member.tierLocked = tierLocked;
+    } else if (newCategory) {
+      member.tierLocked = true;
     }
 
-    await member.save();
+    if (password !== undefined) {
+      member.passwordHash = await hashPassword(password);
+    }
+
+    // Save profile fields, tier change and any manual point adjustment together
+    const expectedPoints = member.points;
+    let tierChange = null;
+    const updated = await runInTransaction(async (session) => {
+      await member.save({ session });
+
+      if (newCategory) {
+        tierChange = await tierService.changeTier(
+          {
+            member,
+            toCategory: newCategory,
+            trigger: "manual",
+            reason: `Changed manually to ${newCategory.name}.`,
+          },
+          { session }
+        );
+      }
+
+      if (typeof points === "number" && points >= 0 && points !== expectedPoints) {
+        return pointsService.setPoints(
+          {
+            memberId: member._id,
+            expectedPoints,
+            points,
+            note: typeof note === "string" ? note : "",
+          },
+          { session }
+        );
+      }
+      return null;
+    });
+    if (newCategory) {
+      member.clubCategory = newCategory._id;
+      await webhookService.emitEvent("tier.changed", { tierChange });
+    }
+    if (updated) {
+      member.points = updated.points;
+    }
 
     // Populate clubCategory for response
     await member.populate("clubCategory");
 
     return res.status(200).json(member);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error("editMember error:", error);
     return res.status(500).json({ error: "Failed to edit member." });
   }
@@ -135,6 +292,8 @@ exports.editMember = async (req, res) => {
 
 /**
  * Searches for members by query (name or phone).
+ * The query is matched literally (regex characters are escaped) and at most
+ * SEARCH_RESULT_LIMIT members are returned; prefer GET /members/lookup/:token at the counter.
  * Expects req.query.query (string).
  * @param {Object} req Express request
  * @param {Object} res Express response
@@ -143,15 +302,16 @@ exports.editMember = async (req, res) => {
 exports.searchMember = async (req, res) => {
   try {
     const { query = "" } = req.query;
-    if (!query.trim()) {
-      return res.status(400).json({ error: "Query is required." });
-    }
 
-    // Search by name or phone (case-insensitive)
-    const regex = new RegExp(query.trim(), "i");
+    // Search by name or phone (case-insensitive, literal match; phones are stored normalized)
+    const regex = new RegExp(escapeRegExp(query.trim()), "i");
+    const phone = PHONE_QUERY_PATTERN.test(query.trim()) ? normalizePhone(query) : "";
     const members = await Member.find({
-      $or: [{ name: regex }, { phone: regex }],
-    }).populate("clubCategory");
+      $or: [{ name: regex }, { phone: phone ? new RegExp(escapeRegExp(phone)) : regex }],
+    })
+      .sort({ name: 1, _id: 1 })
+      .limit(SEARCH_RESULT_LIMIT)
+      .populate("clubCategory");
 
     return res.status(200).json(members);
   } catch (error) {
@@ -161,42 +321,199 @@ exports.searchMember = async (req, res) => {
 };
 
 /**
- * Gets a list of members, optionally filtered by validUntil or clubCategory.
- * Expects req.query.filter (JSON string: { validUntil, clubCategory })
+ * Gets a page of members with optional filters and sorting.
+ * Expects req.query: { page, limit, sort (name | createdAt | validUntil | points, "-" for descending),
+ *   clubCategory, validUntilFrom, validUntilTo, name, phone }
+ * validUntil is accepted as an alias of validUntilFrom, and the legacy ?filter=<JSON> still works.
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
  */
 exports.getMembers = async (req, res) => {
   try {
-    let filter = {};
-    if (req.query.filter) {
-      try {
-        const parsed = JSON.parse(req.query.filter);
-        if (parsed.validUntil) {
-          // Filter members whose validUntil >= parsed.validUntil
-          filter.validUntil = { $gte: new Date(parsed.validUntil) };
-        }
-        if (parsed.clubCategory) {
-          filter.clubCategory = parsed.clubCategory;
-        }
-      } catch (e) {
-        // Ignore filter if invalid JSON
-        filter = {};
-      }
+    const { page, limit, skip, sort, filters } = parseListQuery(req.query, MEMBER_LIST_QUERY);
+    const filter = buildMemberFilter(filters);
+
+    const [members, total] = await Promise.all([
+      Member.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate("clubCategory", "name"),
+      Member.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(toPage(members, total, { page, limit }));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error("getMembers error:", error);
+    return res.status(500).json({ error: "Failed to get members." });
+  }
+};
 
-    const members = await Member.find(filter).populate("clubCategory");
+/**
+ * Imports members from a CSV file (text/csv body) through the same validation as addMember.
+ * Required columns: name, phone. Optional columns: clubCategory (name), validUntil, points,
+ * birthDate, email. With ?dryRun=true the file is only validated. If any row is invalid nothing
+ * is imported and every error is reported with its line number.
+ * Expects req.body (CSV text) and optional req.query.dryRun.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.importMembers = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const rows = parseCsv(req.body, ["name", "phone"]);
+
+    const summary = await importService.importRows(
+      rows,
+      {
+        toInput: (values) => ({
+          name: values.name,
+          phone: values.phone,
+          clubCategory: values.clubCategory || null,
+          validUntil: values.validUntil || null,
+          points: importService.toNumber(values.points, "points"),
+          birthDate: values.birthDate || null,
+          email: values.email || null,
+        }),
+        keyOf: (input) => normalizePhone(input.phone),
+        duplicateMessage: "Phone is repeated in this file",
+        prepare: memberService.prepareMember,
+        create: createAndAnnounceMember,
+      },
+      { dryRun }
+    );
+
+    return res.status(!dryRun && summary.invalid > 0 ? 400 : 200).json(summary);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("importMembers error:", error);
+    return res.status(500).json({ error: "Failed to import members." });
+  }
+};
+
+/**
+ * Streams members as a CSV download.
+ * Accepts the same filters and sort as getMembers; page and limit are ignored.
+ * Expects req.query: { sort, clubCategory, validUntilFrom, validUntilTo, name, phone }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.exportMembers = async (req, res) => {
+  try {
+    const { sort, filters } = parseListQuery(req.query, MEMBER_LIST_QUERY);
+    const filter = buildMemberFilter(filters);
+
+    const categories = await ClubCategory.find({}, "name").lean();
+    const categoryNames = new Map(categories.map((category) => [String(category._id), category.name]));
+
+    await streamCsv({
+      res,
+      filename: `members-${new Date().toISOString().slice(0, 10)}.csv`,
+      columns: [
+        "id",
+        "name",
+        "phone",
+        "email",
+        "birthDate",
+        "clubCategory",
+        "validUntil",
+        "points",
+        "referralCode",
+        "createdAt",
+      ],
+      cursor: Member.find(filter).sort(sort).lean().cursor(),
+      toRow: (member) => [
+        member._id,
+        member.name,
+        member.phone,
+        member.email,
+        member.birthDate ? member.birthDate.toISOString().slice(0, 10) : null,
+        member.clubCategory ? categoryNames.get(String(member.clubCategory)) : null,
+        member.validUntil,
+        member.points,
+        member.referralCode,
+        member.createdAt,
+      ],
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("exportMembers stream error:", error);
+      return;
+    }
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("exportMembers error:", error);
+    return res.status(500).json({ error: "Failed to export members." });
+  }
+};
+
+/**
+ * Gets members whose membership expires within the next N days, soonest first.
+ * Expects optional req.query.days (default 30).
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getExpiringMembers = async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    const now = new Date();
+    const until = new Date(now);
+    until.setDate(until.getDate() + days);
+
+    const members = await Member.find({ validUntil: { $gte: now, $lte: until } })
+      .sort({ validUntil: 1 })
+      .populate("clubCategory");
 
     return res.status(200).json(members);
   } catch (error) {
-    console.error("getMembers error:", error);
-    return res.status(500).json({ error: "Failed to get members." });
+    console.error("getExpiringMembers error:", error);
+    return res.status(500).json({ error: "Failed to get expiring members." });
   }
 };
 
 /**
- * Checks if a member's membership is still valid.
+ * Gets the members in an RFM segment, highest spend first, with pagination.
+ * Segments are recomputed by the segmentation job.
+ * Expects req.params.segment and optional req.query: { page, limit, sort (monetary | name,
+ *   "-" for descending) }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getSegmentMembers = async (req, res) => {
+  try {
+    const { segment } = req.params;
+
+    const { page, limit, skip, sort } = parseListQuery(req.query, SEGMENT_MEMBER_LIST_QUERY);
+
+    const filter = { "rfm.segment": segment };
+    const [members, total] = await Promise.all([
+      Member.find(filter).sort(sort).skip(skip).limit(limit).populate("clubCategory"),
+      Member.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(toPage(members, total, { page, limit }));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("getSegmentMembers error:", error);
+    return res.status(500).json({ error: "Failed to get segment members." });
+  }
+};
+
+/**
+ * Checks if a member's membership is still valid, with days remaining and grace status.
  * Expects req.params.id.
  * @param {Object} req Express request
  * @param {Object} res Express response
@@ -210,10 +527,7 @@ exports.checkValidity = async (req, res) => {
       return res.status(404).json({ error: "Member not found." });
     }
 
-    const now = new Date();
-    const isValid = member.validUntil >= now;
-
-    return res.status(200).json({ valid: isValid });
+    return res.status(200).json(membershipService.getMembershipStatus(member));
   } catch (error) {
     console.error("checkValidity error:", error);
     return res.status(500).json({ error: "Failed to check validity." });
@@ -221,66 +535,425 @@ exports.checkValidity = async (req, res) => {
 };
 
 /**
- * Redeems points for a member.
- * Expects req.params.id and req.body: { points }
+ * Renews a membership by the renewal period of the member's club category.
+ * A fee, if given, is recorded as a renewal transaction of the store that collected it. Points
+ * held during the grace period are released, or forfeited if the grace period already ended.
+ * Expects req.params.id and req.body: { fee (optional), storeId (required with a fee unless the
+ *   staff account is tied to a store) }
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
  */
-exports.redeemPoints = async (req, res) => {
+exports.renewMembership = async (req, res) => {
   try {
     const { id } = req.params;
-    const { points = 0 } = req.body;
+    const { fee = 0, storeId = null } = req.body;
+
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
 
-    // Validate points
-    if (typeof points !== "number" || points <= 0) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Points must be a positive number." });
+    // A paid renewal is recorded as a transaction of the store that collected the fee
+    const store = fee > 0 ? await storeService.resolveStore(req.user, storeId) : null;
+
+    const result = await runInTransaction((session) =>
+      membershipService.renewMembership({ member, fee, store }, { session })
+    );
+    await result.member.populate("clubCategory");
+
+    return res.status(200).json({
+      ...result,
+      membership: membershipService.getMembershipStatus(result.member),
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error("renewMembership error:", error);
+    return res.status(500).json({ error: "Failed to renew membership." });
+  }
+};
+
+/**
+ * Redeems a catalog reward for a member and issues a voucher.
+ * Stock reservation, voucher issue and point deduction commit together; the balance check
+ * and deduction are a single conditional update, so parallel redemptions can never take
+ * the balance below zero. A retry carrying the same Idempotency-Key header gets the original
+ * response back from the idempotency middleware instead of redeeming again.
+ * The redemption is announced with the points.redeemed webhook event and the member is sent
+ * their voucher code.
+ * Expects req.params.id and req.body: { rewardId }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.redeemPoints = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rewardId = null } = req.body;
 
     const member = await Member.findById(id);
     if (!member) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Member not found." });
+      return res.status(404).json({ error: "Member not found." });
     }
 
     // Check membership validity
     const now = new Date();
     if (member.validUntil < now) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Membership expired." });
+      return res.status(400).json({ error: "Membership expired." });
     }
 
-    // Check if enough points
-    if (member.points < points) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Insufficient points." });
+    const voucher = await runInTransaction((session) =>
+      rewardService.redeemReward({ member, rewardId }, { session })
+    );
+    await voucher.populate("reward");
+    await webhookService.emitEvent("points.redeemed", { memberId: member._id, voucher });
+    await notificationService.notifyRedemption(voucher);
+
+    return res.status(200).json({
+      success: true,
+      message: "Points redeemed successfully.",
+      voucher,
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error("redeemPoints error:", error);
+    return res.status(500).json({ error: "Failed to redeem points." });
+  }
+};
 
-    // Default minimal redeem points: 10
-    const MIN_REDEEM_POINTS = 10;
-    if (points < MIN_REDEEM_POINTS) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum redeem points is ${MIN_REDEEM_POINTS}.`,
-      });
+/**
+ * Gets the vouchers issued to a member, newest first.
+ * Expects req.params.id and optional req.query.status ("issued" or "used").
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getMemberVouchers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const filter = { member: member._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const vouchers = await Voucher.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("reward");
+
+    return res.status(200).json(vouchers);
+  } catch (error) {
+    console.error("getMemberVouchers error:", error);
+    return res.status(500).json({ error: "Failed to get member vouchers." });
+  }
+};
+
+/**
+ * Gets a member's point history from the ledger, newest first.
+ * Expects req.params.id and optional req.query: { page, limit, sort (createdAt | id, "-" for
+ *   descending) }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getPointsHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const { page, limit, skip, sort } = parseListQuery(req.query, POINTS_HISTORY_QUERY);
+
+    const [entries, total] = await Promise.all([
+      PointLedger.find({ member: member._id }).sort(sort).skip(skip).limit(limit),
+      PointLedger.countDocuments({ member: member._id }),
+    ]);
+
+    return res.status(200).json(toPage(entries, total, { page, limit }));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("getPointsHistory error:", error);
+    return res.status(500).json({ error: "Failed to get points history." });
+  }
+};
+
+/**
+ * Shows how many of a member's points expire on each upcoming date.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getExpiringPoints = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const expiring = await pointsService.getExpiringPoints(member._id);
+
+    return res.status(200).json({
+      memberId: member._id,
+      points: member.points,
+      expiring,
+      message: expiring.length
+        ? `${expiring[0].points} points expiring on ${expiring[0].expiresOn}`
+        : "No points expiring.",
+    });
+  } catch (error) {
+    console.error("getExpiringPoints error:", error);
+    return res.status(500).json({ error: "Failed to get expiring points." });
+  }
+};
+
+/**
+ * Recomputes a member's balance from the ledger and reports any drift from Member.points.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.reconcilePoints = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const { balance, entries } = await PointLedger.getBalance(member._id);
+    const drift = member.points - balance;
+
+    if (drift !== 0) {
+      console.warn(
+        `Point drift detected for member ${member._id}: points=${member.points}, ledger=${balance}`
+      );
+    }
+
+    return res.status(200).json({
+      memberId: member._id,
+      points: member.points,
+      ledgerBalance: balance,
+      ledgerEntries: entries,
+      drift,
+      inSync: drift === 0,
+    });
+  } catch (error) {
+    console.error("reconcilePoints error:", error);
+    return res.status(500).json({ error: "Failed to reconcile points." });
+  }
+};
+
+/**
+ * Shows a member's progress toward the next club category.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getTierProgress = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const progress = await tierService.getTierProgress(member);
+
+    return res.status(200).json({ memberId: member._id, ...progress });
+  } catch (error) {
+    console.error("getTierProgress error:", error);
+    return res.status(500).json({ error: "Failed to get tier progress." });
+  }
+};
+
+/**
+ * Gets a member's tier change history, newest first.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getTierHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const changes = await TierChange.find({ member: member._id })
+      .sort({ createdAt: -1 })
+      .populate("fromCategory")
+      .populate("toCategory");
+
+    return res.status(200).json(changes);
+  } catch (error) {
+    console.error("getTierHistory error:", error);
+    return res.status(500).json({ error: "Failed to get tier history." });
+  }
+};
+
+/**
+ * Gets a member's referral code, who referred them, and the members they referred
+ * with the bonus status of each referral.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getReferrals = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const member = await Member.findById(id).populate("referredBy", "name");
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const referralCode = await referralService.ensureReferralCode(member);
+    const referrals = await referralService.getReferrals(member._id);
+
+    return res.status(200).json({
+      referralCode,
+      referredBy: member.referredBy,
+      referrals,
+    });
+  } catch (error) {
+    console.error("getReferrals error:", error);
+    return res.status(500).json({ error: "Failed to get referrals." });
+  }
+};
+
+/**
+ * Gets the birthday and anniversary gifts a member received, newest first.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getCelebrations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const exists = await Member.exists({ _id: id });
+    if (!exists) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const grants = await celebrationService.getCelebrationGrants(id);
+    return res.status(200).json(grants);
+  } catch (error) {
+    console.error("getCelebrations error:", error);
+    return res.status(500).json({ error: "Failed to get celebrations." });
+  }
+};
+
+/**
+ * Gets a member's notification preferences.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getNotificationPreferences = async (req, res) => {
+  try {
+    const member = await Member.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    return res.status(200).json(member.notificationPreferences);
+  } catch (error) {
+    console.error("getNotificationPreferences error:", error);
+    return res.status(500).json({ error: "Failed to get notification preferences." });
+  }
+};
+
+/**
+ * Changes a member's notification preferences: the channels that receive notifications, the
+ * language of the messages and the opt-out from every notification.
+ * Expects req.params.id and req.body: { channels, language, optOut } (all optional)
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editNotificationPreferences = async (req, res) => {
+  try {
+    const { channels, language, optOut } = req.body;
+
+    const member = await Member.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const preferences = member.notificationPreferences;
+    if (channels !== undefined) preferences.channels = [...new Set(channels)];
+    if (language !== undefined) preferences.language = language;
+    if (optOut !== undefined) preferences.optOut = optOut;
+
+    if (preferences.channels.includes("email") && !member.email) {
+      return res.status(400).json({ error: "Add an email address before choosing email." });
     }
 
-    // Redeem points
-    member.points -= points;
     await member.save();
 
-    return res
-      .status(200)
-      .json({ success: true, message: "Points redeemed successfully." });
+    return res.status(200).json(member.notificationPreferences);
   } catch (error) {
-    console.error("redeemPoints error:", error);
-    return res
-      .status(500)
-      .json({ success: false, message: "Failed to redeem points." });
+    console.error("editNotificationPreferences error:", error);
+    return res.status(500).json({ error: "Failed to edit notification preferences." });
+  }
+};
+
+/**
+ * Gets a page of the notifications sent (or queued) to a member, newest first.
+ * Expects req.params.id and optional req.query: { page, limit, sort (createdAt | id, "-" for
+ *   descending), status }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const exists = await Member.exists({ _id: req.params.id });
+    if (!exists) {
+      return res.status(404).json({ error: "Member not found." });
+    }
+
+    const { page, limit, skip, sort, filters } = parseListQuery(
+      req.query,
+      NOTIFICATION_LIST_QUERY
+    );
+
+    const filter = { member: req.params.id };
+    if (filters.status) {
+      filter.status = filters.status;
+    }
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter).sort(sort).skip(skip).limit(limit),
+      Notification.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(toPage(notifications, total, { page, limit }));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error("getNotifications error:", error);
+    return res.status(500).json({ error: "Failed to get notifications." });
   }
 };
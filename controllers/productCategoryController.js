@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Controller for ProductCategory (menu category) operations in Tsuki Coffee backend.
+ * Implements addProductCategory, editProductCategory, getProductCategories, deleteProductCategory.
+ * Uses ProductCategory and Product models.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const productCategoryController = require('./productCategoryController');
+ *   // productCategoryController.addProductCategory(req, res), etc.
+ */
+
+const ProductCategory = require('../models/ProductCategory');
+const Product = require('../models/Product');
+const mongoose = require('mongoose');
+
+/**
+ * Adds a new product category.
+ * Expects req.body: { name, description, sortOrder }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addProductCategory = async (req, res) => {
+  try {
+    const { name = '', description = '', sortOrder = 0 } = req.body;
+
+    // Validate required fields
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Category name is required.' });
+    }
+    if (!Number.isInteger(sortOrder)) {
+      return res.status(400).json({ error: 'sortOrder must be an integer.' });
+    }
+
+    // Check for duplicate category name
+    const existingCategory = await ProductCategory.findOne({ name: name.trim() });
+    if (existingCategory) {
+      return res.status(400).json({ error: 'Category name already exists.' });
+    }
+
+    const category = new ProductCategory({
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      sortOrder,
+    });
+
+    await category.save();
+
+    return res.status(200).json(category);
+  } catch (error) {
+    console.error('addProductCategory error:', error);
+    return res.status(500).json({ error: 'Failed to add product category.' });
+  }
+};
+
+/**
+ * Edits an existing product category.
+ * Expects req.params.id and req.body: { name, description, sortOrder }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editProductCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, sortOrder } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid product category id.' });
+    }
+    if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+      return res.status(400).json({ error: 'sortOrder must be an integer.' });
+    }
+
+    // Find category
+    const category = await ProductCategory.findById(id);
+    if (!category) {
+      return res.status(404).json({ error: 'Product category not found.' });
+    }
+
+    // Update fields if provided
+    if (typeof name === 'string' && name.trim()) {
+      // Check for duplicate name (excluding current category)
+      const duplicate = await ProductCategory.findOne({ name: name.trim(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ error: 'Category name already exists.' });
+      }
+      category.name = name.trim();
+    }
+    if (typeof description === 'string') category.description = description.trim();
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+
+    await category.save();
+
+    return res.status(200).json(category);
+  } catch (error) {
+    console.error('editProductCategory error:', error);
+    return res.status(500).json({ error: 'Failed to edit product category.' });
+  }
+};
+
+/**
+ * Gets a list of all product categories in menu order.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getProductCategories = async (req, res) => {
+  try {
+    const categories = await ProductCategory.find({}).sort({ sortOrder: 1, name: 1 });
+    return res.status(200).json(categories);
+  } catch (error) {
+    console.error('getProductCategories error:', error);
+    return res.status(500).json({ error: 'Failed to get product categories.' });
+  }
+};
+
+/**
+ * Deletes a product category that no product belongs to (archived products included).
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.deleteProductCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid product category id.' });
+    }
+
+    const category = await ProductCategory.findById(id);
+    if (!category) {
+      return res.status(404).json({ error: 'Product category not found.' });
+    }
+
+    // Refuse to orphan products that still reference this category
+    const productCount = await Product.countDocuments({ category: category._id });
+    if (productCount > 0) {
+      return res.status(409).json({
+        error: `Product category has ${productCount} product(s) and cannot be deleted.`,
+      });
+    }
+
+    await category.deleteOne();
+
+    return res.status(200).json({ message: 'Product category deleted.' });
+  } catch (error) {
+    console.error('deleteProductCategory error:', error);
+    return res.status(500).json({ error: 'Failed to delete product category.' });
+  }
+};
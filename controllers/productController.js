@@ -1,7 +1,9 @@
 /**
  * @fileoverview Controller for Product operations in Tsuki Coffee backend.
- * Implements addProduct, editProduct, getProducts.
- * Uses Product model.
+ * Implements addProduct, importProducts, editProduct, getProducts, addVariant, editVariant,
+ * setStoreOverride, removeStoreOverride.
+ * Uses Product and Store models; validation and creation go through productService and CSV imports
+ * through importService.
  * All functions are async and return JSON responses for Express routes.
  *
  * Usage:
@@ -10,58 +12,90 @@
  */
 
 const Product = require('../models/Product');
+const Store = require('../models/Store');
+const mongoose = require('mongoose');
+const productService = require('../services/productService');
+const importService = require('../services/importService');
+const storeService = require('../services/storeService');
+const { ApiError } = require('../utils/errors');
+const { escapeRegExp, parseListQuery, toRange, toPage } = require('../utils/listQuery');
+const { parseCsv } = require('../utils/csv');
+const { PRODUCT_LIST_QUERY } = require('../validators/productValidators');
+
+// Answer to staff tied to a store who change another store's price or availability
+const STORE_OVERRIDE_DENIED = 'You can only change prices and availability of your own store.';
 
 /**
  * Adds a new product to the database.
- * Expects req.body: { name, price, pointValue }
+ * Expects req.body: { name, price, pointValue, category (id or name), variants: [{ name, price,
+ *   pointValue }], isActive }
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
  */
 exports.addProduct = async (req, res) => {
   try {
-    const {
-      name = '',
-      price = 0,
-      pointValue = 1,
-    } = req.body;
+    const fields = await productService.prepareProduct(req.body);
+    const product = await productService.createProduct(fields);
 
-    // Validate required fields
-    if (!name.trim()) {
-      return res.status(400).json({ error: 'Product name is required.' });
-    }
-    if (typeof price !== 'number' || price < 0) {
-      return res.status(400).json({ error: 'Product price must be a non-negative number.' });
-    }
-    if (typeof pointValue !== 'number' || pointValue < 0) {
-      return res.status(400).json({ error: 'Product pointValue must be a non-negative number.' });
-    }
-
-    // Check for duplicate product name
-    const existingProduct = await Product.findOne({ name: name.trim() });
-    if (existingProduct) {
-      return res.status(400).json({ error: 'Product name already exists.' });
+    return res.status(200).json(product);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error('addProduct error:', error);
+    return res.status(500).json({ error: 'Failed to add product.' });
+  }
+};
 
-    // Create product
-    const product = new Product({
-      name: name.trim(),
-      price,
-      pointValue,
-    });
+/**
+ * Imports products from a CSV file (text/csv body) through the same validation as addProduct.
+ * Required column: name. Optional columns: price, pointValue, category (name or id).
+ * With ?dryRun=true the file is only validated. If any row is invalid nothing is imported and
+ * every error is reported with its line number.
+ * Expects req.body (CSV text) and optional req.query.dryRun.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.importProducts = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const rows = parseCsv(req.body, ['name']);
 
-    await product.save();
+    const summary = await importService.importRows(
+      rows,
+      {
+        toInput: (values) => ({
+          name: values.name,
+          price: importService.toNumber(values.price, 'price'),
+          pointValue: importService.toNumber(values.pointValue, 'pointValue'),
+          category: values.category || null,
+        }),
+        keyOf: (input) => input.name,
+        duplicateMessage: 'Product name is repeated in this file',
+        prepare: productService.prepareProduct,
+        create: productService.createProduct,
+      },
+      { dryRun }
+    );
 
-    return res.status(200).json(product);
+    return res.status(!dryRun && summary.invalid > 0 ? 400 : 200).json(summary);
   } catch (error) {
-    console.error('addProduct error:', error);
-    return res.status(500).json({ error: 'Failed to add product.' });
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('importProducts error:', error);
+    return res.status(500).json({ error: 'Failed to import products.' });
   }
 };
 
 /**
- * Edits an existing product's data.
- * Expects req.params.id and req.body: { name, price, pointValue }
+ * Edits an existing product's data. isActive: false archives the product: it is hidden from
+ * getProducts and cannot be sold, but past transactions keep referencing it.
+ * Variants are edited through addVariant and editVariant.
+ * Expects req.params.id and req.body: { name, price, pointValue, category (id, name or null),
+ *   isActive }
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
@@ -73,8 +107,14 @@ exports.editProduct = async (req, res) => {
       name,
       price,
       pointValue,
+      category,
+      isActive,
     } = req.body;
 
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean.' });
+    }
+
     // Find product
     const product = await Product.findById(id);
     if (!product) {
@@ -84,11 +124,11 @@ exports.editProduct = async (req, res) => {
     // Update fields if provided
     if (typeof name === 'string' && name.trim()) {
       // Check for duplicate name (excluding current product)
-      const duplicate = await Product.findOne({ name: name.trim(), _id: { $ne: id } });
+      const duplicate = await Product.findOne({ product_name: name.trim(), _id: { $ne: id } });
       if (duplicate) {
         return res.status(400).json({ error: 'Product name already exists.' });
       }
-      product.name = name.trim();
+      product.product_name = name.trim();
     }
     if (typeof price === 'number' && price >= 0) {
       product.price = price;
@@ -96,29 +136,283 @@ exports.editProduct = async (req, res) => {
     if (typeof pointValue === 'number' && pointValue >= 0) {
       product.pointValue = pointValue;
     }
+    if (category !== undefined) {
+      product.category = await productService.resolveCategory(category);
+    }
+    if (isActive !== undefined) {
+      product.isActive = isActive;
+    }
 
     await product.save();
 
     return res.status(200).json(product);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('editProduct error:', error);
     return res.status(500).json({ error: 'Failed to edit product.' });
   }
 };
 
 /**
- * Gets a list of all products.
- * No filter supported in this version.
+ * Gets a page of products with optional filters and sorting.
+ * Archived products are left out unless includeArchived is true. search matches product and
+ * variant names. With ?store=<id> every product also carries storePrice and isAvailable for
+ * that store.
+ * Expects req.query: { page, limit, sort (name | price | pointValue | createdAt, "-" for descending),
+ *   name, search, category, minPrice, maxPrice, store, includeArchived }
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
  */
 exports.getProducts = async (req, res) => {
   try {
-    const products = await Product.find({});
-    return res.status(200).json(products);
+    const { page, limit, skip, sort, filters } = parseListQuery(req.query, PRODUCT_LIST_QUERY);
+
+    // Archived products are hidden unless asked for (legacy products have no isActive)
+    const filter = filters.includeArchived ? {} : { isActive: { $ne: false } };
+    if (filters.name) {
+      filter.product_name = new RegExp(escapeRegExp(filters.name), 'i');
+    }
+    if (filters.search) {
+      const pattern = new RegExp(escapeRegExp(filters.search), 'i');
+      filter.$or = [{ product_name: pattern }, { 'variants.name': pattern }];
+    }
+    if (filters.category) {
+      filter.category = filters.category;
+    }
+    const price = toRange(filters.minPrice, filters.maxPrice);
+    if (price) {
+      filter.price = price;
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter).sort(sort).skip(skip).limit(limit).populate('category', 'name'),
+      Product.countDocuments(filter),
+    ]);
+
+    // With a store, add the price and availability at that store to every product
+    const data = filters.store
+      ? products.map((product) => {
+          const { price: storePrice, isAvailable } = product.forStore(filters.store);
+          return { ...product.toJSON(), storePrice, isAvailable };
+        })
+      : products;
+
+    return res.status(200).json(toPage(data, total, { page, limit }));
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('getProducts error:', error);
     return res.status(500).json({ error: 'Failed to get products.' });
   }
 };
+
+/**
+ * Adds a variant (e.g. a size or milk option) with its own price and point value to a product.
+ * Fails with 400 while the product has store prices, since variants do not use them.
+ * Expects req.params.id and req.body: { name, price, pointValue }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addVariant = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name = '', price = 0, pointValue = 1 } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid product id.' });
+    }
+    const variantError = productService.validateVariant(
+      { name, price, pointValue },
+      { requireName: true }
+    );
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found.' });
+    }
+
+    // Check for duplicate variant name within the product
+    const variantName = name.trim();
+    const isDuplicate = product.variants.some(
+      (variant) => variant.name.toLowerCase() === variantName.toLowerCase()
+    );
+    if (isDuplicate) {
+      return res.status(400).json({ error: 'Variant name already exists for this product.' });
+    }
+
+    // A store price would not apply to the variants, which are sold at their own price
+    if (product.storeOverrides.some((override) => override.price !== null)) {
+      return res.status(400).json({
+        error: 'Remove the store prices of this product before adding variants.',
+      });
+    }
+
+    product.variants.push({ name: variantName, price, pointValue });
+    await product.save();
+
+    return res.status(200).json(product);
+  } catch (error) {
+    console.error('addVariant error:', error);
+    return res.status(500).json({ error: 'Failed to add variant.' });
+  }
+};
+
+/**
+ * Edits a product variant. Variants are never removed because transactions reference them;
+ * isActive: false archives a variant instead.
+ * Expects req.params.id, req.params.variantId and req.body: { name, price, pointValue, isActive }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editVariant = async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    const { name, price, pointValue, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ error: 'Invalid product or variant id.' });
+    }
+    const variantError = productService.validateVariant({ name, price, pointValue, isActive });
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found.' });
+    }
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found.' });
+    }
+
+    if (name !== undefined) {
+      // Check for duplicate variant name (excluding current variant)
+      const variantName = name.trim();
+      const duplicate = product.variants.some(
+        (other) =>
+          String(other._id) !== variantId && other.name.toLowerCase() === variantName.toLowerCase()
+      );
+      if (duplicate) {
+        return res.status(400).json({ error: 'Variant name already exists for this product.' });
+      }
+      variant.name = variantName;
+    }
+    if (price !== undefined) variant.price = price;
+    if (pointValue !== undefined) variant.pointValue = pointValue;
+    if (isActive !== undefined) variant.isActive = isActive;
+
+    await product.save();
+
+    return res.status(200).json(product);
+  } catch (error) {
+    console.error('editVariant error:', error);
+    return res.status(500).json({ error: 'Failed to edit variant.' });
+  }
+};
+
+/**
+ * Sets the price and/or availability of a product at one store.
+ * A null price falls back to the base product price. Store prices are not supported for
+ * products with variants (each variant has one price everywhere), so setting a price on one
+ * is rejected with 400; availability can still be set.
+ * Staff tied to a store may only set overrides for their own store.
+ * Expects req.params.id, req.params.storeId and req.body: { price, isAvailable }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.setStoreOverride = async (req, res) => {
+  try {
+    const { id, storeId } = req.params;
+    const { price, isAvailable } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(storeId)) {
+      return res.status(400).json({ error: 'Invalid product or store id.' });
+    }
+    if (price !== undefined && price !== null && (typeof price !== 'number' || price < 0)) {
+      return res.status(400).json({ error: 'price must be a non-negative number or null.' });
+    }
+    if (isAvailable !== undefined && typeof isAvailable !== 'boolean') {
+      return res.status(400).json({ error: 'isAvailable must be a boolean.' });
+    }
+    storeService.assertStoreAccess(req.user, storeId, STORE_OVERRIDE_DENIED);
+
+    const [product, store] = await Promise.all([Product.findById(id), Store.findById(storeId)]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found.' });
+    }
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found.' });
+    }
+    if (price !== undefined && price !== null && product.variants.length > 0) {
+      return res.status(400).json({
+        error: 'Products with variants cannot have a store price; variants use their own price.',
+      });
+    }
+
+    let override = product.storeOverrides.find((entry) => String(entry.store) === storeId);
+    if (!override) {
+      product.storeOverrides.push({ store: store._id });
+      override = product.storeOverrides[product.storeOverrides.length - 1];
+    }
+    if (price !== undefined) override.price = price;
+    if (isAvailable !== undefined) override.isAvailable = isAvailable;
+
+    await product.save();
+
+    return res.status(200).json(product);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('setStoreOverride error:', error);
+    return res.status(500).json({ error: 'Failed to set store override.' });
+  }
+};
+
+/**
+ * Removes a product's override at one store, so the base price applies there again.
+ * Staff tied to a store may only remove overrides of their own store.
+ * Expects req.params.id and req.params.storeId.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.removeStoreOverride = async (req, res) => {
+  try {
+    const { id, storeId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(storeId)) {
+      return res.status(400).json({ error: 'Invalid product or store id.' });
+    }
+    storeService.assertStoreAccess(req.user, storeId, STORE_OVERRIDE_DENIED);
+
+    // Load and save (rather than $pull) so the old store price is kept in the price history
+    const product = await Product.findById(id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found.' });
+    }
+    product.storeOverrides = product.storeOverrides.filter(
+      (entry) => String(entry.store) !== storeId
+    );
+    await product.save();
+
+    return res.status(200).json(product);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('removeStoreOverride error:', error);
+    return res.status(500).json({ error: 'Failed to remove store override.' });
+  }
+};
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Controller for Promotion (bonus points campaign) operations in Tsuki Coffee backend.
+ * Implements addPromotion, editPromotion, getPromotions, getPromotion, deletePromotion.
+ * Uses Promotion, Product, ClubCategory and Transaction models.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const promotionController = require('./promotionController');
+ *   // promotionController.addPromotion(req, res), etc.
+ */
+
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const ClubCategory = require('../models/ClubCategory');
+const Transaction = require('../models/Transaction');
+const mongoose = require('mongoose');
+
+const { TIME_OF_DAY_PATTERN } = Promotion;
+
+/**
+ * Checks that a value is an array of ObjectIds that all exist in a model's collection.
+ * @param {*} ids Value to check
+ * @param {Object} Model Mongoose model the ids must reference
+ * @returns {Promise<boolean>}
+ */
+const referencesExist = async (ids, Model) => {
+  if (!Array.isArray(ids) || ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return false;
+  }
+  const found = await Model.countDocuments({ _id: { $in: ids } });
+  return found === new Set(ids.map(String)).size;
+};
+
+/**
+ * Validates promotion fields shared by add and edit.
+ * Only fields that are present are checked.
+ * @param {Object} body Express request body
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validatePromotionFields = async ({
+  startsAt,
+  endsAt,
+  daysOfWeek,
+  startTime,
+  endTime,
+  products,
+  eligibleCategories,
+  multiplier,
+  bonusPoints,
+  perMemberLimit,
+  isActive,
+}) => {
+  for (const [field, value] of [['startsAt', startsAt], ['endsAt', endsAt]]) {
+    if (value !== undefined && value !== null && Number.isNaN(new Date(value).getTime())) {
+      return `${field} must be a valid date or null.`;
+    }
+  }
+  if (startsAt && endsAt && new Date(startsAt) > new Date(endsAt)) {
+    return 'startsAt must be before endsAt.';
+  }
+  if (
+    daysOfWeek !== undefined &&
+    (!Array.isArray(daysOfWeek) ||
+      daysOfWeek.some((day) => !Number.isInteger(day) || day < 0 || day > 6))
+  ) {
+    return 'daysOfWeek must be an array of integers from 0 (Sunday) to 6 (Saturday).';
+  }
+  for (const [field, value] of [['startTime', startTime], ['endTime', endTime]]) {
+    if (value !== undefined && value !== null && !TIME_OF_DAY_PATTERN.test(value)) {
+      return `${field} must be a time in HH:mm format or null.`;
+    }
+  }
+  if (multiplier !== undefined && (typeof multiplier !== 'number' || multiplier < 1)) {
+    return 'multiplier must be a number of at least 1.';
+  }
+  if (bonusPoints !== undefined && (!Number.isInteger(bonusPoints) || bonusPoints < 0)) {
+    return 'bonusPoints must be a non-negative integer.';
+  }
+  if (
+    perMemberLimit !== undefined &&
+    perMemberLimit !== null &&
+    (!Number.isInteger(perMemberLimit) || perMemberLimit < 1)
+  ) {
+    return 'perMemberLimit must be a positive integer or null.';
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be a boolean.';
+  }
+  if (products !== undefined && !(await referencesExist(products, Product))) {
+    return 'products must be an array of existing product ids.';
+  }
+  if (eligibleCategories !== undefined && !(await referencesExist(eligibleCategories, ClubCategory))) {
+    return 'eligibleCategories must be an array of existing club category ids.';
+  }
+  return null;
+};
+
+/**
+ * Adds a new promotion.
+ * Expects req.body: { name, description, startsAt, endsAt, daysOfWeek, startTime, endTime, products,
+ *   eligibleCategories, multiplier, bonusPoints, perMemberLimit, isActive }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addPromotion = async (req, res) => {
+  try {
+    const {
+      name = '',
+      description = '',
+      startsAt = null,
+      endsAt = null,
+      daysOfWeek = [],
+      startTime = null,
+      endTime = null,
+      products = [],
+      eligibleCategories = [],
+      multiplier = 1,
+      bonusPoints = 0,
+      perMemberLimit = null,
+      isActive = true,
+    } = req.body;
+
+    // Validate required fields
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Promotion name is required.' });
+    }
+    const fieldError = await validatePromotionFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+    if (multiplier === 1 && bonusPoints === 0) {
+      return res.status(400).json({ error: 'A promotion needs a multiplier above 1 or bonusPoints.' });
+    }
+
+    // Check for duplicate promotion name
+    const existingPromotion = await Promotion.findOne({ name: name.trim() });
+    if (existingPromotion) {
+      return res.status(400).json({ error: 'Promotion name already exists.' });
+    }
+
+    // Create promotion
+    const promotion = new Promotion({
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      startsAt: startsAt ? new Date(startsAt) : null,
+      endsAt: endsAt ? new Date(endsAt) : null,
+      daysOfWeek,
+      startTime,
+      endTime,
+      products,
+      eligibleCategories,
+      multiplier,
+      bonusPoints,
+      perMemberLimit,
+      isActive,
+    });
+
+    await promotion.save();
+
+    return res.status(200).json(promotion);
+  } catch (error) {
+    console.error('addPromotion error:', error);
+    return res.status(500).json({ error: 'Failed to add promotion.' });
+  }
+};
+
+/**
+ * Edits an existing promotion.
+ * Expects req.params.id and any of the fields accepted by addPromotion.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editPromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid promotion id.' });
+    }
+    const fieldError = await validatePromotionFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    // Find promotion
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found.' });
+    }
+
+    // Update fields if provided
+    if (typeof name === 'string' && name.trim()) {
+      // Check for duplicate name (excluding current promotion)
+      const duplicate = await Promotion.findOne({ name: name.trim(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ error: 'Promotion name already exists.' });
+      }
+      promotion.name = name.trim();
+    }
+    if (typeof description === 'string') promotion.description = description.trim();
+
+    [
+      'daysOfWeek',
+      'startTime',
+      'endTime',
+      'products',
+      'eligibleCategories',
+      'multiplier',
+      'bonusPoints',
+      'perMemberLimit',
+      'isActive',
+    ].forEach((field) => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    ['startsAt', 'endsAt'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        promotion[field] = req.body[field] ? new Date(req.body[field]) : null;
+      }
+    });
+
+    if (promotion.startsAt && promotion.endsAt && promotion.startsAt > promotion.endsAt) {
+      return res.status(400).json({ error: 'startsAt must be before endsAt.' });
+    }
+    if (promotion.multiplier === 1 && promotion.bonusPoints === 0) {
+      return res.status(400).json({ error: 'A promotion needs a multiplier above 1 or bonusPoints.' });
+    }
+
+    await promotion.save();
+
+    return res.status(200).json(promotion);
+  } catch (error) {
+    console.error('editPromotion error:', error);
+    return res.status(500).json({ error: 'Failed to edit promotion.' });
+  }
+};
+
+/**
+ * Gets the list of promotions, newest first.
+ * Expects optional req.query.active ("true" to list only promotions within their date range).
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getPromotions = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') {
+      const now = new Date();
+      filter.isActive = true;
+      filter.$and = [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+      ];
+    }
+
+    const promotions = await Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('products')
+      .populate('eligibleCategories');
+    return res.status(200).json(promotions);
+  } catch (error) {
+    console.error('getPromotions error:', error);
+    return res.status(500).json({ error: 'Failed to get promotions.' });
+  }
+};
+
+/**
+ * Gets a single promotion with the number of sales it has been applied to.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getPromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid promotion id.' });
+    }
+
+    const promotion = await Promotion.findById(id)
+      .populate('products')
+      .populate('eligibleCategories');
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found.' });
+    }
+
+    const timesApplied = await Transaction.countDocuments({
+      ...Transaction.ACTIVE_SALE_FILTER,
+      'promotions.promotion': promotion._id,
+    });
+
+    return res.status(200).json({ ...promotion.toJSON(), timesApplied });
+  } catch (error) {
+    console.error('getPromotion error:', error);
+    return res.status(500).json({ error: 'Failed to get promotion.' });
+  }
+};
+
+/**
+ * Deletes a promotion that has never been applied to a sale.
+ * Promotions referenced by transactions should be deactivated with isActive: false instead.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.deletePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid promotion id.' });
+    }
+
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found.' });
+    }
+
+    const usageCount = await Transaction.countDocuments({ 'promotions.promotion': promotion._id });
+    if (usageCount > 0) {
+      return res.status(409).json({
+        error: 'Promotion has been applied to transactions and cannot be deleted. Deactivate it instead.',
+      });
+    }
+
+    await promotion.deleteOne();
+
+    return res.status(200).json({ message: 'Promotion deleted.' });
+  } catch (error) {
+    console.error('deletePromotion error:', error);
+    return res.status(500).json({ error: 'Failed to delete promotion.' });
+  }
+};
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Controller for sales and loyalty reports in Tsuki Coffee backend.
+ * Implements getSalesReport, getTopProducts, getMemberActivity, getCategoryReport.
+ * Every report accepts dateFrom, dateTo (default: the last 30 days), an optional club category
+ * id and an optional store id in the query string. Staff tied to a store only get reports of
+ * that store. Aggregations live in reportService.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const reportController = require('./reportController');
+ *   // reportController.getSalesReport(req, res), etc.
+ */
+
+const mongoose = require('mongoose');
+const reportService = require('../services/reportService');
+const storeService = require('../services/storeService');
+const { ApiError } = require('../utils/errors');
+
+// Default reporting window when dateFrom is not given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Parses the date-range, category and store filters shared by every report.
+ * @param {Object} query Express request query
+ * @param {Object} user req.user, used to restrict staff tied to a store to that store
+ * @returns {{filters: {from: Date, to: Date, categoryId: (Object|null), storeId: (Object|null)},
+ *   error: (string|null)}}
+ */
+const parseReportFilters = ({ dateFrom, dateTo, category, store }, user) => {
+  const to = dateTo ? new Date(dateTo) : new Date();
+  if (Number.isNaN(to.getTime())) {
+    return { filters: null, error: 'dateTo must be a valid date.' };
+  }
+
+  const from = dateFrom ? new Date(dateFrom) : new Date(to);
+  if (!dateFrom) {
+    from.setDate(from.getDate() - DEFAULT_RANGE_DAYS);
+  }
+  if (Number.isNaN(from.getTime())) {
+    return { filters: null, error: 'dateFrom must be a valid date.' };
+  }
+  if (from > to) {
+    return { filters: null, error: 'dateFrom must be before dateTo.' };
+  }
+
+  if (category !== undefined && !mongoose.Types.ObjectId.isValid(category)) {
+    return { filters: null, error: 'category must be a valid club category id.' };
+  }
+  const categoryId = category !== undefined ? new mongoose.Types.ObjectId(category) : null;
+
+  if (store !== undefined && !mongoose.Types.ObjectId.isValid(store)) {
+    return { filters: null, error: 'store must be a valid store id.' };
+  }
+  const storeId =
+    storeService.scopeStore(user, store !== undefined ? new mongoose.Types.ObjectId(store) : null) ||
+    null;
+
+  return { filters: { from, to, categoryId, storeId }, error: null };
+};
+
+/**
+ * Gets revenue, sales count and points issued versus redeemed per day, week or month.
+ * Expects req.query: { dateFrom, dateTo, category, store,
+ *   interval ("day" | "week" | "month", default "day") }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getSalesReport = async (req, res) => {
+  try {
+    const { filters, error } = parseReportFilters(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { interval = 'day' } = req.query;
+    if (!reportService.INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        error: `interval must be one of: ${reportService.INTERVALS.join(', ')}.`,
+      });
+    }
+
+    const rows = await reportService.getSalesReport({ ...filters, interval });
+    return res.status(200).json({ ...filters, interval, data: rows });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('getSalesReport error:', error);
+    return res.status(500).json({ error: 'Failed to get sales report.' });
+  }
+};
+
+/**
+ * Gets the best-selling products by quantity or revenue.
+ * Expects req.query: { dateFrom, dateTo, category, store,
+ *   sortBy ("quantity" | "revenue", default "quantity"), limit (1-100, default 10) }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getTopProducts = async (req, res) => {
+  try {
+    const { filters, error } = parseReportFilters(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { sortBy = 'quantity' } = req.query;
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!['quantity', 'revenue'].includes(sortBy)) {
+      return res.status(400).json({ error: 'sortBy must be quantity or revenue.' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 100.' });
+    }
+
+    const rows = await reportService.getTopProducts({ ...filters, sortBy, limit });
+    return res.status(200).json({ ...filters, sortBy, data: rows });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('getTopProducts error:', error);
+    return res.status(500).json({ error: 'Failed to get top products.' });
+  }
+};
+
+/**
+ * Gets the number of active, lapsed and never-purchasing members.
+ * Expects req.query: { dateFrom, dateTo, category, store }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getMemberActivity = async (req, res) => {
+  try {
+    const { filters, error } = parseReportFilters(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const activity = await reportService.getMemberActivity(filters);
+    return res.status(200).json({ ...filters, ...activity });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('getMemberActivity error:', error);
+    return res.status(500).json({ error: 'Failed to get member activity.' });
+  }
+};
+
+/**
+ * Gets average basket size and repeat-visit rate per club category.
+ * Expects req.query: { dateFrom, dateTo, category, store }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getCategoryReport = async (req, res) => {
+  try {
+    const { filters, error } = parseReportFilters(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rows = await reportService.getCategoryReport(filters);
+    return res.status(200).json({ ...filters, data: rows });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('getCategoryReport error:', error);
+    return res.status(500).json({ error: 'Failed to get category report.' });
+  }
+};
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Controller for Reward catalog operations in Tsuki Coffee backend.
+ * Implements addReward, editReward, getRewards, getReward, deleteReward.
+ * Uses Reward, ClubCategory and Voucher models.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const rewardController = require('./rewardController');
+ *   // rewardController.addReward(req, res), etc.
+ */
+
+const Reward = require('../models/Reward');
+const ClubCategory = require('../models/ClubCategory');
+const Voucher = require('../models/Voucher');
+const mongoose = require('mongoose');
+
+/**
+ * Checks that a value is null (no limit) or a number not below the minimum.
+ * @param {*} value Value to check
+ * @param {number} min Minimum allowed value
+ * @param {boolean} integer Whether the value must be an integer
+ * @returns {boolean}
+ */
+const isOptionalNumber = (value, min, integer) =>
+  value === null ||
+  (typeof value === 'number' && value >= min && (!integer || Number.isInteger(value)));
+
+/**
+ * Validates reward fields shared by add and edit.
+ * Only fields that are present are checked.
+ * @param {Object} body Express request body
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateRewardFields = async ({
+  pointCost,
+  stock,
+  perMemberLimit,
+  validFrom,
+  validUntil,
+  eligibleCategories,
+  voucherValidDays,
+  isActive,
+}) => {
+  if (pointCost !== undefined && (!Number.isInteger(pointCost) || pointCost < 1)) {
+    return 'pointCost must be a positive integer.';
+  }
+  if (stock !== undefined && !isOptionalNumber(stock, 0, true)) {
+    return 'stock must be a non-negative integer or null.';
+  }
+  if (perMemberLimit !== undefined && !isOptionalNumber(perMemberLimit, 1, true)) {
+    return 'perMemberLimit must be a positive integer or null.';
+  }
+  for (const [field, value] of [['validFrom', validFrom], ['validUntil', validUntil]]) {
+    if (value !== undefined && value !== null && Number.isNaN(new Date(value).getTime())) {
+      return `${field} must be a valid date or null.`;
+    }
+  }
+  if (validFrom && validUntil && new Date(validFrom) > new Date(validUntil)) {
+    return 'validFrom must be before validUntil.';
+  }
+  if (voucherValidDays !== undefined && (!Number.isInteger(voucherValidDays) || voucherValidDays < 1)) {
+    return 'voucherValidDays must be a positive integer.';
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be a boolean.';
+  }
+  if (eligibleCategories !== undefined) {
+    if (
+      !Array.isArray(eligibleCategories) ||
+      eligibleCategories.some((id) => !mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return 'eligibleCategories must be an array of club category ids.';
+    }
+    const found = await ClubCategory.countDocuments({ _id: { $in: eligibleCategories } });
+    if (found !== new Set(eligibleCategories.map(String)).size) {
+      return 'ClubCategory not found.';
+    }
+  }
+  return null;
+};
+
+/**
+ * Adds a new reward to the catalog.
+ * Expects req.body: { name, description, pointCost, stock, perMemberLimit, validFrom, validUntil,
+ *   eligibleCategories, voucherValidDays, isActive }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addReward = async (req, res) => {
+  try {
+    const {
+      name = '',
+      description = '',
+      pointCost,
+      stock = null,
+      perMemberLimit = null,
+      validFrom = null,
+      validUntil = null,
+      eligibleCategories = [],
+      voucherValidDays,
+      isActive = true,
+    } = req.body;
+
+    // Validate required fields
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Reward name is required.' });
+    }
+    if (pointCost === undefined) {
+      return res.status(400).json({ error: 'pointCost is required.' });
+    }
+    const fieldError = await validateRewardFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    // Check for duplicate reward name
+    const existingReward = await Reward.findOne({ name: name.trim() });
+    if (existingReward) {
+      return res.status(400).json({ error: 'Reward name already exists.' });
+    }
+
+    // Create reward
+    const reward = new Reward({
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : '',
+      pointCost,
+      stock,
+      perMemberLimit,
+      validFrom: validFrom ? new Date(validFrom) : null,
+      validUntil: validUntil ? new Date(validUntil) : null,
+      eligibleCategories,
+      voucherValidDays,
+      isActive,
+    });
+
+    await reward.save();
+
+    return res.status(200).json(reward);
+  } catch (error) {
+    console.error('addReward error:', error);
+    return res.status(500).json({ error: 'Failed to add reward.' });
+  }
+};
+
+/**
+ * Edits an existing reward.
+ * Expects req.params.id and any of the fields accepted by addReward.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editReward = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid reward id.' });
+    }
+    const fieldError = await validateRewardFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    // Find reward
+    const reward = await Reward.findById(id);
+    if (!reward) {
+      return res.status(404).json({ error: 'Reward not found.' });
+    }
+
+    // Update fields if provided
+    if (typeof name === 'string' && name.trim()) {
+      // Check for duplicate name (excluding current reward)
+      const duplicate = await Reward.findOne({ name: name.trim(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ error: 'Reward name already exists.' });
+      }
+      reward.name = name.trim();
+    }
+    if (typeof description === 'string') reward.description = description.trim();
+
+    [
+      'pointCost',
+      'stock',
+      'perMemberLimit',
+      'eligibleCategories',
+      'voucherValidDays',
+      'isActive',
+    ].forEach((field) => {
+      if (req.body[field] !== undefined) reward[field] = req.body[field];
+    });
+    ['validFrom', 'validUntil'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        reward[field] = req.body[field] ? new Date(req.body[field]) : null;
+      }
+    });
+
+    if (reward.validFrom && reward.validUntil && reward.validFrom > reward.validUntil) {
+      return res.status(400).json({ error: 'validFrom must be before validUntil.' });
+    }
+
+    await reward.save();
+
+    return res.status(200).json(reward);
+  } catch (error) {
+    console.error('editReward error:', error);
+    return res.status(500).json({ error: 'Failed to edit reward.' });
+  }
+};
+
+/**
+ * Gets the reward catalog.
+ * Expects optional req.query.active ("true" to list only rewards available now).
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getRewards = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') {
+      const now = new Date();
+      filter.isActive = true;
+      filter.$and = [
+        { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+        { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+        { $or: [{ stock: null }, { stock: { $gt: 0 } }] },
+      ];
+    }
+
+    const rewards = await Reward.find(filter).sort({ pointCost: 1 }).populate('eligibleCategories');
+    return res.status(200).json(rewards);
+  } catch (error) {
+    console.error('getRewards error:', error);
+    return res.status(500).json({ error: 'Failed to get rewards.' });
+  }
+};
+
+/**
+ * Gets a single reward.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getReward = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid reward id.' });
+    }
+
+    const reward = await Reward.findById(id).populate('eligibleCategories');
+    if (!reward) {
+      return res.status(404).json({ error: 'Reward not found.' });
+    }
+
+    return res.status(200).json(reward);
+  } catch (error) {
+    console.error('getReward error:', error);
+    return res.status(500).json({ error: 'Failed to get reward.' });
+  }
+};
+
+/**
+ * Deletes a reward that has never been redeemed.
+ * Rewards with issued vouchers should be deactivated with isActive: false instead.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.deleteReward = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid reward id.' });
+    }
+
+    const reward = await Reward.findById(id);
+    if (!reward) {
+      return res.status(404).json({ error: 'Reward not found.' });
+    }
+
+    const voucherCount = await Voucher.countDocuments({ reward: reward._id });
+    if (voucherCount > 0) {
+      return res.status(409).json({
+        error: 'Reward has issued vouchers and cannot be deleted. Deactivate it instead.',
+      });
+    }
+
+    await reward.deleteOne();
+
+    return res.status(200).json({ message: 'Reward deleted.' });
+  } catch (error) {
+    console.error('deleteReward error:', error);
+    return res.status(500).json({ error: 'Failed to delete reward.' });
+  }
+};
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Controller for Staff account operations in Tsuki Coffee backend.
+ * Implements addStaff, editStaff, getStaff.
+ * Uses Staff and Store models.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const staffController = require('./staffController');
+ *   // staffController.addStaff(req, res), etc.
+ */
+
+const Staff = require('../models/Staff');
+const Store = require('../models/Store');
+const mongoose = require('mongoose');
+const { hashPassword, validatePassword } = require('../utils/password');
+
+const { STAFF_ROLES } = Staff;
+
+/**
+ * Validates a store assignment.
+ * @param {*} storeId Store id, or null for no store
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateStoreId = async (storeId) => {
+  if (storeId === null) {
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(storeId) || !(await Store.exists({ _id: storeId }))) {
+    return 'storeId must be an existing store id or null.';
+  }
+  return null;
+};
+
+/**
+ * Adds a new staff account. Cashiers must be assigned to a store.
+ * Expects req.body: { name, username, password, role, storeId (null for head office) }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addStaff = async (req, res) => {
+  try {
+    const { name = '', username = '', password = '', role = 'cashier', storeId = null } = req.body;
+
+    // Validate required fields
+    if (typeof name !== 'string' || !name.trim() || typeof username !== 'string' || !username.trim()) {
+      return res.status(400).json({ error: 'Name and username are required.' });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${STAFF_ROLES.join(', ')}.` });
+    }
+    const storeError = await validateStoreId(storeId);
+    if (storeError) {
+      return res.status(400).json({ error: storeError });
+    }
+    if (role === 'cashier' && !storeId) {
+      return res.status(400).json({ error: 'Cashiers must be assigned to a store.' });
+    }
+
+    // Check for duplicate username
+    const existingStaff = await Staff.findOne({ username: username.trim().toLowerCase() });
+    if (existingStaff) {
+      return res.status(400).json({ error: 'Username already exists.' });
+    }
+
+    const staff = new Staff({
+      name: name.trim(),
+      username: username.trim(),
+      passwordHash: await hashPassword(password),
+      role,
+      store: storeId,
+    });
+
+    await staff.save();
+
+    return res.status(200).json(staff);
+  } catch (error) {
+    console.error('addStaff error:', error);
+    return res.status(500).json({ error: 'Failed to add staff.' });
+  }
+};
+
+/**
+ * Edits a staff account. Admins cannot demote or deactivate themselves.
+ * Expects req.params.id and req.body: { name, password, role, storeId, isActive }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editStaff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, password, role, storeId, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid staff id.' });
+    }
+    if (role !== undefined && !STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${STAFF_ROLES.join(', ')}.` });
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean.' });
+    }
+    if (storeId !== undefined) {
+      const storeError = await validateStoreId(storeId);
+      if (storeError) {
+        return res.status(400).json({ error: storeError });
+      }
+    }
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
+
+    const staff = await Staff.findById(id);
+    if (!staff) {
+      return res.status(404).json({ error: 'Staff not found.' });
+    }
+
+    // Prevent locking the last door: an admin cannot remove their own access
+    if (String(staff._id) === req.user.id && ((role && role !== 'admin') || isActive === false)) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account.' });
+    }
+
+    if (typeof name === 'string' && name.trim()) staff.name = name.trim();
+    if (role !== undefined) staff.role = role;
+    if (storeId !== undefined) staff.store = storeId;
+    if (isActive !== undefined) staff.isActive = isActive;
+    if (password !== undefined) staff.passwordHash = await hashPassword(password);
+
+    if ((role !== undefined || storeId !== undefined) && staff.role === 'cashier' && !staff.store) {
+      return res.status(400).json({ error: 'Cashiers must be assigned to a store.' });
+    }
+
+    await staff.save();
+
+    return res.status(200).json(staff);
+  } catch (error) {
+    console.error('editStaff error:', error);
+    return res.status(500).json({ error: 'Failed to edit staff.' });
+  }
+};
+
+/**
+ * Gets a list of all staff accounts, optionally only those of one store.
+ * Expects optional req.query.store (store id).
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getStaff = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.store !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.store)) {
+        return res.status(400).json({ error: 'store must be a valid store id.' });
+      }
+      filter.store = req.query.store;
+    }
+
+    const staff = await Staff.find(filter).sort({ name: 1 }).populate('store', 'name code');
+    return res.status(200).json(staff);
+  } catch (error) {
+    console.error('getStaff error:', error);
+    return res.status(500).json({ error: 'Failed to get staff.' });
+  }
+};
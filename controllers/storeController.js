@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Controller for Store (outlet) operations in Tsuki Coffee backend.
+ * Implements addStore, editStore, getStores, getStore.
+ * Uses Store model. Stores are never deleted because transactions reference them;
+ * deactivate a closed outlet with isActive: false instead.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const storeController = require('./storeController');
+ *   // storeController.addStore(req, res), etc.
+ */
+
+const Store = require('../models/Store');
+const mongoose = require('mongoose');
+
+/**
+ * Adds a new store.
+ * Expects req.body: { name, code, address, phone }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addStore = async (req, res) => {
+  try {
+    const { name = '', code = '', address = '', phone = '' } = req.body;
+
+    // Validate required fields
+    if (typeof name !== 'string' || !name.trim() || typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({ error: 'Store name and code are required.' });
+    }
+
+    // Check for duplicate name or code
+    const existingStore = await Store.findOne({
+      $or: [{ name: name.trim() }, { code: code.trim().toUpperCase() }],
+    });
+    if (existingStore) {
+      return res.status(400).json({ error: 'Store name or code already exists.' });
+    }
+
+    const store = new Store({
+      name: name.trim(),
+      code: code.trim(),
+      address: typeof address === 'string' ? address.trim() : '',
+      phone: typeof phone === 'string' ? phone.trim() : '',
+    });
+
+    await store.save();
+
+    return res.status(200).json(store);
+  } catch (error) {
+    console.error('addStore error:', error);
+    return res.status(500).json({ error: 'Failed to add store.' });
+  }
+};
+
+/**
+ * Edits an existing store.
+ * Expects req.params.id and req.body: { name, code, address, phone, isActive }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editStore = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, code, address, phone, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid store id.' });
+    }
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean.' });
+    }
+
+    // Find store
+    const store = await Store.findById(id);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found.' });
+    }
+
+    // Update fields if provided
+    if (typeof name === 'string' && name.trim()) {
+      // Check for duplicate name (excluding current store)
+      const duplicate = await Store.findOne({ name: name.trim(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ error: 'Store name already exists.' });
+      }
+      store.name = name.trim();
+    }
+    if (typeof code === 'string' && code.trim()) {
+      // Check for duplicate code (excluding current store)
+      const duplicate = await Store.findOne({ code: code.trim().toUpperCase(), _id: { $ne: id } });
+      if (duplicate) {
+        return res.status(400).json({ error: 'Store code already exists.' });
+      }
+      store.code = code.trim();
+    }
+    if (typeof address === 'string') store.address = address.trim();
+    if (typeof phone === 'string') store.phone = phone.trim();
+    if (isActive !== undefined) store.isActive = isActive;
+
+    await store.save();
+
+    return res.status(200).json(store);
+  } catch (error) {
+    console.error('editStore error:', error);
+    return res.status(500).json({ error: 'Failed to edit store.' });
+  }
+};
+
+/**
+ * Gets the list of stores by name.
+ * Expects optional req.query.active ("true" to list only active stores).
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getStores = async (req, res) => {
+  try {
+    const filter = req.query.active === 'true' ? { isActive: true } : {};
+    const stores = await Store.find(filter).sort({ name: 1 });
+    return res.status(200).json(stores);
+  } catch (error) {
+    console.error('getStores error:', error);
+    return res.status(500).json({ error: 'Failed to get stores.' });
+  }
+};
+
+/**
+ * Gets a single store.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getStore = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid store id.' });
+    }
+
+    const store = await Store.findById(id);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found.' });
+    }
+
+    return res.status(200).json(store);
+  } catch (error) {
+    console.error('getStore error:', error);
+    return res.status(500).json({ error: 'Failed to get store.' });
+  }
+};
@@ -1,7 +1,10 @@
 /**
  * @fileoverview Controller for Transaction operations in Tsuki Coffee backend.
- * Implements addTransaction, getTransactions.
- * Uses Transaction, Member, and Product models.
+ * Implements addTransaction, syncTransactions, getTransactions, exportTransactions,
+ * voidTransaction, refundTransaction.
+ * Sales are priced and recorded by saleService, corrections by transactionService, and the
+ * store a request acts on is resolved by storeService. New sales are announced through
+ * webhookService and notificationService.
  * All functions are async and return JSON responses for Express routes.
  *
  * Usage:
@@ -10,127 +13,472 @@
  */
 
 const Transaction = require('../models/Transaction');
-const Member = require('../models/Member');
-const Product = require('../models/Product');
 const mongoose = require('mongoose');
+const { runInTransaction } = require('../config/db');
+const loyaltyConfig = require('../config/loyalty');
+const saleService = require('../services/saleService');
+const transactionService = require('../services/transactionService');
+const storeService = require('../services/storeService');
+const webhookService = require('../services/webhookService');
+const notificationService = require('../services/notificationService');
+const transactionValidators = require('../validators/transactionValidators');
+const { TRANSACTION_LIST_QUERY } = transactionValidators;
+const { checkValues } = require('../middleware/validate');
+const { ApiError, VALIDATION_ERROR, toErrorBody } = require('../utils/errors');
+const { parseListQuery, toRange, toPage } = require('../utils/listQuery');
+const { streamCsv } = require('../utils/csv');
 
 /**
- * Adds a new transaction to the database.
- * Expects req.body: { memberId, productId, quantity }
- * Calculates totalPrice and pointsAdded based on product and quantity.
- * Updates member's points accordingly.
- * @param {Object} req Express request
- * @param {Object} res Express response
+ * Normalizes a validated basket into a list of { productId, variantId, quantity } line items.
+ * Accepts either a lineItems array or the legacy single productId/quantity payload.
+ * @param {Object} body Request body (or queued sale) checked against the basket rules of
+ *   transactionValidators
+ * @returns {Array<{productId: string, variantId: (string|null), quantity: number}>}
+ */
+const normalizeLineItems = (body) => {
+  const { lineItems, productId = null, variantId = null, quantity = 1 } = body;
+  const items = Array.isArray(lineItems) ? lineItems : [{ productId, variantId, quantity }];
+
+  return items.map((item) => ({
+    productId: String(item.productId),
+    variantId: item.variantId ? String(item.variantId) : null,
+    quantity: item.quantity === undefined ? 1 : item.quantity,
+  }));
+};
+
+/**
+ * Announces a recorded sale: emits the transaction.created webhook event and tells the
+ * member the points they earned. Neither can fail the sale.
+ * @param {Object} transaction Saved sale Transaction
  * @returns {Promise<void>}
  */
-exports.addTransaction = async (req, res) => {
+const announceSale = async (transaction) => {
+  await webhookService.emitEvent('transaction.created', { transaction });
+  await notificationService.notifySale(transaction);
+};
+
+// Milliseconds per hour
+const HOUR_MS = 60 * 60 * 1000;
+
+// How far ahead of the server clock a POS clock may run before an offline sale is rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Records one sale queued offline by a POS and describes the outcome.
+ * A client id that is already recorded is reported as a duplicate (with the original
+ * transaction) instead of being recorded again, so a sync can safely be retried.
+ * @param {Object} item Queued sale: { clientId, createdAt, memberId, storeId, lineItems }
+ *   or the legacy single-product fields
+ * @param {Object} context
+ * @param {Object} context.user req.user
+ * @param {*} context.storeId Store of the whole batch, used when the item names none
+ * @param {Date} context.syncedAt Time the sync started
+ * @returns {Promise<Object>} { clientId, status: 'accepted' | 'duplicate' | 'rejected',
+ *   transactionId, transaction (accepted only), error (rejected only) }
+ */
+const syncSale = async (item, { user, storeId, syncedAt }) => {
+  const clientId = item.clientId.trim();
+  const duplicateOf = (transaction) => ({
+    clientId,
+    status: 'duplicate',
+    transactionId: transaction._id,
+  });
+
   try {
-    const {
-      memberId = null,
-      productId = null,
-      quantity = 1,
-    } = req.body;
-
-    // Validate required fields
-    if (!memberId || !mongoose.Types.ObjectId.isValid(memberId)) {
-      return res.status(400).json({ error: 'Valid memberId is required.' });
+    const existing = await Transaction.findOne({ clientId });
+    if (existing) {
+      return duplicateOf(existing);
     }
-    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
-      return res.status(400).json({ error: 'Valid productId is required.' });
+
+    // Judge the sale as of the time the POS recorded it
+    const at = new Date(item.createdAt);
+    if (at.getTime() > syncedAt.getTime() + MAX_CLOCK_SKEW_MS) {
+      throw new ApiError(400, 'createdAt cannot be in the future.');
     }
-    if (typeof quantity !== 'number' || quantity < 1) {
-      return res.status(400).json({ error: 'Quantity must be a positive integer.' });
+    const maxAgeHours = loyaltyConfig.offlineSyncMaxAgeHours;
+    if (at.getTime() < syncedAt.getTime() - maxAgeHours * HOUR_MS) {
+      throw new ApiError(400, `Sales older than ${maxAgeHours} hours cannot be synced.`);
     }
 
-    // Find member
-    const member = await Member.findById(memberId);
-    if (!member) {
-      return res.status(404).json({ error: 'Member not found.' });
+    const details = checkValues(transactionValidators.syncedSale, item);
+    if (details.length > 0) {
+      throw new ApiError(400, details[0].message, { code: VALIDATION_ERROR, details });
     }
 
-    // Check membership validity
-    const now = new Date();
-    if (member.validUntil < now) {
-      return res.status(400).json({ error: 'Membership expired.' });
+    const sale = await saleService.prepareSale({
+      user,
+      memberId: item.memberId,
+      storeId: item.storeId || storeId,
+      lineItems: normalizeLineItems(item),
+      at,
+      clientId,
+    });
+    const transaction = await runInTransaction((session) =>
+      saleService.createSale(sale, { session })
+    );
+    await announceSale(transaction);
+    return { clientId, status: 'accepted', transactionId: transaction._id, transaction };
+  } catch (error) {
+    // Recorded by a parallel sync between the lookup and the insert
+    if (error && error.code === 11000 && error.keyPattern && error.keyPattern.clientId) {
+      return duplicateOf(await Transaction.findOne({ clientId }));
     }
-
-    // Find product
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found.' });
+    if (error instanceof ApiError) {
+      return { clientId, status: 'rejected', error: error.toJSON() };
     }
+    console.error(`syncSale error for clientId ${clientId}:`, error);
+    return {
+      clientId,
+      status: 'rejected',
+      error: toErrorBody(500, 'Failed to record this sale. Sync it again later.'),
+    };
+  }
+};
 
-    // Calculate totalPrice and pointsAdded
-    const totalPrice = product.price * quantity;
-    const pointsAdded = product.pointValue * quantity;
-
-    // Create transaction
-    const transaction = new Transaction({
-      memberId: member._id,
-      productId: product._id,
-      quantity,
-      totalPrice,
-      pointsAdded,
-      createdAt: new Date(),
-    });
+/**
+ * Builds the Mongo filter for listing or exporting transactions.
+ * Voided sales and their void records are excluded unless includeVoided is true, a
+ * signed-in member is always restricted to their own transactions and staff tied to a store
+ * to that store's transactions.
+ * @param {Object} filters Filters parsed by parseListQuery
+ * @param {Object} [user] Authenticated user (req.user)
+ * @returns {Object} Mongo filter
+ */
+const buildTransactionFilter = (filters, user) => {
+  const filter = {};
+  if (filters.memberId) {
+    filter.memberId = filters.memberId;
+  }
+  if (filters.productId) {
+    // Match both basket line items and legacy single-product transactions
+    filter.$or = [
+      { 'lineItems.productId': filters.productId },
+      { productId: filters.productId },
+    ];
+  }
+  const createdAt = toRange(filters.dateFrom, filters.dateTo);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+  const totalPrice = toRange(filters.minTotal, filters.maxTotal);
+  if (totalPrice) {
+    filter.totalPrice = totalPrice;
+  }
+  const store = storeService.scopeStore(user, filters.store);
+  if (store) {
+    filter.store = store;
+  }
 
-    await transaction.save();
+  // Members may only list their own transactions
+  if (user && user.type === 'member') {
+    filter.memberId = user.id;
+  }
+
+  if (!filters.includeVoided) {
+    filter.type = { $ne: 'void' };
+    filter.status = { $ne: 'voided' };
+  }
+  return filter;
+};
+
+/**
+ * Adds a new transaction to the database.
+ * Expects req.body: { memberId, storeId, lineItems: [{ productId, variantId, quantity }] }
+ * or the legacy single-product shape { memberId, storeId, productId, variantId, quantity }.
+ * storeId may be omitted by staff tied to a store; their own store is used.
+ * variantId is required for products with variants; variants use their own price and points,
+ * other products the store's price. Archived products and variants and products unavailable
+ * at the store are rejected.
+ * Calculates per-line price and points, totalPrice and pointsAdded for the whole basket.
+ * Line points are the product pointValue * quantity scaled by the member tier's earnMultiplier.
+ * Every matching promotion adds bonus points; the response lists each promotion that fired
+ * and the points it added. A referred member's first qualifying sale also pays out the
+ * referral bonuses.
+ * The transaction and the member's point credit are written in one MongoDB transaction,
+ * so either both are stored or neither is. During the membership grace period the sale is
+ * accepted but its points are held until the membership is renewed.
+ * A retry carrying the same Idempotency-Key header is answered by the idempotency middleware
+ * with the original response, so the sale is never recorded twice.
+ * The sale is announced with the transaction.created webhook event and the member is told
+ * the points they earned.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addTransaction = async (req, res) => {
+  try {
+    const { memberId, storeId = null } = req.body;
+    const lineItems = normalizeLineItems(req.body);
 
-    // Update member's points
-    member.points = typeof member.points === 'number' ? member.points + pointsAdded : pointsAdded;
-    await member.save();
+    // Price the basket and record the sale with its point credit in one MongoDB transaction
+    const sale = await saleService.prepareSale({ user: req.user, memberId, storeId, lineItems });
+    const transaction = await runInTransaction((session) =>
+      saleService.createSale(sale, { session })
+    );
+    await announceSale(transaction);
 
     return res.status(200).json(transaction);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('addTransaction error:', error);
     return res.status(500).json({ error: 'Failed to add transaction.' });
   }
 };
 
 /**
- * Gets a list of transactions, optionally filtered by memberId, productId, or date range.
- * Expects req.query.filter (JSON string: { memberId, productId, dateFrom, dateTo })
+ * Records a backlog of sales queued by a POS while it was offline.
+ * Sales are applied in the order they happened (createdAt, then request order) and each one
+ * is judged as of its own sale time: membership validity, prices, availability, the member's
+ * tier and promotions at that moment apply. Sales older than the offline sync window
+ * (OFFLINE_SYNC_MAX_AGE_HOURS) are rejected. Every sale is recorded in its own MongoDB
+ * transaction, so one rejected sale never blocks the rest of the batch. Every accepted sale is
+ * announced like a sale from addTransaction.
+ * Expects req.body: { storeId (optional default for the batch), transactions: [{ clientId,
+ *   createdAt, memberId, storeId (optional), lineItems: [{ productId, variantId, quantity }] }] }
+ * Responds with the count per status and one result per sale, in request order:
+ *   { clientId, status: 'accepted' | 'duplicate' | 'rejected', transactionId, transaction,
+ *     error: { error, code, details } }
  * @param {Object} req Express request
  * @param {Object} res Express response
  * @returns {Promise<void>}
  */
-exports.getTransactions = async (req, res) => {
+exports.syncTransactions = async (req, res) => {
   try {
-    let filter = {};
-    if (req.query.filter) {
-      try {
-        const parsed = JSON.parse(req.query.filter);
-
-        if (parsed.memberId && mongoose.Types.ObjectId.isValid(parsed.memberId)) {
-          filter.memberId = parsed.memberId;
-        }
-        if (parsed.productId && mongoose.Types.ObjectId.isValid(parsed.productId)) {
-          filter.productId = parsed.productId;
-        }
-        if (parsed.dateFrom || parsed.dateTo) {
-          filter.createdAt = {};
-          if (parsed.dateFrom) {
-            filter.createdAt.$gte = new Date(parsed.dateFrom);
-          }
-          if (parsed.dateTo) {
-            filter.createdAt.$lte = new Date(parsed.dateTo);
-          }
-        }
-      } catch (e) {
-        // Ignore filter if invalid JSON
-        filter = {};
-      }
+    const { storeId = null, transactions } = req.body;
+    const syncedAt = new Date();
+
+    // Apply the backlog in the order the sales happened
+    const queue = transactions
+      .map((item, index) => ({ item, index, at: new Date(item.createdAt).getTime() }))
+      .sort((a, b) => a.at - b.at || a.index - b.index);
+
+    const results = new Array(transactions.length);
+    for (const { item, index } of queue) {
+      // Sequential on purpose: earlier sales can change the outcome of later ones
+      results[index] = await syncSale(item, { user: req.user, storeId, syncedAt });
     }
 
-    // Find transactions, sort by createdAt descending
-    const transactions = await Transaction.find(filter)
-      .sort({ createdAt: -1 })
-      .populate('memberId')
-      .populate('productId');
+    const count = (status) => results.filter((result) => result.status === status).length;
+    return res.status(200).json({
+      accepted: count('accepted'),
+      duplicate: count('duplicate'),
+      rejected: count('rejected'),
+      results,
+    });
+  } catch (error) {
+    console.error('syncTransactions error:', error);
+    return res.status(500).json({ error: 'Failed to sync transactions.' });
+  }
+};
+
+/**
+ * Gets a page of transactions with optional filters and sorting.
+ * Voided sales and their void records are excluded unless includeVoided is true.
+ * A signed-in member only ever sees their own transactions; staff tied to a store only see
+ * that store's.
+ * Expects req.query: { page, limit, sort (createdAt | totalPrice | pointsAdded, "-" for descending),
+ *   memberId, productId, store, dateFrom, dateTo, minTotal, maxTotal, includeVoided }
+ * The legacy ?filter=<JSON> with the same keys still works.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getTransactions = async (req, res) => {
+  try {
+    const { page, limit, skip, sort, filters } = parseListQuery(req.query, TRANSACTION_LIST_QUERY);
+    const filter = buildTransactionFilter(filters, req.user);
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('memberId', 'name phone')
+        .populate('store', 'name code')
+        .populate('productId', 'product_name')
+        .populate('lineItems.productId', 'product_name'),
+      Transaction.countDocuments(filter),
+    ]);
 
-    return res.status(200).json(transactions);
+    return res.status(200).json(toPage(transactions, total, { page, limit }));
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('getTransactions error:', error);
     return res.status(500).json({ error: 'Failed to get transactions.' });
   }
 };
+
+/**
+ * Streams transactions as a CSV download.
+ * Accepts the same filters and sort as getTransactions; page and limit are ignored so the
+ * export always contains every matching transaction.
+ * Expects req.query: { sort, memberId, productId, store, dateFrom, dateTo, minTotal, maxTotal,
+ *   includeVoided }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.exportTransactions = async (req, res) => {
+  try {
+    const { sort, filters } = parseListQuery(req.query, TRANSACTION_LIST_QUERY);
+    const filter = buildTransactionFilter(filters, req.user);
+
+    const cursor = Transaction.find(filter)
+      .sort(sort)
+      .populate('memberId', 'name phone')
+      .populate('store', 'code')
+      .populate('productId', 'product_name')
+      .populate('lineItems.productId', 'product_name')
+      .lean()
+      .cursor();
+
+    await streamCsv({
+      res,
+      filename: `transactions-${new Date().toISOString().slice(0, 10)}.csv`,
+      columns: [
+        'id',
+        'createdAt',
+        'store',
+        'type',
+        'status',
+        'memberId',
+        'memberName',
+        'memberPhone',
+        'items',
+        'totalPrice',
+        'refundedAmount',
+        'pointsAdded',
+        'pointsReversed',
+        'originalTransaction',
+      ],
+      cursor,
+      toRow: (transaction) => {
+        const member = transaction.memberId || {};
+        const lineItems =
+          transaction.lineItems && transaction.lineItems.length > 0
+            ? transaction.lineItems
+            : [{ productId: transaction.productId, quantity: transaction.quantity }];
+        const items = lineItems
+          .filter((item) => item.productId)
+          .map((item) => {
+            const name = item.productId.product_name || item.productId;
+            return `${name}${item.variantName ? ` (${item.variantName})` : ''} x${item.quantity}`;
+          })
+          .join('; ');
+        return [
+          transaction._id,
+          transaction.createdAt,
+          transaction.store ? transaction.store.code : null,
+          transaction.type,
+          transaction.status,
+          member._id || transaction.memberId,
+          member.name,
+          member.phone,
+          items,
+          transaction.totalPrice,
+          transaction.refundedAmount,
+          transaction.pointsAdded,
+          transaction.pointsReversed,
+          transaction.originalTransaction,
+        ];
+      },
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('exportTransactions stream error:', error);
+      return;
+    }
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('exportTransactions error:', error);
+    return res.status(500).json({ error: 'Failed to export transactions.' });
+  }
+};
+
+/**
+ * Voids a sale: marks it voided, stores a reversing record and takes back its points.
+ * Staff tied to a store may only void their own store's sales.
+ * Fails with 409 if the member already spent the points, unless the reversal policy allows
+ * a negative balance.
+ * Expects req.params.id and req.body: { reason (optional) }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.voidTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid transaction id.' });
+    }
+
+    const reversal = await runInTransaction((session) =>
+      transactionService.voidTransaction(
+        {
+          user: req.user,
+          transactionId: id,
+          reason: typeof reason === 'string' ? reason.trim() : '',
+        },
+        { session }
+      )
+    );
+
+    return res.status(200).json(reversal);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('voidTransaction error:', error);
+    return res.status(500).json({ error: 'Failed to void transaction.' });
+  }
+};
+
+/**
+ * Refunds part of a sale: stores a refund record and takes back the points of the refunded units.
+ * Staff tied to a store may only refund their own store's sales.
+ * Fails with 409 if the member already spent the points, unless the reversal policy allows
+ * a negative balance.
+ * Expects req.params.id and req.body: { lineItems: [{ productId, variantId (optional), quantity }],
+ *   reason (optional) }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.refundTransaction = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid transaction id.' });
+    }
+    const lineItems = normalizeLineItems(req.body);
+
+    const refund = await runInTransaction((session) =>
+      transactionService.refundTransaction(
+        {
+          user: req.user,
+          transactionId: id,
+          lineItems,
+          reason: typeof reason === 'string' ? reason.trim() : '',
+        },
+        { session }
+      )
+    );
+
+    return res.status(200).json(refund);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('refundTransaction error:', error);
+    return res.status(500).json({ error: 'Failed to refund transaction.' });
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Controller for Voucher operations in Tsuki Coffee backend.
+ * Implements getVoucher, useVoucher.
+ * Uses Voucher model and rewardService.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const voucherController = require('./voucherController');
+ *   // voucherController.useVoucher(req, res), etc.
+ */
+
+const Voucher = require('../models/Voucher');
+const rewardService = require('../services/rewardService');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Looks up a voucher by code so the cashier can check it before use.
+ * Expects req.params.code.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getVoucher = async (req, res) => {
+  try {
+    const code = String(req.params.code).trim().toUpperCase();
+
+    const voucher = await Voucher.findOne({ code })
+      .populate('reward')
+      .populate('member', 'name phone');
+    if (!voucher) {
+      return res.status(404).json({ error: 'Voucher not found.' });
+    }
+
+    return res.status(200).json({
+      ...voucher.toJSON(),
+      isExpired: voucher.status === 'issued' && voucher.expiresAt <= new Date(),
+    });
+  } catch (error) {
+    console.error('getVoucher error:', error);
+    return res.status(500).json({ error: 'Failed to get voucher.' });
+  }
+};
+
+/**
+ * Marks a voucher as used at the counter.
+ * Rejects vouchers that are already used or expired.
+ * Expects req.params.code.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.useVoucher = async (req, res) => {
+  try {
+    const voucher = await rewardService.useVoucher(req.params.code);
+    await voucher.populate('reward');
+
+    return res.status(200).json(voucher);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('useVoucher error:', error);
+    return res.status(500).json({ error: 'Failed to use voucher.' });
+  }
+};
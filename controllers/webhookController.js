@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Controller for Webhook subscription operations in Tsuki Coffee backend.
+ * Implements addWebhook, getWebhooks, getWebhook, editWebhook, deleteWebhook,
+ * rotateWebhookSecret, getWebhookDeliveries, replayWebhookDelivery.
+ * Uses WebhookSubscription and WebhookDelivery models; deliveries are sent by webhookService.
+ * All functions are async and return JSON responses for Express routes.
+ *
+ * Usage:
+ *   const webhookController = require('./webhookController');
+ *   // webhookController.addWebhook(req, res), etc.
+ */
+
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { ApiError } = require('../utils/errors');
+const { toPage } = require('../utils/listQuery');
+
+/**
+ * Serializes a subscription together with its signing secret.
+ * Only used for the responses that hand the secret out (create and rotate).
+ * @param {Object} subscription WebhookSubscription document
+ * @param {string} secret Plain signing secret
+ * @returns {Object}
+ */
+const withSecret = (subscription, secret) => ({ ...subscription.toJSON(), secret });
+
+/**
+ * Adds a new webhook subscription.
+ * The response is the only time the signing secret is returned; store it on the receiver to
+ * verify the X-Tsuki-Signature header.
+ * Expects req.body: { url, events, description (optional), isActive (optional) }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.addWebhook = async (req, res) => {
+  try {
+    const { url, events, description = '', isActive = true } = req.body;
+
+    const secret = WebhookSubscription.generateSecret();
+    const subscription = await WebhookSubscription.create({
+      url: url.trim(),
+      events: [...new Set(events)],
+      description,
+      isActive,
+      secret,
+      createdBy: req.user.id,
+    });
+
+    return res.status(200).json(withSecret(subscription, secret));
+  } catch (error) {
+    console.error('addWebhook error:', error);
+    return res.status(500).json({ error: 'Failed to add webhook.' });
+  }
+};
+
+/**
+ * Gets the list of webhook subscriptions (with optional ?active=true), newest first.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getWebhooks = async (req, res) => {
+  try {
+    const filter = req.query.active === 'true' ? { isActive: true } : {};
+    const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+    return res.status(200).json(subscriptions);
+  } catch (error) {
+    console.error('getWebhooks error:', error);
+    return res.status(500).json({ error: 'Failed to get webhooks.' });
+  }
+};
+
+/**
+ * Gets a single webhook subscription with its delivery counts per status.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscription: subscription._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+    const deliveries = Object.fromEntries(
+      WebhookDelivery.DELIVERY_STATUSES.map((status) => [
+        status,
+        (counts.find((entry) => entry._id === status) || { count: 0 }).count,
+      ])
+    );
+
+    return res.status(200).json({ ...subscription.toJSON(), deliveries });
+  } catch (error) {
+    console.error('getWebhook error:', error);
+    return res.status(500).json({ error: 'Failed to get webhook.' });
+  }
+};
+
+/**
+ * Edits a webhook subscription. Disabling it stops new deliveries; pending ones fail at
+ * their next attempt and can be replayed once it is enabled again.
+ * Expects req.params.id and req.body: { url, events, description, isActive } (all optional)
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.editWebhook = async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    if (url !== undefined) subscription.url = url.trim();
+    if (events !== undefined) subscription.events = [...new Set(events)];
+    if (description !== undefined) subscription.description = description;
+    if (isActive !== undefined) subscription.isActive = isActive;
+
+    await subscription.save();
+
+    return res.status(200).json(subscription);
+  } catch (error) {
+    console.error('editWebhook error:', error);
+    return res.status(500).json({ error: 'Failed to edit webhook.' });
+  }
+};
+
+/**
+ * Deletes a webhook subscription and its delivery log.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    await subscription.deleteOne();
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+    return res.status(200).json({ message: 'Webhook deleted.' });
+  } catch (error) {
+    console.error('deleteWebhook error:', error);
+    return res.status(500).json({ error: 'Failed to delete webhook.' });
+  }
+};
+
+/**
+ * Replaces the signing secret of a webhook subscription and returns the new one.
+ * Deliveries attempted from now on (including retries) are signed with the new secret.
+ * Expects req.params.id.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.rotateWebhookSecret = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    const secret = WebhookSubscription.generateSecret();
+    subscription.secret = secret;
+    await subscription.save();
+
+    return res.status(200).json(withSecret(subscription, secret));
+  } catch (error) {
+    console.error('rotateWebhookSecret error:', error);
+    return res.status(500).json({ error: 'Failed to rotate webhook secret.' });
+  }
+};
+
+/**
+ * Gets a page of a webhook subscription's delivery log, newest first, with every attempt.
+ * Expects req.params.id and optional req.query: { page, limit, status, event }
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, event } = req.query;
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    // Pagination: default 20 entries per page, max 100
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { subscription: subscription._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return res.status(200).json(toPage(deliveries, total, { page, limit }));
+  } catch (error) {
+    console.error('getWebhookDeliveries error:', error);
+    return res.status(500).json({ error: 'Failed to get webhook deliveries.' });
+  }
+};
+
+/**
+ * Replays a delivery from the log: the same event is sent again as a new delivery, which is
+ * attempted right away and retried like any other. Works for delivered and failed deliveries.
+ * Expects req.params.id (delivery id).
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Promise<void>}
+ */
+exports.replayWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await webhookService.replayDelivery(req.params.id);
+    return res.status(200).json(delivery);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('replayWebhookDelivery error:', error);
+    return res.status(500).json({ error: 'Failed to replay webhook delivery.' });
+  }
+};
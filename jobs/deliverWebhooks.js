@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Webhook retry job for Tsuki Coffee backend.
+ * Attempts every pending webhook delivery that is due: new deliveries whose first attempt did
+ * not run, and failed ones whose backoff delay has passed.
+ * Runs daily through /jobs/deliver-webhooks (see the crons in vercel.json), the most often
+ * a Vercel Hobby project allows; in between, due retries are attempted whenever a new
+ * event is emitted (webhookService.emitEvent). On Vercel Pro the cron can run every
+ * minute instead.
+ *
+ * Usage:
+ *   const deliverWebhooks = require('./jobs/deliverWebhooks');
+ *   const summary = await deliverWebhooks();
+ */
+
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+const webhookService = require('../services/webhookService');
+
+/**
+ * Attempts up to WEBHOOK_BATCH_SIZE due deliveries, oldest due first.
+ * A failure on one delivery is logged and counted without stopping the run.
+ * @returns {Promise<{attempted: number, delivered: number, retrying: number, gaveUp: number,
+ *   failed: number}>}
+ */
+const deliverWebhooks = async () => {
+  const summary = { attempted: 0, delivered: 0, retrying: 0, gaveUp: 0, failed: 0 };
+
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(webhookConfig.batchSize)
+    .select('_id');
+
+  for (const { _id } of due) {
+    try {
+      const delivery = await webhookService.attemptDelivery(_id);
+      if (!delivery) {
+        // Claimed by another attempt in the meantime
+        continue;
+      }
+      summary.attempted += 1;
+      if (delivery.status === 'succeeded') {
+        summary.delivered += 1;
+      } else if (delivery.status === 'failed') {
+        summary.gaveUp += 1;
+      } else {
+        summary.retrying += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`deliverWebhooks error for delivery ${_id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = deliverWebhooks;
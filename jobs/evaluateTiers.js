@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Tier re-evaluation job for Tsuki Coffee backend.
+ * Walks every member, computes rolling activity against each club category's qualification
+ * rule and promotes or demotes members whose qualifying tier changed. Members whose tier a
+ * manager locked are skipped.
+ * Every change is announced with the tier.changed webhook event.
+ * Runs daily at 00:30 Jakarta time through /jobs/evaluate-tiers (see vercel.json).
+ *
+ * Usage:
+ *   const evaluateTiers = require('./jobs/evaluateTiers');
+ *   const summary = await evaluateTiers();
+ */
+
+const Member = require('../models/Member');
+const tierService = require('../services/tierService');
+const webhookService = require('../services/webhookService');
+
+/**
+ * Re-evaluates the club category of every member.
+ * A failure on one member is logged and counted without stopping the run.
+ * @returns {Promise<{evaluated: number, promoted: number, demoted: number, failed: number}>}
+ */
+const evaluateTiers = async () => {
+  const summary = { evaluated: 0, promoted: 0, demoted: 0, failed: 0 };
+  const categories = await tierService.getCategoriesByRank();
+
+  if (categories.length === 0) {
+    return summary;
+  }
+
+  const cursor = Member.find({ tierLocked: { $ne: true } }).cursor();
+  for await (const member of cursor) {
+    summary.evaluated += 1;
+    try {
+      const result = await tierService.evaluateMember(member, categories);
+      if (result) {
+        summary[result.direction] += 1;
+        await webhookService.emitEvent('tier.changed', { tierChange: result.tierChange });
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`evaluateTiers error for member ${member._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = evaluateTiers;
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Point expiry job for Tsuki Coffee backend.
+ * Finds point lots past their expiry date that still hold points, removes those points
+ * from the member balance and logs an "expiry" ledger entry for each lot.
+ * Runs daily at midnight Jakarta time through /jobs/expire-points (see vercel.json).
+ *
+ * Usage:
+ *   const expirePoints = require('./jobs/expirePoints');
+ *   const summary = await expirePoints();
+ */
+
+const PointLot = require('../models/PointLot');
+const { runInTransaction } = require('../config/db');
+const pointsService = require('../services/pointsService');
+
+/**
+ * Expires every lapsed point lot, one transaction per lot.
+ * A failure on one lot is logged and counted without stopping the run.
+ * @returns {Promise<{lots: number, pointsExpired: number, failed: number}>}
+ */
+const expirePoints = async () => {
+  const summary = { lots: 0, pointsExpired: 0, failed: 0 };
+
+  const cursor = PointLot.find({ remaining: { $gt: 0 }, expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .cursor();
+
+  for await (const lot of cursor) {
+    try {
+      const expired = await runInTransaction((session) =>
+        pointsService.expireLot(lot._id, { session })
+      );
+      if (expired > 0) {
+        summary.lots += 1;
+        summary.pointsExpired += expired;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`expirePoints error for lot ${lot._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = expirePoints;
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Birthday and anniversary job for Tsuki Coffee backend.
+ * Grants the configured birthday gift to active members during their birthday month, and the
+ * anniversary bonus to active members on each yearly anniversary of joining (Member.createdAt).
+ * Anniversaries from the last celebrationLookbackDays days that were not granted yet are
+ * caught up, so a missed run does not skip them. Each gift is granted once per year (checked
+ * against CelebrationGrant), so the job is safe to run more than once a day.
+ * Runs daily at 08:00 Jakarta time through /jobs/grant-celebrations (see vercel.json).
+ *
+ * Usage:
+ *   const grantCelebrations = require('./jobs/grantCelebrations');
+ *   const summary = await grantCelebrations();
+ */
+
+const Member = require('../models/Member');
+const CelebrationGrant = require('../models/CelebrationGrant');
+const loyaltyConfig = require('../config/loyalty');
+const { runInTransaction } = require('../config/db');
+const celebrationService = require('../services/celebrationService');
+const membershipService = require('../services/membershipService');
+
+// MongoDB duplicate key error code (gift already granted this year)
+const DUPLICATE_KEY = 11000;
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Finds members due for an occasion this year who have not received its gift yet.
+ * @param {string} occasion "birthday" or "anniversary"
+ * @param {Object} match Additional Member query
+ * @param {number} year Current calendar year
+ * @returns {Promise<Array<Object>>}
+ */
+const findDueMembers = async (occasion, match, year) => {
+  const granted = await CelebrationGrant.distinct('member', { occasion, year });
+  return Member.find({ ...match, _id: { $nin: granted } });
+};
+
+/**
+ * Lists the calendar days of the anniversary window (today and the days before it), grouped by
+ * year. Members who joined on 29 February celebrate on 28 February in other years.
+ * @param {Date} now Current time
+ * @param {number} lookbackDays Days before today to include
+ * @returns {Map<number, Array<{month: number, day: number}>>} Year -> days
+ */
+const getAnniversaryDays = (now, lookbackDays) => {
+  const daysByYear = new Map();
+  for (let offset = Math.max(lookbackDays, 0); offset >= 0; offset -= 1) {
+    const { year, month, day } = celebrationService.getLocalDate(
+      new Date(now.getTime() - offset * DAY_MS)
+    );
+    const isLeapYear = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+    const days = daysByYear.get(year) || [];
+    days.push({ month, day });
+    if (month === 2 && day === 28 && !isLeapYear) {
+      days.push({ month: 2, day: 29 });
+    }
+    daysByYear.set(year, days);
+  }
+  return daysByYear;
+};
+
+/**
+ * Grants one gift per member and tallies the outcome into the summary.
+ * @param {Array<Object>} members Members due for the gift
+ * @param {string} occasion "birthday" or "anniversary"
+ * @param {number} year Current calendar year
+ * @param {function(Object): string} describe Builds the history note for a member
+ * @param {Object} summary Job summary to update
+ * @returns {Promise<void>}
+ */
+const grantAll = async (members, occasion, year, describe, summary) => {
+  const statuses = membershipService.MEMBERSHIP_STATUSES;
+
+  for (const member of members) {
+    // Only members with an active membership receive gifts
+    if (membershipService.getMembershipStatus(member).status !== statuses.ACTIVE) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      const grant = await runInTransaction((session) =>
+        celebrationService.grantCelebration(
+          { member, occasion, year, note: describe(member) },
+          { session }
+        )
+      );
+      summary[occasion === 'birthday' ? 'birthdays' : 'anniversaries'] += 1;
+      if (occasion === 'birthday' && loyaltyConfig.birthdayRewardId && !grant.voucher) {
+        summary.vouchersUnavailable += 1;
+      }
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        summary.skipped += 1;
+        continue;
+      }
+      summary.failed += 1;
+      console.error(`grantCelebrations error for member ${member._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Grants today's birthday gifts and the anniversary bonuses of the look-back window.
+ * vouchersUnavailable counts birthday gifts granted without their voucher.
+ * @returns {Promise<{birthdays: number, anniversaries: number, vouchersUnavailable: number,
+ *   skipped: number, failed: number}>}
+ */
+const grantCelebrations = async () => {
+  const summary = { birthdays: 0, anniversaries: 0, vouchersUnavailable: 0, skipped: 0, failed: 0 };
+  const now = new Date();
+  const today = celebrationService.getLocalDate(now);
+
+  if (loyaltyConfig.birthdayBonusPoints > 0 || loyaltyConfig.birthdayRewardId) {
+    // Birth dates are calendar dates stored as UTC midnight, so their month is read in UTC
+    const members = await findDueMembers(
+      'birthday',
+      { birthDate: { $ne: null }, $expr: { $eq: [{ $month: '$birthDate' }, today.month] } },
+      today.year
+    );
+    await grantAll(members, 'birthday', today.year, () => `Birthday gift ${today.year}`, summary);
+  }
+
+  if (loyaltyConfig.anniversaryBonusPoints > 0) {
+    const joined = (unit) => ({ [unit]: { date: '$createdAt', timezone: loyaltyConfig.timezone } });
+    const anniversaryDays = getAnniversaryDays(now, loyaltyConfig.celebrationLookbackDays);
+
+    // The window can span New Year; each anniversary counts towards its own year
+    for (const [year, days] of anniversaryDays) {
+      const members = await findDueMembers(
+        'anniversary',
+        {
+          $expr: {
+            $and: [
+              {
+                $or: days.map(({ month, day }) => ({
+                  $and: [
+                    { $eq: [joined('$month'), month] },
+                    { $eq: [joined('$dayOfMonth'), day] },
+                  ],
+                })),
+              },
+              { $lt: [joined('$year'), year] },
+            ],
+          },
+        },
+        year
+      );
+      const describe = (member) => {
+        const years = year - celebrationService.getLocalDate(member.createdAt).year;
+        return `Membership anniversary: ${years} year(s)`;
+      };
+      await grantAll(members, 'anniversary', year, describe, summary);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = grantCelebrations;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Expiring membership job for Tsuki Coffee backend.
+ * Emits the membership.expiring webhook event and sends a renewal reminder to members whose
+ * validUntil falls within the next MEMBERSHIP_EXPIRY_NOTICE_DAYS days. Each subscriber and
+ * member hears about a given validUntil once, so the job is safe to run more than once a day;
+ * renewing moves validUntil and the member is announced again before the new date.
+ * Runs daily at 09:00 Jakarta time through /jobs/notify-expiring-memberships (see vercel.json).
+ *
+ * Usage:
+ *   const notifyExpiringMemberships = require('./jobs/notifyExpiringMemberships');
+ *   const summary = await notifyExpiringMemberships();
+ */
+
+const Member = require('../models/Member');
+const loyaltyConfig = require('../config/loyalty');
+const membershipService = require('../services/membershipService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Announces every membership that expires within the notice period.
+ * @returns {Promise<{members: number, deliveries: number, notifications: number}>}
+ */
+const notifyExpiringMemberships = async () => {
+  const summary = { members: 0, deliveries: 0, notifications: 0 };
+  const now = new Date();
+  const until = new Date(now.getTime() + loyaltyConfig.membershipExpiryNoticeDays * DAY_MS);
+
+  const cursor = Member.find({ validUntil: { $gte: now, $lte: until } }).cursor();
+  for await (const member of cursor) {
+    summary.members += 1;
+    summary.deliveries += await webhookService.emitEvent(
+      'membership.expiring',
+      {
+        member: {
+          _id: member._id,
+          name: member.name,
+          phone: member.phone,
+          email: member.email,
+          clubCategory: member.clubCategory,
+        },
+        membership: membershipService.getMembershipStatus(member, now),
+      },
+      { dedupeKey: `membership.expiring:${member._id}:${member.validUntil.toISOString()}` }
+    );
+    summary.notifications += await notificationService.notifyMembershipExpiring(member);
+  }
+
+  return summary;
+};
+
+module.exports = notifyExpiringMemberships;
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview RFM segmentation job for Tsuki Coffee backend.
+ * Recomputes every member's recency, frequency and monetary scores and segment.
+ * Runs nightly at 01:00 Jakarta time through /jobs/score-segments (see vercel.json).
+ *
+ * Usage:
+ *   const scoreSegments = require('./jobs/scoreSegments');
+ *   const summary = await scoreSegments();
+ */
+
+const segmentService = require('../services/segmentService');
+
+/**
+ * Scores all members and reports how many landed in each segment.
+ * @returns {Promise<{scored: number, lost: number, segments: Object}>}
+ */
+const scoreSegments = () => segmentService.scoreMembers();
+
+module.exports = scoreSegments;
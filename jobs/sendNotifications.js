@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Notification retry job for Tsuki Coffee backend.
+ * Attempts every pending member notification that is due: new ones whose first attempt did
+ * not run, and failed ones whose backoff delay has passed.
+ * Runs daily through /jobs/send-notifications (see the crons in vercel.json), the most often
+ * a Vercel Hobby project allows; in between, due retries are attempted whenever a new
+ * notification is queued (notificationService.notifyMember). On Vercel Pro the cron can
+ * run every minute instead.
+ *
+ * Usage:
+ *   const sendNotifications = require('./jobs/sendNotifications');
+ *   const summary = await sendNotifications();
+ */
+
+const Notification = require('../models/Notification');
+const notificationConfig = require('../config/notifications');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Attempts up to NOTIFICATION_BATCH_SIZE due notifications, oldest due first.
+ * A failure on one notification is logged and counted without stopping the run.
+ * @returns {Promise<{attempted: number, sent: number, retrying: number, gaveUp: number,
+ *   failed: number}>}
+ */
+const sendNotifications = async () => {
+  const summary = { attempted: 0, sent: 0, retrying: 0, gaveUp: 0, failed: 0 };
+
+  const due = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(notificationConfig.batchSize)
+    .select('_id');
+
+  for (const { _id } of due) {
+    try {
+      const notification = await notificationService.attemptNotification(_id);
+      if (!notification) {
+        // Claimed by another attempt in the meantime
+        continue;
+      }
+      summary.attempted += 1;
+      if (notification.status === 'sent') {
+        summary.sent += 1;
+      } else if (notification.status === 'failed') {
+        summary.gaveUp += 1;
+      } else {
+        summary.retrying += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`sendNotifications error for notification ${_id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = sendNotifications;
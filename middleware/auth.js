@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Authentication and role-based access middleware for Tsuki Coffee backend.
+ * authenticate resolves the bearer token to a staff account or member and stores it on req.user.
+ * requireRole and requireRoleOrSelf then decide whether that principal may use a route, and
+ * requireRoleForFields whether it may set particular body fields.
+ *
+ * Usage:
+ *   const { authenticate, requireRole, requireRoleOrSelf } = require('../middleware/auth');
+ *   router.use(authenticate);
+ *   router.post('/', requireRole('manager'), controller.add);
+ *   router.get('/:id', requireRoleOrSelf('cashier'), controller.get);
+ */
+
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const Staff = require('../models/Staff');
+const Member = require('../models/Member');
+const authService = require('../services/authService');
+const { ApiError } = require('../utils/errors');
+
+const { TOKEN_TYPES } = authService;
+const { STAFF_ROLES } = Staff;
+
+/**
+ * Extracts the bearer token from the Authorization header.
+ * @param {Object} req Express request
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Checks whether the principal is staff with at least the given role.
+ * @param {Object} user req.user
+ * @param {string} role Minimum required role
+ * @returns {boolean}
+ */
+const hasStaffRole = (user, role) =>
+  user.type === TOKEN_TYPES.STAFF && STAFF_ROLES.indexOf(user.role) >= STAFF_ROLES.indexOf(role);
+
+/**
+ * Requires a valid access token and loads the principal it belongs to.
+ * Sets req.user = { type: 'staff' | 'member', id, role and store (staff only) }.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Express next
+ * @returns {Promise<void>}
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+
+    const claims = authService.verifyToken(token);
+
+    if (claims.type === TOKEN_TYPES.STAFF) {
+      // Reload the account so deactivation and role changes apply immediately
+      const staff = await Staff.findById(claims.sub);
+      if (!staff || !staff.isActive) {
+        return res.status(401).json({ error: 'Invalid or expired token.' });
+      }
+      req.user = {
+        type: TOKEN_TYPES.STAFF,
+        id: String(staff._id),
+        role: staff.role,
+        store: staff.store ? String(staff.store) : null,
+      };
+    } else if (claims.type === TOKEN_TYPES.MEMBER) {
+      const exists = await Member.exists({ _id: claims.sub });
+      if (!exists) {
+        return res.status(401).json({ error: 'Invalid or expired token.' });
+      }
+      req.user = { type: TOKEN_TYPES.MEMBER, id: String(claims.sub) };
+    } else {
+      return res.status(401).json({ error: 'Invalid or expired token.' });
+    }
+
+    return next();
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('authenticate error:', error);
+    return res.status(500).json({ error: 'Failed to authenticate.' });
+  }
+};
+
+/**
+ * Allows only staff whose role includes the given role (admin > manager > cashier).
+ * @param {string} role Minimum required role
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || !hasStaffRole(req.user, role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+  }
+  return next();
+};
+
+/**
+ * Allows staff whose role includes the given role, or the member whose id is in req.params.id.
+ * @param {string} role Minimum required staff role
+ * @returns {Function} Express middleware
+ */
+const requireRoleOrSelf = (role) => (req, res, next) => {
+  const isSelf =
+    req.user && req.user.type === TOKEN_TYPES.MEMBER && req.user.id === String(req.params.id);
+  if (!req.user || (!isSelf && !hasStaffRole(req.user, role))) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+  }
+  return next();
+};
+
+/**
+ * Allows the request only if it leaves the given body fields unset or at one of their default
+ * values, or comes from staff whose role includes the given role. Used where a lower role may
+ * use a route but not every field; client forms that always send the defaults still pass.
+ * @param {string} role Minimum staff role needed to set the fields
+ * @param {Object<string, Array<*>>} defaults Guarded body fields and the values anyone may send
+ * @returns {Function} Express middleware
+ */
+const requireRoleForFields = (role, defaults) => (req, res, next) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const guarded = Object.keys(defaults).filter(
+    (field) => body[field] !== undefined && !defaults[field].includes(body[field])
+  );
+  if (guarded.length > 0 && (!req.user || !hasStaffRole(req.user, role))) {
+    return res.status(403).json({
+      error: `Only a ${role} or above may set ${guarded.join(', ')}.`,
+    });
+  }
+  return next();
+};
+
+/**
+ * Allows a scheduler presenting the CRON_SECRET bearer token, or an authenticated admin.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Express next
+ * @returns {Promise<void>}
+ */
+const authenticateJob = (req, res, next) => {
+  const token = getBearerToken(req);
+  const provided = Buffer.from(token || '');
+  const expected = Buffer.from(authConfig.cronSecret || '');
+  if (
+    token &&
+    authConfig.cronSecret &&
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  ) {
+    req.user = { type: 'system', id: null, role: 'admin' };
+    return next();
+  }
+  return authenticate(req, res, () => requireRole('admin')(req, res, next));
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireRoleOrSelf,
+  requireRoleForFields,
+  authenticateJob,
+};
@@ -0,0 +1,13 @@
+/**
+ * @fileoverview CSV request body middleware for Tsuki Coffee backend.
+ * Reads a text/csv (or text/plain) request body into req.body as a string for the import routes.
+ * The global JSON parser leaves these bodies untouched.
+ *
+ * Usage:
+ *   const csvBody = require('../middleware/csvBody');
+ *   router.post('/import', requireRole('manager'), csvBody, controller.importRows);
+ */
+
+const express = require('express');
+
+module.exports = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Error envelope middleware for Tsuki Coffee backend.
+ * Gives every error response the stable `code` of the shared envelope
+ * ({ error, code, details }), including the `{ error }` bodies controllers write by hand.
+ * Bodies that already carry a code (ApiError, validation failures) are left untouched.
+ *
+ * Usage:
+ *   const errorEnvelope = require('./middleware/errorEnvelope');
+ *   app.use(errorEnvelope);
+ */
+
+const { errorCodeFor } = require('../utils/errors');
+
+/**
+ * Wraps res.json so error bodies without a code get the default code of their status.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Express next
+ * @returns {void}
+ */
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      return json({ ...body, code: errorCodeFor(res.statusCode) });
+    }
+    return json(body);
+  };
+  next();
+};
+
+module.exports = errorEnvelope;
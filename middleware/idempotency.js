@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Idempotency-Key middleware for Tsuki Coffee backend.
+ * Lets a client safely retry a POST: when the request carries an Idempotency-Key header, the
+ * first response is stored with a fingerprint of the request, and a retry with the same key
+ * and payload gets that response back (with an Idempotent-Replayed: true header) instead of
+ * running again. The same key with a different payload is rejected with 409
+ * IDEMPOTENCY_KEY_REUSED; a retry while the first request is still running gets 409
+ * IDEMPOTENCY_REQUEST_IN_PROGRESS, unless the first request's lease has run out (it never
+ * answered), in which case the retry runs it again. The lease is renewed while the first
+ * request runs, so a slow request is never run twice. Requests without the header run as
+ * before.
+ * Server errors (5xx) are not stored, so a retry after one runs the request again.
+ *
+ * Must run after authenticate: keys are scoped to the signed-in account.
+ *
+ * Usage:
+ *   const idempotency = require('../middleware/idempotency');
+ *   router.post('/', requireRole('cashier'), validate(schema), idempotency, controller.add);
+ */
+
+const idempotencyService = require('../services/idempotencyService');
+const { IDEMPOTENCY_LEASE_SECONDS } = require('../models/IdempotencyKey');
+const { ApiError, VALIDATION_ERROR } = require('../utils/errors');
+
+// Longest accepted Idempotency-Key header (a UUID is 36 characters)
+const MAX_KEY_LENGTH = 255;
+
+// Milliseconds between lease renewals while a request runs (well inside the lease)
+const LEASE_RENEWAL_MS = (IDEMPOTENCY_LEASE_SECONDS * 1000) / 3;
+
+/**
+ * Replays or records the response of a request that carries an Idempotency-Key header.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Express next
+ * @returns {Promise<void>}
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  try {
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      const message = `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters.`;
+      throw new ApiError(400, message, {
+        code: VALIDATION_ERROR,
+        details: [
+          { location: 'headers', field: 'Idempotency-Key', code: 'invalid_format', message },
+        ],
+      });
+    }
+
+    const actor = `${req.user.type}:${req.user.id}`;
+    const fingerprint = idempotencyService.fingerprintRequest({
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      body: req.body,
+    });
+
+    const stored = await idempotencyService.beginRequest({ actor, key, fingerprint });
+    if (stored.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.responseStatus).json(stored.responseBody);
+    }
+    const scope = { actor, key, lockedUntil: stored.lockedUntil };
+
+    // Renew the lease one at a time until the response is stored or the request ends
+    let renewal = Promise.resolve();
+    const renewTimer = setInterval(() => {
+      renewal = renewal
+        .then(() => idempotencyService.renewRequest(scope))
+        .then((renewedUntil) => {
+          if (renewedUntil) {
+            scope.lockedUntil = renewedUntil;
+          }
+        })
+        .catch((error) => console.error('idempotency lease error:', error));
+    }, LEASE_RENEWAL_MS);
+    renewTimer.unref();
+    res.on('close', () => clearInterval(renewTimer));
+
+    // Store the response before it is sent, so a retry right after it sees the result
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      clearInterval(renewTimer);
+      const settle = renewal.then(() =>
+        res.statusCode >= 500
+          ? idempotencyService.releaseRequest(scope)
+          : idempotencyService.completeRequest(scope, { status: res.statusCode, body })
+      );
+      settle
+        .catch((error) => console.error('idempotency error:', error))
+        .then(() => json(body));
+      return res;
+    };
+
+    return next();
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('idempotency error:', error);
+    return res.status(500).json({ error: 'Failed to check Idempotency-Key.' });
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Declarative request validation middleware for Tsuki Coffee backend.
+ * Each route declares rules for its params, query and body (see validators/); a request that
+ * breaks any rule is rejected before the controller runs with a 400 in the shared error
+ * envelope, listing every failing field:
+ *   { error: 'name is required.', code: 'VALIDATION_ERROR',
+ *     details: [{ location: 'body', field: 'name', code: 'required',
+ *                 message: 'name is required.' }] }
+ *
+ * A rule is { type, required, requiredWithout, nullable, allowEmpty, min, max, minLength,
+ * maxLength, enum, pattern, format ('email' or 'url'), notInFuture, items, fields }. Types:
+ * string, number, integer, boolean, date, objectId, array, object. Params and query values
+ * arrive as strings and are checked as their declared type; strings must not be blank unless
+ * allowEmpty is set. requiredWithout names a sibling field: the field is required (and may not
+ * be null) when that sibling is missing or null. notInFuture rejects dates after now. Unknown
+ * params and query keys are rejected, unknown body fields are ignored.
+ * checkValues applies the same rules outside a route, e.g. to each item of a batch.
+ * Detail codes are stable: required, invalid_type, invalid_id, invalid_date, invalid_format,
+ * not_allowed, too_small, too_large, too_short, too_long, unknown_field.
+ *
+ * Usage:
+ *   const validate = require('../middleware/validate');
+ *   const memberValidators = require('../validators/memberValidators');
+ *   router.put('/:id', validate(memberValidators.editMember), memberController.editMember);
+ */
+
+const mongoose = require('mongoose');
+const { VALIDATION_ERROR, toErrorBody } = require('../utils/errors');
+
+// Loose email shape check; deliverability is not verified
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks that a string is an absolute http or https URL.
+ * @param {string} value Trimmed string
+ * @returns {boolean}
+ */
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Converts a query-string or route param value to the declared scalar type.
+ * @param {string} type Rule type
+ * @param {*} value Raw value
+ * @returns {*} Converted value (unchanged when it cannot be converted)
+ */
+const fromString = (type, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((type === 'number' || type === 'integer') && value.trim() !== '') {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Checks one value against a rule.
+ * @param {Object} rule Validation rule
+ * @param {*} value Value to check
+ * @param {string} field Field path, used in details
+ * @param {string} location "params", "query" or "body"
+ * @param {Array<Object>} details Collected failures (appended to)
+ * @returns {void}
+ */
+const checkValue = (rule, value, field, location, details) => {
+  const fail = (code, message) => details.push({ location, field, code, message });
+
+  if (value === undefined) {
+    if (rule.required) fail('required', `${field} is required.`);
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) fail('invalid_type', `${field} cannot be null.`);
+    return;
+  }
+  if (value === '' && rule.allowEmpty) {
+    return;
+  }
+
+  const typed = location === 'body' ? value : fromString(rule.type, value);
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof typed !== 'string') {
+        fail('invalid_type', `${field} must be a string.`);
+        return;
+      }
+      const text = typed.trim();
+      if (!text && !rule.allowEmpty) {
+        fail('required', rule.required ? `${field} is required.` : `${field} cannot be blank.`);
+        return;
+      }
+      if (rule.minLength !== undefined && typed.length < rule.minLength) {
+        fail('too_short', `${field} must be at least ${rule.minLength} characters.`);
+      }
+      if (rule.maxLength !== undefined && typed.length > rule.maxLength) {
+        fail('too_long', `${field} must be at most ${rule.maxLength} characters.`);
+      }
+      if (rule.format === 'email' && !EMAIL_PATTERN.test(text)) {
+        fail('invalid_format', `${field} must be a valid email address.`);
+      }
+      if (rule.format === 'url' && !isHttpUrl(text)) {
+        fail('invalid_format', `${field} must be an absolute http or https URL.`);
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        fail('invalid_format', rule.patternMessage || `${field} has an invalid format.`);
+      }
+      break;
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof typed !== 'number' || !Number.isFinite(typed)) {
+        fail('invalid_type', `${field} must be a number.`);
+        return;
+      }
+      if (rule.type === 'integer' && !Number.isInteger(typed)) {
+        fail('invalid_type', `${field} must be an integer.`);
+        return;
+      }
+      if (rule.min !== undefined && typed < rule.min) {
+        fail('too_small', `${field} must be at least ${rule.min}.`);
+      }
+      if (rule.max !== undefined && typed > rule.max) {
+        fail('too_large', `${field} must be at most ${rule.max}.`);
+      }
+      break;
+    }
+    case 'boolean':
+      if (typeof typed !== 'boolean') {
+        fail('invalid_type', `${field} must be true or false.`);
+        return;
+      }
+      break;
+    case 'date':
+      if (
+        (typeof typed !== 'string' && typeof typed !== 'number') ||
+        Number.isNaN(new Date(typed).getTime())
+      ) {
+        fail('invalid_date', `${field} must be a valid date.`);
+        return;
+      }
+      if (rule.notInFuture && new Date(typed) > new Date()) {
+        fail('too_large', `${field} cannot be in the future.`);
+      }
+      break;
+    case 'objectId':
+      if (typeof typed !== 'string' || !mongoose.Types.ObjectId.isValid(typed)) {
+        fail('invalid_id', `${field} must be a valid id.`);
+        return;
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(typed)) {
+        fail('invalid_type', `${field} must be an array.`);
+        return;
+      }
+      if (rule.minLength !== undefined && typed.length < rule.minLength) {
+        fail('too_short', `${field} must contain at least ${rule.minLength} item(s).`);
+      }
+      if (rule.maxLength !== undefined && typed.length > rule.maxLength) {
+        fail('too_long', `${field} must contain at most ${rule.maxLength} item(s).`);
+      }
+      if (rule.items) {
+        typed.forEach((item, index) =>
+          checkValue(
+            { required: true, ...rule.items },
+            item,
+            `${field}[${index}]`,
+            location,
+            details
+          )
+        );
+      }
+      return;
+    case 'object':
+      if (typeof typed !== 'object' || Array.isArray(typed)) {
+        fail('invalid_type', `${field} must be an object.`);
+        return;
+      }
+      if (rule.fields) {
+        checkFields(rule.fields, typed, location, details, `${field}.`);
+      }
+      return;
+    default:
+      throw new Error(`Unknown validation type "${rule.type}" for ${field}.`);
+  }
+
+  if (rule.enum && !rule.enum.includes(typed)) {
+    fail('not_allowed', `${field} must be one of: ${rule.enum.join(', ')}.`);
+  }
+};
+
+/**
+ * Checks every declared field of an object.
+ * @param {Object<string, Object>} rules Field name -> rule
+ * @param {Object} source Values to check
+ * @param {string} location "params", "query" or "body"
+ * @param {Array<Object>} details Collected failures (appended to)
+ * @param {string} [prefix] Field path prefix for nested objects
+ * @returns {void}
+ */
+const checkFields = (rules, source, location, details, prefix = '') => {
+  const isMissing = (value) => value === undefined || value === null;
+  for (const [name, rule] of Object.entries(rules)) {
+    const field = `${prefix}${name}`;
+    const sibling = rule.requiredWithout;
+    if (sibling && isMissing(source[sibling]) && isMissing(source[name])) {
+      const message = `${field} is required unless ${prefix}${sibling} is given.`;
+      details.push({ location, field, code: 'required', message });
+      continue;
+    }
+    checkValue(rule, source[name], field, location, details);
+  }
+};
+
+/**
+ * Checks values against field rules, outside of a route.
+ * @param {Object<string, Object>} rules Field name -> rule
+ * @param {*} source Object holding the values
+ * @param {string} [location] Location reported in details
+ * @returns {Array<Object>} Failures, empty when valid
+ */
+const checkValues = (rules, source, location = 'body') => {
+  const details = [];
+  const isObject = source && typeof source === 'object' && !Array.isArray(source);
+  checkFields(rules, isObject ? source : {}, location, details);
+  return details;
+};
+
+/**
+ * Builds middleware that validates a request against a route schema.
+ * @param {Object} schema
+ * @param {Object<string, Object>} [schema.params] Route param rules (always required)
+ * @param {Object<string, Object>} [schema.query] Query-string rules
+ * @param {Object<string, Object>} [schema.body] Body field rules
+ * @returns {Function} Express middleware
+ */
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+
+  if (schema.params) {
+    const required = Object.fromEntries(
+      Object.entries(schema.params).map(([name, rule]) => [name, { ...rule, required: true }])
+    );
+    checkFields(required, req.params, 'params', details);
+  }
+  if (schema.query) {
+    checkFields(schema.query, req.query, 'query', details);
+    Object.keys(req.query)
+      .filter((name) => !Object.prototype.hasOwnProperty.call(schema.query, name))
+      .forEach((name) =>
+        details.push({
+          location: 'query',
+          field: name,
+          code: 'unknown_field',
+          message: `Unknown query parameter "${name}".`,
+        })
+      );
+  }
+  if (schema.body) {
+    details.push(...checkValues(schema.body, req.body));
+  }
+
+  if (details.length > 0) {
+    return res
+      .status(400)
+      .json(toErrorBody(400, details[0].message, { code: VALIDATION_ERROR, details }));
+  }
+  return next();
+};
+
+module.exports = validate;
+module.exports.checkValues = checkValues;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Mongoose schema and model for CelebrationGrant in Tsuki Coffee backend.
+ * CelebrationGrant records a birthday or membership anniversary gift given to a member.
+ * The unique (member, occasion, year) index guarantees each gift is granted once per year.
+ *
+ * Usage:
+ *   const CelebrationGrant = require('./CelebrationGrant');
+ *   // CelebrationGrant.find({ member }), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for member and voucher references
+const { Schema, Types } = mongoose;
+
+// Occasions that earn a yearly gift
+const CELEBRATION_OCCASIONS = ['birthday', 'anniversary'];
+
+// Define the CelebrationGrant schema
+const CelebrationGrantSchema = new Schema(
+  {
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    occasion: {
+      type: String,
+      required: true,
+      enum: CELEBRATION_OCCASIONS,
+    },
+    year: {
+      type: Number,
+      required: true, // Calendar year the gift belongs to
+    },
+    points: {
+      type: Number,
+      required: true,
+      default: 0, // Bonus points credited
+      min: 0,
+    },
+    voucher: {
+      type: Types.ObjectId,
+      ref: 'Voucher',
+      required: false,
+      default: null, // Free reward voucher issued, if any
+    },
+    note: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // E.g. "3rd membership anniversary"
+    },
+    createdAt: {
+      type: Date,
+      required: true,
+      default: Date.now, // Default to now
+      immutable: true,
+    },
+  },
+  {
+    collection: 'celebration_grants', // Explicit collection name
+  }
+);
+
+// One gift per member, occasion and year
+CelebrationGrantSchema.index({ member: 1, occasion: 1, year: 1 }, { unique: true });
+
+// Export the CelebrationGrant model for use in controllers and elsewhere
+const CelebrationGrant = mongoose.model('CelebrationGrant', CelebrationGrantSchema);
+
+module.exports = CelebrationGrant;
+module.exports.CELEBRATION_OCCASIONS = CELEBRATION_OCCASIONS;
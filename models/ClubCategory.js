@@ -1,6 +1,8 @@
 /**
  * @fileoverview Mongoose schema and model for ClubCategory in Tsuki Coffee backend.
  * ClubCategory is used to categorize members (e.g., Silver, Gold, VIP).
+ * Each tier defines its earn multiplier, minimum redeem threshold, renewal period and benefits,
+ * plus the qualification rule (spend and visits over a rolling window) used for automatic tier changes.
  * This model is referenced by Member schema.
  *
  * Usage:
@@ -9,6 +11,34 @@
  */
 
 const mongoose = require('mongoose');
+const loyaltyConfig = require('../config/loyalty');
+
+// Define the qualification sub-schema (rolling spend/visit requirements for a tier)
+const QualificationSchema = new mongoose.Schema(
+  {
+    minSpend: {
+      type: Number,
+      required: true,
+      default: 0, // Minimum total spend within the period
+      min: 0,
+    },
+    minVisits: {
+      type: Number,
+      required: true,
+      default: 0, // Minimum number of transactions within the period
+      min: 0,
+    },
+    periodMonths: {
+      type: Number,
+      required: true,
+      default: 12, // Length of the rolling window in months
+      min: 1,
+    },
+  },
+  {
+    _id: false,
+  }
+);
 
 // Define the ClubCategory schema
 const ClubCategorySchema = new mongoose.Schema(
@@ -26,6 +56,39 @@ const ClubCategorySchema = new mongoose.Schema(
       trim: true,
       default: '', // Default empty description
     },
+    earnMultiplier: {
+      type: Number,
+      required: true,
+      default: 1, // Points earned = product points * earnMultiplier
+      min: 0,
+    },
+    minRedeemPoints: {
+      type: Number,
+      required: true,
+      default: 10, // Minimum points per redemption
+      min: 0,
+    },
+    renewalPeriodMonths: {
+      type: Number,
+      required: true,
+      default: 12, // Months added to validUntil on renewal
+      min: 1,
+    },
+    benefits: {
+      type: [String],
+      required: false,
+      default: [], // Human-readable list of tier benefits
+    },
+    rank: {
+      type: Number,
+      required: true,
+      default: 0, // Higher rank = higher tier; used to order tiers for upgrades
+    },
+    qualification: {
+      type: QualificationSchema,
+      required: true,
+      default: () => ({}), // Default: everyone qualifies (base tier)
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
@@ -33,6 +96,30 @@ const ClubCategorySchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Resolves the loyalty rules for a club category, falling back to the program
+ * defaults for members without a category.
+ * @param {*} categoryId ClubCategory ObjectId, or null
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<{earnMultiplier: number, minRedeemPoints: number, renewalPeriodMonths: number}>}
+ */
+ClubCategorySchema.statics.getRules = async function (categoryId, { session = null } = {}) {
+  const category = categoryId ? await this.findById(categoryId).session(session) : null;
+  if (!category) {
+    return {
+      earnMultiplier: loyaltyConfig.defaultEarnMultiplier,
+      minRedeemPoints: loyaltyConfig.defaultMinRedeemPoints,
+      renewalPeriodMonths: loyaltyConfig.defaultRenewalPeriodMonths,
+    };
+  }
+  return {
+    earnMultiplier: category.earnMultiplier,
+    minRedeemPoints: category.minRedeemPoints,
+    renewalPeriodMonths: category.renewalPeriodMonths,
+  };
+};
+
 // Create the ClubCategory model
 const ClubCategory = mongoose.model('ClubCategory', ClubCategorySchema);
 
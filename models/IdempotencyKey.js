@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Mongoose schema and model for IdempotencyKey in Tsuki Coffee backend.
+ * IdempotencyKey stores an Idempotency-Key header sent by a client together with a fingerprint
+ * of the request and the first response, so a retried POST gets the original result back
+ * instead of running twice. Keys are scoped to the signed-in account and expire after a day.
+ * A pending key is leased to the request that claimed it until lockedUntil, and the lease is
+ * renewed while the request runs; once it runs out (e.g. the function was killed before
+ * responding) a retry may reclaim the key.
+ *
+ * Usage:
+ *   const IdempotencyKey = require('./IdempotencyKey');
+ *   // IdempotencyKey.findOne({ actor, key }), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the schema
+const { Schema } = mongoose;
+
+// Hours a key is remembered after its first use
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// Seconds a claimed key stays locked to its request unless renewed; a retry may then reclaim it
+const IDEMPOTENCY_LEASE_SECONDS = 60;
+
+// pending: the first request is still running; completed: its response is stored
+const IDEMPOTENCY_KEY_STATUSES = ['pending', 'completed'];
+
+// Define the IdempotencyKey schema
+const IdempotencyKeySchema = new Schema(
+  {
+    actor: {
+      type: String,
+      required: true, // "<token type>:<account id>" of the caller, e.g. "staff:64b..."
+    },
+    key: {
+      type: String,
+      required: true, // Idempotency-Key header value
+    },
+    fingerprint: {
+      type: String,
+      required: true, // SHA-256 of method, path and body of the first request
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: IDEMPOTENCY_KEY_STATUSES,
+      default: 'pending',
+    },
+    lockedUntil: {
+      type: Date,
+      required: false,
+      // End of the pending request's lease
+      default: () => new Date(Date.now() + IDEMPOTENCY_LEASE_SECONDS * 1000),
+    },
+    responseStatus: {
+      type: Number,
+      required: false,
+      default: null, // HTTP status of the first response
+    },
+    responseBody: {
+      type: Schema.Types.Mixed,
+      required: false,
+      default: null, // JSON body of the first response
+    },
+    createdAt: {
+      type: Date,
+      required: true,
+      default: Date.now, // Default to now
+      immutable: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+    },
+  },
+  {
+    collection: 'idempotency_keys', // Explicit collection name
+  }
+);
+
+// One record per key and caller
+IdempotencyKeySchema.index({ actor: 1, key: 1 }, { unique: true });
+
+// MongoDB removes keys once they expire
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the IdempotencyKey model for use in middleware and elsewhere
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
+module.exports.IDEMPOTENCY_KEY_TTL_HOURS = IDEMPOTENCY_KEY_TTL_HOURS;
+module.exports.IDEMPOTENCY_LEASE_SECONDS = IDEMPOTENCY_LEASE_SECONDS;
+module.exports.IDEMPOTENCY_KEY_STATUSES = IDEMPOTENCY_KEY_STATUSES;
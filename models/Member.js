@@ -1,18 +1,114 @@
 /**
  * @fileoverview Mongoose schema and model for Member in Tsuki Coffee backend.
  * Member represents a customer with membership, points, and club category.
+ * Each member has a shareable referral code and may reference the member who referred them.
+ * Optional birth date and email are used for birthday rewards and contact.
+ * The rfm field holds the member's latest recency/frequency/monetary scores and segment.
+ * notificationPreferences holds the channels and language of the member's notifications.
  * This model is referenced by Transaction and relates to ClubCategory.
  *
  * Usage:
  *   const Member = require('./Member');
- *   // Member.find(), Member.create(), etc.
+ *   // Member.find(), Member.create(), Member.generateReferralCode(), etc.
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_LANGUAGES } = require('./Notification');
 
-// Strongly type the ObjectId for clubCategory reference
+// Strongly type the ObjectId for clubCategory and referrer references
 const { Schema, Types } = mongoose;
 
+// Unambiguous characters for referral codes (no 0/O, 1/I)
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+// RFM segments, from best to worst; "lost" members made no purchase within the scoring window
+const RFM_SEGMENTS = [
+  'champions',
+  'loyal',
+  'promising',
+  'new',
+  'need_attention',
+  'at_risk',
+  'cant_lose',
+  'hibernating',
+  'lost',
+];
+
+// Define the RFM sub-schema (recency, frequency, monetary scores from the last segmentation run)
+const RfmSchema = new Schema(
+  {
+    recencyDays: {
+      type: Number,
+      required: false,
+      default: null, // Days since the last purchase; null when none within the window
+    },
+    frequency: {
+      type: Number,
+      required: true,
+      default: 0, // Purchases within the window
+    },
+    monetary: {
+      type: Number,
+      required: true,
+      default: 0, // Net spend within the window
+    },
+    recencyScore: {
+      type: Number,
+      required: true,
+      default: 1, // 1 (worst) to 5 (best)
+    },
+    frequencyScore: {
+      type: Number,
+      required: true,
+      default: 1,
+    },
+    monetaryScore: {
+      type: Number,
+      required: true,
+      default: 1,
+    },
+    segment: {
+      type: String,
+      required: true,
+      enum: RFM_SEGMENTS,
+    },
+    computedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Define the notification preferences sub-schema
+const NotificationPreferencesSchema = new Schema(
+  {
+    channels: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      required: false,
+      default: ['whatsapp'], // Every listed channel receives each notification
+    },
+    language: {
+      type: String,
+      required: true,
+      enum: NOTIFICATION_LANGUAGES,
+      default: 'id', // Indonesian
+    },
+    optOut: {
+      type: Boolean,
+      required: true,
+      default: false, // True stops every notification, whatever the channels
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 // Define the Member schema
 const MemberSchema = new Schema(
   {
@@ -26,7 +122,7 @@ const MemberSchema = new Schema(
       type: String,
       required: true,
       trim: true,
-      default: '', // Default empty phone
+      default: '', // Stored normalized by utils/phone ("0812..."); unique
     },
     clubCategory: {
       type: Types.ObjectId,
@@ -34,6 +130,11 @@ const MemberSchema = new Schema(
       required: false, // Optional, can be null for default category
       default: null,
     },
+    tierLocked: {
+      type: Boolean,
+      required: false,
+      default: false, // Tier picked by hand; tier evaluation skips the member until cleared
+    },
     validUntil: {
       type: Date,
       required: true,
@@ -48,22 +149,89 @@ const MemberSchema = new Schema(
       type: Number,
       required: true,
       default: 0, // Default points is 0
-      min: 0,
+      // No min: a void/refund may push the balance negative under the "allow" reversal policy
+    },
+    birthDate: {
+      type: Date,
+      required: false,
+      default: null, // Calendar date stored as UTC midnight; used for birthday rewards
+    },
+    email: {
+      type: String,
+      required: false,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    referralCode: {
+      type: String,
+      required: false,
+      trim: true,
+      uppercase: true,
+      default: null, // Shareable code; members created before referrals get one on first use
+    },
+    referredBy: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: false,
+      default: null, // Member whose referral code was used at sign-up
+    },
+    rfm: {
+      type: RfmSchema,
+      required: false,
+      default: null, // Set by the segmentation job
+    },
+    notificationPreferences: {
+      type: NotificationPreferencesSchema,
+      required: false,
+      default: () => ({}), // Members created before notifications get the defaults on read
+    },
+    passwordHash: {
+      type: String,
+      required: false,
+      default: null, // Set once the member activates the customer app login
+      select: false, // Never returned unless explicitly requested
     },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
     collection: 'members', // Explicit collection name
+    toJSON: {
+      // Strip the password hash from every API response
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
   }
 );
 
 // Indexes for efficient search and filter
 MemberSchema.index({ name: 1 });
-MemberSchema.index({ phone: 1 });
+MemberSchema.index({ phone: 1 }, { unique: true });
 MemberSchema.index({ validUntil: 1 });
 MemberSchema.index({ clubCategory: 1 });
+MemberSchema.index({ 'rfm.segment': 1, 'rfm.monetary': -1 });
+MemberSchema.index(
+  { referralCode: 1 },
+  { unique: true, partialFilterExpression: { referralCode: { $type: 'string' } } }
+);
+
+/**
+ * Generates a random referral code, e.g. "K7Q2M9XH".
+ * @returns {string}
+ */
+MemberSchema.statics.generateReferralCode = function () {
+  const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length];
+  }
+  return code;
+};
 
 // Export the Member model for use in controllers and elsewhere
 const Member = mongoose.model('Member', MemberSchema);
 
 module.exports = Member;
+module.exports.RFM_SEGMENTS = RFM_SEGMENTS;
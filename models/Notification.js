@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Mongoose schema and model for Notification in Tsuki Coffee backend.
+ * Notification is one message to a member on one channel (WhatsApp, SMS or email), e.g.
+ * "You earned 12 points, balance 140". It doubles as the send queue: the message is rendered
+ * when it is queued and retried with exponential backoff until it is sent or runs out of
+ * attempts. Records are removed after the configured retention period.
+ *
+ * Usage:
+ *   const Notification = require('./Notification');
+ *   // Notification.find({ member, status: 'failed' }), etc.
+ */
+
+const mongoose = require('mongoose');
+const notificationConfig = require('../config/notifications');
+
+// Strongly type the ObjectId for the member reference
+const { Schema, Types } = mongoose;
+
+// Channels a member can be notified on
+const NOTIFICATION_CHANNELS = ['whatsapp', 'sms', 'email'];
+
+// Languages notification templates are written in
+const NOTIFICATION_LANGUAGES = ['id', 'en'];
+
+// Notification states
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+// Define the send attempt sub-schema
+const AttemptSchema = new Schema(
+  {
+    at: {
+      type: Date,
+      required: true,
+    },
+    error: {
+      type: String,
+      required: false,
+      default: '', // Empty when the attempt succeeded
+    },
+    durationMs: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Define the Notification schema
+const NotificationSchema = new Schema(
+  {
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    channel: {
+      type: String,
+      required: true,
+      enum: NOTIFICATION_CHANNELS,
+    },
+    to: {
+      type: String,
+      required: true, // Phone number or email address at the time it was queued
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    language: {
+      type: String,
+      required: true,
+      enum: NOTIFICATION_LANGUAGES,
+    },
+    subject: {
+      type: String,
+      required: false,
+      default: '', // Used by email only
+    },
+    body: {
+      type: String,
+      required: true, // Rendered message
+    },
+    dedupeKey: {
+      type: String,
+      required: false,
+      default: null, // Set for messages that must reach a member only once per channel
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: NOTIFICATION_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: [AttemptSchema],
+      required: false,
+      default: [],
+    },
+    nextAttemptAt: {
+      type: Date,
+      required: false,
+      default: Date.now, // Null once the notification was sent or failed
+    },
+    sentAt: {
+      type: Date,
+      required: false,
+      default: null,
+    },
+    providerMessageId: {
+      type: String,
+      required: false,
+      default: null, // Id returned by the channel adapter, when it has one
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'notifications', // Explicit collection name
+  }
+);
+
+// Indexes for the send worker and the notification log of a member
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ member: 1, createdAt: -1 });
+
+// One-off messages are queued once per member and channel
+NotificationSchema.index(
+  { member: 1, channel: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+// MongoDB removes notifications once the retention period has passed
+NotificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: notificationConfig.logRetentionDays * 24 * 60 * 60 }
+);
+
+// Export the Notification model for use in services and controllers
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+module.exports.NOTIFICATION_LANGUAGES = NOTIFICATION_LANGUAGES;
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Mongoose schema and model for PointLedger in Tsuki Coffee backend.
+ * PointLedger is an append-only history of every change to a member's points.
+ * Each entry stores the signed delta, the resulting balance, the reason and the source document.
+ *
+ * Usage:
+ *   const PointLedger = require('./PointLedger');
+ *   // PointLedger.record({ member, delta, reason }), PointLedger.getBalance(memberId), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for member and source references
+const { Schema, Types } = mongoose;
+
+// Allowed reasons for a point change
+const POINT_LEDGER_REASONS = [
+  'earn',
+  'redeem',
+  'adjustment',
+  'expiry',
+  'reversal',
+  'referral',
+  'birthday',
+  'anniversary',
+];
+
+// Models that can be referenced as the source of a point change
+const POINT_LEDGER_SOURCES = [
+  'Transaction',
+  'Member',
+  'Voucher',
+  'PointLot',
+  'Referral',
+  'CelebrationGrant',
+];
+
+// Define the PointLedger schema
+const PointLedgerSchema = new Schema(
+  {
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    delta: {
+      type: Number,
+      required: true, // Signed: positive for credits, negative for debits
+    },
+    balance: {
+      type: Number,
+      required: true, // Member balance after this entry was applied
+    },
+    reason: {
+      type: String,
+      required: true,
+      enum: POINT_LEDGER_REASONS,
+    },
+    sourceModel: {
+      type: String,
+      required: false,
+      enum: [...POINT_LEDGER_SOURCES, null],
+      default: null,
+    },
+    sourceId: {
+      type: Types.ObjectId,
+      refPath: 'sourceModel', // Resolves to the document that caused the change
+      required: false,
+      default: null,
+    },
+    note: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Optional free-text explanation
+    },
+    createdAt: {
+      type: Date,
+      required: true,
+      default: Date.now, // Default to now
+      immutable: true,
+    },
+  },
+  {
+    // No need for updatedAt, ledger entries are never modified
+    collection: 'point_ledger', // Explicit collection name
+  }
+);
+
+// Indexes for efficient history and reconciliation queries
+PointLedgerSchema.index({ member: 1, createdAt: -1 });
+PointLedgerSchema.index({ sourceModel: 1, sourceId: 1 });
+
+// Enforce append-only semantics: existing entries can never be changed or removed
+const rejectMutation = function (next) {
+  next(new Error('PointLedger entries are append-only.'));
+};
+
+PointLedgerSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  return next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => {
+  PointLedgerSchema.pre(operation, rejectMutation);
+});
+
+/**
+ * Appends a ledger entry for a member whose points have already been updated.
+ * @param {Object} entry
+ * @param {Object} entry.member Member document holding the new balance
+ * @param {number} entry.delta Signed point change
+ * @param {string} entry.reason One of POINT_LEDGER_REASONS
+ * @param {string} [entry.sourceModel] Model name of the source document
+ * @param {*} [entry.sourceId] ObjectId of the source document
+ * @param {string} [entry.note] Optional explanation
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session to write the entry in
+ * @returns {Promise<Object>} The saved ledger entry
+ */
+PointLedgerSchema.statics.record = async function (
+  { member, delta, reason, sourceModel = null, sourceId = null, note = '' },
+  { session = null } = {}
+) {
+  const [entry] = await this.create(
+    [
+      {
+        member: member._id,
+        delta,
+        balance: member.points,
+        reason,
+        sourceModel,
+        sourceId,
+        note,
+      },
+    ],
+    { session }
+  );
+  return entry;
+};
+
+/**
+ * Recomputes a member's balance by summing every ledger delta.
+ * @param {*} memberId Member ObjectId
+ * @returns {Promise<{balance: number, entries: number}>}
+ */
+PointLedgerSchema.statics.getBalance = async function (memberId) {
+  const [result] = await this.aggregate([
+    { $match: { member: new Types.ObjectId(memberId) } },
+    { $group: { _id: null, balance: { $sum: '$delta' }, entries: { $sum: 1 } } },
+  ]);
+
+  return result
+    ? { balance: result.balance, entries: result.entries }
+    : { balance: 0, entries: 0 };
+};
+
+// Export the PointLedger model for use in controllers and elsewhere
+const PointLedger = mongoose.model('PointLedger', PointLedgerSchema);
+
+module.exports = PointLedger;
+module.exports.POINT_LEDGER_REASONS = POINT_LEDGER_REASONS;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Mongoose schema and model for PointLot in Tsuki Coffee backend.
+ * PointLot tracks a batch of earned points with its own expiry date.
+ * Redemptions consume the oldest lots first (FIFO) and the expiry job removes
+ * whatever remains of a lot once it lapses.
+ *
+ * Usage:
+ *   const PointLot = require('./PointLot');
+ *   // PointLot.find({ member, remaining: { $gt: 0 } }), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for references
+const { Schema, Types } = mongoose;
+
+// Define the PointLot schema
+const PointLotSchema = new Schema(
+  {
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+      min: 0, // Points originally credited in this lot
+    },
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0, // Points not yet redeemed or expired
+    },
+    earnedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    sourceModel: {
+      type: String,
+      required: false,
+      default: null, // Model name of the document that credited the points
+    },
+    sourceId: {
+      type: Types.ObjectId,
+      refPath: 'sourceModel',
+      required: false,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'point_lots', // Explicit collection name
+  }
+);
+
+// Indexes for FIFO consumption and the expiry sweep
+PointLotSchema.index({ member: 1, earnedAt: 1 });
+PointLotSchema.index({ expiresAt: 1, remaining: 1 });
+
+// Export the PointLot model for use in services and elsewhere
+const PointLot = mongoose.model('PointLot', PointLotSchema);
+
+module.exports = PointLot;
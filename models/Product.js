@@ -1,6 +1,13 @@
 /**
  * @fileoverview Mongoose schema and model for Product in Tsuki Coffee backend.
  * Product represents an item that can be purchased and has a point value for member rewards.
+ * Each store can override the base price and availability; points are the same everywhere.
+ * A product can belong to a ProductCategory and have variants (sizes, milks) with their own
+ * price and point value. Archived products and variants (isActive: false) are never deleted, so
+ * transaction history keeps resolving.
+ * Every change to prices, point values or availability keeps the previous state in
+ * priceHistory for the offline sync window, so sales queued offline are priced as of their
+ * sale time (see asOf).
  * This model is used by Transaction and ProductController.
  *
  * Usage:
@@ -9,9 +16,85 @@
  */
 
 const mongoose = require("mongoose");
+const loyaltyConfig = require("../config/loyalty");
 
 // Strongly type the ObjectId for future extensibility
-const { Schema } = mongoose;
+const { Schema, Types } = mongoose;
+
+// Define the variant sub-schema (e.g. a size or milk option with its own price and points)
+const VariantSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true, // Unique within its product, e.g. "Large / Oat milk"
+  },
+  price: {
+    type: Number,
+    required: true,
+    default: 0, // Default price is 0
+    min: 0,
+  },
+  pointValue: {
+    type: Number,
+    required: true,
+    default: 1, // Default point value per unit
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    required: true,
+    default: true, // Archived variants cannot be sold but stay in transaction history
+  },
+});
+
+// Define the per-store override sub-schema (price and availability at one outlet)
+const StoreOverrideSchema = new Schema(
+  {
+    store: {
+      type: Types.ObjectId,
+      ref: "Store",
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: false,
+      default: null, // Null means the base price applies; never set on products with variants
+      min: 0,
+    },
+    isAvailable: {
+      type: Boolean,
+      required: true,
+      default: true, // False hides the product from this store's sales
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Define the price snapshot sub-schema (price-relevant state before a change)
+const PriceSnapshotSchema = new Schema(
+  {
+    changedAt: {
+      type: Date,
+      required: true, // When this state was replaced
+    },
+    price: { type: Number, required: true },
+    pointValue: { type: Number, required: true },
+    isActive: { type: Boolean, required: true },
+    variants: { type: [VariantSchema], default: [] }, // Keeps the variant ids
+    storeOverrides: { type: [StoreOverrideSchema], default: [] },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Milliseconds per hour
+const HOUR_MS = 60 * 60 * 1000;
+
+// Paths whose changes are recorded in priceHistory
+const PRICE_PATHS = ["price", "pointValue", "isActive", "variants", "storeOverrides"];
 
 // Define the Product schema
 const ProductSchema = new Schema(
@@ -35,6 +118,32 @@ const ProductSchema = new Schema(
       default: 1, // Default point value per product
       min: 0,
     },
+    category: {
+      type: Types.ObjectId,
+      ref: "ProductCategory",
+      required: false,
+      default: null, // Null means uncategorized
+    },
+    variants: {
+      type: [VariantSchema],
+      required: false,
+      default: [], // When present, every sale must name a variant
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true, // Archived products are hidden and cannot be sold
+    },
+    storeOverrides: {
+      type: [StoreOverrideSchema],
+      required: false,
+      default: [], // At most one override per store
+    },
+    priceHistory: {
+      type: [PriceSnapshotSchema],
+      required: false,
+      default: [], // Oldest first; pruned to the offline sync window
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
@@ -43,9 +152,74 @@ const ProductSchema = new Schema(
 );
 
 // Indexes for efficient search and filter
-ProductSchema.index({ name: 1 });
 ProductSchema.index({ price: 1 });
 ProductSchema.index({ pointValue: 1 });
+ProductSchema.index({ "storeOverrides.store": 1 });
+ProductSchema.index({ category: 1 });
+ProductSchema.index({ isActive: 1 });
+
+/**
+ * Copies the price-relevant state of a product.
+ * @param {Object} product Product document
+ * @returns {Object}
+ */
+const toPriceSnapshot = (product) => ({
+  price: product.price,
+  pointValue: product.pointValue,
+  isActive: product.isActive,
+  variants: product.variants.map((variant) => variant.toObject()),
+  storeOverrides: product.storeOverrides.map((override) => override.toObject()),
+});
+
+// Remember the loaded state so a save can record what it replaced
+ProductSchema.post("init", function () {
+  this.$locals.priceSnapshot = toPriceSnapshot(this);
+});
+
+// Record the previous state when prices, point values or availability change
+ProductSchema.pre("save", function () {
+  const previous = this.$locals.priceSnapshot;
+  if (this.isNew || !previous || !PRICE_PATHS.some((path) => this.isModified(path))) {
+    return;
+  }
+  const now = new Date();
+  const keepFrom = new Date(now.getTime() - loyaltyConfig.offlineSyncMaxAgeHours * HOUR_MS);
+  const kept = this.priceHistory.filter((entry) => entry.changedAt >= keepFrom);
+  this.priceHistory = [
+    ...kept.map((entry) => entry.toObject()),
+    { changedAt: now, ...previous },
+  ];
+  this.$locals.priceSnapshot = toPriceSnapshot(this);
+});
+
+/**
+ * Returns this product as it was priced at a point in time, for sales recorded later
+ * (offline sync). Changes older than the kept history are not undone.
+ * @param {Date} at Sale time
+ * @returns {Object} This document, or an unsaved copy with the earlier price state
+ */
+ProductSchema.methods.asOf = function (at) {
+  const change = this.priceHistory.find((entry) => entry.changedAt > at);
+  if (!change) {
+    return this;
+  }
+  const { changedAt, ...state } = change.toObject();
+  return this.constructor.hydrate({ ...this.toObject(), ...state, priceHistory: [] });
+};
+
+/**
+ * Resolves the price and availability of this product at a store.
+ * Stores without an override use the base product price and are available.
+ * @param {*} storeId Store ObjectId
+ * @returns {{price: number, isAvailable: boolean}}
+ */
+ProductSchema.methods.forStore = function (storeId) {
+  const override = this.storeOverrides.find((entry) => String(entry.store) === String(storeId));
+  return {
+    price: override && override.price !== null ? override.price : this.price,
+    isAvailable: override ? override.isAvailable : true,
+  };
+};
 
 // Export the Product model for use in controllers and elsewhere
 const Product = mongoose.model("Product", ProductSchema);
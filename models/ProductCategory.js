@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Mongoose schema and model for ProductCategory in Tsuki Coffee backend.
+ * ProductCategory groups the menu (e.g., Coffee, Non-coffee, Food) for browsing and filtering.
+ * This model is referenced by Product schema.
+ *
+ * Usage:
+ *   const ProductCategory = require('./ProductCategory');
+ *   // ProductCategory.find(), ProductCategory.create(), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the schema
+const { Schema } = mongoose;
+
+// Define the ProductCategory schema
+const ProductCategorySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true, // Category name should be unique
+    },
+    description: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Default empty description
+    },
+    sortOrder: {
+      type: Number,
+      required: true,
+      default: 0, // Menu position; lower comes first
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'product_categories', // Explicit collection name
+  }
+);
+
+// Export the ProductCategory model for use in controllers and elsewhere
+const ProductCategory = mongoose.model('ProductCategory', ProductCategorySchema);
+
+module.exports = ProductCategory;
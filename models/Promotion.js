@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Mongoose schema and model for Promotion in Tsuki Coffee backend.
+ * Promotion is a time-boxed bonus points campaign (e.g. "double points on Mondays" or
+ * "+50 points on your first oat latte"). Every active promotion whose rules match a sale
+ * adds bonus points on top of the points the products already award.
+ * Days of week and hours are evaluated in the configured loyalty time zone.
+ *
+ * Usage:
+ *   const Promotion = require('./Promotion');
+ *   // Promotion.find(), Promotion.create(), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for product and category references
+const { Schema, Types } = mongoose;
+
+// Matches a 24-hour "HH:mm" time of day
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Define the Promotion schema
+const PromotionSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true, // Promotion name should be unique
+    },
+    description: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Default empty description
+    },
+    startsAt: {
+      type: Date,
+      required: false,
+      default: null, // Null means running immediately
+    },
+    endsAt: {
+      type: Date,
+      required: false,
+      default: null, // Null means no end date
+    },
+    daysOfWeek: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      required: false,
+      default: [], // 0 = Sunday ... 6 = Saturday; empty means every day
+    },
+    startTime: {
+      type: String,
+      required: false,
+      match: TIME_OF_DAY_PATTERN,
+      default: null, // "HH:mm"; null means from the start of the day
+    },
+    endTime: {
+      type: String,
+      required: false,
+      match: TIME_OF_DAY_PATTERN,
+      default: null, // "HH:mm" (exclusive); null means until the end of the day
+    },
+    products: {
+      type: [{ type: Types.ObjectId, ref: 'Product' }],
+      required: false,
+      default: [], // Empty means every product in the basket counts
+    },
+    eligibleCategories: {
+      type: [{ type: Types.ObjectId, ref: 'ClubCategory' }],
+      required: false,
+      default: [], // Empty means every member is eligible
+    },
+    multiplier: {
+      type: Number,
+      required: true,
+      default: 1, // Points of the targeted lines are multiplied by this (1 = no extra points)
+      min: 1,
+    },
+    bonusPoints: {
+      type: Number,
+      required: true,
+      default: 0, // Flat bonus added once per matching sale
+      min: 0,
+    },
+    perMemberLimit: {
+      type: Number,
+      required: false,
+      default: null, // Null means no per-member limit
+      min: 1,
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'promotions', // Explicit collection name
+  }
+);
+
+// Indexes for efficient lookup of running promotions
+PromotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+// Export the Promotion model for use in controllers and elsewhere
+const Promotion = mongoose.model('Promotion', PromotionSchema);
+
+module.exports = Promotion;
+module.exports.TIME_OF_DAY_PATTERN = TIME_OF_DAY_PATTERN;
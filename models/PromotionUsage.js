@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Mongoose schema and model for PromotionUsage in Tsuki Coffee backend.
+ * PromotionUsage counts the active sales in which a member received a promotion.
+ * The counter is claimed with a conditional $inc inside the sale's MongoDB transaction, so
+ * concurrent sales cannot both take the last use of a capped promotion.
+ *
+ * Usage:
+ *   const PromotionUsage = require('./PromotionUsage');
+ *   // PromotionUsage.findOneAndUpdate({ promotion, member, count: { $lt: limit } }, ...), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for promotion and member references
+const { Schema, Types } = mongoose;
+
+// Define the PromotionUsage schema
+const PromotionUsageSchema = new Schema(
+  {
+    promotion: {
+      type: Types.ObjectId,
+      ref: 'Promotion',
+      required: true,
+    },
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    count: {
+      type: Number,
+      required: true,
+      default: 0, // Active (not voided) sales that received the promotion
+      min: 0,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'promotion_usages', // Explicit collection name
+  }
+);
+
+// One counter per promotion and member
+PromotionUsageSchema.index({ promotion: 1, member: 1 }, { unique: true });
+
+// Export the PromotionUsage model for use in controllers and elsewhere
+const PromotionUsage = mongoose.model('PromotionUsage', PromotionUsageSchema);
+
+module.exports = PromotionUsage;
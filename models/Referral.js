@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Mongoose schema and model for Referral in Tsuki Coffee backend.
+ * Referral links a member (referrer) to a new member who signed up with their referral code
+ * (referee). Bonus points for both are granted once the referee makes a qualifying transaction.
+ * A phone number can only ever be referred once, whatever format it was entered in.
+ *
+ * Usage:
+ *   const Referral = require('./Referral');
+ *   // Referral.find({ referrer }), Referral.create(), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for member and transaction references
+const { Schema, Types } = mongoose;
+
+// Referral lifecycle: waiting for the referee's first qualifying transaction, then rewarded
+const REFERRAL_STATUSES = ['pending', 'rewarded'];
+
+// Define the Referral schema
+const ReferralSchema = new Schema(
+  {
+    referrer: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    referee: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+      unique: true, // A member can only be referred once
+    },
+    refereePhone: {
+      type: String,
+      required: true,
+      unique: true, // Normalized phone; blocks re-registering the same number for another bonus
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: REFERRAL_STATUSES,
+      default: 'pending',
+    },
+    referrerBonus: {
+      type: Number,
+      required: true,
+      default: 0, // Points credited to the referrer when rewarded
+      min: 0,
+    },
+    refereeBonus: {
+      type: Number,
+      required: true,
+      default: 0, // Points credited to the referee when rewarded
+      min: 0,
+    },
+    qualifyingTransaction: {
+      type: Types.ObjectId,
+      ref: 'Transaction',
+      required: false,
+      default: null, // The referee's sale that triggered the bonuses
+    },
+    rewardedAt: {
+      type: Date,
+      required: false,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'referrals', // Explicit collection name
+  }
+);
+
+// Indexes for efficient listing of a member's referrals
+ReferralSchema.index({ referrer: 1, createdAt: -1 });
+
+// Export the Referral model for use in controllers and elsewhere
+const Referral = mongoose.model('Referral', ReferralSchema);
+
+module.exports = Referral;
+module.exports.REFERRAL_STATUSES = REFERRAL_STATUSES;
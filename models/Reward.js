@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Mongoose schema and model for Reward in Tsuki Coffee backend.
+ * Reward is a catalog item (e.g. a free drink) that members can redeem points for.
+ * Redeeming a reward issues a Voucher that is later used at the counter.
+ *
+ * Usage:
+ *   const Reward = require('./Reward');
+ *   // Reward.find(), Reward.create(), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for eligible category references
+const { Schema, Types } = mongoose;
+
+// Define the Reward schema
+const RewardSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true, // Reward name should be unique
+    },
+    description: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Default empty description
+    },
+    pointCost: {
+      type: Number,
+      required: true,
+      min: 1, // Points deducted when the reward is redeemed
+    },
+    stock: {
+      type: Number,
+      required: false,
+      default: null, // Null means unlimited stock
+      min: 0,
+    },
+    perMemberLimit: {
+      type: Number,
+      required: false,
+      default: null, // Redemptions per member (gifted vouchers don't count); null means no limit
+      min: 1,
+    },
+    validFrom: {
+      type: Date,
+      required: false,
+      default: null, // Null means available immediately
+    },
+    validUntil: {
+      type: Date,
+      required: false,
+      default: null, // Null means no end date
+    },
+    eligibleCategories: {
+      type: [{ type: Types.ObjectId, ref: 'ClubCategory' }],
+      required: false,
+      default: [], // Empty means every member is eligible
+    },
+    voucherValidDays: {
+      type: Number,
+      required: true,
+      default: 30, // Days an issued voucher stays usable
+      min: 1,
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'rewards', // Explicit collection name
+  }
+);
+
+// Indexes for efficient catalog listing
+RewardSchema.index({ isActive: 1, pointCost: 1 });
+
+// Export the Reward model for use in controllers and elsewhere
+const Reward = mongoose.model('Reward', RewardSchema);
+
+module.exports = Reward;
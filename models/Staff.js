@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Mongoose schema and model for Staff in Tsuki Coffee backend.
+ * Staff are the employees who sign in to operate the backend. Their role decides what they may do:
+ * cashier (transactions, redemptions), manager (products, tiers, manual point edits) and admin.
+ * Staff tied to a store only record sales for, and see transactions and reports of, that store.
+ *
+ * Usage:
+ *   const Staff = require('./Staff');
+ *   // Staff.findOne({ username }).select('+passwordHash'), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for the store reference
+const { Schema, Types } = mongoose;
+
+// Staff roles, from least to most privileged; a role includes every role before it
+const STAFF_ROLES = ['cashier', 'manager', 'admin'];
+
+// Define the Staff schema
+const StaffSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    username: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true, // Login name must be unique
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false, // Never returned unless explicitly requested
+    },
+    role: {
+      type: String,
+      required: true,
+      enum: STAFF_ROLES,
+      default: 'cashier',
+    },
+    store: {
+      type: Types.ObjectId,
+      ref: 'Store',
+      required: false,
+      default: null, // Null means not tied to one outlet (head office); cashiers always have a store
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true, // Inactive staff cannot sign in
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'staff', // Explicit collection name
+    toJSON: {
+      // Strip the password hash from every API response
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Checks whether this staff member's role includes the given role.
+ * @param {string} role Minimum required role
+ * @returns {boolean}
+ */
+StaffSchema.methods.hasRole = function (role) {
+  return STAFF_ROLES.indexOf(this.role) >= STAFF_ROLES.indexOf(role);
+};
+
+// Export the Staff model for use in controllers and elsewhere
+const Staff = mongoose.model('Staff', StaffSchema);
+
+module.exports = Staff;
+module.exports.STAFF_ROLES = STAFF_ROLES;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Mongoose schema and model for Store in Tsuki Coffee backend.
+ * Store is one Tsuki outlet. Every new transaction records the store it happened at, staff
+ * accounts can be tied to a store, and products can override their price and availability
+ * per store. Member points are shared across all stores.
+ *
+ * Usage:
+ *   const Store = require('./Store');
+ *   // Store.find(), Store.create(), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the schema
+const { Schema } = mongoose;
+
+// Define the Store schema
+const StoreSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true, // Store name should be unique
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true, // Short outlet code, e.g. "KMG" (used on receipts and exports)
+    },
+    address: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Default empty address
+    },
+    phone: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Default empty phone
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true, // Inactive stores cannot record new sales
+    },
+    deactivatedAt: {
+      type: Date,
+      required: false,
+      default: null, // When isActive last turned false; offline sales from before still sync
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'stores', // Explicit collection name
+  }
+);
+
+// Remember when a store was deactivated, so sales recorded offline are judged as of their time
+StoreSchema.pre('save', function () {
+  if (!this.isNew && this.isModified('isActive')) {
+    this.deactivatedAt = this.isActive ? null : new Date();
+  }
+});
+
+/**
+ * Tells whether the store could record sales at a point in time.
+ * @param {Date} [at] Sale time (default: now)
+ * @returns {boolean}
+ */
+StoreSchema.methods.isActiveAt = function (at = new Date()) {
+  return this.isActive || Boolean(this.deactivatedAt && this.deactivatedAt > at);
+};
+
+// Export the Store model for use in controllers and elsewhere
+const Store = mongoose.model('Store', StoreSchema);
+
+module.exports = Store;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Mongoose schema and model for TierChange in Tsuki Coffee backend.
+ * TierChange records every move of a member between club categories, with the reason
+ * and the activity figures that justified it.
+ *
+ * Usage:
+ *   const TierChange = require('./TierChange');
+ *   // TierChange.find({ member }), TierChange.create(), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for references
+const { Schema, Types } = mongoose;
+
+// How a tier change was triggered
+const TIER_CHANGE_TRIGGERS = ['evaluation', 'manual'];
+
+// Define the TierChange schema
+const TierChangeSchema = new Schema(
+  {
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    fromCategory: {
+      type: Types.ObjectId,
+      ref: 'ClubCategory',
+      required: false,
+      default: null, // Null when the member had no category
+    },
+    toCategory: {
+      type: Types.ObjectId,
+      ref: 'ClubCategory',
+      required: false,
+      default: null, // Null when the member no longer qualifies for any category
+    },
+    trigger: {
+      type: String,
+      required: true,
+      enum: TIER_CHANGE_TRIGGERS,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    stats: {
+      spend: { type: Number, default: null },
+      visits: { type: Number, default: null },
+      periodMonths: { type: Number, default: null },
+    },
+    createdAt: {
+      type: Date,
+      required: true,
+      default: Date.now, // Default to now
+    },
+  },
+  {
+    // No need for updatedAt, tier changes are historical records
+    collection: 'tier_changes', // Explicit collection name
+  }
+);
+
+// Indexes for efficient member history lookup
+TierChangeSchema.index({ member: 1, createdAt: -1 });
+
+// Export the TierChange model for use in services and controllers
+const TierChange = mongoose.model('TierChange', TierChangeSchema);
+
+module.exports = TierChange;
+module.exports.TIER_CHANGE_TRIGGERS = TIER_CHANGE_TRIGGERS;
@@ -1,7 +1,13 @@
 /**
  * @fileoverview Mongoose schema and model for Transaction in Tsuki Coffee backend.
- * Transaction represents a purchase made by a member, including product, quantity, total price, and points added.
- * This model references Member and Product schemas.
+ * Transaction represents a purchase made by a member, including its line items, total price, and points added.
+ * Legacy single-product fields (productId, quantity) are kept for transactions with exactly one line item.
+ * Sales can be voided or (partially) refunded; each correction is stored as its own reversing
+ * record of type "void" or "refund" that points back to the original sale.
+ * Membership renewal fees are stored as records of type "renewal".
+ * Bonus points from promotions are listed per promotion and included in pointsAdded.
+ * Every transaction records the store (outlet) it happened at.
+ * This model references Member, Product and Store schemas.
  *
  * Usage:
  *   const Transaction = require('./Transaction');
@@ -13,6 +19,111 @@ const mongoose = require('mongoose');
 // Strongly type the ObjectId for references
 const { Schema, Types } = mongoose;
 
+// Kinds of transaction records: sales, their reversing records and membership renewal fees
+const TRANSACTION_TYPES = ['sale', 'void', 'refund', 'renewal'];
+
+// Lifecycle of a sale as it gets corrected
+const TRANSACTION_STATUSES = ['completed', 'voided', 'partially_refunded', 'refunded'];
+
+// Whether a sale's points were credited, are held until renewal (grace period) or were forfeited
+const POINTS_STATUSES = ['awarded', 'held', 'forfeited'];
+
+// Matches sales that still count toward spend and visits (legacy records have no type/status)
+const ACTIVE_SALE_FILTER = {
+  type: { $in: ['sale', null] },
+  status: { $ne: 'voided' },
+};
+
+// Define the line item sub-schema (one product within a basket)
+const LineItemSchema = new Schema(
+  {
+    productId: {
+      type: Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variantId: {
+      type: Types.ObjectId,
+      required: false,
+      default: null, // Variant of the product, for products with variants
+    },
+    variantName: {
+      type: String,
+      required: false,
+      default: '', // Variant name at the time of sale
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      default: 1, // Default quantity is 1
+      min: 1,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      default: 0, // Product (or variant) price at the time of sale
+      min: 0,
+    },
+    pointValue: {
+      type: Number,
+      required: true,
+      default: 0, // Product (or variant) point value at the time of sale
+      min: 0,
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+      default: 0, // unitPrice * quantity
+      min: 0,
+    },
+    points: {
+      type: Number,
+      required: true,
+      default: 0, // Points awarded for this line, after the tier multiplier
+      min: 0,
+    },
+    refundedQuantity: {
+      type: Number,
+      required: true,
+      default: 0, // Units of this line refunded so far (sales only)
+      min: 0,
+    },
+    refundedPoints: {
+      type: Number,
+      required: true,
+      default: 0, // Points of this line taken back so far (sales only)
+      min: 0,
+    },
+  },
+  {
+    _id: false, // Line items are addressed by position, no own id needed
+  }
+);
+
+// Define the applied promotion sub-schema (bonus points a promotion added to a sale)
+const AppliedPromotionSchema = new Schema(
+  {
+    promotion: {
+      type: Types.ObjectId,
+      ref: 'Promotion',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true, // Promotion name at the time of sale
+    },
+    pointsAdded: {
+      type: Number,
+      required: true,
+      default: 0, // Bonus points this promotion added
+      min: 0,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 // Define the Transaction schema
 const TransactionSchema = new Schema(
   {
@@ -22,18 +133,33 @@ const TransactionSchema = new Schema(
       required: true,
       index: true, // For efficient member transaction lookup
     },
+    store: {
+      type: Types.ObjectId,
+      ref: 'Store',
+      // Required on every new sale and renewal; void/refund records copy their sale's store,
+      // which is empty only for sales recorded before stores existed
+      required() {
+        return this.isNew && !this.originalTransaction;
+      },
+      default: null,
+    },
     productId: {
       type: Types.ObjectId,
       ref: 'Product',
-      required: true,
-      index: true, // For efficient product transaction lookup
+      required: false, // Only set for single-line transactions (legacy shape)
+      default: null,
     },
     quantity: {
       type: Number,
-      required: true,
-      default: 1, // Default quantity is 1
+      required: false, // Only set for single-line transactions (legacy shape)
+      default: null,
       min: 1,
     },
+    lineItems: {
+      type: [LineItemSchema],
+      required: true,
+      default: [],
+    },
     totalPrice: {
       type: Number,
       required: true,
@@ -46,14 +172,73 @@ const TransactionSchema = new Schema(
       default: 0, // Default points added is 0
       min: 0,
     },
+    promotions: {
+      type: [AppliedPromotionSchema],
+      required: false,
+      default: [], // Promotions that fired; their points are included in pointsAdded
+    },
+    earnMultiplier: {
+      type: Number,
+      required: true,
+      default: 1, // Member tier multiplier applied at the time of sale
+      min: 0,
+    },
+    pointsStatus: {
+      type: String,
+      required: true,
+      enum: POINTS_STATUSES,
+      default: 'awarded', // "held" for sales made during the membership grace period
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: TRANSACTION_TYPES,
+      default: 'sale',
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: TRANSACTION_STATUSES,
+      default: 'completed', // Reversing records are always completed
+    },
+    originalTransaction: {
+      type: Types.ObjectId,
+      ref: 'Transaction',
+      required: false,
+      default: null, // Set on void/refund records
+    },
+    refundedAmount: {
+      type: Number,
+      required: true,
+      default: 0, // Sales: total refunded so far
+      min: 0,
+    },
+    pointsReversed: {
+      type: Number,
+      required: true,
+      default: 0, // Sales: points taken back so far; reversing records: points taken back
+      min: 0,
+    },
+    reason: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Why a sale was voided or refunded
+    },
+    clientId: {
+      type: String,
+      required: false,
+      trim: true,
+      default: null, // Id generated by the POS for a sale queued offline (see /transactions/sync)
+    },
     createdAt: {
       type: Date,
       required: true,
-      default: Date.now, // Default to now
+      default: Date.now, // Sale time; for synced offline sales the time the POS recorded it
     },
   },
   {
-    // No need for updatedAt, transaction is immutable
+    // No need for updatedAt: amounts never change, only a sale's refund/void status
     collection: 'transactions', // Explicit collection name
   }
 );
@@ -61,9 +246,23 @@ const TransactionSchema = new Schema(
 // Indexes for efficient queries
 TransactionSchema.index({ memberId: 1 });
 TransactionSchema.index({ productId: 1 });
+TransactionSchema.index({ 'lineItems.productId': 1 });
 TransactionSchema.index({ createdAt: -1 });
+TransactionSchema.index({ store: 1, createdAt: -1 });
+TransactionSchema.index({ originalTransaction: 1 });
+TransactionSchema.index({ memberId: 1, pointsStatus: 1 });
+TransactionSchema.index({ memberId: 1, 'promotions.promotion': 1 });
+// A synced offline sale is recorded once per client id
+TransactionSchema.index(
+  { clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 
 // Export the Transaction model for use in controllers and elsewhere
 const Transaction = mongoose.model('Transaction', TransactionSchema);
 
 module.exports = Transaction;
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
+module.exports.TRANSACTION_STATUSES = TRANSACTION_STATUSES;
+module.exports.POINTS_STATUSES = POINTS_STATUSES;
+module.exports.ACTIVE_SALE_FILTER = ACTIVE_SALE_FILTER;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Mongoose schema and model for UsedQrToken in Tsuki Coffee backend.
+ * UsedQrToken records a member QR token that a cashier already scanned. The unique jti index
+ * makes each token single-use, so a screenshot of the code cannot identify the member again.
+ * Records are removed once the token itself has expired.
+ *
+ * Usage:
+ *   const UsedQrToken = require('./UsedQrToken');
+ *   // UsedQrToken.create({ jti, member, expiresAt }), etc.
+ */
+
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for the member reference
+const { Schema, Types } = mongoose;
+
+// Define the UsedQrToken schema
+const UsedQrTokenSchema = new Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true, // Token id (JWT jti claim)
+    },
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    usedBy: {
+      type: Types.ObjectId,
+      ref: 'Staff',
+      required: false,
+      default: null, // Cashier who scanned the code
+    },
+    usedAt: {
+      type: Date,
+      required: true,
+      default: Date.now, // Default to now
+      immutable: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // Token expiry; the record is not needed afterwards
+    },
+  },
+  {
+    collection: 'used_qr_tokens', // Explicit collection name
+  }
+);
+
+// MongoDB removes records once their token has expired
+UsedQrTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the UsedQrToken model for use in services and elsewhere
+const UsedQrToken = mongoose.model('UsedQrToken', UsedQrTokenSchema);
+
+module.exports = UsedQrToken;
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Mongoose schema and model for Voucher in Tsuki Coffee backend.
+ * Voucher is issued when a member redeems a Reward. It carries a unique code that the
+ * cashier marks as used at the counter; used or expired vouchers cannot be used again.
+ *
+ * Usage:
+ *   const Voucher = require('./Voucher');
+ *   // Voucher.findOne({ code }), Voucher.generateCode(), etc.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for references
+const { Schema, Types } = mongoose;
+
+// Voucher lifecycle states; expiry is derived from expiresAt
+const VOUCHER_STATUSES = ['issued', 'used'];
+
+// Unambiguous characters for voucher codes (no 0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Define the Voucher schema
+const VoucherSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    member: {
+      type: Types.ObjectId,
+      ref: 'Member',
+      required: true,
+    },
+    reward: {
+      type: Types.ObjectId,
+      ref: 'Reward',
+      required: true,
+    },
+    pointsSpent: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: VOUCHER_STATUSES,
+      default: 'issued',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      required: false,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'vouchers', // Explicit collection name
+  }
+);
+
+// Indexes for member listings and per-member reward limits
+VoucherSchema.index({ member: 1, createdAt: -1 });
+VoucherSchema.index({ member: 1, reward: 1 });
+
+/**
+ * Generates a random voucher code, e.g. "TSK-7KQ2M9XHDA".
+ * @returns {string}
+ */
+VoucherSchema.statics.generateCode = function () {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return `TSK-${code}`;
+};
+
+// Export the Voucher model for use in controllers and elsewhere
+const Voucher = mongoose.model('Voucher', VoucherSchema);
+
+module.exports = Voucher;
+module.exports.VOUCHER_STATUSES = VOUCHER_STATUSES;
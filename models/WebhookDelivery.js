@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Mongoose schema and model for WebhookDelivery in Tsuki Coffee backend.
+ * WebhookDelivery is the delivery log: one record per event per subscription, holding the
+ * event payload, its status and every attempt made to deliver it. Failed attempts are retried
+ * with exponential backoff until the delivery succeeds or runs out of attempts. A delivery
+ * can be replayed, which creates a new delivery of the same event.
+ * Records are removed after the configured retention period.
+ *
+ * Usage:
+ *   const WebhookDelivery = require('./WebhookDelivery');
+ *   // WebhookDelivery.find({ subscription, status: 'failed' }), etc.
+ */
+
+const mongoose = require('mongoose');
+const webhookConfig = require('../config/webhooks');
+const { WEBHOOK_EVENTS } = require('./WebhookSubscription');
+
+// Strongly type the ObjectId for references
+const { Schema, Types } = mongoose;
+
+// Delivery states
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Define the delivery attempt sub-schema
+const AttemptSchema = new Schema(
+  {
+    at: {
+      type: Date,
+      required: true,
+    },
+    responseStatus: {
+      type: Number,
+      required: false,
+      default: null, // Null when no response was received
+    },
+    responseBody: {
+      type: String,
+      required: false,
+      default: '', // Start of the response body, for troubleshooting
+    },
+    error: {
+      type: String,
+      required: false,
+      default: '', // Network error or timeout
+    },
+    durationMs: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Define the WebhookDelivery schema
+const WebhookDeliverySchema = new Schema(
+  {
+    subscription: {
+      type: Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+      enum: WEBHOOK_EVENTS,
+    },
+    eventId: {
+      type: String,
+      required: true, // Same for every delivery (and replay) of one event
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true, // Event body sent to the subscriber
+    },
+    dedupeKey: {
+      type: String,
+      required: false,
+      default: null, // Set for events that must reach a subscriber only once
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: [AttemptSchema],
+      required: false,
+      default: [],
+    },
+    nextAttemptAt: {
+      type: Date,
+      required: false,
+      default: Date.now, // Null once the delivery succeeded or failed
+    },
+    deliveredAt: {
+      type: Date,
+      required: false,
+      default: null,
+    },
+    replayOf: {
+      type: Types.ObjectId,
+      ref: 'WebhookDelivery',
+      required: false,
+      default: null, // Original delivery when this one is a replay
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'webhook_deliveries', // Explicit collection name
+  }
+);
+
+// Indexes for the retry worker and the delivery log of a subscription
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+// One-off events are delivered once per subscription (replays carry no dedupeKey)
+WebhookDeliverySchema.index(
+  { subscription: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+// MongoDB removes deliveries once the retention period has passed
+WebhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: webhookConfig.logRetentionDays * 24 * 60 * 60 }
+);
+
+// Export the WebhookDelivery model for use in services and controllers
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
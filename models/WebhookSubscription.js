@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Mongoose schema and model for WebhookSubscription in Tsuki Coffee backend.
+ * WebhookSubscription is an external endpoint (e.g. the marketing tool or the POS) that
+ * receives an HTTP POST whenever one of its subscribed loyalty events happens.
+ * Every delivery is signed with the subscription's secret, which is only returned when the
+ * subscription is created or its secret is rotated.
+ *
+ * Usage:
+ *   const WebhookSubscription = require('./WebhookSubscription');
+ *   // WebhookSubscription.find({ isActive: true, events: 'member.created' }), etc.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Strongly type the ObjectId for the creator reference
+const { Schema, Types } = mongoose;
+
+// Events a subscription can listen to
+const WEBHOOK_EVENTS = [
+  'member.created',
+  'transaction.created',
+  'points.redeemed',
+  'tier.changed',
+  'membership.expiring',
+];
+
+// Define the WebhookSubscription schema
+const WebhookSubscriptionSchema = new Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true, // Absolute http(s) URL that receives the POST
+    },
+    description: {
+      type: String,
+      required: false,
+      trim: true,
+      default: '', // Default empty description
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      required: true,
+      validate: (events) => events.length > 0, // At least one event
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // HMAC signing key; never returned unless explicitly requested
+    },
+    isActive: {
+      type: Boolean,
+      required: true,
+      default: true, // Inactive subscriptions receive no new deliveries
+    },
+    createdBy: {
+      type: Types.ObjectId,
+      ref: 'Staff',
+      required: false,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'webhook_subscriptions', // Explicit collection name
+    toJSON: {
+      // Strip the signing secret from every API response
+      transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for efficient lookup of the subscribers of an event
+WebhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+/**
+ * Generates a new random signing secret.
+ * @returns {string}
+ */
+WebhookSubscriptionSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+// Export the WebhookSubscription model for use in services and controllers
+const WebhookSubscription = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Express routes for authentication in Tsuki Coffee backend.
+ * Routes include: loginStaff, loginMember, getMe, issueMemberQrToken, changeMemberPassword.
+ * Uses authController for all business logic.
+ *
+ * Usage:
+ *   const authRoutes = require('./routes/authRoutes');
+ *   app.use('/auth', authRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import authController functions and auth middleware
+const authController = require('../controllers/authController');
+const authValidators = require('../validators/authValidators');
+const { authenticate } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Route: POST /auth/login
+// Description: Staff login, returns an access token
+router.post('/login', validate(authValidators.loginStaff), authController.loginStaff);
+
+// Route: POST /auth/member/login
+// Description: Member login for the customer app, returns an access token
+router.post('/member/login', validate(authValidators.loginMember), authController.loginMember);
+
+// Route: GET /auth/me
+// Description: Get the signed-in staff account or member
+router.get('/me', authenticate, authController.getMe);
+
+// Route: POST /auth/member/qr-token
+// Description: Member gets a short-lived, single-use QR token to show at the counter
+router.post('/member/qr-token', authenticate, authController.issueMemberQrToken);
+
+// Route: PUT /auth/member/password
+// Description: Member changes their own password
+router.put(
+  '/member/password',
+  authenticate,
+  validate(authValidators.changeMemberPassword),
+  authController.changeMemberPassword
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Express routes for ClubCategory operations in Tsuki Coffee backend.
+ * Routes include: addClubCategory, editClubCategory, getClubCategories, getClubCategory, deleteClubCategory.
+ * Uses clubCategoryController for all business logic.
+ *
+ * Usage:
+ *   const clubCategoryRoutes = require('./routes/clubCategoryRoutes');
+ *   app.use('/club-categories', clubCategoryRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import clubCategoryController functions and auth middleware
+const clubCategoryController = require('../controllers/clubCategoryController');
+const clubCategoryValidators = require('../validators/clubCategoryValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Every club category route requires a signed-in staff account or member
+router.use(authenticate);
+
+// Route: POST /club-categories
+// Description: Add a new club category
+router.post(
+  '/',
+  requireRole('manager'),
+  validate(clubCategoryValidators.addClubCategory),
+  clubCategoryController.addClubCategory
+);
+
+// Route: GET /club-categories
+// Description: Get list of club categories
+router.get(
+  '/',
+  validate(clubCategoryValidators.getClubCategories),
+  clubCategoryController.getClubCategories
+);
+
+// Route: GET /club-categories/:id
+// Description: Get a single club category
+router.get('/:id', validate(clubCategoryValidators.byId), clubCategoryController.getClubCategory);
+
+// Route: PUT /club-categories/:id
+// Description: Edit club category data
+router.put(
+  '/:id',
+  requireRole('manager'),
+  validate(clubCategoryValidators.editClubCategory),
+  clubCategoryController.editClubCategory
+);
+
+// Route: DELETE /club-categories/:id
+// Description: Delete an unused club category
+router.delete(
+  '/:id',
+  requireRole('manager'),
+  validate(clubCategoryValidators.byId),
+  clubCategoryController.deleteClubCategory
+);
+
+module.exports = router;
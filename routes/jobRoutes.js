@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Express routes for scheduled jobs in Tsuki Coffee backend.
+ * Routes include: runEvaluateTiers, runExpirePoints, runGrantCelebrations, runScoreSegments,
+ * runDeliverWebhooks, runNotifyExpiringMemberships, runSendNotifications.
+ * Uses jobController for all business logic.
+ *
+ * Usage:
+ *   const jobRoutes = require('./routes/jobRoutes');
+ *   app.use('/jobs', jobRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import jobController functions and auth middleware
+const jobController = require('../controllers/jobController');
+const { authenticateJob } = require('../middleware/auth');
+
+// Jobs are triggered by the scheduler (CRON_SECRET) or an admin
+router.use(authenticateJob);
+
+/**
+ * Registers a job on both GET and POST: Vercel Cron calls the paths listed in vercel.json
+ * with GET (schedules there are in UTC), while admins and other schedulers POST.
+ * @param {string} path Job path
+ * @param {Function} handler jobController handler
+ * @returns {void}
+ */
+const jobRoute = (path, handler) => {
+  router.route(path).get(handler).post(handler);
+};
+
+// Route: GET|POST /jobs/evaluate-tiers
+// Description: Promote or demote members based on rolling spend and visits
+jobRoute('/evaluate-tiers', jobController.runEvaluateTiers);
+
+// Route: GET|POST /jobs/expire-points
+// Description: Remove points from lots that have passed their expiry date
+jobRoute('/expire-points', jobController.runExpirePoints);
+
+// Route: GET|POST /jobs/grant-celebrations
+// Description: Grant birthday-month and membership anniversary gifts
+jobRoute('/grant-celebrations', jobController.runGrantCelebrations);
+
+// Route: GET|POST /jobs/score-segments
+// Description: Recompute RFM scores and segments for every member
+jobRoute('/score-segments', jobController.runScoreSegments);
+
+// Route: GET|POST /jobs/deliver-webhooks
+// Description: Retry webhook deliveries that are due
+jobRoute('/deliver-webhooks', jobController.runDeliverWebhooks);
+
+// Route: GET|POST /jobs/notify-expiring-memberships
+// Description: Emit membership.expiring and remind members whose membership ends soon
+jobRoute('/notify-expiring-memberships', jobController.runNotifyExpiringMemberships);
+
+// Route: GET|POST /jobs/send-notifications
+// Description: Retry member notifications that are due
+jobRoute('/send-notifications', jobController.runSendNotifications);
+
+module.exports = router;
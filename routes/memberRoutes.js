@@ -1,6 +1,10 @@
 /**
  * @fileoverview Express routes for Member operations in Tsuki Coffee backend.
- * Routes include: addMember, editMember, searchMember, getMembers, checkValidity, redeemPoints.
+ * Routes include: addMember, getMember, lookupMember, editMember, searchMember, getMembers,
+ * importMembers, exportMembers, getExpiringMembers, getSegmentMembers, checkValidity,
+ * renewMembership, redeemPoints, getMemberVouchers, getPointsHistory, getExpiringPoints,
+ * reconcilePoints, getTierProgress, getTierHistory, getReferrals, getCelebrations,
+ * getNotificationPreferences, editNotificationPreferences, getNotifications.
  * Uses memberController for all business logic.
  *
  * Usage:
@@ -11,31 +15,240 @@
 const express = require('express');
 const router = express.Router();
 
-// Import memberController functions
+// Import memberController functions and auth middleware
 const memberController = require('../controllers/memberController');
+const memberValidators = require('../validators/memberValidators');
+const csvBody = require('../middleware/csvBody');
+const {
+  authenticate,
+  requireRole,
+  requireRoleOrSelf,
+  requireRoleForFields,
+} = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+
+// Every member route requires a signed-in staff account or member
+router.use(authenticate);
 
 // Route: POST /members
-// Description: Add a new member
-router.post('/', memberController.addMember);
+// Description: Add a new member (opening points and a tier other than none need a manager)
+router.post(
+  '/',
+  requireRole('cashier'),
+  requireRoleForFields('manager', { points: [0], clubCategory: [null, ''] }),
+  validate(memberValidators.addMember),
+  memberController.addMember
+);
 
 // Route: GET /members
 // Description: Get list of members (with optional filter)
-router.get('/', memberController.getMembers);
+router.get(
+  '/',
+  requireRole('cashier'),
+  validate(memberValidators.getMembers),
+  memberController.getMembers
+);
 
 // Route: GET /members/search
 // Description: Search members by name or phone
-router.get('/search', memberController.searchMember);
+router.get(
+  '/search',
+  requireRole('cashier'),
+  validate(memberValidators.searchMember),
+  memberController.searchMember
+);
+
+// Route: POST /members/import
+// Description: Import members from a CSV file (?dryRun=true only validates)
+router.post(
+  '/import',
+  requireRole('manager'),
+  csvBody,
+  validate(memberValidators.importMembers),
+  memberController.importMembers
+);
+
+// Route: GET /members/export
+// Description: Download members as CSV (same filters as GET /members)
+router.get(
+  '/export',
+  requireRole('manager'),
+  validate(memberValidators.exportMembers),
+  memberController.exportMembers
+);
+
+// Route: GET /members/expiring
+// Description: Get members whose membership expires within ?days=N
+router.get(
+  '/expiring',
+  requireRole('cashier'),
+  validate(memberValidators.getExpiringMembers),
+  memberController.getExpiringMembers
+);
+
+// Route: GET /members/segments/:segment
+// Description: Get members in an RFM segment with pagination (for outreach lists)
+router.get(
+  '/segments/:segment',
+  requireRole('manager'),
+  validate(memberValidators.getSegmentMembers),
+  memberController.getSegmentMembers
+);
+
+// Route: GET /members/lookup/:token
+// Description: Identify a member from the single-use QR token shown in their app
+router.get(
+  '/lookup/:token',
+  requireRole('cashier'),
+  validate(memberValidators.lookupMember),
+  memberController.lookupMember
+);
+
+// Route: GET /members/:id
+// Description: Get a single member
+router.get(
+  '/:id',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.getMember
+);
 
 // Route: PUT /members/:id
-// Description: Edit member data
-router.put('/:id', memberController.editMember);
+// Description: Edit member data, including manual point edits
+router.put(
+  '/:id',
+  requireRole('manager'),
+  validate(memberValidators.editMember),
+  memberController.editMember
+);
 
 // Route: GET /members/:id/validity
 // Description: Check member validity
-router.get('/:id/validity', memberController.checkValidity);
+router.get(
+  '/:id/validity',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.checkValidity
+);
+
+// Route: POST /members/:id/renew
+// Description: Renew a membership by the tier's renewal period
+router.post(
+  '/:id/renew',
+  requireRole('cashier'),
+  validate(memberValidators.renewMembership),
+  memberController.renewMembership
+);
 
 // Route: POST /members/:id/redeem
-// Description: Redeem points for a member
-router.post('/:id/redeem', memberController.redeemPoints);
+// Description: Redeem a reward for a member and issue a voucher (retries with the same
+// Idempotency-Key are not redeemed twice)
+router.post(
+  '/:id/redeem',
+  requireRole('cashier'),
+  validate(memberValidators.redeemPoints),
+  idempotency,
+  memberController.redeemPoints
+);
+
+// Route: GET /members/:id/vouchers
+// Description: Get vouchers issued to a member
+router.get(
+  '/:id/vouchers',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.getMemberVouchers),
+  memberController.getMemberVouchers
+);
+
+// Route: GET /members/:id/points/history
+// Description: Get paginated point ledger history for a member
+router.get(
+  '/:id/points/history',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.getPointsHistory),
+  memberController.getPointsHistory
+);
+
+// Route: GET /members/:id/points/expiring
+// Description: Show upcoming point expiry dates and amounts
+router.get(
+  '/:id/points/expiring',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.getExpiringPoints
+);
+
+// Route: GET /members/:id/points/reconcile
+// Description: Recompute member balance from the ledger and report drift
+router.get(
+  '/:id/points/reconcile',
+  requireRole('manager'),
+  validate(memberValidators.byId),
+  memberController.reconcilePoints
+);
+
+// Route: GET /members/:id/tier/progress
+// Description: Show progress toward the next club category
+router.get(
+  '/:id/tier/progress',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.getTierProgress
+);
+
+// Route: GET /members/:id/tier/history
+// Description: Get the member's tier change history
+router.get(
+  '/:id/tier/history',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.getTierHistory
+);
+
+// Route: GET /members/:id/referrals
+// Description: Get the member's referral code and the referrals they made with bonus status
+router.get(
+  '/:id/referrals',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.getReferrals
+);
+
+// Route: GET /members/:id/celebrations
+// Description: Get the member's birthday and anniversary gifts
+router.get(
+  '/:id/celebrations',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.getCelebrations
+);
+
+// Route: GET /members/:id/notification-preferences
+// Description: Get the member's notification channels, language and opt-out
+router.get(
+  '/:id/notification-preferences',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.byId),
+  memberController.getNotificationPreferences
+);
+
+// Route: PUT /members/:id/notification-preferences
+// Description: Change the member's notification channels, language or opt-out
+router.put(
+  '/:id/notification-preferences',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.editNotificationPreferences),
+  memberController.editNotificationPreferences
+);
+
+// Route: GET /members/:id/notifications
+// Description: Get the notifications sent to the member (with optional ?status filter)
+router.get(
+  '/:id/notifications',
+  requireRoleOrSelf('cashier'),
+  validate(memberValidators.getNotifications),
+  memberController.getNotifications
+);
 
 module.exports = router;
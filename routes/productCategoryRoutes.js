@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Express routes for ProductCategory operations in Tsuki Coffee backend.
+ * Routes include: addProductCategory, editProductCategory, getProductCategories, deleteProductCategory.
+ * Uses productCategoryController for all business logic.
+ *
+ * Usage:
+ *   const productCategoryRoutes = require('./routes/productCategoryRoutes');
+ *   app.use('/product-categories', productCategoryRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import productCategoryController functions and auth middleware
+const productCategoryController = require('../controllers/productCategoryController');
+const productCategoryValidators = require('../validators/productCategoryValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Every product category route requires a signed-in staff account or member
+router.use(authenticate);
+
+// Route: POST /product-categories
+// Description: Add a new product category
+router.post(
+  '/',
+  requireRole('manager'),
+  validate(productCategoryValidators.addProductCategory),
+  productCategoryController.addProductCategory
+);
+
+// Route: GET /product-categories
+// Description: Get list of product categories in menu order
+router.get(
+  '/',
+  validate(productCategoryValidators.getProductCategories),
+  productCategoryController.getProductCategories
+);
+
+// Route: PUT /product-categories/:id
+// Description: Edit a product category
+router.put(
+  '/:id',
+  requireRole('manager'),
+  validate(productCategoryValidators.editProductCategory),
+  productCategoryController.editProductCategory
+);
+
+// Route: DELETE /product-categories/:id
+// Description: Delete a product category that has no products
+router.delete(
+  '/:id',
+  requireRole('manager'),
+  validate(productCategoryValidators.deleteProductCategory),
+  productCategoryController.deleteProductCategory
+);
+
+module.exports = router;
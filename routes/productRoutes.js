@@ -1,6 +1,7 @@
 /**
  * @fileoverview Express routes for Product operations in Tsuki Coffee backend.
- * Routes include: addProduct, editProduct, getProducts.
+ * Routes include: addProduct, importProducts, editProduct, getProducts, addVariant, editVariant,
+ * setStoreOverride, removeStoreOverride.
  * Uses productController for all business logic.
  *
  * Usage:
@@ -11,19 +12,82 @@
 const express = require('express');
 const router = express.Router();
 
-// Import productController functions
+// Import productController functions and auth middleware
 const productController = require('../controllers/productController');
+const productValidators = require('../validators/productValidators');
+const csvBody = require('../middleware/csvBody');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Every product route requires a signed-in staff account or member
+router.use(authenticate);
 
 // Route: POST /products
 // Description: Add a new product
-router.post('/', productController.addProduct);
+router.post(
+  '/',
+  requireRole('manager'),
+  validate(productValidators.addProduct),
+  productController.addProduct
+);
 
 // Route: GET /products
-// Description: Get list of products
-router.get('/', productController.getProducts);
+// Description: Get list of active products (filters: search, category, store, includeArchived)
+router.get('/', validate(productValidators.getProducts), productController.getProducts);
+
+// Route: POST /products/import
+// Description: Import products from a CSV file (?dryRun=true only validates)
+router.post(
+  '/import',
+  requireRole('manager'),
+  csvBody,
+  validate(productValidators.importProducts),
+  productController.importProducts
+);
 
 // Route: PUT /products/:id
-// Description: Edit product data
-router.put('/:id', productController.editProduct);
+// Description: Edit product data, including its category and archiving it
+router.put(
+  '/:id',
+  requireRole('manager'),
+  validate(productValidators.editProduct),
+  productController.editProduct
+);
+
+// Route: POST /products/:id/variants
+// Description: Add a variant (size, milk, ...) with its own price and point value
+router.post(
+  '/:id/variants',
+  requireRole('manager'),
+  validate(productValidators.addVariant),
+  productController.addVariant
+);
+
+// Route: PUT /products/:id/variants/:variantId
+// Description: Edit or archive a product variant
+router.put(
+  '/:id/variants/:variantId',
+  requireRole('manager'),
+  validate(productValidators.editVariant),
+  productController.editVariant
+);
+
+// Route: PUT /products/:id/stores/:storeId
+// Description: Set the product's price and/or availability at one store
+router.put(
+  '/:id/stores/:storeId',
+  requireRole('manager'),
+  validate(productValidators.setStoreOverride),
+  productController.setStoreOverride
+);
+
+// Route: DELETE /products/:id/stores/:storeId
+// Description: Remove the product's store override (base price applies again)
+router.delete(
+  '/:id/stores/:storeId',
+  requireRole('manager'),
+  validate(productValidators.removeStoreOverride),
+  productController.removeStoreOverride
+);
 
 module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Express routes for Promotion operations in Tsuki Coffee backend.
+ * Routes include: addPromotion, editPromotion, getPromotions, getPromotion, deletePromotion.
+ * Uses promotionController for all business logic.
+ *
+ * Usage:
+ *   const promotionRoutes = require('./routes/promotionRoutes');
+ *   app.use('/promotions', promotionRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import promotionController functions and auth middleware
+const promotionController = require('../controllers/promotionController');
+const promotionValidators = require('../validators/promotionValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Every promotion route requires a signed-in staff account or member
+router.use(authenticate);
+
+// Route: POST /promotions
+// Description: Add a new bonus points promotion
+router.post(
+  '/',
+  requireRole('manager'),
+  validate(promotionValidators.addPromotion),
+  promotionController.addPromotion
+);
+
+// Route: GET /promotions
+// Description: Get list of promotions (with optional ?active=true)
+router.get('/', validate(promotionValidators.getPromotions), promotionController.getPromotions);
+
+// Route: GET /promotions/:id
+// Description: Get a single promotion and how often it was applied
+router.get('/:id', validate(promotionValidators.byId), promotionController.getPromotion);
+
+// Route: PUT /promotions/:id
+// Description: Edit promotion rules
+router.put(
+  '/:id',
+  requireRole('manager'),
+  validate(promotionValidators.editPromotion),
+  promotionController.editPromotion
+);
+
+// Route: DELETE /promotions/:id
+// Description: Delete a promotion that has never been applied
+router.delete(
+  '/:id',
+  requireRole('manager'),
+  validate(promotionValidators.byId),
+  promotionController.deletePromotion
+);
+
+module.exports = router;
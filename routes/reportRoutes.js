@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Express routes for sales and loyalty reports in Tsuki Coffee backend.
+ * Routes include: getSalesReport, getTopProducts, getMemberActivity, getCategoryReport.
+ * Uses reportController for all business logic.
+ *
+ * Usage:
+ *   const reportRoutes = require('./routes/reportRoutes');
+ *   app.use('/reports', reportRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import reportController functions and auth middleware
+const reportController = require('../controllers/reportController');
+const reportValidators = require('../validators/reportValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Reports are for managers and admins only
+router.use(authenticate, requireRole('manager'));
+
+// Route: GET /reports/sales
+// Description: Revenue and points issued vs redeemed per day, week or month
+router.get('/sales', validate(reportValidators.getSalesReport), reportController.getSalesReport);
+
+// Route: GET /reports/top-products
+// Description: Best-selling products by quantity or revenue
+router.get(
+  '/top-products',
+  validate(reportValidators.getTopProducts),
+  reportController.getTopProducts
+);
+
+// Route: GET /reports/members
+// Description: Active versus lapsed members
+router.get(
+  '/members',
+  validate(reportValidators.getMemberActivity),
+  reportController.getMemberActivity
+);
+
+// Route: GET /reports/categories
+// Description: Average basket size and repeat-visit rate per club category
+router.get(
+  '/categories',
+  validate(reportValidators.getCategoryReport),
+  reportController.getCategoryReport
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Express routes for Reward catalog operations in Tsuki Coffee backend.
+ * Routes include: addReward, editReward, getRewards, getReward, deleteReward.
+ * Uses rewardController for all business logic.
+ *
+ * Usage:
+ *   const rewardRoutes = require('./routes/rewardRoutes');
+ *   app.use('/rewards', rewardRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import rewardController functions and auth middleware
+const rewardController = require('../controllers/rewardController');
+const rewardValidators = require('../validators/rewardValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Every reward route requires a signed-in staff account or member
+router.use(authenticate);
+
+// Route: POST /rewards
+// Description: Add a new reward to the catalog
+router.post(
+  '/',
+  requireRole('manager'),
+  validate(rewardValidators.addReward),
+  rewardController.addReward
+);
+
+// Route: GET /rewards
+// Description: Get the reward catalog (with optional ?active=true)
+router.get('/', validate(rewardValidators.getRewards), rewardController.getRewards);
+
+// Route: GET /rewards/:id
+// Description: Get a single reward
+router.get('/:id', validate(rewardValidators.byId), rewardController.getReward);
+
+// Route: PUT /rewards/:id
+// Description: Edit reward data
+router.put(
+  '/:id',
+  requireRole('manager'),
+  validate(rewardValidators.editReward),
+  rewardController.editReward
+);
+
+// Route: DELETE /rewards/:id
+// Description: Delete a reward that has never been redeemed
+router.delete(
+  '/:id',
+  requireRole('manager'),
+  validate(rewardValidators.byId),
+  rewardController.deleteReward
+);
+
+module.exports = router;
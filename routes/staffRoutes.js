@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Express routes for Staff account operations in Tsuki Coffee backend.
+ * Routes include: addStaff, editStaff, getStaff. Admin only.
+ * Uses staffController for all business logic.
+ *
+ * Usage:
+ *   const staffRoutes = require('./routes/staffRoutes');
+ *   app.use('/staff', staffRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import staffController functions and auth middleware
+const staffController = require('../controllers/staffController');
+const staffValidators = require('../validators/staffValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// All staff management requires an admin
+router.use(authenticate, requireRole('admin'));
+
+// Route: POST /staff
+// Description: Add a new staff account
+router.post('/', validate(staffValidators.addStaff), staffController.addStaff);
+
+// Route: GET /staff
+// Description: Get list of staff accounts (with optional ?store filter)
+router.get('/', validate(staffValidators.getStaff), staffController.getStaff);
+
+// Route: PUT /staff/:id
+// Description: Edit a staff account (name, password, role, store, active)
+router.put('/:id', validate(staffValidators.editStaff), staffController.editStaff);
+
+module.exports = router;
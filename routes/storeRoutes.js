@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Express routes for Store (outlet) operations in Tsuki Coffee backend.
+ * Routes include: addStore, editStore, getStores, getStore.
+ * Uses storeController for all business logic.
+ *
+ * Usage:
+ *   const storeRoutes = require('./routes/storeRoutes');
+ *   app.use('/stores', storeRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import storeController functions and auth middleware
+const storeController = require('../controllers/storeController');
+const storeValidators = require('../validators/storeValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Every store route requires a signed-in staff account or member
+router.use(authenticate);
+
+// Route: POST /stores
+// Description: Add a new store
+router.post(
+  '/',
+  requireRole('admin'),
+  validate(storeValidators.addStore),
+  storeController.addStore
+);
+
+// Route: GET /stores
+// Description: Get list of stores (with optional ?active=true)
+router.get('/', validate(storeValidators.getStores), storeController.getStores);
+
+// Route: GET /stores/:id
+// Description: Get a single store
+router.get('/:id', validate(storeValidators.getStore), storeController.getStore);
+
+// Route: PUT /stores/:id
+// Description: Edit store data or deactivate a store
+router.put(
+  '/:id',
+  requireRole('admin'),
+  validate(storeValidators.editStore),
+  storeController.editStore
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Express routes for Transaction operations in Tsuki Coffee backend.
- * Routes include: addTransaction, getTransactions.
+ * Routes include: addTransaction, syncTransactions, getTransactions, exportTransactions,
+ * voidTransaction, refundTransaction.
  * Uses transactionController for all business logic.
  *
  * Usage:
@@ -11,15 +12,69 @@
 const express = require('express');
 const router = express.Router();
 
-// Import transactionController functions
+// Import transactionController functions and auth middleware
 const transactionController = require('../controllers/transactionController');
+const transactionValidators = require('../validators/transactionValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+
+// Every transaction route requires a signed-in staff account or member
+router.use(authenticate);
 
 // Route: POST /transactions
-// Description: Add a new transaction
-router.post('/', transactionController.addTransaction);
+// Description: Add a new transaction (retries with the same Idempotency-Key are not
+// recorded twice)
+router.post(
+  '/',
+  requireRole('cashier'),
+  validate(transactionValidators.addTransaction),
+  idempotency,
+  transactionController.addTransaction
+);
+
+// Route: POST /transactions/sync
+// Description: Record a backlog of sales queued offline by a POS (per-sale results)
+router.post(
+  '/sync',
+  requireRole('cashier'),
+  validate(transactionValidators.syncTransactions),
+  transactionController.syncTransactions
+);
 
 // Route: GET /transactions
 // Description: Get list of transactions (with optional filter)
-router.get('/', transactionController.getTransactions);
+router.get(
+  '/',
+  validate(transactionValidators.getTransactions),
+  transactionController.getTransactions
+);
+
+// Route: GET /transactions/export
+// Description: Download transactions as CSV (same filters as GET /transactions)
+router.get(
+  '/export',
+  requireRole('manager'),
+  validate(transactionValidators.exportTransactions),
+  transactionController.exportTransactions
+);
+
+// Route: POST /transactions/:id/void
+// Description: Void a sale and take back its points
+router.post(
+  '/:id/void',
+  requireRole('manager'),
+  validate(transactionValidators.voidTransaction),
+  transactionController.voidTransaction
+);
+
+// Route: POST /transactions/:id/refund
+// Description: Refund part of a sale and take back the matching points
+router.post(
+  '/:id/refund',
+  requireRole('manager'),
+  validate(transactionValidators.refundTransaction),
+  transactionController.refundTransaction
+);
 
 module.exports = router;
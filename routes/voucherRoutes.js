@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Express routes for Voucher operations in Tsuki Coffee backend.
+ * Routes include: getVoucher, useVoucher.
+ * Uses voucherController for all business logic.
+ *
+ * Usage:
+ *   const voucherRoutes = require('./routes/voucherRoutes');
+ *   app.use('/vouchers', voucherRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import voucherController functions and auth middleware
+const voucherController = require('../controllers/voucherController');
+const voucherValidators = require('../validators/voucherValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// Every voucher route requires a signed-in staff account
+router.use(authenticate);
+
+// Route: GET /vouchers/:code
+// Description: Look up a voucher by code
+router.get(
+  '/:code',
+  requireRole('cashier'),
+  validate(voucherValidators.byCode),
+  voucherController.getVoucher
+);
+
+// Route: POST /vouchers/:code/use
+// Description: Mark a voucher as used at the counter
+router.post(
+  '/:code/use',
+  requireRole('cashier'),
+  validate(voucherValidators.byCode),
+  voucherController.useVoucher
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Express routes for Webhook subscription operations in Tsuki Coffee backend.
+ * Routes include: addWebhook, getWebhooks, getWebhook, editWebhook, deleteWebhook,
+ * rotateWebhookSecret, getWebhookDeliveries, replayWebhookDelivery. Admin only.
+ * Uses webhookController for all business logic.
+ *
+ * Usage:
+ *   const webhookRoutes = require('./routes/webhookRoutes');
+ *   app.use('/webhooks', webhookRoutes);
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import webhookController functions and auth middleware
+const webhookController = require('../controllers/webhookController');
+const webhookValidators = require('../validators/webhookValidators');
+const { authenticate, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+
+// All webhook management requires an admin
+router.use(authenticate, requireRole('admin'));
+
+// Route: POST /webhooks
+// Description: Add a new webhook subscription (returns its signing secret once)
+router.post('/', validate(webhookValidators.addWebhook), webhookController.addWebhook);
+
+// Route: GET /webhooks
+// Description: Get list of webhook subscriptions (with optional ?active=true)
+router.get('/', validate(webhookValidators.getWebhooks), webhookController.getWebhooks);
+
+// Route: POST /webhooks/deliveries/:id/replay
+// Description: Send a logged delivery again
+router.post(
+  '/deliveries/:id/replay',
+  validate(webhookValidators.byId),
+  webhookController.replayWebhookDelivery
+);
+
+// Route: GET /webhooks/:id
+// Description: Get a single webhook subscription and its delivery counts
+router.get('/:id', validate(webhookValidators.byId), webhookController.getWebhook);
+
+// Route: PUT /webhooks/:id
+// Description: Edit a webhook subscription (url, events, description, active)
+router.put('/:id', validate(webhookValidators.editWebhook), webhookController.editWebhook);
+
+// Route: DELETE /webhooks/:id
+// Description: Delete a webhook subscription and its delivery log
+router.delete('/:id', validate(webhookValidators.byId), webhookController.deleteWebhook);
+
+// Route: POST /webhooks/:id/rotate-secret
+// Description: Replace the signing secret (returns the new one once)
+router.post(
+  '/:id/rotate-secret',
+  validate(webhookValidators.byId),
+  webhookController.rotateWebhookSecret
+);
+
+// Route: GET /webhooks/:id/deliveries
+// Description: Get the delivery log of a webhook subscription (with ?status, ?event filters)
+router.get(
+  '/:id/deliveries',
+  validate(webhookValidators.getWebhookDeliveries),
+  webhookController.getWebhookDeliveries
+);
+
+module.exports = router;
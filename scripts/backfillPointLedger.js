@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Backfills the points ledger and point lots for Tsuki Coffee backend.
+ * Members whose balance predates the points ledger would otherwise always show drift in
+ * GET /members/:id/points/reconcile. For each such member this migration writes one opening
+ * "adjustment" ledger entry and a PointLot for the points no lot holds yet (see
+ * pointsService.trackLegacyBalance). Each member is migrated in its own transaction and
+ * members already in step are skipped, so the script can be run again safely.
+ *
+ * Usage:
+ *   npm run migrate:points
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { runInTransaction } = require('../config/db');
+const Member = require('../models/Member');
+const pointsService = require('../services/pointsService');
+
+/**
+ * Brings every member's balance under the ledger and lot tracking.
+ * A failure on one member is logged and counted without stopping the run.
+ * @returns {Promise<void>}
+ */
+const backfillPointLedger = async () => {
+  await connectDB();
+
+  const summary = { members: 0, ledgerEntries: 0, lots: 0, failed: 0 };
+  const cursor = Member.find({ points: { $gt: 0 } }).select('_id').cursor();
+  for await (const { _id } of cursor) {
+    summary.members += 1;
+    try {
+      const { ledgerPoints, lotPoints } = await runInTransaction((session) =>
+        pointsService.trackLegacyBalance(_id, { session })
+      );
+      summary.ledgerEntries += ledgerPoints > 0 ? 1 : 0;
+      summary.lots += lotPoints > 0 ? 1 : 0;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`backfillPointLedger error for member ${_id}:`, error);
+    }
+  }
+
+  console.log(
+    `Checked ${summary.members} member(s): wrote ${summary.ledgerEntries} opening ledger ` +
+      `entries and ${summary.lots} lots; ${summary.failed} failed.`
+  );
+  await mongoose.disconnect();
+  if (summary.failed > 0) {
+    process.exit(1);
+  }
+};
+
+backfillPointLedger().catch((error) => {
+  console.error('backfillPointLedger error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Creates (or resets) an admin staff account for Tsuki Coffee backend.
+ * Used to bootstrap the first login, since every staff management route requires an admin.
+ *
+ * Usage:
+ *   npm run create-admin -- <username> <password> [name]
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Staff = require('../models/Staff');
+const { hashPassword, validatePassword } = require('../utils/password');
+
+/**
+ * Creates the admin account, or resets its password and role if the username exists.
+ * @returns {Promise<void>}
+ */
+const createAdmin = async () => {
+  const [username, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error('Usage: npm run create-admin -- <username> <password> [name]');
+    process.exit(1);
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    console.error(passwordError);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const staff = await Staff.findOneAndUpdate(
+    { username: username.trim().toLowerCase() },
+    {
+      $set: { passwordHash: await hashPassword(password), role: 'admin', isActive: true },
+      $setOnInsert: { name },
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  console.log(`Admin account ready: ${staff.username}`);
+  await mongoose.disconnect();
+};
+
+createAdmin().catch((error) => {
+  console.error('createAdmin error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Normalizes stored member phone numbers for Tsuki Coffee backend.
+ * Members are now stored with their phone normalized by utils/phone, under a unique index.
+ * This migration rewrites the phones of existing members and replaces the old non-unique
+ * phone index with the unique one. Run it once before deploying the unique index.
+ *
+ * If two members share a phone number once normalized, nothing is changed: the duplicates
+ * are listed so they can be merged or corrected by hand, and the script exits with an error.
+ *
+ * Usage:
+ *   npm run migrate:phones            # apply
+ *   npm run migrate:phones -- --dry-run
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Member = require('../models/Member');
+const { normalizePhone } = require('../utils/phone');
+
+// Name MongoDB gives the { phone: 1 } index
+const PHONE_INDEX = 'phone_1';
+
+/**
+ * Replaces a non-unique phone index with the unique one declared by the Member schema.
+ * @returns {Promise<void>}
+ */
+const ensureUniquePhoneIndex = async () => {
+  const indexes = await Member.collection.indexes();
+  const existing = indexes.find((index) => index.name === PHONE_INDEX);
+  if (existing && existing.unique) {
+    return;
+  }
+  if (existing) {
+    await Member.collection.dropIndex(PHONE_INDEX);
+  }
+  await Member.collection.createIndex({ phone: 1 }, { name: PHONE_INDEX, unique: true });
+};
+
+/**
+ * Normalizes every member phone, then makes the phone index unique.
+ * @returns {Promise<void>}
+ */
+const normalizeMemberPhones = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  // Group members by normalized phone first, so duplicates stop the migration before any write
+  const membersByPhone = new Map();
+  const changes = [];
+  const cursor = Member.find({}).select('_id name phone').lean().cursor();
+  for await (const member of cursor) {
+    const phone = normalizePhone(member.phone);
+    if (!membersByPhone.has(phone)) {
+      membersByPhone.set(phone, []);
+    }
+    membersByPhone.get(phone).push(member);
+    if (phone !== member.phone) {
+      changes.push({ _id: member._id, from: member.phone, to: phone });
+    }
+  }
+
+  const duplicates = [...membersByPhone.entries()].filter(([, members]) => members.length > 1);
+  if (duplicates.length > 0) {
+    console.error(`${duplicates.length} phone number(s) are shared by several members:`);
+    for (const [phone, members] of duplicates) {
+      const list = members.map((member) => `${member._id} (${member.name}: "${member.phone}")`);
+      console.error(`  ${phone || '(empty)'}: ${list.join(', ')}`);
+    }
+    console.error('Merge or correct these members, then run the migration again.');
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    for (const change of changes) {
+      console.log(`${change._id}: "${change.from}" -> "${change.to}"`);
+    }
+    console.log(`Dry run: ${changes.length} phone number(s) would be normalized.`);
+    await mongoose.disconnect();
+    return;
+  }
+
+  if (changes.length > 0) {
+    await Member.bulkWrite(
+      changes.map((change) => ({
+        updateOne: { filter: { _id: change._id }, update: { $set: { phone: change.to } } },
+      }))
+    );
+  }
+  await ensureUniquePhoneIndex();
+
+  console.log(`Normalized ${changes.length} phone number(s); the phone index is unique.`);
+  await mongoose.disconnect();
+};
+
+normalizeMemberPhones().catch((error) => {
+  console.error('normalizeMemberPhones error:', error);
+  process.exit(1);
+});
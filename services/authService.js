@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Authentication service for Tsuki Coffee backend.
+ * Issues and verifies signed access tokens (JWT) for staff and members,
+ * and checks their credentials. Also issues the short-lived, single-use QR tokens the
+ * member app displays so a cashier can identify the member without searching.
+ *
+ * Usage:
+ *   const authService = require('../services/authService');
+ *   const { token, staff } = await authService.loginStaff(username, password);
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const Staff = require('../models/Staff');
+const Member = require('../models/Member');
+const UsedQrToken = require('../models/UsedQrToken');
+const { verifyPassword } = require('../utils/password');
+const { ApiError } = require('../utils/errors');
+const { normalizePhone } = require('../utils/phone');
+
+// Principal types carried in the token
+const TOKEN_TYPES = { STAFF: 'staff', MEMBER: 'member' };
+
+// Type of the member QR token (never accepted as an access token)
+const QR_TOKEN_TYPE = 'member_qr';
+
+/**
+ * Returns the signing secret, failing loudly when it is not configured.
+ * @returns {string}
+ */
+const getSecret = () => {
+  if (!authConfig.jwtSecret) {
+    throw new Error('JWT_SECRET is not configured.');
+  }
+  return authConfig.jwtSecret;
+};
+
+/**
+ * Signs an access token for a staff account.
+ * @param {Object} staff Staff document
+ * @returns {string}
+ */
+const issueStaffToken = (staff) =>
+  jwt.sign({ type: TOKEN_TYPES.STAFF, role: staff.role }, getSecret(), {
+    subject: String(staff._id),
+    expiresIn: authConfig.staffTokenExpiresIn,
+  });
+
+/**
+ * Signs an access token for a member.
+ * @param {Object} member Member document
+ * @returns {string}
+ */
+const issueMemberToken = (member) =>
+  jwt.sign({ type: TOKEN_TYPES.MEMBER }, getSecret(), {
+    subject: String(member._id),
+    expiresIn: authConfig.memberTokenExpiresIn,
+  });
+
+/**
+ * Verifies an access token and returns its claims.
+ * @param {string} token Bearer token
+ * @returns {{sub: string, type: string, role: (string|undefined)}}
+ * @throws {ApiError} 401 when the token is invalid or expired
+ */
+const verifyToken = (token) => {
+  try {
+    return jwt.verify(token, getSecret());
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw new ApiError(401, 'Invalid or expired token.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Signs a rotating QR token that identifies a member at the counter.
+ * The token expires after MEMBER_QR_TOKEN_TTL_SECONDS; the app fetches a new one before then.
+ * @param {Object} member Member document
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const issueMemberQrToken = (member) => {
+  const token = jwt.sign({ type: QR_TOKEN_TYPE }, getSecret(), {
+    subject: String(member._id),
+    jwtid: crypto.randomUUID(),
+    expiresIn: authConfig.memberQrTokenTtlSeconds,
+  });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Resolves a scanned member QR token to its member and marks the token used.
+ * @param {string} token QR token
+ * @param {Object} [options]
+ * @param {string} [options.usedBy] Id of the scanning staff account
+ * @returns {Promise<Object>} Member document with clubCategory populated
+ * @throws {ApiError} 400 when the token is invalid or expired, 409 when it was already used,
+ *   404 when the member no longer exists
+ */
+const redeemMemberQrToken = async (token, { usedBy = null } = {}) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, getSecret());
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new ApiError(400, 'QR code has expired. Ask the member to refresh it.', {
+        code: 'QR_TOKEN_EXPIRED',
+      });
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw new ApiError(400, 'Invalid QR code.', { code: 'QR_TOKEN_INVALID' });
+    }
+    throw error;
+  }
+  if (claims.type !== QR_TOKEN_TYPE || !claims.jti) {
+    throw new ApiError(400, 'Invalid QR code.', { code: 'QR_TOKEN_INVALID' });
+  }
+
+  const member = await Member.findById(claims.sub).populate('clubCategory');
+  if (!member) {
+    throw new ApiError(404, 'Member not found.');
+  }
+
+  // The unique jti index makes the token single-use, even for parallel scans
+  try {
+    await UsedQrToken.create({
+      jti: claims.jti,
+      member: member._id,
+      usedBy,
+      expiresAt: new Date(claims.exp * 1000),
+    });
+  } catch (error) {
+    if (error && error.code === 11000) {
+      throw new ApiError(409, 'QR code was already used. Ask the member to refresh it.', {
+        code: 'QR_TOKEN_USED',
+      });
+    }
+    throw error;
+  }
+
+  return member;
+};
+
+/**
+ * Checks staff credentials and issues a token.
+ * @param {string} username Login name
+ * @param {string} password Plain-text password
+ * @returns {Promise<{token: string, staff: Object}>}
+ * @throws {ApiError} 401 on bad credentials or inactive account
+ */
+const loginStaff = async (username, password) => {
+  const staff = await Staff.findOne({ username: String(username).trim().toLowerCase() }).select(
+    '+passwordHash'
+  );
+  if (!staff || !staff.isActive || !(await verifyPassword(password, staff.passwordHash))) {
+    throw new ApiError(401, 'Invalid username or password.');
+  }
+  return { token: issueStaffToken(staff), staff };
+};
+
+/**
+ * Checks member credentials (phone and password) and issues a token.
+ * @param {string} phone Member phone number
+ * @param {string} password Plain-text password
+ * @returns {Promise<{token: string, member: Object}>}
+ * @throws {ApiError} 401 on bad credentials
+ */
+const loginMember = async (phone, password) => {
+  const member = await Member.findOne({ phone: normalizePhone(phone) }).select('+passwordHash');
+  if (!member || !(await verifyPassword(password, member.passwordHash))) {
+    throw new ApiError(401, 'Invalid phone or password.');
+  }
+  return { token: issueMemberToken(member), member };
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  issueStaffToken,
+  issueMemberToken,
+  verifyToken,
+  issueMemberQrToken,
+  redeemMemberQrToken,
+  loginStaff,
+  loginMember,
+};
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Celebration service for Tsuki Coffee backend.
+ * Grants yearly birthday and membership anniversary gifts: bonus points and, for birthdays,
+ * an optional free reward voucher. Each grant is recorded as a CelebrationGrant whose unique
+ * (member, occasion, year) index makes sure a member gets each gift once per year. A birthday
+ * voucher that cannot be issued (e.g. the reward is out of stock) does not hold back the points.
+ *
+ * Usage:
+ *   const celebrationService = require('../services/celebrationService');
+ *   await runInTransaction((session) =>
+ *     celebrationService.grantCelebration({ member, occasion: 'birthday', year }, { session }));
+ */
+
+const CelebrationGrant = require('../models/CelebrationGrant');
+const loyaltyConfig = require('../config/loyalty');
+const pointsService = require('./pointsService');
+const rewardService = require('./rewardService');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Gets the calendar date of a moment in the loyalty time zone.
+ * @param {Date} at Moment to convert
+ * @returns {{year: number, month: number, day: number}} Month is 1-based
+ */
+const getLocalDate = (at) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: loyaltyConfig.timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+  }).formatToParts(at);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+
+  return { year: part('year'), month: part('month'), day: part('day') };
+};
+
+/**
+ * Issues the birthday voucher, if one is configured.
+ * A reward that cannot be gifted (missing, unavailable or out of stock) yields no voucher
+ * instead of failing the grant; other errors, such as transient transaction errors, propagate.
+ * @param {Object} member Member document
+ * @param {*} rewardId Reward ObjectId, or null
+ * @param {Object} session MongoDB session
+ * @returns {Promise<{voucher: (Object|null), voucherError: (string|null)}>}
+ */
+const giftBirthdayVoucher = async (member, rewardId, session) => {
+  if (!rewardId) {
+    return { voucher: null, voucherError: null };
+  }
+  try {
+    const voucher = await rewardService.giftReward({ member, rewardId }, { session });
+    return { voucher, voucherError: null };
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return { voucher: null, voucherError: error.message };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Grants a birthday or anniversary gift for one year.
+ * Fails with a duplicate key error if the member already received it that year. When the
+ * birthday voucher cannot be issued the points are still granted and the reason is added to
+ * the note.
+ * @param {Object} grant
+ * @param {Object} grant.member Member document
+ * @param {string} grant.occasion "birthday" or "anniversary"
+ * @param {number} grant.year Calendar year of the gift
+ * @param {string} [grant.note] Explanation shown in the member's history
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The CelebrationGrant
+ */
+const grantCelebration = async ({ member, occasion, year, note = '' }, { session = null } = {}) => {
+  const points =
+    occasion === 'birthday' ? loyaltyConfig.birthdayBonusPoints : loyaltyConfig.anniversaryBonusPoints;
+  const rewardId = occasion === 'birthday' ? loyaltyConfig.birthdayRewardId : null;
+
+  const { voucher, voucherError } = await giftBirthdayVoucher(member, rewardId, session);
+  const grantNote = voucherError ? `${note} (no voucher: ${voucherError})`.trim() : note;
+
+  const [grant] = await CelebrationGrant.create(
+    [
+      {
+        member: member._id,
+        occasion,
+        year,
+        points,
+        voucher: voucher ? voucher._id : null,
+        note: grantNote,
+      },
+    ],
+    { session }
+  );
+
+  if (points > 0) {
+    await pointsService.creditPoints(
+      {
+        memberId: member._id,
+        points,
+        reason: occasion,
+        sourceModel: 'CelebrationGrant',
+        sourceId: grant._id,
+        note,
+      },
+      { session }
+    );
+  }
+
+  return grant;
+};
+
+/**
+ * Lists the birthday and anniversary gifts a member received, newest first.
+ * @param {*} memberId Member ObjectId
+ * @returns {Promise<Array<Object>>}
+ */
+const getCelebrationGrants = (memberId) =>
+  CelebrationGrant.find({ member: memberId })
+    .sort({ createdAt: -1 })
+    .populate({ path: 'voucher', populate: { path: 'reward', select: 'name' } });
+
+module.exports = {
+  getLocalDate,
+  grantCelebration,
+  getCelebrationGrants,
+};
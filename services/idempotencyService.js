@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Idempotency service for Tsuki Coffee backend.
+ * Remembers Idempotency-Key headers so a POST retried by a client on a flaky connection is
+ * answered with the first response instead of running twice. A key is claimed atomically
+ * through the unique (actor, key) index, so two parallel retries can never both run. The claim
+ * is a lease (IdempotencyKey.lockedUntil) that the running request keeps renewing: a key left
+ * pending by a request that never finished can be reclaimed once the lease has run out,
+ * instead of blocking retries for a day.
+ *
+ * Usage:
+ *   const idempotencyService = require('../services/idempotencyService');
+ *   const fingerprint = idempotencyService.fingerprintRequest({ method, path, body });
+ *   const stored = await idempotencyService.beginRequest({ actor, key, fingerprint });
+ *   const scope = { actor, key, lockedUntil: stored.lockedUntil };
+ *   scope.lockedUntil = await idempotencyService.renewRequest(scope); // while it runs
+ *   await idempotencyService.completeRequest(scope, { status: 200, body });
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { IDEMPOTENCY_LEASE_SECONDS } = require('../models/IdempotencyKey');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Serializes a JSON value with object keys sorted, so equal payloads give equal text.
+ * @param {*} value JSON value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((name) => value[name] !== undefined)
+      .sort()
+      .map((name) => `${JSON.stringify(name)}:${canonicalJson(value[name])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprints a request so a reused key with a different payload can be detected.
+ * @param {Object} request
+ * @param {string} request.method HTTP method
+ * @param {string} request.path Request path, including the router mount path
+ * @param {*} request.body Parsed request body
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprintRequest = ({ method, path, body }) =>
+  crypto
+    .createHash('sha256')
+    .update(canonicalJson({ method, path, body: body === undefined ? null : body }))
+    .digest('hex');
+
+/**
+ * Takes over a pending key whose lease has run out. Keys stored before leases existed have
+ * no lockedUntil and are reclaimable once they are a lease old.
+ * The conditional update lets only one of several parallel retries win the key.
+ * @param {{actor: string, key: string, fingerprint: string}} params Key to reclaim
+ * @returns {Promise<Object|null>} The reclaimed IdempotencyKey, or null if its lease is held
+ */
+const reclaimRequest = ({ actor, key, fingerprint }) => {
+  const now = new Date();
+  const leaseStart = new Date(now.getTime() - IDEMPOTENCY_LEASE_SECONDS * 1000);
+
+  return IdempotencyKey.findOneAndUpdate(
+    {
+      actor,
+      key,
+      fingerprint,
+      status: 'pending',
+      $or: [
+        { lockedUntil: { $lte: now } },
+        { lockedUntil: null, createdAt: { $lte: leaseStart } },
+      ],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + IDEMPOTENCY_LEASE_SECONDS * 1000) } },
+    { new: true }
+  );
+};
+
+/**
+ * Claims a key for a new request, or returns the stored result of an earlier one.
+ * A pending key whose lease has run out is reclaimed, so the request runs again.
+ * Fails with 409 when the key was used with a different request or the first request with
+ * this key is still running.
+ * @param {Object} params
+ * @param {string} params.actor Caller scope, "<token type>:<account id>"
+ * @param {string} params.key Idempotency-Key header value
+ * @param {string} params.fingerprint Request fingerprint
+ * @returns {Promise<Object>} The IdempotencyKey: completed to replay, or pending when the key
+ *   was claimed and the request should run (its lockedUntil identifies the claim)
+ */
+const beginRequest = async ({ actor, key, fingerprint }) => {
+  try {
+    return await IdempotencyKey.create({ actor, key, fingerprint });
+  } catch (error) {
+    if (!error || error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ actor, key });
+  if (!existing) {
+    // Expired between the insert and the lookup; claim it again
+    return IdempotencyKey.create({ actor, key, fingerprint });
+  }
+  if (existing.fingerprint !== fingerprint) {
+    throw new ApiError(409, 'This Idempotency-Key was already used for a different request.', {
+      code: 'IDEMPOTENCY_KEY_REUSED',
+    });
+  }
+  if (existing.status === 'completed') {
+    return existing;
+  }
+
+  const reclaimed = await reclaimRequest({ actor, key, fingerprint });
+  if (!reclaimed) {
+    throw new ApiError(409, 'A request with this Idempotency-Key is still being processed.', {
+      code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+    });
+  }
+  return reclaimed;
+};
+
+/**
+ * Extends the lease of a claimed key while its request is still running, so a slow request
+ * is not reclaimed by a retry. The new lockedUntil identifies the claim from then on.
+ * @param {{actor: string, key: string, lockedUntil: Date}} scope Claimed key and its lease
+ * @returns {Promise<Date|null>} The new end of the lease, or null if the claim was lost
+ */
+const renewRequest = async ({ actor, key, lockedUntil }) => {
+  const renewedUntil = new Date(Date.now() + IDEMPOTENCY_LEASE_SECONDS * 1000);
+  const result = await IdempotencyKey.updateOne(
+    { actor, key, status: 'pending', lockedUntil },
+    { $set: { lockedUntil: renewedUntil } }
+  );
+  return result.modifiedCount === 1 ? renewedUntil : null;
+};
+
+/**
+ * Stores the response of a request so retries get it back.
+ * Nothing is stored if the claim was lost to a retry that reclaimed the key.
+ * @param {{actor: string, key: string, lockedUntil: Date}} scope Claimed key and its lease
+ * @param {Object} response
+ * @param {number} response.status HTTP status
+ * @param {*} response.body JSON body
+ * @returns {Promise<void>}
+ */
+const completeRequest = async ({ actor, key, lockedUntil }, { status, body }) => {
+  await IdempotencyKey.updateOne(
+    { actor, key, status: 'pending', lockedUntil },
+    {
+      $set: {
+        status: 'completed',
+        responseStatus: status,
+        // Store plain JSON (documents are serialized the same way they were sent)
+        responseBody: body === undefined ? null : JSON.parse(JSON.stringify(body)),
+      },
+    }
+  );
+};
+
+/**
+ * Releases a claimed key without storing a response, so a retry runs the request again.
+ * Used when the request failed with a server error before anything was committed. A key
+ * reclaimed by a retry in the meantime is left to that retry.
+ * @param {{actor: string, key: string, lockedUntil: Date}} scope Claimed key and its lease
+ * @returns {Promise<void>}
+ */
+const releaseRequest = async ({ actor, key, lockedUntil }) => {
+  await IdempotencyKey.deleteOne({ actor, key, status: 'pending', lockedUntil });
+};
+
+module.exports = {
+  fingerprintRequest,
+  beginRequest,
+  renewRequest,
+  completeRequest,
+  releaseRequest,
+};
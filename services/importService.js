@@ -0,0 +1,113 @@
+/**
+ * @fileoverview CSV import service for Tsuki Coffee backend.
+ * Runs parsed CSV rows through the same prepare/create steps as the single-record endpoints.
+ * Every row is validated first; the import is all-or-nothing at the validation stage, so a file
+ * with any invalid row writes nothing and reports every error with its line number.
+ *
+ * Usage:
+ *   const importService = require('../services/importService');
+ *   const summary = await importService.importRows(rows, {
+ *     toInput, keyOf, duplicateMessage, prepare, create,
+ *   }, { dryRun });
+ */
+
+const { ApiError } = require('../utils/errors');
+
+// Largest file accepted in one request
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Parses an optional numeric CSV field.
+ * @param {string} value Trimmed field value
+ * @param {string} name Column name, used in error messages
+ * @returns {number|undefined} The number, or undefined when the field is empty
+ */
+const toNumber = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ApiError(400, `${name} must be a number.`);
+  }
+  return number;
+};
+
+/**
+ * Validates and, unless dryRun is set or a row is invalid, creates one record per CSV row.
+ * @param {Array<{line: number, values: Object}>} rows Rows from parseCsv
+ * @param {Object} steps
+ * @param {function(Object): Object} steps.toInput Maps CSV values to the prepare input
+ * @param {function(Object): string} steps.keyOf Unique key of an input (duplicates within the file fail)
+ * @param {string} steps.duplicateMessage Error for a key repeated within the file
+ * @param {function(Object): Promise<*>} steps.prepare Validates an input without writing
+ * @param {function(*): Promise<*>} steps.create Creates a prepared record
+ * @param {Object} options
+ * @param {boolean} options.dryRun Only validate
+ * @returns {Promise<{dryRun: boolean, total: number, valid: number, invalid: number, imported: number,
+ *   errors: Array<{line: number, error: string}>}>}
+ */
+const importRows = async (rows, { toInput, keyOf, duplicateMessage, prepare, create }, { dryRun }) => {
+  if (rows.length === 0) {
+    throw new ApiError(400, 'CSV has no data rows.');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, `CSV may contain at most ${MAX_IMPORT_ROWS} rows.`);
+  }
+
+  // Validate every row, including duplicates within the file itself
+  const seen = new Map();
+  const prepared = [];
+  const errors = [];
+  for (const { line, values } of rows) {
+    try {
+      const input = toInput(values);
+      const key = keyOf(input);
+      if (key && seen.has(key)) {
+        throw new ApiError(400, `${duplicateMessage} (also on line ${seen.get(key)}).`);
+      }
+      seen.set(key, line);
+      prepared.push({ line, record: await prepare(input) });
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+      errors.push({ line, error: error.message });
+    }
+  }
+
+  const summary = {
+    dryRun,
+    total: rows.length,
+    valid: prepared.length,
+    invalid: errors.length,
+    imported: 0,
+    errors,
+  };
+  if (dryRun || errors.length > 0) {
+    return summary;
+  }
+
+  // Create the records; a row can still fail if the data changed since validation
+  for (const { line, record } of prepared) {
+    try {
+      await create(record);
+      summary.imported += 1;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        errors.push({ line, error: error.message });
+      } else if (error && error.code === 11000) {
+        errors.push({ line, error: 'Duplicate record.' });
+      } else {
+        throw error;
+      }
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  toNumber,
+  importRows,
+};
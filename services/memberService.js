@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Member service for Tsuki Coffee backend.
+ * Validates and creates members. Shared by POST /members and the CSV member import so both
+ * apply exactly the same rules, including the duplicate-phone check. Phone numbers are stored
+ * normalized (utils/phone), so one number cannot be registered twice in different formats.
+ *
+ * Usage:
+ *   const memberService = require('../services/memberService');
+ *   const prepared = await memberService.prepareMember(req.body);
+ *   const member = await memberService.createMember(prepared);
+ */
+
+const ClubCategory = require('../models/ClubCategory');
+const Member = require('../models/Member');
+const { runInTransaction } = require('../config/db');
+const pointsService = require('./pointsService');
+const referralService = require('./referralService');
+const { ApiError } = require('../utils/errors');
+const { hashPassword, validatePassword } = require('../utils/password');
+const { normalizePhone } = require('../utils/phone');
+
+// MongoDB duplicate key error code (phone registered by a concurrent request)
+const DUPLICATE_KEY = 11000;
+
+// Loose email shape check; deliverability is not verified
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates the optional profile fields shared by adding and editing members.
+ * Null or an empty string clears a field.
+ * @param {Object} fields
+ * @param {*} [fields.birthDate] Birth date input
+ * @param {*} [fields.email] Email input
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateProfileFields = ({ birthDate, email }) => {
+  if (birthDate !== undefined && birthDate !== null && birthDate !== '') {
+    const date = new Date(birthDate);
+    if (Number.isNaN(date.getTime())) {
+      return 'birthDate must be a valid date.';
+    }
+    if (date > new Date()) {
+      return 'birthDate cannot be in the future.';
+    }
+  }
+  if (email !== undefined && email !== null && email !== '') {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      return 'email must be a valid email address.';
+    }
+  }
+  return null;
+};
+
+/**
+ * Converts a birth date input to a calendar date stored as UTC midnight.
+ * @param {*} value Date input, or null/empty to clear
+ * @returns {Date|null}
+ */
+const toBirthDate = (value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Normalizes a phone number and makes sure no other member has registered it.
+ * @param {string} phone Phone number as entered
+ * @param {*} [exceptMemberId] Member being edited, whose own number does not count
+ * @returns {Promise<string>} The normalized phone number
+ */
+const assertPhoneAvailable = async (phone, exceptMemberId = null) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    throw new ApiError(400, 'Phone must contain digits.');
+  }
+  const filter = { phone: normalized };
+  if (exceptMemberId) {
+    filter._id = { $ne: exceptMemberId };
+  }
+  if (await Member.exists(filter)) {
+    throw new ApiError(400, 'A member with this phone number is already registered.', {
+      code: 'ALREADY_EXISTS',
+    });
+  }
+  return normalized;
+};
+
+/**
+ * Validates a new member and resolves its references, without writing anything.
+ * @param {Object} input
+ * @param {string} input.name Member name
+ * @param {string} input.phone Phone number (must not be registered yet)
+ * @param {string} [input.clubCategory] Club category name
+ * @param {*} [input.validUntil] Membership end date (default: one year from now)
+ * @param {number} [input.points] Opening balance
+ * @param {string} [input.password] Customer app password
+ * @param {string} [input.referralCode] Referral code of the referring member
+ * @param {*} [input.birthDate] Birth date
+ * @param {string} [input.email] Email address
+ * @returns {Promise<{fields: Object, openingPoints: number, referrer: (Object|null)}>}
+ */
+const prepareMember = async ({
+  name = '',
+  phone = '',
+  clubCategory = null,
+  validUntil = null,
+  points = 0,
+  password = null,
+  referralCode = null,
+  birthDate = null,
+  email = null,
+}) => {
+  // Validate required fields
+  if (typeof name !== 'string' || typeof phone !== 'string' || !name.trim() || !phone.trim()) {
+    throw new ApiError(400, 'Name and phone are required.');
+  }
+  const profileError = validateProfileFields({ birthDate, email });
+  if (profileError) {
+    throw new ApiError(400, profileError);
+  }
+  if (password !== null) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      throw new ApiError(400, passwordError);
+    }
+  }
+  if (validUntil && Number.isNaN(new Date(validUntil).getTime())) {
+    throw new ApiError(400, 'validUntil must be a valid date.');
+  }
+
+  // Check for duplicate phone number
+  const normalizedPhone = await assertPhoneAvailable(phone);
+
+  // If a referral code is provided, resolve the referrer and check for abuse
+  const referrer = referralCode
+    ? await referralService.findReferrer({ code: referralCode, phone: normalizedPhone })
+    : null;
+
+  // If clubCategory is provided, validate existence
+  let clubCategoryId = null;
+  if (clubCategory) {
+    const category = await ClubCategory.findOne({ name: clubCategory });
+    if (!category) {
+      throw new ApiError(400, 'ClubCategory not found.');
+    }
+    clubCategoryId = category._id;
+  }
+
+  // Set validUntil: default 1 year from now if not provided
+  const validUntilDate = validUntil
+    ? new Date(validUntil)
+    : (() => {
+        const now = new Date();
+        now.setFullYear(now.getFullYear() + 1);
+        return now;
+      })();
+
+  return {
+    fields: {
+      name: name.trim(),
+      phone: normalizedPhone,
+      clubCategory: clubCategoryId,
+      validUntil: validUntilDate,
+      password,
+      birthDate: toBirthDate(birthDate),
+      email: email ? email.trim() : null,
+    },
+    openingPoints: typeof points === 'number' && points >= 0 ? points : 0,
+    referrer,
+  };
+};
+
+/**
+ * Creates a member prepared by prepareMember. The member, its referral and its opening
+ * balance are written in one MongoDB transaction.
+ * @param {{fields: Object, openingPoints: number, referrer: (Object|null)}} prepared
+ * @returns {Promise<Object>} The created member with its clubCategory populated
+ */
+const createMember = async ({ fields, openingPoints, referrer }) => {
+  const { password, ...profile } = fields;
+  const member = new Member({
+    ...profile,
+    points: 0,
+    passwordHash: password !== null ? await hashPassword(password) : null,
+    referralCode: Member.generateReferralCode(),
+    referredBy: referrer ? referrer._id : null,
+  });
+
+  // Save the member, its referral and its opening balance together
+  const credited = await runInTransaction(async (session) => {
+    try {
+      await member.save({ session });
+    } catch (error) {
+      if (error && error.code === DUPLICATE_KEY && error.keyPattern && error.keyPattern.phone) {
+        throw new ApiError(400, 'A member with this phone number is already registered.', {
+          code: 'ALREADY_EXISTS',
+        });
+      }
+      throw error;
+    }
+
+    if (referrer) {
+      await referralService.createReferral({ referrer, referee: member }, { session });
+    }
+
+    if (openingPoints > 0) {
+      return pointsService.creditPoints(
+        {
+          memberId: member._id,
+          points: openingPoints,
+          reason: 'adjustment',
+          sourceModel: 'Member',
+          sourceId: member._id,
+          note: 'Opening balance',
+        },
+        { session }
+      );
+    }
+    return null;
+  });
+  if (credited) {
+    member.points = credited.points;
+  }
+
+  await member.populate('clubCategory');
+  return member;
+};
+
+module.exports = {
+  validateProfileFields,
+  assertPhoneAvailable,
+  toBirthDate,
+  prepareMember,
+  createMember,
+};
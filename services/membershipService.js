@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Membership service for Tsuki Coffee backend.
+ * Derives a member's membership status (active, grace, expired) from validUntil and the
+ * configured grace period, and renews memberships by the tier's renewal period.
+ *
+ * During the grace period sales are still accepted but their points are held. Renewing before
+ * the grace period ends releases the held points; renewing later forfeits them.
+ *
+ * Usage:
+ *   const membershipService = require('../services/membershipService');
+ *   const { status } = membershipService.getMembershipStatus(member);
+ */
+
+const ClubCategory = require('../models/ClubCategory');
+const Member = require('../models/Member');
+const Transaction = require('../models/Transaction');
+const loyaltyConfig = require('../config/loyalty');
+const pointsService = require('./pointsService');
+const { ApiError } = require('../utils/errors');
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Membership states
+const MEMBERSHIP_STATUSES = { ACTIVE: 'active', GRACE: 'grace', EXPIRED: 'expired' };
+
+/**
+ * Describes a member's membership status at a point in time.
+ * @param {Object} member Member document
+ * @param {Date} [at] Moment to evaluate
+ * @returns {{status: string, valid: boolean, validUntil: Date, daysRemaining: number,
+ *   inGracePeriod: boolean, graceEndsAt: Date, graceDaysRemaining: number}}
+ */
+const getMembershipStatus = (member, at = new Date()) => {
+  const validUntil = new Date(member.validUntil);
+  const graceEndsAt = new Date(validUntil.getTime() + loyaltyConfig.membershipGraceDays * DAY_MS);
+
+  let status = MEMBERSHIP_STATUSES.EXPIRED;
+  if (validUntil >= at) {
+    status = MEMBERSHIP_STATUSES.ACTIVE;
+  } else if (graceEndsAt >= at) {
+    status = MEMBERSHIP_STATUSES.GRACE;
+  }
+
+  return {
+    status,
+    valid: status === MEMBERSHIP_STATUSES.ACTIVE,
+    validUntil,
+    daysRemaining: Math.max(Math.ceil((validUntil - at) / DAY_MS), 0),
+    inGracePeriod: status === MEMBERSHIP_STATUSES.GRACE,
+    graceEndsAt,
+    graceDaysRemaining:
+      status === MEMBERSHIP_STATUSES.EXPIRED ? 0 : Math.max(Math.ceil((graceEndsAt - at) / DAY_MS), 0),
+  };
+};
+
+/**
+ * Credits or forfeits the points held on a member's grace-period sales.
+ * @param {*} memberId Member ObjectId
+ * @param {boolean} release True to credit the points, false to forfeit them
+ * @param {Object} session MongoDB session
+ * @returns {Promise<{released: number, forfeited: number}>} Points credited or forfeited
+ */
+const settleHeldPoints = async (memberId, release, session) => {
+  const heldSales = await Transaction.find({ memberId, pointsStatus: 'held' }).session(session);
+
+  const settled = { released: 0, forfeited: 0 };
+  for (const sale of heldSales) {
+    // Points of refunded units are no longer owed; voided sales owe nothing
+    const owed = sale.status === 'voided' ? 0 : sale.pointsAdded - sale.pointsReversed;
+
+    if (release && owed > 0) {
+      await pointsService.creditPoints(
+        {
+          memberId,
+          points: owed,
+          reason: 'earn',
+          sourceModel: 'Transaction',
+          sourceId: sale._id,
+          note: 'Points held during grace period released on renewal',
+        },
+        { session }
+      );
+      settled.released += owed;
+    } else {
+      settled.forfeited += owed;
+    }
+
+    await Transaction.updateOne(
+      { _id: sale._id },
+      { $set: { pointsStatus: release ? 'awarded' : 'forfeited' } },
+      { session }
+    );
+  }
+
+  return settled;
+};
+
+/**
+ * Renews a membership by the renewal period of the member's tier.
+ * The new period starts at the later of now and the current validUntil, so renewing early
+ * never loses remaining days. An optional fee is recorded as a "renewal" transaction.
+ * The member is read again inside the session and the new validUntil is only written if the
+ * old one is unchanged, so two concurrent renewals cannot both extend from the same date.
+ * @param {Object} renewal
+ * @param {Object} renewal.member Member document (only its _id is used)
+ * @param {number} [renewal.fee] Renewal fee charged
+ * @param {Object} [renewal.store] Store that collected the fee (required with a fee)
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<{member: Object, renewalTransaction: (Object|null), releasedPoints: number,
+ *   forfeitedPoints: number}>}
+ */
+const renewMembership = async (
+  { member: loaded, fee = 0, store = null },
+  { session = null } = {}
+) => {
+  const now = new Date();
+
+  // Judge the renewal on the member as this session sees it, not as the caller loaded it
+  const member = await Member.findById(loaded._id).session(session);
+  if (!member) {
+    throw new ApiError(404, 'Member not found.');
+  }
+  const { status } = getMembershipStatus(member, now);
+  const { renewalPeriodMonths } = await ClubCategory.getRules(member.clubCategory, { session });
+
+  const base = member.validUntil > now ? new Date(member.validUntil) : now;
+  const validUntil = new Date(base);
+  validUntil.setMonth(validUntil.getMonth() + renewalPeriodMonths);
+
+  let renewalTransaction = null;
+  if (fee > 0) {
+    [renewalTransaction] = await Transaction.create(
+      [
+        {
+          memberId: member._id,
+          store: store ? store._id : null,
+          type: 'renewal',
+          totalPrice: fee,
+          pointsAdded: 0,
+          reason: `Membership renewal for ${renewalPeriodMonths} month(s)`,
+          createdAt: now,
+        },
+      ],
+      { session }
+    );
+  }
+
+  // Held points survive only if the member renews before the grace period ends
+  const release = status !== MEMBERSHIP_STATUSES.EXPIRED;
+  const { released, forfeited } = await settleHeldPoints(member._id, release, session);
+
+  // Only extend the period this renewal was computed from; a concurrent renewal fails it
+  const updated = await Member.findOneAndUpdate(
+    { _id: member._id, validUntil: member.validUntil },
+    { $set: { validUntil } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new ApiError(409, 'Membership changed while renewing. Please reload and try again.');
+  }
+
+  return {
+    member: updated,
+    renewalTransaction,
+    releasedPoints: released,
+    forfeitedPoints: forfeited,
+  };
+};
+
+module.exports = {
+  MEMBERSHIP_STATUSES,
+  getMembershipStatus,
+  renewMembership,
+};
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Notification channel adapters for Tsuki Coffee backend.
+ * An adapter sends one rendered message: send({ id, channel, to, subject, body }) resolves
+ * with { providerMessageId } (optional) once the message was accepted, and throws when it
+ * was not, so the queue retries it. config/notifications picks the adapter of each channel.
+ *
+ * Built-in adapters:
+ *   console  Logs the message (development)
+ *   file     Appends the message as a JSON line to NOTIFICATION_FILE_PATH (testing)
+ *   http     POSTs the message as JSON to the WhatsApp/SMS/email gateway at
+ *            NOTIFICATION_HTTP_URL, with NOTIFICATION_HTTP_TOKEN as bearer token; any 2xx
+ *            response counts as sent and its JSON "id", if any, is kept as providerMessageId
+ * Provider-specific adapters can be added with registerAdapter.
+ *
+ * Usage:
+ *   const notificationChannels = require('../services/notificationChannels');
+ *   notificationChannels.registerAdapter('twilio', { send: async (message) => ({}) });
+ *   await notificationChannels.getAdapter('whatsapp').send(message);
+ */
+
+const fs = require('fs');
+const notificationConfig = require('../config/notifications');
+
+// Adapters by name
+const adapters = new Map();
+
+/**
+ * Registers (or replaces) a channel adapter.
+ * @param {string} name Adapter name used in config/notifications
+ * @param {{send: function(Object): Promise<{providerMessageId: (string|undefined)}>}} adapter
+ * @returns {void}
+ */
+const registerAdapter = (name, adapter) => {
+  adapters.set(name, adapter);
+};
+
+/**
+ * Tells whether a channel has an adapter configured.
+ * @param {string} channel "whatsapp", "sms" or "email"
+ * @returns {boolean}
+ */
+const isChannelEnabled = (channel) => {
+  const name = notificationConfig.adapters[channel];
+  return Boolean(name) && name !== 'none';
+};
+
+/**
+ * Returns the adapter configured for a channel.
+ * @param {string} channel "whatsapp", "sms" or "email"
+ * @returns {Object}
+ * @throws {Error} When the channel is disabled or its adapter is unknown
+ */
+const getAdapter = (channel) => {
+  const name = notificationConfig.adapters[channel];
+  if (!isChannelEnabled(channel)) {
+    throw new Error(`Notification channel ${channel} is disabled.`);
+  }
+  if (!adapters.has(name)) {
+    throw new Error(`Unknown notification adapter "${name}" for channel ${channel}.`);
+  }
+  return adapters.get(name);
+};
+
+registerAdapter('console', {
+  send: async ({ channel, to, body }) => {
+    console.log(`[notification:${channel}] to ${to}: ${body}`);
+    return {};
+  },
+});
+
+registerAdapter('file', {
+  send: async (message) => {
+    const line = JSON.stringify({ at: new Date(), ...message });
+    await fs.promises.appendFile(notificationConfig.filePath, `${line}\n`);
+    return {};
+  },
+});
+
+registerAdapter('http', {
+  send: async (message) => {
+    if (!notificationConfig.httpUrl) {
+      throw new Error('NOTIFICATION_HTTP_URL is not configured.');
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (notificationConfig.httpToken) {
+      headers.Authorization = `Bearer ${notificationConfig.httpToken}`;
+    }
+    const response = await fetch(notificationConfig.httpUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(notificationConfig.timeoutMs),
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`Gateway answered ${response.status}: ${text.slice(0, 200)}`);
+    }
+    let result = {};
+    try {
+      result = JSON.parse(text) || {};
+    } catch (error) {
+      // A gateway that answers without JSON gives no message id
+    }
+    return { providerMessageId: result.id ? String(result.id) : null };
+  },
+});
+
+module.exports = {
+  registerAdapter,
+  isChannelEnabled,
+  getAdapter,
+};
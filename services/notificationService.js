@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Notification service for Tsuki Coffee backend.
+ * Queues and sends member notifications (points earned, redemptions, expiring memberships).
+ * A notification is rendered from a template in the member's language and queued once per
+ * channel the member chose, unless they opted out or the channel has no address or adapter.
+ * The first attempt runs in the background; failed ones, and ones cut short when a serverless
+ * function freezes after its response, are retried with exponential backoff. Due retries are
+ * attempted in the background whenever a new notification is queued; the daily
+ * POST /jobs/send-notifications run catches the ones nothing picked up.
+ *
+ * Usage:
+ *   const notificationService = require('../services/notificationService');
+ *   await notificationService.notifySale(transaction);
+ */
+
+const Member = require('../models/Member');
+const Notification = require('../models/Notification');
+const notificationConfig = require('../config/notifications');
+const membershipService = require('./membershipService');
+const notificationChannels = require('./notificationChannels');
+const notificationTemplates = require('./notificationTemplates');
+const { getBackoffDelay } = require('../utils/backoff');
+
+// MongoDB duplicate key error code (one-off message already queued for the member)
+const DUPLICATE_KEY = 11000;
+
+// Extra time an attempt keeps its claim on a notification after the gateway timeout
+const CLAIM_MARGIN_MS = 30 * 1000;
+
+// Due retries attempted in the background after each queued notification
+const RETRIES_PER_NOTIFICATION = 10;
+
+/**
+ * Returns a member's address on a channel.
+ * @param {Object} member Member document
+ * @param {string} channel "whatsapp", "sms" or "email"
+ * @returns {string|null}
+ */
+const getAddress = (member, channel) => (channel === 'email' ? member.email : member.phone) || null;
+
+/**
+ * Makes one attempt to send a pending notification that is due.
+ * The notification is claimed first, so the send job and an immediate attempt never send it
+ * at the same time.
+ * @param {*} notificationId Notification ObjectId
+ * @returns {Promise<Object|null>} The updated notification, or null when it was not due
+ */
+const attemptNotification = async (notificationId) => {
+  const now = new Date();
+  const claimedUntil = new Date(now.getTime() + notificationConfig.timeoutMs + CLAIM_MARGIN_MS);
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: claimedUntil } },
+    { new: true }
+  );
+  if (!notification) {
+    return null;
+  }
+
+  const attempt = { at: now, error: '', durationMs: 0 };
+  let result = null;
+  try {
+    result = await notificationChannels.getAdapter(notification.channel).send({
+      id: String(notification._id),
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body,
+    });
+  } catch (error) {
+    attempt.error =
+      error.name === 'TimeoutError'
+        ? `No response within ${notificationConfig.timeoutMs} ms.`
+        : error.message || String(error);
+  }
+  attempt.durationMs = Date.now() - now.getTime();
+
+  const attempts = notification.attempts.length + 1;
+  const retryDelay = getBackoffDelay(attempts, {
+    baseSeconds: notificationConfig.retryBaseSeconds,
+    maxSeconds: notificationConfig.retryMaxSeconds,
+  });
+  let update = { nextAttemptAt: new Date(Date.now() + retryDelay) };
+  if (!attempt.error) {
+    update = {
+      status: 'sent',
+      sentAt: new Date(),
+      nextAttemptAt: null,
+      providerMessageId: (result && result.providerMessageId) || null,
+    };
+  } else if (attempts >= notificationConfig.maxAttempts) {
+    update = { status: 'failed', nextAttemptAt: null };
+  }
+
+  return Notification.findByIdAndUpdate(
+    notification._id,
+    { $set: update, $push: { attempts: attempt } },
+    { new: true }
+  );
+};
+
+/**
+ * Attempts pending notifications that are due, oldest due first, one at a time.
+ * A failure on one notification is logged without stopping the others.
+ * @param {Array<*>} [excludeIds] Notifications the caller is already attempting
+ * @returns {Promise<void>}
+ */
+const retryDueNotifications = async (excludeIds = []) => {
+  const due = await Notification.find({
+    _id: { $nin: excludeIds },
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRIES_PER_NOTIFICATION)
+    .select('_id');
+
+  for (const { _id } of due) {
+    await attemptNotification(_id).catch((error) =>
+      console.error(`notification send error for ${_id}:`, error)
+    );
+  }
+};
+
+/**
+ * Queues a notification to a member on every channel they chose and starts sending it.
+ * The member is read fresh, so {{balance}} reflects changes committed just before.
+ * Never throws, so a notification problem cannot fail the request that triggered it (which
+ * has already been committed).
+ * @param {*} memberId Member ObjectId
+ * @param {string} template Template name (see notificationTemplates)
+ * @param {function(Object): Object} buildData Builds the template data from the member;
+ *   {{name}} and {{balance}} are always available
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey] Key of a message that must reach a member only once
+ * @returns {Promise<number>} Number of notifications queued
+ */
+const notifyMember = async (memberId, template, buildData, { dedupeKey = null } = {}) => {
+  try {
+    const member = await Member.findById(memberId);
+    if (!member || member.notificationPreferences.optOut) {
+      return 0;
+    }
+
+    const { channels, language } = member.notificationPreferences;
+    const { subject, body } = notificationTemplates.render(template, language, {
+      name: member.name,
+      balance: member.points,
+      ...buildData(member),
+    });
+
+    const notifications = [];
+    for (const channel of new Set(channels)) {
+      const to = getAddress(member, channel);
+      if (!to || !notificationChannels.isChannelEnabled(channel)) {
+        continue;
+      }
+      try {
+        notifications.push(
+          await Notification.create({
+            member: member._id,
+            channel,
+            to,
+            template,
+            language,
+            subject,
+            body,
+            dedupeKey,
+          })
+        );
+      } catch (error) {
+        if (!error || error.code !== DUPLICATE_KEY) {
+          throw error;
+        }
+      }
+    }
+
+    for (const notification of notifications) {
+      attemptNotification(notification._id).catch((error) =>
+        console.error(`notification send error for ${notification._id}:`, error)
+      );
+    }
+    retryDueNotifications(notifications.map((notification) => notification._id)).catch(
+      (error) => console.error('notification retry error:', error)
+    );
+    return notifications.length;
+  } catch (error) {
+    console.error(`notification error for member ${memberId}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Tells a member how many points a sale earned them and their new balance. During the
+ * membership grace period the message says the points are held until renewal instead.
+ * Sales that earned no points send nothing.
+ * @param {Object} transaction Saved sale Transaction
+ * @returns {Promise<number>} Number of notifications queued
+ */
+const notifySale = async (transaction) => {
+  if (!(transaction.pointsAdded > 0)) {
+    return 0;
+  }
+  const held = transaction.pointsStatus === 'held';
+  return notifyMember(transaction.memberId, held ? 'points_held' : 'points_earned', (member) => {
+    const { validUntil, graceEndsAt } = membershipService.getMembershipStatus(member);
+    return { points: transaction.pointsAdded, validUntil, graceEndsAt };
+  });
+};
+
+/**
+ * Sends a member their voucher code after a redemption.
+ * @param {Object} voucher Issued Voucher with its reward populated
+ * @returns {Promise<number>} Number of notifications queued
+ */
+const notifyRedemption = async (voucher) =>
+  notifyMember(voucher.member, 'points_redeemed', () => ({
+    pointsSpent: voucher.pointsSpent,
+    reward: voucher.reward && voucher.reward.name,
+    code: voucher.code,
+    expiresAt: voucher.expiresAt,
+  }));
+
+/**
+ * Reminds a member that their membership is about to expire. Sent once per validUntil.
+ * @param {Object} member Member document
+ * @returns {Promise<number>} Number of notifications queued
+ */
+const notifyMembershipExpiring = async (member) =>
+  notifyMember(
+    member._id,
+    'membership_expiring',
+    (current) => {
+      const { validUntil, daysRemaining } = membershipService.getMembershipStatus(current);
+      return { validUntil, daysRemaining };
+    },
+    { dedupeKey: `membership_expiring:${member.validUntil.toISOString()}` }
+  );
+
+module.exports = {
+  attemptNotification,
+  notifyMember,
+  notifySale,
+  notifyRedemption,
+  notifyMembershipExpiring,
+};
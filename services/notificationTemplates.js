@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Member notification templates for Tsuki Coffee backend.
+ * Every template has an Indonesian ("id") and an English ("en") version with a subject (used
+ * by email) and a body. {{placeholders}} are filled from the notification data: numbers are
+ * formatted for the language and dates are shown as calendar dates in the loyalty time zone.
+ *
+ * Usage:
+ *   const notificationTemplates = require('../services/notificationTemplates');
+ *   const { subject, body } = notificationTemplates.render('points_earned', 'id', data);
+ */
+
+const loyaltyConfig = require('../config/loyalty');
+
+// Locale used to format numbers and dates per template language
+const LOCALES = { id: 'id-ID', en: 'en-GB' };
+
+// Message templates by name, then language
+const TEMPLATES = {
+  points_earned: {
+    id: {
+      subject: 'Poin Tsuki Coffee kamu bertambah',
+      body:
+        'Hai {{name}}, kamu mendapatkan {{points}} poin dari pembelianmu di Tsuki Coffee. ' +
+        'Saldo poinmu sekarang {{balance}}.',
+    },
+    en: {
+      subject: 'You earned Tsuki Coffee points',
+      body:
+        'Hi {{name}}, you earned {{points}} points on your Tsuki Coffee purchase. ' +
+        'Your balance is now {{balance}}.',
+    },
+  },
+  points_held: {
+    id: {
+      subject: 'Poin Tsuki Coffee kamu ditahan',
+      body:
+        'Hai {{name}}, {{points}} poin dari pembelianmu ditahan karena keanggotaanmu berakhir ' +
+        'pada {{validUntil}}. Perpanjang sebelum {{graceEndsAt}} agar poinnya masuk ke saldomu.',
+    },
+    en: {
+      subject: 'Your Tsuki Coffee points are on hold',
+      body:
+        'Hi {{name}}, the {{points}} points from your purchase are on hold because your ' +
+        'membership ended on {{validUntil}}. Renew before {{graceEndsAt}} to add them to your ' +
+        'balance.',
+    },
+  },
+  points_redeemed: {
+    id: {
+      subject: 'Penukaran poin Tsuki Coffee',
+      body:
+        'Hai {{name}}, kamu menukar {{pointsSpent}} poin dengan {{reward}}. Kode vouchermu ' +
+        '{{code}}, berlaku sampai {{expiresAt}}. Sisa saldo poinmu {{balance}}.',
+    },
+    en: {
+      subject: 'Your Tsuki Coffee redemption',
+      body:
+        'Hi {{name}}, you redeemed {{pointsSpent}} points for {{reward}}. Your voucher code is ' +
+        '{{code}}, valid until {{expiresAt}}. Your balance is now {{balance}}.',
+    },
+  },
+  membership_expiring: {
+    id: {
+      subject: 'Keanggotaan Tsuki Coffee kamu segera berakhir',
+      body:
+        'Hai {{name}}, keanggotaan Tsuki Coffee kamu berakhir pada {{validUntil}} ' +
+        '({{daysRemaining}} hari lagi). Perpanjang di gerai kami agar poin dan tier kamu tetap ' +
+        'aktif.',
+    },
+    en: {
+      subject: 'Your Tsuki Coffee membership is ending soon',
+      body:
+        'Hi {{name}}, your Tsuki Coffee membership ends on {{validUntil}} ({{daysRemaining}} ' +
+        'days left). Renew at any of our stores to keep your points and tier.',
+    },
+  },
+};
+
+/**
+ * Formats one placeholder value for a language.
+ * @param {*} value Raw value
+ * @param {string} language "id" or "en"
+ * @returns {string}
+ */
+const formatValue = (value, language) => {
+  if (value instanceof Date) {
+    return value.toLocaleDateString(LOCALES[language], {
+      timeZone: loyaltyConfig.timezone,
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+    });
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString(LOCALES[language]);
+  }
+  return value === null || value === undefined ? '' : String(value);
+};
+
+/**
+ * Renders a template in a language.
+ * @param {string} name Template name (a key of TEMPLATES)
+ * @param {string} language "id" or "en"
+ * @param {Object} data Placeholder values
+ * @returns {{subject: string, body: string}}
+ * @throws {Error} When the template or language does not exist
+ */
+const render = (name, language, data) => {
+  const template = TEMPLATES[name] && TEMPLATES[name][language];
+  if (!template) {
+    throw new Error(`Unknown notification template "${name}" (${language}).`);
+  }
+  const fill = (text) =>
+    text.replace(/{{(\w+)}}/g, (match, key) => formatValue(data[key], language));
+  return { subject: fill(template.subject), body: fill(template.body) };
+};
+
+module.exports = {
+  TEMPLATES,
+  render,
+};
@@ -0,0 +1,440 @@
+/**
+ * @fileoverview Points service for Tsuki Coffee backend.
+ * All changes to Member.points go through this module. Each change is a single atomic,
+ * conditional update on the member document followed by a ledger entry written in the same session,
+ * so concurrent earns and redemptions can neither lose updates nor overdraw a balance.
+ *
+ * Credited points are tracked as dated PointLots that expire after the configured period.
+ * Debits consume the oldest lots first; balances that predate lot tracking are treated as
+ * non-expiring and are consumed after all lots, until trackLegacyBalance (run by
+ * scripts/backfillPointLedger.js) gives them an opening ledger entry and a lot.
+ *
+ * Usage:
+ *   const pointsService = require('../services/pointsService');
+ *   await runInTransaction((session) =>
+ *     pointsService.debitPoints({ memberId, points, reason: 'redeem' }, { session }));
+ */
+
+const Member = require('../models/Member');
+const PointLedger = require('../models/PointLedger');
+const PointLot = require('../models/PointLot');
+const loyaltyConfig = require('../config/loyalty');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Throws the appropriate ApiError after a conditional member update matched nothing.
+ * @param {*} memberId Member ObjectId
+ * @param {Object} session MongoDB session
+ * @param {string} conflictMessage Message used when the member exists but the condition failed
+ * @param {number} conflictStatus Status used when the member exists but the condition failed
+ * @returns {Promise<never>}
+ */
+const throwUnmatched = async (memberId, session, conflictMessage, conflictStatus) => {
+  const exists = await Member.exists({ _id: memberId }).session(session);
+  if (!exists) {
+    throw new ApiError(404, 'Member not found.');
+  }
+  throw new ApiError(conflictStatus, conflictMessage);
+};
+
+/**
+ * Creates a point lot that expires after the configured period.
+ * @param {Object} lot
+ * @param {*} lot.memberId Member ObjectId
+ * @param {number} lot.points Points credited
+ * @param {string} [lot.sourceModel] Model name of the source document
+ * @param {*} [lot.sourceId] ObjectId of the source document
+ * @param {Date} [lot.earnedAt] When the points were earned
+ * @param {Object} session MongoDB session
+ * @returns {Promise<Object>} The created PointLot
+ */
+const createLot = async ({ memberId, points, sourceModel, sourceId, earnedAt = new Date() }, session) => {
+  const expiresAt = new Date(earnedAt);
+  expiresAt.setMonth(expiresAt.getMonth() + loyaltyConfig.pointsExpiryMonths);
+
+  const [lot] = await PointLot.create(
+    [
+      {
+        member: memberId,
+        points,
+        remaining: points,
+        earnedAt,
+        expiresAt,
+        sourceModel,
+        sourceId,
+      },
+    ],
+    { session }
+  );
+  return lot;
+};
+
+/**
+ * Takes points out of a member's open lots, oldest first.
+ * Any amount the lots cannot cover comes from the untracked (pre-lot) balance.
+ * @param {*} memberId Member ObjectId
+ * @param {number} points Points to consume
+ * @param {Object} session MongoDB session
+ * @param {*} [preferredSourceId] Consume lots credited by this source document before any other
+ * @returns {Promise<void>}
+ */
+const consumeLots = async (memberId, points, session, preferredSourceId = null) => {
+  let outstanding = points;
+  const openLots = await PointLot.find({ member: memberId, remaining: { $gt: 0 } })
+    .sort({ earnedAt: 1, _id: 1 })
+    .session(session);
+  const isPreferred = (lot) =>
+    preferredSourceId !== null && String(lot.sourceId) === String(preferredSourceId);
+  const lots = [...openLots.filter(isPreferred), ...openLots.filter((lot) => !isPreferred(lot))];
+
+  for (const lot of lots) {
+    if (outstanding <= 0) break;
+    const take = Math.min(lot.remaining, outstanding);
+    await PointLot.updateOne({ _id: lot._id }, { $inc: { remaining: -take } }, { session });
+    outstanding -= take;
+  }
+};
+
+/**
+ * Expires one lapsed lot: zeroes what remains of it and removes those points from the member.
+ * @param {*} lotId PointLot ObjectId
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<number>} Points expired (0 if the lot was already empty or not yet due)
+ */
+const expireLot = async (lotId, { session = null } = {}) => {
+  const lot = await PointLot.findOneAndUpdate(
+    { _id: lotId, remaining: { $gt: 0 }, expiresAt: { $lte: new Date() } },
+    { $set: { remaining: 0 } },
+    { new: false, session }
+  );
+  if (!lot) {
+    return 0;
+  }
+
+  const member = await Member.findOneAndUpdate(
+    { _id: lot.member },
+    { $inc: { points: -lot.remaining } },
+    { new: true, session }
+  );
+  if (!member) {
+    throw new ApiError(404, 'Member not found.');
+  }
+
+  await PointLedger.record(
+    {
+      member,
+      delta: -lot.remaining,
+      reason: 'expiry',
+      sourceModel: 'PointLot',
+      sourceId: lot._id,
+      note: `${lot.remaining} of ${lot.points} point(s) earned on ${lot.earnedAt.toISOString().slice(0, 10)} expired.`,
+    },
+    { session }
+  );
+
+  return lot.remaining;
+};
+
+/**
+ * Expires every lapsed lot of a member so that the balance only holds spendable points.
+ * @param {*} memberId Member ObjectId
+ * @param {Object} session MongoDB session
+ * @returns {Promise<number>} Total points expired
+ */
+const expireLapsedLots = async (memberId, session) => {
+  const lapsed = await PointLot.find({
+    member: memberId,
+    remaining: { $gt: 0 },
+    expiresAt: { $lte: new Date() },
+  }).session(session);
+
+  let expired = 0;
+  for (const lot of lapsed) {
+    expired += await expireLot(lot._id, { session });
+  }
+  return expired;
+};
+
+/**
+ * Atomically adds points to a member, opens an expiring lot and records the ledger entry.
+ * @param {Object} change
+ * @param {*} change.memberId Member ObjectId
+ * @param {number} change.points Positive number of points to add
+ * @param {string} change.reason Ledger reason
+ * @param {string} [change.sourceModel] Model name of the source document
+ * @param {*} [change.sourceId] ObjectId of the source document
+ * @param {string} [change.note] Optional explanation
+ * @param {Date} [change.earnedAt] When the points were earned (default: now); the lot expires
+ *   the configured period after it, e.g. from the sale time of a sale synced later
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The updated member
+ */
+const creditPoints = async (
+  {
+    memberId,
+    points,
+    reason,
+    sourceModel = null,
+    sourceId = null,
+    note = '',
+    earnedAt = new Date(),
+  },
+  { session = null } = {}
+) => {
+  const member = await Member.findOneAndUpdate(
+    { _id: memberId },
+    { $inc: { points } },
+    { new: true, session }
+  );
+  if (!member) {
+    throw new ApiError(404, 'Member not found.');
+  }
+
+  await createLot({ memberId, points, sourceModel, sourceId, earnedAt }, session);
+  await PointLedger.record(
+    { member, delta: points, reason, sourceModel, sourceId, note },
+    { session }
+  );
+
+  return member;
+};
+
+/**
+ * Atomically removes points from a member, only if the balance covers them,
+ * consumes the oldest lots first and records the ledger entry.
+ * Lapsed lots are expired first so they can never be spent.
+ * @param {Object} change
+ * @param {*} change.memberId Member ObjectId
+ * @param {number} change.points Positive number of points to remove
+ * @param {string} change.reason Ledger reason
+ * @param {string} [change.sourceModel] Model name of the source document
+ * @param {*} [change.sourceId] ObjectId of the source document
+ * @param {string} [change.note] Optional explanation
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The updated member
+ */
+const debitPoints = async (
+  { memberId, points, reason, sourceModel = null, sourceId = null, note = '' },
+  { session = null } = {}
+) => {
+  await expireLapsedLots(memberId, session);
+
+  const member = await Member.findOneAndUpdate(
+    { _id: memberId, points: { $gte: points } },
+    { $inc: { points: -points } },
+    { new: true, session }
+  );
+  if (!member) {
+    await throwUnmatched(memberId, session, 'Insufficient points.', 400);
+  }
+
+  await consumeLots(memberId, points, session);
+  await PointLedger.record(
+    { member, delta: -points, reason, sourceModel, sourceId, note },
+    { session }
+  );
+
+  return member;
+};
+
+/**
+ * Takes back points awarded by a sale that is being voided or refunded.
+ * Points still sitting in the sale's own lot are removed first, then the oldest other lots.
+ * If the member has already spent them, the configured reversal policy decides whether the
+ * request fails or the balance may go negative.
+ * @param {Object} change
+ * @param {*} change.memberId Member ObjectId
+ * @param {number} change.points Positive number of points to take back
+ * @param {*} change.originalTransactionId ObjectId of the sale that awarded the points
+ * @param {*} change.sourceId ObjectId of the void/refund transaction record
+ * @param {string} [change.note] Optional explanation
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The updated member
+ */
+const reversePoints = async (
+  { memberId, points, originalTransactionId, sourceId, note = '' },
+  { session = null } = {}
+) => {
+  await expireLapsedLots(memberId, session);
+
+  const allowNegative = loyaltyConfig.pointsReversalPolicy === 'allow';
+  const member = await Member.findOneAndUpdate(
+    allowNegative ? { _id: memberId } : { _id: memberId, points: { $gte: points } },
+    { $inc: { points: -points } },
+    { new: true, session }
+  );
+  if (!member) {
+    await throwUnmatched(
+      memberId,
+      session,
+      `Cannot reverse ${points} point(s): the member has already spent them.`,
+      409
+    );
+  }
+
+  await consumeLots(memberId, points, session, originalTransactionId);
+  await PointLedger.record(
+    { member, delta: -points, reason: 'reversal', sourceModel: 'Transaction', sourceId, note },
+    { session }
+  );
+
+  return member;
+};
+
+/**
+ * Sets a member's balance to an exact value as a manual adjustment.
+ * Only applies if the balance still equals the value the caller last read,
+ * so a concurrent earn or redemption is never silently overwritten.
+ * An increase opens a new lot; a decrease consumes the oldest lots.
+ * @param {Object} change
+ * @param {*} change.memberId Member ObjectId
+ * @param {number} change.expectedPoints Balance the caller based the adjustment on
+ * @param {number} change.points New non-negative balance
+ * @param {string} [change.note] Optional explanation
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The updated member
+ */
+const setPoints = async (
+  { memberId, expectedPoints, points, note = '' },
+  { session = null } = {}
+) => {
+  const delta = points - expectedPoints;
+  const member = await Member.findOneAndUpdate(
+    { _id: memberId, points: expectedPoints },
+    { $inc: { points: delta } },
+    { new: true, session }
+  );
+  if (!member) {
+    await throwUnmatched(
+      memberId,
+      session,
+      'Member points changed while editing. Please reload and try again.',
+      409
+    );
+  }
+
+  if (delta > 0) {
+    await createLot({ memberId, points: delta, sourceModel: null, sourceId: null }, session);
+  } else if (delta < 0) {
+    await consumeLots(memberId, -delta, session);
+  }
+
+  if (delta !== 0) {
+    await PointLedger.record(
+      { member, delta, reason: 'adjustment', note },
+      { session }
+    );
+  }
+
+  return member;
+};
+
+/**
+ * Brings a balance that predates the ledger and lot tracking under both.
+ * Points missing from the ledger get one opening "adjustment" entry, dated when the member was
+ * created so the history still adds up in order; points not held by any lot get a lot earned
+ * now, so they start expiring from today. Running it again changes nothing.
+ * Points the ledger holds beyond the balance are real drift and are left for reconcilePoints.
+ * @param {*} memberId Member ObjectId
+ * @param {Object} options
+ * @param {Object} options.session MongoDB session
+ * @returns {Promise<{ledgerPoints: number, lotPoints: number}>} Points given an opening entry
+ *   and points given a lot
+ */
+const trackLegacyBalance = async (memberId, { session }) => {
+  const member = await Member.findById(memberId).session(session);
+  if (!member) {
+    throw new ApiError(404, 'Member not found.');
+  }
+
+  const sumOf = async (Model, match, field) => {
+    const [result] = await Model.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: field } } },
+    ]).session(session);
+    return result ? result.total : 0;
+  };
+
+  const ledgerPoints = Math.max(
+    member.points - (await sumOf(PointLedger, { member: member._id }, '$delta')),
+    0
+  );
+  if (ledgerPoints > 0) {
+    await PointLedger.create(
+      [
+        {
+          member: member._id,
+          delta: ledgerPoints,
+          balance: ledgerPoints,
+          reason: 'adjustment',
+          sourceModel: 'Member',
+          sourceId: member._id,
+          note: 'Opening balance from before the points ledger',
+          createdAt: member.createdAt || member._id.getTimestamp(),
+        },
+      ],
+      { session }
+    );
+  }
+
+  const lotPoints = Math.max(
+    member.points -
+      (await sumOf(PointLot, { member: member._id, remaining: { $gt: 0 } }, '$remaining')),
+    0
+  );
+  if (lotPoints > 0) {
+    await createLot(
+      { memberId: member._id, points: lotPoints, sourceModel: 'Member', sourceId: member._id },
+      session
+    );
+  }
+
+  return { ledgerPoints, lotPoints };
+};
+
+/**
+ * Lists a member's unexpired points grouped by calendar expiry date, soonest first.
+ * @param {*} memberId Member ObjectId
+ * @returns {Promise<Array<{expiresOn: string, points: number}>>}
+ */
+const getExpiringPoints = async (memberId) => {
+  const lots = await PointLot.aggregate([
+    {
+      $match: {
+        member: memberId,
+        remaining: { $gt: 0 },
+        expiresAt: { $gt: new Date() },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: '%Y-%m-%d',
+            date: '$expiresAt',
+            timezone: loyaltyConfig.timezone,
+          },
+        },
+        points: { $sum: '$remaining' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return lots.map((lot) => ({ expiresOn: lot._id, points: lot.points }));
+};
+
+module.exports = {
+  creditPoints,
+  debitPoints,
+  setPoints,
+  reversePoints,
+  expireLot,
+  trackLegacyBalance,
+  getExpiringPoints,
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Product service for Tsuki Coffee backend.
+ * Validates and creates products and prices basket lines. Shared by POST /products, the CSV
+ * product import and POST /transactions so they all apply exactly the same rules, including
+ * the duplicate-name check and the archived/variant checks at the till.
+ *
+ * Usage:
+ *   const productService = require('../services/productService');
+ *   const fields = await productService.prepareProduct(req.body);
+ *   const product = await productService.createProduct(fields);
+ *   const { unitPrice, pointValue } = productService.priceLineItem(product, item, storeId);
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductCategory = require('../models/ProductCategory');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Resolves a product category given by id or name.
+ * @param {*} category Category id or name, or null/empty for none
+ * @returns {Promise<Object|null>} Category ObjectId
+ */
+const resolveCategory = async (category) => {
+  if (category === null || category === '') {
+    return null;
+  }
+  if (typeof category !== 'string' || !category.trim()) {
+    throw new ApiError(400, 'category must be a product category id or name.');
+  }
+  const found = mongoose.Types.ObjectId.isValid(category)
+    ? await ProductCategory.findById(category)
+    : await ProductCategory.findOne({ name: category.trim() });
+  if (!found) {
+    throw new ApiError(400, 'Product category not found.');
+  }
+  return found._id;
+};
+
+/**
+ * Validates variant fields. Only fields that are present are checked unless a name is required.
+ * @param {Object} variant
+ * @param {string} [variant.name] Variant name
+ * @param {number} [variant.price] Non-negative price
+ * @param {number} [variant.pointValue] Non-negative points per unit
+ * @param {boolean} [variant.isActive] False archives the variant
+ * @param {Object} [options]
+ * @param {boolean} [options.requireName] Whether name must be present (new variants)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateVariant = ({ name, price, pointValue, isActive }, { requireName = false } = {}) => {
+  if ((requireName || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Variant name is required.';
+  }
+  if (price !== undefined && (typeof price !== 'number' || price < 0)) {
+    return 'Variant price must be a non-negative number.';
+  }
+  if (pointValue !== undefined && (typeof pointValue !== 'number' || pointValue < 0)) {
+    return 'Variant pointValue must be a non-negative number.';
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'Variant isActive must be a boolean.';
+  }
+  return null;
+};
+
+/**
+ * Validates the variants of a new product.
+ * @param {*} variants Variants input
+ * @returns {Array<Object>} Variant fields
+ */
+const prepareVariants = (variants) => {
+  if (!Array.isArray(variants)) {
+    throw new ApiError(400, 'variants must be an array.');
+  }
+  const names = new Set();
+  return variants.map((variant) => {
+    const error = validateVariant(variant || {}, { requireName: true });
+    if (error) {
+      throw new ApiError(400, error);
+    }
+    const name = variant.name.trim();
+    if (names.has(name.toLowerCase())) {
+      throw new ApiError(400, `Variant name "${name}" is used twice.`);
+    }
+    names.add(name.toLowerCase());
+    return {
+      name,
+      price: variant.price === undefined ? 0 : variant.price,
+      pointValue: variant.pointValue === undefined ? 1 : variant.pointValue,
+      isActive: variant.isActive === undefined ? true : variant.isActive,
+    };
+  });
+};
+
+/**
+ * Validates a new product without writing anything.
+ * @param {Object} input
+ * @param {string} input.name Product name (must be unique)
+ * @param {number} [input.price] Non-negative price
+ * @param {number} [input.pointValue] Non-negative points per unit
+ * @param {string} [input.category] Product category id or name
+ * @param {Array<Object>} [input.variants] Variants: { name, price, pointValue, isActive }
+ * @param {boolean} [input.isActive] False creates the product archived
+ * @returns {Promise<Object>} Product fields ready for createProduct
+ */
+const prepareProduct = async ({
+  name = '',
+  price = 0,
+  pointValue = 1,
+  category = null,
+  variants = [],
+  isActive = true,
+}) => {
+  // Validate required fields
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new ApiError(400, 'Product name is required.');
+  }
+  if (typeof price !== 'number' || price < 0) {
+    throw new ApiError(400, 'Product price must be a non-negative number.');
+  }
+  if (typeof pointValue !== 'number' || pointValue < 0) {
+    throw new ApiError(400, 'Product pointValue must be a non-negative number.');
+  }
+  if (typeof isActive !== 'boolean') {
+    throw new ApiError(400, 'isActive must be a boolean.');
+  }
+  const variantFields = prepareVariants(variants);
+
+  // Check for duplicate product name
+  const existingProduct = await Product.findOne({ product_name: name.trim() });
+  if (existingProduct) {
+    throw new ApiError(400, 'Product name already exists.', { code: 'ALREADY_EXISTS' });
+  }
+
+  return {
+    product_name: name.trim(),
+    price,
+    pointValue,
+    category: await resolveCategory(category),
+    variants: variantFields,
+    isActive,
+  };
+};
+
+/**
+ * Creates a product prepared by prepareProduct.
+ * @param {Object} fields Product fields
+ * @returns {Promise<Object>} The created product
+ */
+const createProduct = (fields) => Product.create(fields);
+
+/**
+ * Prices one basket line at a store. Archived products and variants, products unavailable at
+ * the store and products with variants sold without one are rejected.
+ * Variants use their own price and point value at every store; other products use the store
+ * price. Store prices are rejected on products with variants (see productController's
+ * setStoreOverride and addVariant), so a store's availability is all that applies to variants.
+ * @param {Object} product Product document
+ * @param {Object} item
+ * @param {string} [item.variantId] Variant id
+ * @param {*} storeId Store ObjectId
+ * @returns {{unitPrice: number, pointValue: number, variant: (Object|null)}}
+ */
+const priceLineItem = (product, { variantId = null }, storeId) => {
+  const name = product.product_name;
+  if (product.isActive === false) {
+    throw new ApiError(400, `${name} is archived and cannot be sold.`);
+  }
+  const { price, isAvailable } = product.forStore(storeId);
+  if (!isAvailable) {
+    throw new ApiError(400, `${name} is not available at this store.`);
+  }
+
+  if (!variantId) {
+    if (product.variants.length > 0) {
+      throw new ApiError(400, `${name} has variants; variantId is required.`);
+    }
+    return { unitPrice: price, pointValue: product.pointValue, variant: null };
+  }
+
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw new ApiError(404, `Variant not found for ${name}.`);
+  }
+  if (!variant.isActive) {
+    throw new ApiError(400, `${name} (${variant.name}) is archived and cannot be sold.`);
+  }
+  return { unitPrice: variant.price, pointValue: variant.pointValue, variant };
+};
+
+module.exports = {
+  resolveCategory,
+  validateVariant,
+  prepareProduct,
+  createProduct,
+  priceLineItem,
+};
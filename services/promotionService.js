@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Promotion service for Tsuki Coffee backend.
+ * Finds the promotions that apply to a sale and computes the bonus points each one adds.
+ * A promotion applies when it is active, the sale falls inside its date range, days of week
+ * and hours (in the configured loyalty time zone), the member's tier is eligible, the basket
+ * contains at least one targeted product and the member has not reached its usage cap.
+ * Usage is counted per promotion and member in PromotionUsage; a sale claims its promotions
+ * inside its MongoDB transaction, so concurrent sales cannot exceed a cap, and a void gives
+ * the uses back.
+ *
+ * Usage:
+ *   const promotionService = require('../services/promotionService');
+ *   const applied = await promotionService.applyPromotions({ member, lineItems });
+ *   const claimed = await promotionService.claimPromotions(
+ *     { memberId, promotions: applied }, { session });
+ */
+
+const Promotion = require('../models/Promotion');
+const PromotionUsage = require('../models/PromotionUsage');
+const Transaction = require('../models/Transaction');
+const loyaltyConfig = require('../config/loyalty');
+
+const { ACTIVE_SALE_FILTER } = Transaction;
+
+// Weekday names as formatted by Intl, indexed like Date#getDay
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Gets the day of week and "HH:mm" time of a moment in the loyalty time zone.
+ * @param {Date} at Moment to convert
+ * @returns {{dayOfWeek: number, time: string}}
+ */
+const getLocalDayAndTime = (at) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: loyaltyConfig.timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(at);
+  const part = (type) => parts.find((p) => p.type === type).value;
+
+  return {
+    dayOfWeek: WEEKDAYS.indexOf(part('weekday')),
+    time: `${part('hour')}:${part('minute')}`,
+  };
+};
+
+/**
+ * Checks a promotion's day-of-week and hour rules against a local day and time.
+ * A window whose end is before its start runs past midnight (e.g. 22:00-02:00).
+ * @param {Object} promotion Promotion document
+ * @param {{dayOfWeek: number, time: string}} local Local day and time of the sale
+ * @returns {boolean}
+ */
+const matchesSchedule = (promotion, { dayOfWeek, time }) => {
+  if (promotion.daysOfWeek.length > 0 && !promotion.daysOfWeek.includes(dayOfWeek)) {
+    return false;
+  }
+
+  const start = promotion.startTime || '00:00';
+  const end = promotion.endTime || '24:00';
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+};
+
+/**
+ * Counts the sales in which a member already received a promotion.
+ * Voided sales do not count toward the cap. Used to start a member's usage counter.
+ * @param {*} promotionId Promotion ObjectId
+ * @param {*} memberId Member ObjectId
+ * @param {Object} session MongoDB session
+ * @returns {Promise<number>}
+ */
+const countUsage = (promotionId, memberId, session) =>
+  Transaction.countDocuments({
+    ...ACTIVE_SALE_FILTER,
+    memberId,
+    'promotions.promotion': promotionId,
+  }).session(session);
+
+/**
+ * Makes sure a member's usage counter for a promotion exists. Counters start from the sales
+ * already recorded, so usage from before counters existed still counts toward the cap.
+ * @param {*} promotionId Promotion ObjectId
+ * @param {*} memberId Member ObjectId
+ * @param {Object} session MongoDB session
+ * @returns {Promise<void>}
+ */
+const ensureUsage = async (promotionId, memberId, session) => {
+  const exists = await PromotionUsage.exists({ promotion: promotionId, member: memberId })
+    .session(session);
+  if (exists) {
+    return;
+  }
+  const used = await countUsage(promotionId, memberId, session);
+  await PromotionUsage.updateOne(
+    { promotion: promotionId, member: memberId },
+    { $setOnInsert: { count: used } },
+    { upsert: true, session }
+  );
+};
+
+/**
+ * Gets how many times a member has received a promotion.
+ * @param {*} promotionId Promotion ObjectId
+ * @param {*} memberId Member ObjectId
+ * @param {Object} session MongoDB session
+ * @returns {Promise<number>}
+ */
+const getUsage = async (promotionId, memberId, session) => {
+  const usage = await PromotionUsage.findOne({ promotion: promotionId, member: memberId })
+    .session(session);
+  return usage ? usage.count : countUsage(promotionId, memberId, session);
+};
+
+/**
+ * Applies every matching promotion to a priced basket.
+ * A promotion adds (multiplier - 1) times the points of its targeted lines, rounded down,
+ * plus its flat bonus. Capped promotions still have to be claimed with claimPromotions when
+ * the sale is recorded.
+ * @param {Object} sale
+ * @param {Object} sale.member Member document
+ * @param {*} [sale.clubCategory] Member's club category at the sale time (default: current)
+ * @param {Array<{productId: *, points: number}>} sale.lineItems Priced line items
+ * @param {Date} [sale.at] Time of the sale
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Array<{promotion: *, name: string, pointsAdded: number}>>} Promotions that fired
+ */
+const applyPromotions = async (
+  { member, clubCategory = member.clubCategory, lineItems, at = new Date() },
+  { session = null } = {}
+) => {
+  const promotions = await Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: at } }] },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  const local = getLocalDayAndTime(at);
+  const applied = [];
+
+  for (const promotion of promotions) {
+    if (!matchesSchedule(promotion, local)) continue;
+
+    if (
+      promotion.eligibleCategories.length > 0 &&
+      !promotion.eligibleCategories.some((id) => String(id) === String(clubCategory))
+    ) {
+      continue;
+    }
+
+    const targetIds = new Set(promotion.products.map(String));
+    const targetLines =
+      targetIds.size === 0
+        ? lineItems
+        : lineItems.filter((line) => targetIds.has(String(line.productId)));
+    if (targetLines.length === 0) continue;
+
+    if (
+      promotion.perMemberLimit !== null &&
+      (await getUsage(promotion._id, member._id, session)) >= promotion.perMemberLimit
+    ) {
+      continue;
+    }
+
+    const targetPoints = targetLines.reduce((sum, line) => sum + line.points, 0);
+    const pointsAdded =
+      Math.floor(targetPoints * (promotion.multiplier - 1)) + promotion.bonusPoints;
+
+    applied.push({ promotion: promotion._id, name: promotion.name, pointsAdded });
+  }
+
+  return applied;
+};
+
+/**
+ * Counts one use of each promotion applied to a sale being recorded. A capped promotion is
+ * only claimed while the member's count is below its cap; the conditional $inc makes
+ * concurrent sales of one member conflict, so only one of them can take the last use.
+ * Must run inside the sale's transaction.
+ * @param {Object} sale
+ * @param {*} sale.memberId Member ObjectId
+ * @param {Array<{promotion: *, name: string, pointsAdded: number}>} sale.promotions
+ *   Promotions returned by applyPromotions
+ * @param {Object} options
+ * @param {Object} options.session MongoDB session
+ * @returns {Promise<Array<{promotion: *, name: string, pointsAdded: number}>>} The promotions
+ *   that were claimed
+ */
+const claimPromotions = async ({ memberId, promotions }, { session }) => {
+  if (promotions.length === 0) {
+    return [];
+  }
+
+  const limits = new Map(
+    (
+      await Promotion.find({ _id: { $in: promotions.map((applied) => applied.promotion) } })
+        .select('perMemberLimit')
+        .session(session)
+    ).map((promotion) => [String(promotion._id), promotion.perMemberLimit])
+  );
+
+  const claimed = [];
+  for (const applied of promotions) {
+    await ensureUsage(applied.promotion, memberId, session);
+    const limit = limits.has(String(applied.promotion))
+      ? limits.get(String(applied.promotion))
+      : null;
+    const usage = await PromotionUsage.findOneAndUpdate(
+      limit === null
+        ? { promotion: applied.promotion, member: memberId }
+        : { promotion: applied.promotion, member: memberId, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { new: true, session }
+    );
+    if (usage) {
+      claimed.push(applied);
+    }
+  }
+  return claimed;
+};
+
+/**
+ * Gives back the promotion uses of a sale that is being voided.
+ * @param {Object} sale
+ * @param {*} sale.memberId Member ObjectId
+ * @param {Array<{promotion: *}>} sale.promotions Promotions the sale received
+ * @param {Object} options
+ * @param {Object} options.session MongoDB session
+ * @returns {Promise<void>}
+ */
+const releasePromotions = async ({ memberId, promotions }, { session }) => {
+  for (const applied of promotions) {
+    await PromotionUsage.updateOne(
+      { promotion: applied.promotion, member: memberId, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  applyPromotions,
+  claimPromotions,
+  releasePromotions,
+};
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Referral service for Tsuki Coffee backend.
+ * Resolves referral codes at sign-up, records referrals and grants the configured bonus points
+ * to both members once the referee makes their first qualifying transaction.
+ *
+ * Safeguards: a member cannot refer their own phone number, and a phone number (normalized, so
+ * "+62 812..." and "0812..." are the same) can only ever be referred once.
+ *
+ * Usage:
+ *   const referralService = require('../services/referralService');
+ *   const referrer = await referralService.findReferrer({ code, phone });
+ */
+
+const Member = require('../models/Member');
+const Referral = require('../models/Referral');
+const loyaltyConfig = require('../config/loyalty');
+const pointsService = require('./pointsService');
+const { ApiError } = require('../utils/errors');
+const { normalizePhone } = require('../utils/phone');
+
+/**
+ * Resolves the referrer of a new member and checks the referral is allowed.
+ * @param {Object} signUp
+ * @param {string} signUp.code Referral code entered at sign-up
+ * @param {string} signUp.phone Phone number of the new member
+ * @returns {Promise<Object>} The referring member
+ */
+const findReferrer = async ({ code, phone }) => {
+  const referrer = await Member.findOne({ referralCode: String(code).trim().toUpperCase() });
+  if (!referrer) {
+    throw new ApiError(400, 'Referral code not found.');
+  }
+
+  const refereePhone = normalizePhone(phone);
+  if (normalizePhone(referrer.phone) === refereePhone) {
+    throw new ApiError(400, 'Members cannot refer themselves.');
+  }
+  if (await Referral.exists({ refereePhone })) {
+    throw new ApiError(400, 'This phone number has already been referred.');
+  }
+
+  return referrer;
+};
+
+/**
+ * Records a pending referral for a newly created member.
+ * @param {Object} referral
+ * @param {Object} referral.referrer Referring member
+ * @param {Object} referral.referee Newly created member
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The created Referral
+ */
+const createReferral = async ({ referrer, referee }, { session = null } = {}) => {
+  const [referral] = await Referral.create(
+    [
+      {
+        referrer: referrer._id,
+        referee: referee._id,
+        refereePhone: normalizePhone(referee.phone),
+      },
+    ],
+    { session }
+  );
+  return referral;
+};
+
+/**
+ * Grants the referral bonuses if this is the referee's first qualifying transaction.
+ * The pending referral is claimed with a conditional update, so bonuses are paid only once.
+ * @param {Object} sale
+ * @param {Object} sale.referee Member who made the sale
+ * @param {Object} sale.transaction The saved sale
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object|null>} The rewarded Referral, or null if nothing was granted
+ */
+const completeReferral = async ({ referee, transaction }, { session = null } = {}) => {
+  if (transaction.totalPrice < loyaltyConfig.referralMinSpend) {
+    return null;
+  }
+
+  const referral = await Referral.findOneAndUpdate(
+    { referee: referee._id, status: 'pending' },
+    {
+      $set: {
+        status: 'rewarded',
+        referrerBonus: loyaltyConfig.referralReferrerBonus,
+        refereeBonus: loyaltyConfig.referralRefereeBonus,
+        qualifyingTransaction: transaction._id,
+        rewardedAt: new Date(),
+      },
+    },
+    { new: true, session }
+  );
+  if (!referral) {
+    return null;
+  }
+
+  const bonuses = [
+    {
+      memberId: referral.referrer,
+      points: referral.referrerBonus,
+      note: 'Referral bonus for referring a new member',
+    },
+    {
+      memberId: referral.referee,
+      points: referral.refereeBonus,
+      note: 'Referral bonus for joining with a referral code',
+    },
+  ];
+  for (const { memberId, points, note } of bonuses) {
+    if (points > 0) {
+      await pointsService.creditPoints(
+        {
+          memberId,
+          points,
+          reason: 'referral',
+          sourceModel: 'Referral',
+          sourceId: referral._id,
+          note,
+        },
+        { session }
+      );
+    }
+  }
+
+  return referral;
+};
+
+/**
+ * Gives a member created before referrals existed a referral code.
+ * @param {Object} member Member document
+ * @returns {Promise<string>} The member's referral code
+ */
+const ensureReferralCode = async (member) => {
+  if (member.referralCode) {
+    return member.referralCode;
+  }
+
+  const updated = await Member.findOneAndUpdate(
+    { _id: member._id, referralCode: null },
+    { $set: { referralCode: Member.generateReferralCode() } },
+    { new: true }
+  );
+  // A concurrent request may have assigned the code first
+  return updated ? updated.referralCode : (await Member.findById(member._id)).referralCode;
+};
+
+/**
+ * Lists the members someone referred, newest first, with the bonus status of each.
+ * Only the referee's name is exposed.
+ * @param {*} memberId Referrer ObjectId
+ * @returns {Promise<Array<Object>>}
+ */
+const getReferrals = (memberId) =>
+  Referral.find({ referrer: memberId })
+    .sort({ createdAt: -1 })
+    .select('-refereePhone')
+    .populate('referee', 'name');
+
+module.exports = {
+  findReferrer,
+  createReferral,
+  completeReferral,
+  ensureReferralCode,
+  getReferrals,
+};
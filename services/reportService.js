@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Report service for Tsuki Coffee backend.
+ * Builds sales and loyalty analytics with MongoDB aggregation over Transaction, PointLedger,
+ * Member and Product. Every report takes a date range, an optional club category and an
+ * optional store; the category filter uses the member's current category.
+ *
+ * Revenue is the sale total minus refunded amounts; voided sales are ignored.
+ * Calendar periods are computed in the configured loyalty time zone.
+ *
+ * Usage:
+ *   const reportService = require('../services/reportService');
+ *   const rows = await reportService.getSalesReport({ from, to, categoryId, interval: 'day' });
+ */
+
+const ClubCategory = require('../models/ClubCategory');
+const Member = require('../models/Member');
+const PointLedger = require('../models/PointLedger');
+const Product = require('../models/Product');
+const Transaction = require('../models/Transaction');
+const loyaltyConfig = require('../config/loyalty');
+
+const { ACTIVE_SALE_FILTER } = Transaction;
+
+// Date formats used to bucket records per reporting interval (week is the ISO week)
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+// Net revenue of a sale: total minus refunds (legacy sales have no refundedAmount)
+const NET_REVENUE = { $subtract: ['$totalPrice', { $ifNull: ['$refundedAmount', 0] }] };
+
+/**
+ * Builds the $match condition for sales in a date range, optionally at one store.
+ * @param {Object} createdAt Date range condition
+ * @param {*} storeId Store ObjectId, or null for all stores
+ * @returns {Object} Match condition
+ */
+const saleMatch = (createdAt, storeId) => ({
+  ...ACTIVE_SALE_FILTER,
+  createdAt,
+  ...(storeId ? { store: storeId } : {}),
+});
+
+/**
+ * Builds the pipeline stages that keep only ledger entries caused by sales at one store.
+ * Points are shared across stores, so redemptions and other non-sale entries have no store
+ * and are left out when a store is selected.
+ * @param {*} storeId Store ObjectId, or null for no filter
+ * @returns {Array<Object>} Aggregation stages
+ */
+const ledgerStoreStages = (storeId) =>
+  storeId
+    ? [
+        { $match: { sourceModel: 'Transaction' } },
+        {
+          $lookup: {
+            from: Transaction.collection.name,
+            localField: 'sourceId',
+            foreignField: '_id',
+            as: 'sourceDoc',
+          },
+        },
+        { $match: { 'sourceDoc.store': storeId } },
+      ]
+    : [];
+
+/**
+ * Builds the pipeline stages that keep only records of members in a club category.
+ * @param {*} categoryId ClubCategory ObjectId, or null for no filter
+ * @param {string} memberField Field holding the member ObjectId
+ * @returns {Array<Object>} Aggregation stages
+ */
+const categoryStages = (categoryId, memberField) =>
+  categoryId
+    ? [
+        {
+          $lookup: {
+            from: Member.collection.name,
+            localField: memberField,
+            foreignField: '_id',
+            as: 'memberDoc',
+          },
+        },
+        { $match: { 'memberDoc.clubCategory': categoryId } },
+      ]
+    : [];
+
+/**
+ * Builds the expression that formats a date field into its reporting period.
+ * @param {string} field Date field path, e.g. "$createdAt"
+ * @param {string} interval "day", "week" or "month"
+ * @returns {Object} Aggregation expression
+ */
+const periodOf = (field, interval) => ({
+  $dateToString: {
+    format: INTERVAL_FORMATS[interval],
+    date: field,
+    timezone: loyaltyConfig.timezone,
+  },
+});
+
+/**
+ * Revenue, sales count and points issued, redeemed, reversed and expired per period.
+ * With a store, points only cover that store's sales and their reversals.
+ * @param {Object} filters
+ * @param {Date} filters.from Start of the range
+ * @param {Date} filters.to End of the range
+ * @param {*} [filters.categoryId] ClubCategory ObjectId
+ * @param {*} [filters.storeId] Store ObjectId
+ * @param {string} filters.interval "day", "week" or "month"
+ * @returns {Promise<Array<Object>>} One row per period, oldest first
+ */
+const getSalesReport = async ({ from, to, categoryId = null, storeId = null, interval }) => {
+  const range = { $gte: from, $lte: to };
+  const sumReason = (reason) => ({
+    $sum: { $cond: [{ $eq: ['$reason', reason] }, { $multiply: ['$delta', -1] }, 0] },
+  });
+
+  const [sales, points] = await Promise.all([
+    Transaction.aggregate([
+      { $match: saleMatch(range, storeId) },
+      ...categoryStages(categoryId, 'memberId'),
+      {
+        $group: {
+          _id: periodOf('$createdAt', interval),
+          revenue: { $sum: NET_REVENUE },
+          transactions: { $sum: 1 },
+        },
+      },
+    ]),
+    PointLedger.aggregate([
+      { $match: { createdAt: range } },
+      ...ledgerStoreStages(storeId),
+      ...categoryStages(categoryId, 'member'),
+      {
+        $group: {
+          _id: periodOf('$createdAt', interval),
+          pointsIssued: { $sum: { $cond: [{ $gt: ['$delta', 0] }, '$delta', 0] } },
+          pointsRedeemed: sumReason('redeem'),
+          pointsReversed: sumReason('reversal'),
+          pointsExpired: sumReason('expiry'),
+        },
+      },
+    ]),
+  ]);
+
+  const rows = new Map();
+  const rowFor = (period) => {
+    if (!rows.has(period)) {
+      rows.set(period, {
+        period,
+        revenue: 0,
+        transactions: 0,
+        pointsIssued: 0,
+        pointsRedeemed: 0,
+        pointsReversed: 0,
+        pointsExpired: 0,
+      });
+    }
+    return rows.get(period);
+  };
+  sales.forEach(({ _id, ...totals }) => Object.assign(rowFor(_id), totals));
+  points.forEach(({ _id, ...totals }) => Object.assign(rowFor(_id), totals));
+
+  return [...rows.values()].sort((a, b) => a.period.localeCompare(b.period));
+};
+
+/**
+ * Best-selling products by net quantity or net revenue.
+ * Sales recorded before baskets existed count as a single line.
+ * @param {Object} filters
+ * @param {Date} filters.from Start of the range
+ * @param {Date} filters.to End of the range
+ * @param {*} [filters.categoryId] ClubCategory ObjectId
+ * @param {*} [filters.storeId] Store ObjectId
+ * @param {string} filters.sortBy "quantity" or "revenue"
+ * @param {number} filters.limit Maximum number of products
+ * @returns {Promise<Array<Object>>}
+ */
+const getTopProducts = ({ from, to, categoryId = null, storeId = null, sortBy, limit }) =>
+  Transaction.aggregate([
+    { $match: saleMatch({ $gte: from, $lte: to }, storeId) },
+    ...categoryStages(categoryId, 'memberId'),
+    {
+      $project: {
+        items: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$lineItems', []] } }, 0] },
+            '$lineItems',
+            [{ productId: '$productId', quantity: '$quantity', lineTotal: '$totalPrice' }],
+          ],
+        },
+      },
+    },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.productId',
+        quantity: {
+          $sum: { $subtract: ['$items.quantity', { $ifNull: ['$items.refundedQuantity', 0] }] },
+        },
+        revenue: {
+          $sum: {
+            $subtract: [
+              '$items.lineTotal',
+              {
+                $multiply: [
+                  { $ifNull: ['$items.refundedQuantity', 0] },
+                  { $ifNull: ['$items.unitPrice', 0] },
+                ],
+              },
+            ],
+          },
+        },
+        transactions: { $sum: 1 },
+      },
+    },
+    { $sort: { [sortBy]: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'product',
+      },
+    },
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id',
+        name: { $ifNull: ['$product.product_name', null] },
+        quantity: 1,
+        revenue: 1,
+        transactions: 1,
+      },
+    },
+  ]);
+
+/**
+ * Counts active and lapsed members. Active members made a purchase within the range;
+ * lapsed members purchased before the range but not within it. With a store, only purchases
+ * at that store count, so neverPurchased means never purchased there.
+ * @param {Object} filters
+ * @param {Date} filters.from Start of the range
+ * @param {Date} filters.to End of the range
+ * @param {*} [filters.categoryId] ClubCategory ObjectId
+ * @param {*} [filters.storeId] Store ObjectId
+ * @returns {Promise<Object>}
+ */
+const getMemberActivity = async ({ from, to, categoryId = null, storeId = null }) => {
+  const memberFilter = { createdAt: { $lte: to } };
+  if (categoryId) {
+    memberFilter.clubCategory = categoryId;
+  }
+
+  const [[activity], totalMembers, validMemberships] = await Promise.all([
+    Transaction.aggregate([
+      { $match: saleMatch({ $lte: to }, storeId) },
+      ...categoryStages(categoryId, 'memberId'),
+      {
+        $group: {
+          _id: '$memberId',
+          visitsInRange: { $sum: { $cond: [{ $gte: ['$createdAt', from] }, 1, 0] } },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          active: { $sum: { $cond: [{ $gt: ['$visitsInRange', 0] }, 1, 0] } },
+          lapsed: { $sum: { $cond: [{ $eq: ['$visitsInRange', 0] }, 1, 0] } },
+        },
+      },
+    ]),
+    Member.countDocuments(memberFilter),
+    Member.countDocuments({ ...memberFilter, validUntil: { $gte: new Date() } }),
+  ]);
+
+  const active = activity ? activity.active : 0;
+  const lapsed = activity ? activity.lapsed : 0;
+
+  return {
+    totalMembers,
+    active,
+    lapsed,
+    neverPurchased: Math.max(totalMembers - active - lapsed, 0),
+    activeRate: totalMembers > 0 ? active / totalMembers : 0,
+    validMemberships,
+    expiredMemberships: totalMembers - validMemberships,
+  };
+};
+
+/**
+ * Per club category: buying members, sales, revenue, average basket size (value and items)
+ * and repeat-visit rate (share of buying members with two or more visits in the range).
+ * Members without a category are reported under a null category.
+ * @param {Object} filters
+ * @param {Date} filters.from Start of the range
+ * @param {Date} filters.to End of the range
+ * @param {*} [filters.categoryId] ClubCategory ObjectId
+ * @param {*} [filters.storeId] Store ObjectId
+ * @returns {Promise<Array<Object>>}
+ */
+const getCategoryReport = ({ from, to, categoryId = null, storeId = null }) =>
+  Transaction.aggregate([
+    { $match: saleMatch({ $gte: from, $lte: to }, storeId) },
+    {
+      $lookup: {
+        from: Member.collection.name,
+        localField: 'memberId',
+        foreignField: '_id',
+        as: 'memberDoc',
+      },
+    },
+    { $unwind: '$memberDoc' },
+    ...(categoryId ? [{ $match: { 'memberDoc.clubCategory': categoryId } }] : []),
+    {
+      $group: {
+        _id: { category: '$memberDoc.clubCategory', member: '$memberId' },
+        visits: { $sum: 1 },
+        revenue: { $sum: NET_REVENUE },
+        items: {
+          $sum: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$lineItems', []] } }, 0] },
+              { $sum: '$lineItems.quantity' },
+              { $ifNull: ['$quantity', 1] },
+            ],
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.category',
+        members: { $sum: 1 },
+        repeatMembers: { $sum: { $cond: [{ $gte: ['$visits', 2] }, 1, 0] } },
+        transactions: { $sum: '$visits' },
+        revenue: { $sum: '$revenue' },
+        items: { $sum: '$items' },
+      },
+    },
+    {
+      $lookup: {
+        from: ClubCategory.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'category',
+      },
+    },
+    { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        categoryId: '$_id',
+        name: { $ifNull: ['$category.name', null] },
+        members: 1,
+        transactions: 1,
+        revenue: 1,
+        averageBasketValue: { $divide: ['$revenue', '$transactions'] },
+        averageBasketItems: { $divide: ['$items', '$transactions'] },
+        repeatVisitRate: { $divide: ['$repeatMembers', '$members'] },
+      },
+    },
+    { $sort: { revenue: -1 } },
+  ]);
+
+module.exports = {
+  INTERVALS: Object.keys(INTERVAL_FORMATS),
+  getSalesReport,
+  getTopProducts,
+  getMemberActivity,
+  getCategoryReport,
+};
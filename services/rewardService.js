@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Reward service for Tsuki Coffee backend.
+ * Redeems a catalog Reward for a member: checks availability and eligibility, reserves stock,
+ * issues a Voucher and deducts the points, all within the caller's MongoDB session.
+ * Rewards can also be gifted as free vouchers (e.g. birthday treats).
+ *
+ * Usage:
+ *   const rewardService = require('../services/rewardService');
+ *   const voucher = await runInTransaction((session) =>
+ *     rewardService.redeemReward({ member, rewardId }, { session }));
+ */
+
+const ClubCategory = require('../models/ClubCategory');
+const Reward = require('../models/Reward');
+const Voucher = require('../models/Voucher');
+const pointsService = require('./pointsService');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Throws unless a reward is active and inside its availability window.
+ * @param {Object} reward Reward document
+ * @param {Date} now Current time
+ * @returns {void}
+ */
+const assertAvailable = (reward, now) => {
+  if (
+    !reward.isActive ||
+    (reward.validFrom && reward.validFrom > now) ||
+    (reward.validUntil && reward.validUntil < now)
+  ) {
+    throw new ApiError(400, 'Reward is not available.');
+  }
+};
+
+/**
+ * Reserves one unit of a reward's stock, if stock is tracked, and issues a voucher for it.
+ * @param {Object} issue
+ * @param {Object} issue.member Member document
+ * @param {Object} issue.reward Reward document
+ * @param {number} issue.pointsSpent Points the member paid (0 for gifts)
+ * @param {Date} issue.now Current time
+ * @param {Object} session MongoDB session
+ * @returns {Promise<Object>} The issued Voucher
+ */
+const issueVoucher = async ({ member, reward, pointsSpent, now }, session) => {
+  if (reward.stock !== null) {
+    const reserved = await Reward.findOneAndUpdate(
+      { _id: reward._id, stock: { $gt: 0 } },
+      { $inc: { stock: -1 } },
+      { new: true, session }
+    );
+    if (!reserved) {
+      throw new ApiError(409, 'Reward is out of stock.');
+    }
+  }
+
+  const expiresAt = new Date(now);
+  expiresAt.setDate(expiresAt.getDate() + reward.voucherValidDays);
+
+  const [voucher] = await Voucher.create(
+    [
+      {
+        code: Voucher.generateCode(),
+        member: member._id,
+        reward: reward._id,
+        pointsSpent,
+        expiresAt,
+      },
+    ],
+    { session }
+  );
+  return voucher;
+};
+
+/**
+ * Redeems a reward for a member and issues a voucher.
+ * Must run inside a transaction: the point debit writes the member document, so concurrent
+ * redemptions for the same member conflict and are retried against fresh voucher counts.
+ * @param {Object} redemption
+ * @param {Object} redemption.member Member document
+ * @param {*} redemption.rewardId Reward ObjectId
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The issued Voucher
+ */
+exports.redeemReward = async ({ member, rewardId }, { session = null } = {}) => {
+  const now = new Date();
+
+  const reward = await Reward.findById(rewardId).session(session);
+  if (!reward) {
+    throw new ApiError(404, 'Reward not found.');
+  }
+
+  // Availability window and active flag
+  assertAvailable(reward, now);
+
+  // Tier eligibility
+  if (
+    reward.eligibleCategories.length > 0 &&
+    !reward.eligibleCategories.some((categoryId) => String(categoryId) === String(member.clubCategory))
+  ) {
+    throw new ApiError(403, 'Member tier is not eligible for this reward.');
+  }
+
+  // Minimal redeem points depend on the member's club category
+  const { minRedeemPoints } = await ClubCategory.getRules(member.clubCategory, { session });
+  if (reward.pointCost < minRedeemPoints) {
+    throw new ApiError(400, `Minimum redeem points is ${minRedeemPoints}.`);
+  }
+
+  // Per-member limit; only vouchers paid with points count, not gifts such as birthday treats
+  if (reward.perMemberLimit !== null) {
+    const redeemedCount = await Voucher.countDocuments({
+      member: member._id,
+      reward: reward._id,
+      pointsSpent: { $gt: 0 },
+    }).session(session);
+    if (redeemedCount >= reward.perMemberLimit) {
+      throw new ApiError(409, 'Reward redemption limit reached for this member.');
+    }
+  }
+
+  const voucher = await issueVoucher(
+    { member, reward, pointsSpent: reward.pointCost, now },
+    session
+  );
+
+  // Deduct points: fails with "Insufficient points." if the balance no longer covers them
+  await pointsService.debitPoints(
+    {
+      memberId: member._id,
+      points: reward.pointCost,
+      reason: 'redeem',
+      sourceModel: 'Voucher',
+      sourceId: voucher._id,
+      note: reward.name,
+    },
+    { session }
+  );
+
+  return voucher;
+};
+
+/**
+ * Issues a free voucher for a reward as a gift (e.g. a birthday treat).
+ * No points are deducted and tier eligibility and per-member limits do not apply,
+ * but the reward must be available and in stock. Gifted vouchers do not count towards the
+ * reward's perMemberLimit either.
+ * @param {Object} gift
+ * @param {Object} gift.member Member document
+ * @param {*} gift.rewardId Reward ObjectId
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The issued Voucher
+ */
+exports.giftReward = async ({ member, rewardId }, { session = null } = {}) => {
+  const now = new Date();
+
+  const reward = await Reward.findById(rewardId).session(session);
+  if (!reward) {
+    throw new ApiError(404, 'Reward not found.');
+  }
+  assertAvailable(reward, now);
+
+  return issueVoucher({ member, reward, pointsSpent: 0, now }, session);
+};
+
+/**
+ * Marks a voucher as used at the counter.
+ * The status check and update are a single conditional write, so a voucher can be used once only.
+ * @param {string} code Voucher code
+ * @returns {Promise<Object>} The used Voucher
+ */
+exports.useVoucher = async (code) => {
+  const now = new Date();
+  const normalizedCode = String(code).trim().toUpperCase();
+
+  const voucher = await Voucher.findOneAndUpdate(
+    { code: normalizedCode, status: 'issued', expiresAt: { $gt: now } },
+    { $set: { status: 'used', usedAt: now } },
+    { new: true }
+  );
+  if (voucher) {
+    return voucher;
+  }
+
+  // Explain why the voucher could not be used
+  const existing = await Voucher.findOne({ code: normalizedCode });
+  if (!existing) {
+    throw new ApiError(404, 'Voucher not found.');
+  }
+  if (existing.status === 'used') {
+    throw new ApiError(409, 'Voucher has already been used.');
+  }
+  throw new ApiError(400, 'Voucher has expired.');
+};
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Sale service for Tsuki Coffee backend.
+ * Prices and records sales. Shared by POST /transactions and the offline POS sync so both
+ * apply exactly the same rules. A sale queued offline is judged as of its sale time: the
+ * store's active status, membership status, product prices and availability, the member's
+ * tier and the promotions in effect at that moment apply, not the ones at sync time, and the
+ * points it earns start expiring from the sale time.
+ *
+ * Usage:
+ *   const saleService = require('../services/saleService');
+ *   const sale = await saleService.prepareSale({ user: req.user, memberId, storeId, lineItems });
+ *   const transaction = await runInTransaction((session) =>
+ *     saleService.createSale(sale, { session }));
+ */
+
+const ClubCategory = require('../models/ClubCategory');
+const Member = require('../models/Member');
+const Product = require('../models/Product');
+const Transaction = require('../models/Transaction');
+const membershipService = require('./membershipService');
+const pointsService = require('./pointsService');
+const productService = require('./productService');
+const promotionService = require('./promotionService');
+const referralService = require('./referralService');
+const storeService = require('./storeService');
+const tierService = require('./tierService');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Validates and prices a sale without writing anything.
+ * Line points are the product pointValue * quantity scaled by the tier's earnMultiplier, and
+ * every matching promotion adds bonus points. During the membership grace period the sale is
+ * accepted but its points are held until the membership is renewed.
+ * @param {Object} input
+ * @param {Object} input.user req.user (staff tied to a store always sell there)
+ * @param {*} input.memberId Member ObjectId
+ * @param {*} [input.storeId] Store ObjectId; optional for staff tied to a store
+ * @param {Array<{productId: string, variantId: (string|null), quantity: number}>} input.lineItems
+ *   Normalized basket lines
+ * @param {Date} [input.at] Sale time of a sale recorded later (default: now)
+ * @param {string} [input.clientId] Client-generated id of an offline sale
+ * @returns {Promise<{member: Object, transaction: Object, pointsHeld: boolean,
+ *   promotions: Array<Object>}>} The promotions still have to be claimed by createSale
+ */
+const prepareSale = async ({
+  user,
+  memberId,
+  storeId = null,
+  lineItems,
+  at = null,
+  clientId = null,
+}) => {
+  const isLate = at !== null;
+  const createdAt = isLate ? at : new Date();
+
+  // Resolve the store the sale happens at
+  const store = await storeService.resolveStore(user, storeId, { at: createdAt });
+
+  // Find member
+  const member = await Member.findById(memberId);
+  if (!member) {
+    throw new ApiError(404, 'Member not found.');
+  }
+
+  // Check membership validity; during the grace period the sale is accepted but points are held
+  const { status: membershipStatus } = membershipService.getMembershipStatus(member, createdAt);
+  if (membershipStatus === membershipService.MEMBERSHIP_STATUSES.EXPIRED) {
+    throw new ApiError(400, 'Membership expired.');
+  }
+  const pointsHeld = membershipStatus === membershipService.MEMBERSHIP_STATUSES.GRACE;
+
+  // Find every product in the basket, as it was priced at the sale time
+  const productIds = [...new Set(lineItems.map((item) => item.productId))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(
+    products.map((product) => [String(product._id), isLate ? product.asOf(createdAt) : product])
+  );
+  if (productsById.size !== productIds.length) {
+    throw new ApiError(404, 'Product not found.');
+  }
+
+  // Resolve the earn multiplier of the member's tier at the sale time
+  const clubCategory = isLate
+    ? await tierService.getCategoryAt(member, createdAt)
+    : member.clubCategory;
+  const { earnMultiplier } = await ClubCategory.getRules(clubCategory);
+
+  // Calculate per-line price (store or variant price) and points, then basket totals
+  const pricedLineItems = lineItems.map((item) => {
+    const product = productsById.get(item.productId);
+    const { unitPrice, pointValue, variant } = productService.priceLineItem(
+      product,
+      item,
+      store._id
+    );
+    return {
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      variantName: variant ? variant.name : '',
+      quantity: item.quantity,
+      unitPrice,
+      pointValue,
+      lineTotal: unitPrice * item.quantity,
+      points: Math.floor(pointValue * item.quantity * earnMultiplier),
+    };
+  });
+  const totalPrice = pricedLineItems.reduce((sum, item) => sum + item.lineTotal, 0);
+
+  // Add the bonus points of every promotion that matches this sale
+  const promotions = await promotionService.applyPromotions({
+    member,
+    clubCategory,
+    lineItems: pricedLineItems,
+    at: createdAt,
+  });
+  const pointsAdded =
+    pricedLineItems.reduce((sum, item) => sum + item.points, 0) +
+    promotions.reduce((sum, promotion) => sum + promotion.pointsAdded, 0);
+
+  // Keep the legacy single-product fields populated for one-line baskets
+  const isSingleLine = pricedLineItems.length === 1;
+
+  const transaction = new Transaction({
+    memberId: member._id,
+    store: store._id,
+    productId: isSingleLine ? pricedLineItems[0].productId : null,
+    quantity: isSingleLine ? pricedLineItems[0].quantity : null,
+    lineItems: pricedLineItems,
+    totalPrice,
+    pointsAdded,
+    earnMultiplier,
+    promotions,
+    pointsStatus: pointsHeld ? 'held' : 'awarded',
+    clientId,
+    createdAt,
+  });
+
+  return { member, transaction, pointsHeld, promotions };
+};
+
+/**
+ * Records a sale prepared by prepareSale and credits its points. A referred member's first
+ * qualifying sale also pays out the referral bonuses.
+ * The sale's promotions are claimed first: one whose usage cap was reached by a concurrent
+ * sale is dropped, together with its bonus points.
+ * @param {{member: Object, transaction: Object, pointsHeld: boolean, promotions: Array<Object>}}
+ *   sale Prepared sale
+ * @param {Object} options
+ * @param {Object} options.session MongoDB session
+ * @returns {Promise<Object>} The saved transaction
+ */
+const createSale = async ({ member, transaction, pointsHeld, promotions }, { session }) => {
+  const claimed = await promotionService.claimPromotions(
+    { memberId: member._id, promotions },
+    { session }
+  );
+  transaction.promotions = claimed;
+  transaction.pointsAdded =
+    transaction.lineItems.reduce((sum, item) => sum + item.points, 0) +
+    claimed.reduce((sum, promotion) => sum + promotion.pointsAdded, 0);
+  await transaction.save({ session });
+
+  // Atomically credit member's points (held points are credited on renewal)
+  if (transaction.pointsAdded > 0 && !pointsHeld) {
+    await pointsService.creditPoints(
+      {
+        memberId: member._id,
+        points: transaction.pointsAdded,
+        reason: 'earn',
+        sourceModel: 'Transaction',
+        sourceId: transaction._id,
+        earnedAt: transaction.createdAt,
+      },
+      { session }
+    );
+  }
+
+  // The referee's first qualifying sale pays out the referral bonuses
+  if (!pointsHeld) {
+    await referralService.completeReferral({ referee: member, transaction }, { session });
+  }
+
+  return transaction;
+};
+
+module.exports = {
+  prepareSale,
+  createSale,
+};
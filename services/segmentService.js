@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Segment service for Tsuki Coffee backend.
+ * Scores members on recency, frequency and monetary value (RFM) from their Transaction history
+ * and places them in named segments. Each dimension is scored 1-5 by quintile across all
+ * members who purchased within the configured window; frequency and monetary are averaged
+ * into one loyalty score that, together with recency, picks the segment.
+ *
+ * Usage:
+ *   const segmentService = require('../services/segmentService');
+ *   const segment = segmentService.toSegment({ recencyScore: 5, frequencyScore: 4, monetaryScore: 5 });
+ */
+
+const Member = require('../models/Member');
+const Transaction = require('../models/Transaction');
+const loyaltyConfig = require('../config/loyalty');
+
+const { ACTIVE_SALE_FILTER } = Transaction;
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scores values 1-5 by quintile. Equal values always get the same score.
+ * @param {Array<number>} values Values to score
+ * @param {boolean} higherIsBetter Whether larger values earn higher scores
+ * @returns {function(number): number} Maps a value to its score
+ */
+const quintileScorer = (values, higherIsBetter) => {
+  const sorted = [...values].sort((a, b) => (higherIsBetter ? a - b : b - a));
+  const scores = new Map();
+  sorted.forEach((value, index) => {
+    if (!scores.has(value)) {
+      scores.set(value, Math.floor((index * 5) / sorted.length) + 1);
+    }
+  });
+  return (value) => scores.get(value);
+};
+
+/**
+ * Maps RFM scores to a segment name.
+ * @param {{recencyScore: number, frequencyScore: number, monetaryScore: number}} scores
+ * @returns {string} One of Member.RFM_SEGMENTS
+ */
+const toSegment = ({ recencyScore, frequencyScore, monetaryScore }) => {
+  const r = recencyScore;
+  const fm = Math.round((frequencyScore + monetaryScore) / 2);
+
+  if (r >= 4 && fm >= 4) return 'champions';
+  if (r >= 3 && fm >= 3) return 'loyal';
+  if (r === 5 && frequencyScore === 1) return 'new';
+  if (r >= 4) return 'promising';
+  if (r === 3) return 'need_attention';
+  if (r === 1 && fm >= 4) return 'cant_lose';
+  if (fm >= 3) return 'at_risk';
+  return 'hibernating';
+};
+
+/**
+ * Scores every member and stores the result on Member.rfm.
+ * Members without a purchase in the window are stored as "lost".
+ * @param {Date} [at] End of the scoring window
+ * @returns {Promise<{scored: number, lost: number, segments: Object}>} Members per segment
+ */
+const scoreMembers = async (at = new Date()) => {
+  const since = new Date(at);
+  since.setMonth(since.getMonth() - loyaltyConfig.rfmWindowMonths);
+
+  const stats = await Transaction.aggregate([
+    { $match: { ...ACTIVE_SALE_FILTER, createdAt: { $gte: since, $lte: at } } },
+    {
+      $group: {
+        _id: '$memberId',
+        lastPurchaseAt: { $max: '$createdAt' },
+        frequency: { $sum: 1 },
+        monetary: {
+          $sum: { $subtract: ['$totalPrice', { $ifNull: ['$refundedAmount', 0] }] },
+        },
+      },
+    },
+  ]);
+
+  const rows = stats.map((row) => ({
+    ...row,
+    recencyDays: Math.floor((at - row.lastPurchaseAt) / DAY_MS),
+  }));
+  const scoreRecency = quintileScorer(rows.map((row) => row.recencyDays), false);
+  const scoreFrequency = quintileScorer(rows.map((row) => row.frequency), true);
+  const scoreMonetary = quintileScorer(rows.map((row) => row.monetary), true);
+
+  const segments = {};
+  const operations = rows.map((row) => {
+    const rfm = {
+      recencyDays: row.recencyDays,
+      frequency: row.frequency,
+      monetary: row.monetary,
+      recencyScore: scoreRecency(row.recencyDays),
+      frequencyScore: scoreFrequency(row.frequency),
+      monetaryScore: scoreMonetary(row.monetary),
+      computedAt: at,
+    };
+    rfm.segment = toSegment(rfm);
+    segments[rfm.segment] = (segments[rfm.segment] || 0) + 1;
+
+    return { updateOne: { filter: { _id: row._id }, update: { $set: { rfm } } } };
+  });
+
+  if (operations.length > 0) {
+    await Member.bulkWrite(operations, { ordered: false });
+  }
+
+  // Everyone not scored in this run made no purchase within the window
+  const { modifiedCount: lost } = await Member.updateMany(
+    { 'rfm.computedAt': { $ne: at } },
+    {
+      $set: {
+        rfm: {
+          recencyDays: null,
+          frequency: 0,
+          monetary: 0,
+          recencyScore: 1,
+          frequencyScore: 1,
+          monetaryScore: 1,
+          segment: 'lost',
+          computedAt: at,
+        },
+      },
+    }
+  );
+  segments.lost = (segments.lost || 0) + lost;
+
+  return { scored: operations.length, lost, segments };
+};
+
+module.exports = {
+  toSegment,
+  scoreMembers,
+};
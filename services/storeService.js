@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Store service for Tsuki Coffee backend.
+ * Decides which store a request acts on. Staff tied to a store always act on their own store;
+ * head-office staff (no store) choose one per request. Member points are shared across stores,
+ * so nothing here touches balances.
+ *
+ * Usage:
+ *   const storeService = require('../services/storeService');
+ *   const store = await storeService.resolveStore(req.user, req.body.storeId);
+ *   const storeId = storeService.scopeStore(req.user, filters.store);
+ *   storeService.assertStoreAccess(req.user, sale.store);
+ */
+
+const mongoose = require('mongoose');
+const Store = require('../models/Store');
+const { TOKEN_TYPES } = require('./authService');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Returns the store a staff principal is tied to, if any.
+ * @param {Object} [user] req.user
+ * @returns {string|null} Store id
+ */
+const getUserStore = (user) =>
+  user && user.type === TOKEN_TYPES.STAFF && user.store ? user.store : null;
+
+/**
+ * Resolves the active store a new record is written for.
+ * A sale recorded later (offline sync) only needs the store to have been active at its sale
+ * time, so sales made just before a store closed still sync.
+ * @param {Object} user req.user
+ * @param {*} [storeId] Store requested in the body; optional for staff tied to a store
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @param {Date} [options.at] Time the record happened (default: now)
+ * @returns {Promise<Object>} Store document
+ */
+const resolveStore = async (user, storeId = null, { session = null, at = new Date() } = {}) => {
+  const userStore = getUserStore(user);
+  if (userStore && storeId && String(storeId) !== userStore) {
+    throw new ApiError(403, 'You can only record transactions for your own store.');
+  }
+
+  const id = userStore || storeId;
+  if (!id) {
+    throw new ApiError(400, 'storeId is required.');
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Valid storeId is required.');
+  }
+
+  const store = await Store.findById(id).session(session);
+  if (!store) {
+    throw new ApiError(404, 'Store not found.');
+  }
+  if (!store.isActiveAt(at)) {
+    throw new ApiError(400, 'Store is not active.');
+  }
+  return store;
+};
+
+/**
+ * Restricts a store filter of a listing or report to what the principal may see.
+ * Staff tied to a store only see their own store; everyone else sees the requested store,
+ * or all stores when none is requested.
+ * @param {Object} [user] req.user
+ * @param {*} [storeId] Requested store ObjectId
+ * @returns {Object|undefined} Store ObjectId to filter on, or undefined for all stores
+ */
+const scopeStore = (user, storeId) => {
+  const userStore = getUserStore(user);
+  if (!userStore) {
+    return storeId;
+  }
+  if (storeId && String(storeId) !== userStore) {
+    throw new ApiError(403, 'You can only view data of your own store.');
+  }
+  return new mongoose.Types.ObjectId(userStore);
+};
+
+/**
+ * Checks that a principal may change data that belongs to a store (a sale, a store price).
+ * Staff tied to a store may only change their own store's data; data without a store belongs
+ * to head office. Everyone else may change any store's data.
+ * @param {Object} [user] req.user
+ * @param {*} storeId Store ObjectId the data belongs to, or null
+ * @param {string} [message] Error message when access is denied
+ * @returns {void}
+ */
+const assertStoreAccess = (
+  user,
+  storeId,
+  message = 'You can only change data of your own store.'
+) => {
+  const userStore = getUserStore(user);
+  if (userStore && (!storeId || String(storeId) !== userStore)) {
+    throw new ApiError(403, message);
+  }
+};
+
+module.exports = {
+  resolveStore,
+  scopeStore,
+  assertStoreAccess,
+};
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Tier service for Tsuki Coffee backend.
+ * Computes rolling spend and visit figures from Transaction history, decides which
+ * club category a member qualifies for, and records tier changes.
+ * Members whose tier a manager locked (tierLocked) keep it until the lock is cleared; the
+ * scheduled evaluation skips them.
+ *
+ * Usage:
+ *   const tierService = require('../services/tierService');
+ *   const categories = await tierService.getCategoriesByRank();
+ *   await tierService.evaluateMember(member, categories);
+ */
+
+const mongoose = require('mongoose');
+const ClubCategory = require('../models/ClubCategory');
+const Member = require('../models/Member');
+const Transaction = require('../models/Transaction');
+const TierChange = require('../models/TierChange');
+const { runInTransaction } = require('../config/db');
+const { ApiError } = require('../utils/errors');
+
+const { ACTIVE_SALE_FILTER } = Transaction;
+
+/**
+ * Returns the start of a rolling window of the given length ending at `at`.
+ * @param {number} periodMonths Window length in months
+ * @param {Date} [at] End of the window
+ * @returns {Date}
+ */
+const windowStart = (periodMonths, at = new Date()) => {
+  const since = new Date(at);
+  since.setMonth(since.getMonth() - periodMonths);
+  return since;
+};
+
+/**
+ * Sums a member's spend and counts visits (sales) within a rolling window.
+ * Voided sales are ignored and refunded amounts are subtracted from spend.
+ * @param {*} memberId Member ObjectId
+ * @param {number} periodMonths Window length in months
+ * @param {Date} [at] End of the window
+ * @returns {Promise<{spend: number, visits: number, periodMonths: number}>}
+ */
+const getActivityStats = async (memberId, periodMonths, at = new Date()) => {
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        ...ACTIVE_SALE_FILTER,
+        memberId: new mongoose.Types.ObjectId(memberId),
+        createdAt: { $gte: windowStart(periodMonths, at), $lte: at },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        spend: {
+          $sum: { $subtract: ['$totalPrice', { $ifNull: ['$refundedAmount', 0] }] },
+        },
+        visits: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return {
+    spend: result ? result.spend : 0,
+    visits: result ? result.visits : 0,
+    periodMonths,
+  };
+};
+
+/**
+ * Loads every club category ordered from the highest rank to the lowest.
+ * @returns {Promise<Array<Object>>}
+ */
+const getCategoriesByRank = () => ClubCategory.find({}).sort({ rank: -1, name: 1 });
+
+/**
+ * Checks whether activity figures meet a category's qualification rule.
+ * @param {Object} category ClubCategory document
+ * @param {{spend: number, visits: number}} stats Activity over the category's period
+ * @returns {boolean}
+ */
+const meetsQualification = (category, stats) =>
+  stats.spend >= category.qualification.minSpend &&
+  stats.visits >= category.qualification.minVisits;
+
+/**
+ * Finds the highest-ranked category a member qualifies for.
+ * Activity is computed once per distinct qualification period.
+ * @param {*} memberId Member ObjectId
+ * @param {Array<Object>} categories Categories ordered by rank, highest first
+ * @returns {Promise<{category: (Object|null), stats: (Object|null)}>}
+ */
+const findQualifyingCategory = async (memberId, categories) => {
+  const statsByPeriod = new Map();
+
+  for (const category of categories) {
+    const { periodMonths } = category.qualification;
+    if (!statsByPeriod.has(periodMonths)) {
+      statsByPeriod.set(periodMonths, await getActivityStats(memberId, periodMonths));
+    }
+    const stats = statsByPeriod.get(periodMonths);
+    if (meetsQualification(category, stats)) {
+      return { category, stats };
+    }
+  }
+
+  return { category: null, stats: null };
+};
+
+/**
+ * Moves a member to another club category and records the change.
+ * The move only applies while the member is still in the category the caller read, so a
+ * concurrent change is never overwritten; run it inside a transaction so the move and its
+ * record are written together.
+ * @param {Object} change
+ * @param {Object} change.member Member document
+ * @param {Object|null} change.toCategory Target ClubCategory document, or null
+ * @param {string} change.trigger One of TIER_CHANGE_TRIGGERS
+ * @param {string} change.reason Human-readable reason
+ * @param {Object} [change.stats] Activity figures behind the change
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The TierChange record
+ */
+const changeTier = async (
+  { member, toCategory, trigger, reason, stats = null },
+  { session = null } = {}
+) => {
+  const fromCategory = member.clubCategory || null;
+  const toCategoryId = toCategory ? toCategory._id : null;
+
+  const { matchedCount } = await Member.updateOne(
+    { _id: member._id, clubCategory: fromCategory },
+    { $set: { clubCategory: toCategoryId } },
+    { session }
+  );
+  if (matchedCount === 0) {
+    throw new ApiError(409, 'Member tier changed meanwhile. Please reload and try again.');
+  }
+
+  const [tierChange] = await TierChange.create(
+    [
+      {
+        member: member._id,
+        fromCategory,
+        toCategory: toCategoryId,
+        trigger,
+        reason,
+        stats: stats || {},
+      },
+    ],
+    { session }
+  );
+
+  return tierChange;
+};
+
+/**
+ * Re-evaluates a member's tier and applies a promotion or demotion when needed.
+ * Members with a locked tier are left alone.
+ * @param {Object} member Member document
+ * @param {Array<Object>} categories Categories ordered by rank, highest first
+ * @returns {Promise<{direction: string, tierChange: Object}|null>} Null when unchanged
+ */
+const evaluateMember = async (member, categories) => {
+  if (member.tierLocked) {
+    return null;
+  }
+
+  const { category, stats } = await findQualifyingCategory(member._id, categories);
+  const currentId = member.clubCategory ? String(member.clubCategory) : null;
+  const targetId = category ? String(category._id) : null;
+
+  if (currentId === targetId) {
+    return null;
+  }
+
+  const current = categories.find((candidate) => String(candidate._id) === currentId);
+  const isPromotion = !current || (category && category.rank > current.rank);
+  const direction = isPromotion ? 'promoted' : 'demoted';
+
+  const reason = category
+    ? `${isPromotion ? 'Promoted' : 'Demoted'} to ${category.name}: spend ${stats.spend} and ${stats.visits} visit(s) in the last ${stats.periodMonths} month(s).`
+    : 'Demoted: no longer meets the qualification of any club category.';
+
+  const tierChange = await runInTransaction((session) =>
+    changeTier(
+      { member, toCategory: category, trigger: 'evaluation', reason, stats },
+      { session }
+    )
+  );
+
+  return { direction, tierChange };
+};
+
+/**
+ * Describes a member's progress toward the next-higher club category.
+ * @param {Object} member Member document
+ * @returns {Promise<Object>} Current tier, next tier, activity and remaining requirements
+ */
+const getTierProgress = async (member) => {
+  const categories = await getCategoriesByRank();
+  const current =
+    categories.find((candidate) => String(candidate._id) === String(member.clubCategory)) || null;
+
+  // Next tier: the lowest-ranked category above the current one
+  const nextTier =
+    categories
+      .filter((candidate) => !current || candidate.rank > current.rank)
+      .sort((a, b) => a.rank - b.rank)[0] || null;
+
+  if (!nextTier) {
+    return { currentTier: current, nextTier: null, stats: null, remaining: null };
+  }
+
+  const stats = await getActivityStats(member._id, nextTier.qualification.periodMonths);
+
+  return {
+    currentTier: current,
+    nextTier,
+    stats,
+    remaining: {
+      spend: Math.max(nextTier.qualification.minSpend - stats.spend, 0),
+      visits: Math.max(nextTier.qualification.minVisits - stats.visits, 0),
+    },
+    qualifies: meetsQualification(nextTier, stats),
+  };
+};
+
+/**
+ * Returns the club category a member was in at a point in time, from their tier history.
+ * Used to apply the earn rules of the sale time to sales recorded later (offline sync).
+ * @param {Object} member Member document
+ * @param {Date} at Point in time
+ * @returns {Promise<Object|null>} Club category ObjectId, or null for none
+ */
+const getCategoryAt = async (member, at) => {
+  // The first change after `at` started from the category the member was in at `at`
+  const nextChange = await TierChange.findOne({ member: member._id, createdAt: { $gt: at } }).sort({
+    createdAt: 1,
+  });
+  return nextChange ? nextChange.fromCategory : member.clubCategory;
+};
+
+module.exports = {
+  getActivityStats,
+  getCategoriesByRank,
+  findQualifyingCategory,
+  changeTier,
+  evaluateMember,
+  getTierProgress,
+  getCategoryAt,
+};
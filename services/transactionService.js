@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Transaction service for Tsuki Coffee backend.
+ * Implements corrections to recorded sales: full voids and partial refunds.
+ * Each correction marks the original sale, stores a reversing transaction record and
+ * takes back the points the sale awarded, all within the caller's MongoDB session.
+ *
+ * Usage:
+ *   const transactionService = require('../services/transactionService');
+ *   const reversal = await runInTransaction((session) =>
+ *     transactionService.voidTransaction({ user, transactionId, reason }, { session }));
+ */
+
+const Transaction = require('../models/Transaction');
+const pointsService = require('./pointsService');
+const promotionService = require('./promotionService');
+const storeService = require('./storeService');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Loads a sale for correction and makes sure its line items are populated.
+ * Staff tied to a store may only correct their own store's sales.
+ * Sales recorded before baskets existed only carry productId/quantity; they are
+ * converted to a single line item so refunds can track quantities per line.
+ * @param {Object} user req.user of the staff correcting the sale
+ * @param {*} transactionId Transaction ObjectId
+ * @param {Object} session MongoDB session
+ * @returns {Promise<Object>} The sale document
+ */
+const loadSale = async (user, transactionId, session) => {
+  const sale = await Transaction.findById(transactionId).session(session);
+  if (!sale) {
+    throw new ApiError(404, 'Transaction not found.');
+  }
+  if (sale.type !== 'sale') {
+    throw new ApiError(400, 'Only sales can be voided or refunded.');
+  }
+  storeService.assertStoreAccess(
+    user,
+    sale.store,
+    'You can only void or refund sales of your own store.'
+  );
+
+  if (sale.lineItems.length === 0 && sale.productId) {
+    sale.lineItems = [
+      {
+        productId: sale.productId,
+        quantity: sale.quantity,
+        unitPrice: sale.quantity ? sale.totalPrice / sale.quantity : 0,
+        pointValue: sale.quantity ? sale.pointsAdded / sale.quantity : 0,
+        lineTotal: sale.totalPrice,
+        points: sale.pointsAdded,
+      },
+    ];
+  }
+
+  return sale;
+};
+
+/**
+ * Stores a reversing record for a sale and takes back its points if they were credited.
+ * @param {Object} sale The original sale document
+ * @param {Object} reversal
+ * @param {string} reversal.type "void" or "refund"
+ * @param {Array<Object>} reversal.lineItems Reversed lines
+ * @param {number} reversal.amount Money returned to the customer
+ * @param {number} reversal.points Points to take back
+ * @param {string} reversal.reason Why the sale is corrected
+ * @param {Object} session MongoDB session
+ * @returns {Promise<Object>} The reversing Transaction record
+ */
+const recordReversal = async (sale, { type, lineItems, amount, points, reason }, session) => {
+  const [record] = await Transaction.create(
+    [
+      {
+        memberId: sale.memberId,
+        store: sale.store,
+        lineItems,
+        totalPrice: amount,
+        pointsAdded: 0,
+        pointsReversed: points,
+        earnMultiplier: sale.earnMultiplier,
+        type,
+        originalTransaction: sale._id,
+        reason,
+        createdAt: new Date(),
+      },
+    ],
+    { session }
+  );
+
+  // Points that are held or forfeited were never credited, so there is nothing to take back
+  if (points > 0 && sale.pointsStatus === 'awarded') {
+    await pointsService.reversePoints(
+      {
+        memberId: sale.memberId,
+        points,
+        originalTransactionId: sale._id,
+        sourceId: record._id,
+        note: `${type === 'void' ? 'Void' : 'Refund'} of transaction ${sale._id}`,
+      },
+      { session }
+    );
+  }
+
+  return record;
+};
+
+/**
+ * Voids a sale completely: reverses every unrefunded unit, takes back the remaining points and
+ * gives back the sale's promotion uses. A partially refunded sale can be voided too; only the
+ * units, money and points its refunds have not already taken back are reversed.
+ * @param {Object} request
+ * @param {Object} request.user req.user of the staff voiding the sale
+ * @param {*} request.transactionId Sale ObjectId
+ * @param {string} [request.reason] Why the sale is voided
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The void Transaction record
+ */
+exports.voidTransaction = async (
+  { user, transactionId, reason = '' },
+  { session = null } = {}
+) => {
+  const sale = await loadSale(user, transactionId, session);
+  if (sale.status !== 'completed' && sale.status !== 'partially_refunded') {
+    throw new ApiError(409, `Transaction is already ${sale.status}.`);
+  }
+
+  // Units already refunded were reversed by their refund record
+  const lineItems = sale.lineItems
+    .filter((line) => line.refundedQuantity < line.quantity)
+    .map((line) => {
+      const quantity = line.quantity - line.refundedQuantity;
+      return {
+        productId: line.productId,
+        variantId: line.variantId,
+        variantName: line.variantName,
+        quantity,
+        unitPrice: line.unitPrice,
+        pointValue: line.pointValue,
+        lineTotal: line.refundedQuantity === 0 ? line.lineTotal : line.unitPrice * quantity,
+        points: line.points - line.refundedPoints,
+      };
+    });
+  const amount = sale.totalPrice - sale.refundedAmount;
+  const points = sale.pointsAdded - sale.pointsReversed;
+
+  sale.status = 'voided';
+  sale.refundedAmount = sale.totalPrice;
+  sale.pointsReversed = sale.pointsAdded;
+  sale.reason = reason;
+  await sale.save({ session });
+  await promotionService.releasePromotions(
+    { memberId: sale.memberId, promotions: sale.promotions },
+    { session }
+  );
+
+  return recordReversal(sale, { type: 'void', lineItems, amount, points, reason }, session);
+};
+
+/**
+ * Refunds part of a sale. Quantities are taken from the sale's lines in order (only lines of
+ * the given variant when a variantId is given), and each refunded unit takes back its share
+ * of the line's points; the last unit of a line takes back whatever points of that line
+ * remain, so rounding never leaves points behind.
+ * Refunding the last unit of the sale also takes back any promotion bonus points and gives
+ * back the sale's promotion uses, as a void does.
+ * @param {Object} request
+ * @param {Object} request.user req.user of the staff refunding the sale
+ * @param {*} request.transactionId Sale ObjectId
+ * @param {Array<{productId: string, variantId: (string|null), quantity: number}>} request.lineItems
+ *   Units to refund
+ * @param {string} [request.reason] Why the sale is refunded
+ * @param {Object} [options]
+ * @param {Object} [options.session] MongoDB session
+ * @returns {Promise<Object>} The refund Transaction record
+ */
+exports.refundTransaction = async (
+  { user, transactionId, lineItems, reason = '' },
+  { session = null } = {}
+) => {
+  const sale = await loadSale(user, transactionId, session);
+  if (sale.status === 'voided' || sale.status === 'refunded') {
+    throw new ApiError(409, `Transaction is already ${sale.status}.`);
+  }
+
+  const refundedLines = [];
+  for (const request of lineItems) {
+    let outstanding = request.quantity;
+
+    for (const line of sale.lineItems) {
+      if (outstanding === 0) break;
+      if (String(line.productId) !== String(request.productId)) continue;
+      if (request.variantId && String(line.variantId) !== String(request.variantId)) continue;
+
+      const available = line.quantity - line.refundedQuantity;
+      const quantity = Math.min(available, outstanding);
+      if (quantity === 0) continue;
+
+      const isLastUnits = line.refundedQuantity + quantity === line.quantity;
+      const points = isLastUnits
+        ? line.points - line.refundedPoints
+        : Math.floor((line.points * quantity) / line.quantity);
+
+      line.refundedQuantity += quantity;
+      line.refundedPoints += points;
+      outstanding -= quantity;
+
+      refundedLines.push({
+        productId: line.productId,
+        variantId: line.variantId,
+        variantName: line.variantName,
+        quantity,
+        unitPrice: line.unitPrice,
+        pointValue: line.pointValue,
+        lineTotal: line.unitPrice * quantity,
+        points,
+      });
+    }
+
+    if (outstanding > 0) {
+      throw new ApiError(
+        400,
+        `Cannot refund ${request.quantity} unit(s) of product ${request.productId}: not enough unrefunded quantity.`
+      );
+    }
+  }
+
+  const amount = refundedLines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const fullyRefunded = sale.lineItems.every((line) => line.refundedQuantity === line.quantity);
+
+  // Promotion bonus points are not tied to a line; the refund of the last unit takes them back
+  const points = fullyRefunded
+    ? sale.pointsAdded - sale.pointsReversed
+    : refundedLines.reduce((sum, line) => sum + line.points, 0);
+
+  sale.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  sale.refundedAmount += amount;
+  sale.pointsReversed += points;
+  await sale.save({ session });
+  if (fullyRefunded) {
+    await promotionService.releasePromotions(
+      { memberId: sale.memberId, promotions: sale.promotions },
+      { session }
+    );
+  }
+
+  return recordReversal(
+    sale,
+    { type: 'refund', lineItems: refundedLines, amount, points, reason },
+    session
+  );
+};
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Webhook service for Tsuki Coffee backend.
+ * Emits loyalty events to the active webhook subscriptions that listen to them and delivers
+ * them over HTTP. Every event is recorded in the delivery log (WebhookDelivery) before it is
+ * sent, so a delivery that fails, or is cut short when a serverless function freezes after
+ * its response, is retried with exponential backoff. Due retries are attempted in the
+ * background whenever a new event is emitted; the daily POST /jobs/deliver-webhooks run
+ * catches the ones no event picked up.
+ *
+ * Each delivery is a JSON POST of { id, event, createdAt, data } with these headers:
+ *   X-Tsuki-Event: event name
+ *   X-Tsuki-Delivery: delivery id (a replay gets a new one; the body id stays the same)
+ *   X-Tsuki-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed by the
+ *     subscription secret>
+ * Any 2xx response counts as delivered.
+ *
+ * Usage:
+ *   const webhookService = require('../services/webhookService');
+ *   await webhookService.emitEvent('member.created', { member });
+ */
+
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+const { ApiError } = require('../utils/errors');
+const { getBackoffDelay } = require('../utils/backoff');
+
+// MongoDB duplicate key error code (one-off event already recorded for the subscription)
+const DUPLICATE_KEY = 11000;
+
+// Characters of the subscriber's response body kept in the delivery log
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Extra time an attempt keeps its claim on a delivery after the request timeout
+const CLAIM_MARGIN_MS = 30 * 1000;
+
+// Due retries attempted in the background after each emitted event
+const RETRIES_PER_EVENT = 10;
+
+/**
+ * Computes the signature of a delivery body.
+ * @param {string} secret Subscription secret
+ * @param {number} timestamp Unix time in seconds, sent as the "t" part of the signature header
+ * @param {string} body Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 digest
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Makes one attempt to deliver a pending delivery that is due.
+ * The delivery is claimed first, so the retry job and an immediate attempt never send it
+ * at the same time.
+ * @param {*} deliveryId WebhookDelivery ObjectId
+ * @returns {Promise<Object|null>} The updated delivery, or null when it was not due
+ */
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const claimedUntil = new Date(now.getTime() + webhookConfig.timeoutMs + CLAIM_MARGIN_MS);
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: claimedUntil } },
+    { new: true }
+  );
+  if (!delivery) {
+    return null;
+  }
+
+  const attempt = { at: now, responseStatus: null, responseBody: '', error: '', durationMs: 0 };
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+  if (!subscription || !subscription.isActive) {
+    attempt.error = subscription ? 'Webhook is disabled.' : 'Webhook was deleted.';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const signature = signPayload(subscription.secret, timestamp, body);
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TsukiCoffee-Webhooks/1.0',
+          'X-Tsuki-Event': delivery.event,
+          'X-Tsuki-Delivery': String(delivery._id),
+          'X-Tsuki-Signature': `t=${timestamp},v1=${signature}`,
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+      });
+      attempt.responseStatus = response.status;
+      attempt.responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    } catch (error) {
+      attempt.error =
+        error.name === 'TimeoutError'
+          ? `No response within ${webhookConfig.timeoutMs} ms.`
+          : error.message || String(error);
+    }
+  }
+  attempt.durationMs = Date.now() - now.getTime();
+
+  // A disabled or deleted subscription is not retried; replay the delivery once it is enabled
+  const delivered = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+  const attempts = delivery.attempts.length + 1;
+  const retryDelay = getBackoffDelay(attempts, {
+    baseSeconds: webhookConfig.retryBaseSeconds,
+    maxSeconds: webhookConfig.retryMaxSeconds,
+  });
+  let update = { nextAttemptAt: new Date(Date.now() + retryDelay) };
+  if (delivered) {
+    update = { status: 'succeeded', deliveredAt: new Date(), nextAttemptAt: null };
+  } else if (attempts >= webhookConfig.maxAttempts || !subscription || !subscription.isActive) {
+    update = { status: 'failed', nextAttemptAt: null };
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $set: update, $push: { attempts: attempt } },
+    { new: true }
+  );
+};
+
+/**
+ * Attempts pending deliveries that are due, oldest due first, one at a time.
+ * A failure on one delivery is logged without stopping the others.
+ * @param {Array<*>} [excludeIds] Deliveries the caller is already attempting
+ * @returns {Promise<void>}
+ */
+const retryDueDeliveries = async (excludeIds = []) => {
+  const due = await WebhookDelivery.find({
+    _id: { $nin: excludeIds },
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRIES_PER_EVENT)
+    .select('_id');
+
+  for (const { _id } of due) {
+    await attemptDelivery(_id).catch((error) =>
+      console.error(`webhook delivery error for ${_id}:`, error)
+    );
+  }
+};
+
+/**
+ * Records an event for every active subscription that listens to it and starts delivering it.
+ * The first attempt runs in the background, followed by up to RETRIES_PER_EVENT due retries of
+ * earlier deliveries; the rest is left to the retry job. Never throws,
+ * so a webhook problem cannot fail the request that emitted the event (which has already
+ * been committed).
+ * @param {string} event One of WEBHOOK_EVENTS
+ * @param {Object} data Event data (documents are serialized with toJSON)
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey] Key of an event that must reach each subscriber only once
+ * @returns {Promise<number>} Number of deliveries recorded
+ */
+const emitEvent = async (event, data, { dedupeKey = null } = {}) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ isActive: true, events: event }).select(
+      '_id'
+    );
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.parse(
+      JSON.stringify({ id: eventId, event, createdAt: new Date(), data })
+    );
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      try {
+        deliveries.push(
+          await WebhookDelivery.create({
+            subscription: subscription._id,
+            event,
+            eventId,
+            payload,
+            dedupeKey,
+          })
+        );
+      } catch (error) {
+        if (!error || error.code !== DUPLICATE_KEY) {
+          throw error;
+        }
+      }
+    }
+
+    for (const delivery of deliveries) {
+      attemptDelivery(delivery._id).catch((error) =>
+        console.error(`webhook delivery error for ${delivery._id}:`, error)
+      );
+    }
+    retryDueDeliveries(deliveries.map((delivery) => delivery._id)).catch((error) =>
+      console.error('webhook retry error:', error)
+    );
+    return deliveries.length;
+  } catch (error) {
+    console.error(`webhook emit error for ${event}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Sends an earlier delivery again as a new delivery of the same event (same body id), and
+ * makes its first attempt right away.
+ * @param {*} deliveryId WebhookDelivery ObjectId of the delivery to replay
+ * @returns {Promise<Object>} The new delivery after its first attempt
+ * @throws {ApiError} 404 when the delivery or its subscription no longer exists, 400 when the
+ *   subscription is disabled
+ */
+const replayDelivery = async (deliveryId) => {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) {
+    throw new ApiError(404, 'Webhook delivery not found.');
+  }
+  const subscription = await WebhookSubscription.findById(original.subscription);
+  if (!subscription) {
+    throw new ApiError(404, 'Webhook not found.');
+  }
+  if (!subscription.isActive) {
+    throw new ApiError(400, 'Webhook is disabled. Enable it before replaying deliveries.', {
+      code: 'WEBHOOK_DISABLED',
+    });
+  }
+
+  const replay = await WebhookDelivery.create({
+    subscription: subscription._id,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    replayOf: original._id,
+  });
+
+  return (await attemptDelivery(replay._id)) || replay;
+};
+
+module.exports = {
+  signPayload,
+  attemptDelivery,
+  emitEvent,
+  replayDelivery,
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests for the idempotency service in Tsuki Coffee backend.
+ * Checks that a pending key blocks retries while its lease holds, that the running request
+ * can renew its lease, and that once the lease has run out a retry reclaims the key and the
+ * abandoned request can no longer settle it.
+ *
+ * Usage:
+ *   npm test
+ */
+
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotencyService = require('../services/idempotencyService');
+const database = require('./support/database');
+
+before(() => database.start([IdempotencyKey]));
+after(database.stop);
+
+test('a stale pending key is reclaimed by a retry', async (t) => {
+  if (database.skipUnavailable(t)) return;
+
+  const request = { actor: 'staff:1', key: 'sale-1', fingerprint: 'abc' };
+  const first = await idempotencyService.beginRequest(request);
+  assert.equal(first.status, 'pending');
+
+  await assert.rejects(idempotencyService.beginRequest(request), {
+    status: 409,
+    code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+  });
+
+  // The first request never answered and its lease ran out
+  const expired = new Date(Date.now() - 1000);
+  await IdempotencyKey.updateOne(
+    { actor: request.actor, key: request.key },
+    { $set: { lockedUntil: expired } }
+  );
+  const stale = { actor: request.actor, key: request.key, lockedUntil: expired };
+
+  const retry = await idempotencyService.beginRequest(request);
+  assert.equal(retry.status, 'pending');
+  assert.ok(retry.lockedUntil > new Date());
+
+  // Only the retry, which holds the lease now, can settle the key
+  await idempotencyService.releaseRequest(stale);
+  await idempotencyService.completeRequest(
+    { actor: request.actor, key: request.key, lockedUntil: retry.lockedUntil },
+    { status: 200, body: { ok: true } }
+  );
+  const replay = await idempotencyService.beginRequest(request);
+  assert.equal(replay.status, 'completed');
+  assert.deepEqual(replay.responseBody, { ok: true });
+});
+
+test('a running request keeps its lease until it stops renewing it', async (t) => {
+  if (database.skipUnavailable(t)) return;
+
+  const request = { actor: 'staff:1', key: 'sale-2', fingerprint: 'abc' };
+  await idempotencyService.beginRequest(request);
+
+  // The lease is about to run out while the request is still working
+  const ending = new Date(Date.now() + 1000);
+  await IdempotencyKey.updateOne(
+    { actor: request.actor, key: request.key },
+    { $set: { lockedUntil: ending } }
+  );
+  const scope = { actor: request.actor, key: request.key, lockedUntil: ending };
+
+  const renewedUntil = await idempotencyService.renewRequest(scope);
+  assert.ok(renewedUntil > ending);
+  // The old lease no longer identifies the claim
+  assert.equal(await idempotencyService.renewRequest(scope), null);
+  scope.lockedUntil = renewedUntil;
+  await assert.rejects(idempotencyService.beginRequest(request), {
+    status: 409,
+    code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+  });
+
+  // Once the request stops renewing and the lease runs out, a retry takes the key over
+  const expired = new Date(Date.now() - 1000);
+  await IdempotencyKey.updateOne(
+    { actor: request.actor, key: request.key },
+    { $set: { lockedUntil: expired } }
+  );
+  const retry = await idempotencyService.beginRequest(request);
+  assert.equal(retry.status, 'pending');
+  scope.lockedUntil = expired;
+  assert.equal(await idempotencyService.renewRequest(scope), null);
+});
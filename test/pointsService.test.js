@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tests for the points service in Tsuki Coffee backend.
+ * Checks that concurrent redemptions against one member, each in its own transaction,
+ * never overdraw the balance and leave the ledger and the point lots consistent with it, and
+ * that a balance from before the ledger is brought under ledger and lot tracking once.
+ *
+ * Usage:
+ *   npm test
+ */
+
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const Member = require('../models/Member');
+const PointLedger = require('../models/PointLedger');
+const PointLot = require('../models/PointLot');
+const pointsService = require('../services/pointsService');
+const { runInTransaction } = require('../config/db');
+const { ApiError } = require('../utils/errors');
+const database = require('./support/database');
+
+before(() => database.start([Member, PointLedger, PointLot]));
+after(database.stop);
+
+test('parallel debits never overdraw and keep ledger and lots in step', async (t) => {
+  if (database.skipUnavailable(t)) return;
+
+  const member = await Member.create({ name: 'Concurrent Member', phone: '081200000001' });
+  for (let i = 0; i < 3; i += 1) {
+    await runInTransaction((session) =>
+      pointsService.creditPoints({ memberId: member._id, points: 100, reason: 'earn' }, { session })
+    );
+  }
+
+  // 10 redemptions of 40 against a balance of 300: exactly 7 can succeed
+  const attempts = 10;
+  const cost = 40;
+  const results = await Promise.allSettled(
+    Array.from({ length: attempts }, () =>
+      runInTransaction((session) =>
+        pointsService.debitPoints(
+          { memberId: member._id, points: cost, reason: 'redeem' },
+          { session }
+        )
+      )
+    )
+  );
+
+  const succeeded = results.filter((result) => result.status === 'fulfilled');
+  const failed = results.filter((result) => result.status === 'rejected');
+  assert.equal(succeeded.length, 7);
+  for (const { reason } of failed) {
+    assert.ok(reason instanceof ApiError);
+    assert.equal(reason.status, 400);
+    assert.equal(reason.message, 'Insufficient points.');
+  }
+
+  const stored = await Member.findById(member._id);
+  assert.equal(stored.points, 300 - 7 * cost);
+
+  // One ledger entry per committed change; the balances form an unbroken sequence
+  const redeemEntries = await PointLedger.find({ member: member._id, reason: 'redeem' });
+  assert.equal(redeemEntries.length, 7);
+  assert.deepEqual(
+    redeemEntries.map((entry) => entry.balance).sort((a, b) => b - a),
+    Array.from({ length: 7 }, (value, index) => 300 - (index + 1) * cost)
+  );
+  for (const entry of redeemEntries) {
+    assert.equal(entry.delta, -cost);
+  }
+  const ledgerTotal = await PointLedger.aggregate([
+    { $match: { member: member._id } },
+    { $group: { _id: null, total: { $sum: '$delta' } } },
+  ]);
+  assert.equal(ledgerTotal[0].total, stored.points);
+
+  // Oldest lots are used up first and the lots hold exactly the balance
+  const lots = await PointLot.find({ member: member._id }).sort({ earnedAt: 1, _id: 1 });
+  assert.deepEqual(lots.map((lot) => lot.remaining), [0, 0, 20]);
+});
+
+test('trackLegacyBalance opens the ledger and a lot for a pre-ledger balance once', async (t) => {
+  if (database.skipUnavailable(t)) return;
+
+  // 120 points from before the ledger, then a tracked sale of 30
+  const member = await Member.create({ name: 'Legacy Member', phone: '081200000003', points: 120 });
+  await runInTransaction((session) =>
+    pointsService.creditPoints({ memberId: member._id, points: 30, reason: 'earn' }, { session })
+  );
+
+  const first = await runInTransaction((session) =>
+    pointsService.trackLegacyBalance(member._id, { session })
+  );
+  assert.deepEqual(first, { ledgerPoints: 120, lotPoints: 120 });
+
+  const { balance } = await PointLedger.getBalance(member._id);
+  assert.equal(balance, 150);
+  const lots = await PointLot.find({ member: member._id });
+  assert.equal(lots.reduce((sum, lot) => sum + lot.remaining, 0), 150);
+
+  const again = await runInTransaction((session) =>
+    pointsService.trackLegacyBalance(member._id, { session })
+  );
+  assert.deepEqual(again, { ledgerPoints: 0, lotPoints: 0 });
+});
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Tests for the promotion service in Tsuki Coffee backend.
+ * Checks that concurrent sales of one member, each in its own transaction, cannot claim a
+ * capped promotion more often than its perMemberLimit, and that a void gives a use back.
+ *
+ * Usage:
+ *   npm test
+ */
+
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const Member = require('../models/Member');
+const Promotion = require('../models/Promotion');
+const PromotionUsage = require('../models/PromotionUsage');
+const Transaction = require('../models/Transaction');
+const promotionService = require('../services/promotionService');
+const { runInTransaction } = require('../config/db');
+const database = require('./support/database');
+
+before(() => database.start([Member, Promotion, PromotionUsage, Transaction]));
+after(database.stop);
+
+test('parallel sales claim a capped promotion at most perMemberLimit times', async (t) => {
+  if (database.skipUnavailable(t)) return;
+
+  const member = await Member.create({ name: 'Promo Member', phone: '081200000002' });
+  const promotion = await Promotion.create({
+    name: 'Twice per member',
+    multiplier: 1,
+    bonusPoints: 50,
+    perMemberLimit: 2,
+  });
+  const applied = { promotion: promotion._id, name: promotion.name, pointsAdded: 50 };
+
+  const claims = await Promise.all(
+    Array.from({ length: 6 }, () =>
+      runInTransaction((session) =>
+        promotionService.claimPromotions(
+          { memberId: member._id, promotions: [applied] },
+          { session }
+        )
+      )
+    )
+  );
+
+  assert.equal(claims.filter((claimed) => claimed.length === 1).length, 2);
+  const usage = await PromotionUsage.findOne({ promotion: promotion._id, member: member._id });
+  assert.equal(usage.count, 2);
+
+  await runInTransaction((session) =>
+    promotionService.releasePromotions(
+      { memberId: member._id, promotions: [applied] },
+      { session }
+    )
+  );
+  const claimed = await runInTransaction((session) =>
+    promotionService.claimPromotions({ memberId: member._id, promotions: [applied] }, { session })
+  );
+  assert.equal(claimed.length, 1);
+});
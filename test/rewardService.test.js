@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Tests for reward redemption in Tsuki Coffee backend.
+ * Races rewardService.redeemReward calls against POST /members/:id/redeem requests on one
+ * member's balance and checks that it is never overdrawn, that exactly one voucher is issued
+ * per successful redemption, and that the ledger and point lots stay consistent with it.
+ *
+ * Usage:
+ *   npm test
+ */
+
+// Staff tokens are signed with this secret in the HTTP requests below
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'tsuki-coffee-test-secret';
+
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const express = require('express');
+const mongoose = require('mongoose');
+const Member = require('../models/Member');
+const Reward = require('../models/Reward');
+const Staff = require('../models/Staff');
+const Voucher = require('../models/Voucher');
+const PointLedger = require('../models/PointLedger');
+const PointLot = require('../models/PointLot');
+const memberRoutes = require('../routes/memberRoutes');
+const authService = require('../services/authService');
+const pointsService = require('../services/pointsService');
+const rewardService = require('../services/rewardService');
+const { runInTransaction } = require('../config/db');
+const database = require('./support/database');
+
+// Only the member routes are mounted, so app.js does not open its own connection
+const app = express();
+app.use(express.json());
+app.use('/members', memberRoutes);
+
+let server = null;
+let baseUrl = null;
+
+before(async () => {
+  await database.start([Member, Reward, Staff, Voucher, PointLedger, PointLot]);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  if (server) {
+    server.close();
+  }
+  await database.stop();
+});
+
+test('parallel redemptions through the service and the API never overdraw', async (t) => {
+  if (database.skipUnavailable(t)) return;
+
+  const member = await Member.create({ name: 'Redeeming Member', phone: '081200000004' });
+  await runInTransaction((session) =>
+    pointsService.creditPoints({ memberId: member._id, points: 300, reason: 'earn' }, { session })
+  );
+  const reward = await Reward.create({ name: 'Free Latte', pointCost: 40 });
+  const cashier = await Staff.create({
+    name: 'Cashier',
+    username: 'cashier-redeem',
+    passwordHash: 'unused',
+    role: 'cashier',
+    store: new mongoose.Types.ObjectId(),
+  });
+  const token = authService.issueStaffToken(cashier);
+
+  // 5 service calls and 5 API calls of 40 against a balance of 300: exactly 7 can succeed
+  const viaService = Array.from({ length: 5 }, () =>
+    runInTransaction((session) =>
+      rewardService.redeemReward({ member, rewardId: reward._id }, { session })
+    ).then(
+      () => true,
+      (error) => {
+        assert.equal(error.status, 400);
+        assert.equal(error.message, 'Insufficient points.');
+        return false;
+      }
+    )
+  );
+  const viaApi = Array.from({ length: 5 }, async () => {
+    const response = await fetch(`${baseUrl}/members/${member._id}/redeem`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ rewardId: String(reward._id) }),
+    });
+    const body = await response.json();
+    if (response.status === 200) {
+      return true;
+    }
+    assert.equal(response.status, 400);
+    assert.equal(body.error, 'Insufficient points.');
+    return false;
+  });
+  const results = await Promise.all([...viaService, ...viaApi]);
+  assert.equal(results.filter(Boolean).length, 7);
+
+  const stored = await Member.findById(member._id);
+  assert.equal(stored.points, 300 - 7 * 40);
+  assert.equal(await Voucher.countDocuments({ member: member._id, reward: reward._id }), 7);
+
+  const redeemEntries = await PointLedger.find({ member: member._id, reason: 'redeem' });
+  assert.equal(redeemEntries.length, 7);
+  const ledgerTotal = await PointLedger.aggregate([
+    { $match: { member: member._id } },
+    { $group: { _id: null, total: { $sum: '$delta' } } },
+  ]);
+  assert.equal(ledgerTotal[0].total, stored.points);
+
+  const lots = await PointLot.find({ member: member._id });
+  assert.equal(lots.reduce((sum, lot) => sum + lot.remaining, 0), stored.points);
+});
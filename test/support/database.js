@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Test database for Tsuki Coffee backend tests.
+ * Transactions need a replica set, so tests connect to MONGODB_TEST_URI when it is set (it
+ * must point at a replica set and its database is dropped) and otherwise start a throwaway
+ * single-node replica set with mongodb-memory-server (the MongoDB version is pinned in
+ * package.json under config.mongodbMemoryServer).
+ * A database that cannot be started fails the run. Only with TEST_ALLOW_DB_SKIP=1 are the tests
+ * that need it reported as skipped instead, e.g. on a machine that cannot download MongoDB.
+ *
+ * Usage:
+ *   const database = require('./support/database');
+ *   before(database.start);
+ *   after(database.stop);
+ *   test('...', async (t) => { if (database.skipUnavailable(t)) return; ... });
+ */
+
+const mongoose = require('mongoose');
+
+// Running replica set started by this helper, if any
+let replSet = null;
+
+// Why the database could not be started, if it could not and skipping was allowed
+let unavailableReason = null;
+
+/**
+ * Connects mongoose to the test replica set and creates the given models' collections and
+ * indexes up front (collections cannot be created implicitly inside every transaction).
+ * A database that cannot be started fails the run, unless TEST_ALLOW_DB_SKIP=1 is set: then
+ * the failure is recorded and the tests that need it are reported as skipped with the reason.
+ * @param {Array<Object>} [models] Mongoose models the tests use
+ * @returns {Promise<void>}
+ */
+const start = async (models = []) => {
+  try {
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+      const { MongoMemoryReplSet } = require('mongodb-memory-server');
+      replSet = await MongoMemoryReplSet.create({
+        replSet: { count: 1, storageEngine: 'wiredTiger' },
+      });
+      uri = replSet.getUri('tsuki_coffee_test');
+    }
+    await mongoose.connect(uri);
+    await mongoose.connection.dropDatabase();
+    for (const model of models) {
+      await model.createCollection();
+      await model.init();
+    }
+  } catch (error) {
+    if (process.env.TEST_ALLOW_DB_SKIP !== '1') {
+      throw error;
+    }
+    unavailableReason = `MongoDB replica set unavailable: ${error.message}`;
+  }
+};
+
+/**
+ * Disconnects mongoose and stops the replica set started by start().
+ * @returns {Promise<void>}
+ */
+const stop = async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+};
+
+/**
+ * Marks a test as skipped when the database could not be started and TEST_ALLOW_DB_SKIP=1.
+ * @param {Object} t node:test context
+ * @returns {boolean} True when the test was skipped and must return
+ */
+const skipUnavailable = (t) => {
+  if (unavailableReason) {
+    t.skip(unavailableReason);
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  start,
+  stop,
+  skipUnavailable,
+};
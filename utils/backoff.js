@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Retry backoff helper for Tsuki Coffee backend.
+ * Shared by the queues that retry outbound messages (webhooks, member notifications).
+ *
+ * Usage:
+ *   const { getBackoffDelay } = require('../utils/backoff');
+ *   const delayMs = getBackoffDelay(attempts, { baseSeconds: 30, maxSeconds: 3600 });
+ */
+
+/**
+ * Returns the delay before the next attempt: baseSeconds after the first failed attempt,
+ * doubling after every further one, capped at maxSeconds.
+ * @param {number} attempts Attempts made so far
+ * @param {Object} schedule
+ * @param {number} schedule.baseSeconds Delay after the first failed attempt
+ * @param {number} schedule.maxSeconds Longest delay
+ * @returns {number} Milliseconds
+ */
+const getBackoffDelay = (attempts, { baseSeconds, maxSeconds }) =>
+  Math.min(baseSeconds * 2 ** Math.max(attempts - 1, 0), maxSeconds) * 1000;
+
+module.exports = {
+  getBackoffDelay,
+};
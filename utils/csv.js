@@ -0,0 +1,159 @@
+/**
+ * @fileoverview CSV helpers for Tsuki Coffee backend.
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings) into
+ * row objects keyed by the header line, and formats and streams CSV lines for export.
+ *
+ * Usage:
+ *   const { parseCsv, toCsvLine, streamCsv } = require('../utils/csv');
+ *   const rows = parseCsv('name,phone\nAyu,0812');
+ *   res.write(toCsvLine(['Ayu', '0812']));
+ */
+
+const { once } = require('events');
+const { ApiError } = require('./errors');
+
+/**
+ * Splits CSV text into records of raw field values, each with the line it starts on.
+ * @param {string} text CSV text
+ * @returns {Array<{line: number, values: Array<string>}>}
+ */
+const splitRecords = (text) => {
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      values.push(field);
+      records.push({ line: recordLine, values });
+      values = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ApiError(400, 'CSV has an unterminated quoted field.');
+  }
+  if (field !== '' || values.length > 0) {
+    values.push(field);
+    records.push({ line: recordLine, values });
+  }
+
+  // Ignore blank lines
+  return records.filter((record) => record.values.length > 1 || record.values[0].trim() !== '');
+};
+
+/**
+ * Parses CSV text into objects keyed by the (trimmed) header names.
+ * Each row also carries its 1-based line number in the file as `line`.
+ * @param {string} text CSV text with a header line
+ * @param {Array<string>} requiredColumns Columns the header must contain
+ * @returns {Array<{line: number, values: Object<string, string>}>}
+ */
+const parseCsv = (text, requiredColumns = []) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ApiError(400, 'Request body must be CSV text with a header line.');
+  }
+
+  const [header, ...records] = splitRecords(text.replace(/^\uFEFF/, ''));
+  const columns = header.values.map((name) => name.trim());
+  const missing = requiredColumns.filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new ApiError(400, `CSV is missing column(s): ${missing.join(', ')}.`);
+  }
+
+  return records.map(({ line, values }) => ({
+    line,
+    values: Object.fromEntries(columns.map((name, column) => [name, (values[column] || '').trim()])),
+  }));
+};
+
+/**
+ * Formats one value as a CSV field. Text that a spreadsheet would run as a formula is
+ * prefixed with a quote so exported files are safe to open.
+ * @param {*} value Field value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats values as one CSV line, including the line break.
+ * @param {Array<*>} values Field values
+ * @returns {string}
+ */
+const toCsvLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+/**
+ * Streams documents from a query cursor to an Express response as a CSV download.
+ * Respects backpressure so large exports never buffer in memory. If the cursor fails after
+ * the download started, the connection is destroyed so the client sees a truncated file.
+ * @param {Object} options
+ * @param {Object} options.res Express response
+ * @param {string} options.filename Download file name
+ * @param {Array<string>} options.columns Header line
+ * @param {AsyncIterable<Object>} options.cursor Documents to export
+ * @param {function(Object): Array<*>} options.toRow Maps a document to its field values
+ * @returns {Promise<number>} Rows written
+ */
+const streamCsv = async ({ res, filename, columns, cursor, toRow }) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(toCsvLine(columns));
+
+  let rows = 0;
+  try {
+    for await (const doc of cursor) {
+      if (!res.write(toCsvLine(toRow(doc)))) {
+        await once(res, 'drain');
+      }
+      rows += 1;
+    }
+  } catch (error) {
+    res.destroy(error);
+    throw error;
+  }
+
+  res.end();
+  return rows;
+};
+
+module.exports = {
+  parseCsv,
+  toCsvLine,
+  streamCsv,
+};
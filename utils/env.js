@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Environment variable helpers for Tsuki Coffee backend.
+ * Shared by the config modules that read numeric settings.
+ *
+ * Usage:
+ *   const { readNumber } = require('../utils/env');
+ *   const maxAttempts = readNumber('WEBHOOK_MAX_ATTEMPTS', 8);
+ */
+
+/**
+ * Reads a numeric environment variable, falling back to a default when unset or invalid.
+ * An explicit 0 is kept.
+ * @param {string} name Environment variable name
+ * @param {number} fallback Default value
+ * @returns {number}
+ */
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value)
+    ? value
+    : fallback;
+};
+
+module.exports = {
+  readNumber,
+};
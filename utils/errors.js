@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Error types shared by services and controllers in Tsuki Coffee backend.
+ * Services throw ApiError for expected business failures (not found, insufficient points, etc.)
+ * so controllers can map them to the right HTTP status instead of a generic 500.
+ *
+ * Every error response uses the same envelope:
+ *   { error: 'Human readable message.', code: 'STABLE_CODE', details: [...] (optional) }
+ * `code` is stable and safe for clients to branch on; `error` may be reworded. Validation
+ * failures carry one detail per field: { location, field, code, message }.
+ *
+ * Usage:
+ *   const { ApiError } = require('../utils/errors');
+ *   throw new ApiError(404, 'Member not found.');
+ *   return res.status(error.status).json(error.toJSON());
+ */
+
+// Default error code per HTTP status
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR',
+};
+
+// Code used for request validation failures (with field-level details)
+const VALIDATION_ERROR = 'VALIDATION_ERROR';
+
+/**
+ * Returns the default error code for an HTTP status.
+ * @param {number} status HTTP status code
+ * @returns {string}
+ */
+const errorCodeFor = (status) =>
+  ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+
+/**
+ * Builds the error response envelope.
+ * @param {number} status HTTP status code
+ * @param {string} message Client-facing error message
+ * @param {Object} [options]
+ * @param {string} [options.code] Stable error code (default: derived from status)
+ * @param {Array<Object>} [options.details] Field-level details
+ * @returns {{error: string, code: string, details: (Array<Object>|undefined)}}
+ */
+const toErrorBody = (status, message, { code = null, details = null } = {}) => ({
+  error: message,
+  code: code || errorCodeFor(status),
+  ...(details ? { details } : {}),
+});
+
+/**
+ * Error carrying the HTTP status that should be returned to the client.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status HTTP status code
+   * @param {string} message Client-facing error message
+   * @param {Object} [options]
+   * @param {string} [options.code] Stable error code (default: derived from status)
+   * @param {Array<Object>} [options.details] Field-level details
+   */
+  constructor(status, message, { code = null, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || errorCodeFor(status);
+    this.details = details;
+  }
+
+  /**
+   * Returns the error response envelope for this error.
+   * @returns {{error: string, code: string, details: (Array<Object>|undefined)}}
+   */
+  toJSON() {
+    return toErrorBody(this.status, this.message, { code: this.code, details: this.details });
+  }
+}
+
+module.exports = {
+  ApiError,
+  VALIDATION_ERROR,
+  errorCodeFor,
+  toErrorBody,
+};
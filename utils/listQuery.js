@@ -0,0 +1,237 @@
+/**
+ * @fileoverview List query helpers for Tsuki Coffee backend.
+ * Parses page/limit pagination, whitelisted sorting and typed query-string filters for list
+ * endpoints, and builds the paginated response envelope. Anything unknown or malformed is
+ * rejected with a 400 validation ApiError (with query field details) instead of being ignored.
+ *
+ * The legacy ?filter=<JSON> parameter is still accepted; its keys are treated exactly like
+ * query-string filters.
+ *
+ * Usage:
+ *   const { parseListQuery, toPage } = require('../utils/listQuery');
+ *   const { page, limit, skip, sort, filters } = parseListQuery(req.query, {
+ *     filters: { memberId: 'objectId', dateFrom: 'date' },
+ *     sortFields: { createdAt: 'createdAt' },
+ *     defaultSort: '-createdAt',
+ *   });
+ */
+
+const mongoose = require('mongoose');
+const { ApiError, VALIDATION_ERROR } = require('./errors');
+
+// Default and maximum page sizes
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @param {string} value Raw user input
+ * @returns {string}
+ */
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the validation error for one malformed query parameter.
+ * @param {string} field Query parameter name
+ * @param {string} code Detail code (see middleware/validate)
+ * @param {string} message Client-facing message
+ * @returns {ApiError}
+ */
+const queryError = (field, code, message) =>
+  new ApiError(400, message, {
+    code: VALIDATION_ERROR,
+    details: [{ location: 'query', field, code, message }],
+  });
+
+/**
+ * Parses one filter value according to its declared type.
+ * @param {string} type "objectId", "date", "number", "boolean" or "string"
+ * @param {*} value Raw value from the query string or legacy JSON filter
+ * @param {string} name Filter name, used in error messages
+ * @returns {*} The typed value
+ */
+const parseValue = (type, value, name) => {
+  if (Array.isArray(value) || (value !== null && typeof value === 'object')) {
+    throw queryError(name, 'invalid_type', `${name} must be a single value.`);
+  }
+
+  switch (type) {
+    case 'objectId':
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw queryError(name, 'invalid_id', `${name} must be a valid id.`);
+      }
+      return new mongoose.Types.ObjectId(value);
+    case 'date': {
+      const date = new Date(value);
+      if (value === '' || value === null || Number.isNaN(date.getTime())) {
+        throw queryError(name, 'invalid_date', `${name} must be a valid date.`);
+      }
+      return date;
+    }
+    case 'number': {
+      const number = value === '' || value === null ? NaN : Number(value);
+      if (!Number.isFinite(number)) {
+        throw queryError(name, 'invalid_type', `${name} must be a number.`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw queryError(name, 'invalid_type', `${name} must be true or false.`);
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) {
+        throw queryError(name, 'required', `${name} must be a non-empty string.`);
+      }
+      return value.trim();
+    default:
+      throw new Error(`Unknown filter type "${type}" for ${name}.`);
+  }
+};
+
+/**
+ * Parses a positive integer pagination parameter.
+ * @param {*} value Raw value
+ * @param {string} name Parameter name
+ * @param {number} fallback Value when absent
+ * @param {number} max Largest accepted value
+ * @returns {number}
+ */
+const parsePositiveInteger = (value, name, fallback, max) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw queryError(name, 'invalid_type', `${name} must be an integer between 1 and ${max}.`);
+  }
+  return number;
+};
+
+/**
+ * Parses a "field,-otherField" sort parameter against a whitelist.
+ * @param {string} value Sort parameter ("-" prefix for descending)
+ * @param {Object<string, string>} sortFields Public sort name -> document path
+ * @returns {Object} Mongo sort object, with _id as a stable tie-breaker
+ */
+const parseSort = (value, sortFields) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw queryError('sort', 'invalid_format', 'sort must be a comma-separated list of fields.');
+  }
+
+  const sort = {};
+  for (const token of value.split(',').map((part) => part.trim())) {
+    const descending = token.startsWith('-');
+    const field = descending ? token.slice(1) : token;
+    if (!Object.prototype.hasOwnProperty.call(sortFields, field)) {
+      throw queryError(
+        'sort',
+        'not_allowed',
+        `Cannot sort by "${field}". Allowed: ${Object.keys(sortFields).join(', ')}.`
+      );
+    }
+    sort[sortFields[field]] = descending ? -1 : 1;
+  }
+  if (!('_id' in sort)) {
+    sort._id = 1;
+  }
+  return sort;
+};
+
+/**
+ * Parses pagination, sorting and filters of a list request.
+ * @param {Object} query Express request query
+ * @param {Object} spec
+ * @param {Object<string, string>} [spec.filters] Filter name -> type
+ * @param {Object<string, string>} spec.sortFields Public sort name -> document path
+ * @param {string} spec.defaultSort Sort used when none is given
+ * @returns {{page: number, limit: number, skip: number, sort: Object, filters: Object}}
+ */
+const parseListQuery = (query, { filters = {}, sortFields, defaultSort }) => {
+  const { page, limit, sort, filter: legacyFilter, ...rest } = query;
+
+  let params = rest;
+  if (legacyFilter !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(legacyFilter);
+    } catch (error) {
+      throw queryError('filter', 'invalid_format', 'filter must be valid JSON.');
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw queryError('filter', 'invalid_type', 'filter must be a JSON object.');
+    }
+    params = { ...parsed, ...rest };
+  }
+
+  const unknown = Object.keys(params).filter(
+    (name) => !Object.prototype.hasOwnProperty.call(filters, name)
+  );
+  if (unknown.length > 0) {
+    const allowed = Object.keys(filters).join(', ') || 'none';
+    const message = `Unknown filter(s): ${unknown.join(', ')}. Allowed: ${allowed}.`;
+    throw new ApiError(400, message, {
+      code: VALIDATION_ERROR,
+      details: unknown.map((field) => ({
+        location: 'query',
+        field,
+        code: 'unknown_field',
+        message: `Unknown query parameter "${field}".`,
+      })),
+    });
+  }
+
+  const parsedFilters = {};
+  for (const [name, value] of Object.entries(params)) {
+    parsedFilters[name] = parseValue(filters[name], value, name);
+  }
+
+  const parsedPage = parsePositiveInteger(page, 'page', 1, Number.MAX_SAFE_INTEGER);
+  const parsedLimit = parsePositiveInteger(limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+
+  return {
+    page: parsedPage,
+    limit: parsedLimit,
+    skip: (parsedPage - 1) * parsedLimit,
+    sort: parseSort(sort === undefined ? defaultSort : sort, sortFields),
+    filters: parsedFilters,
+  };
+};
+
+/**
+ * Builds a Mongo range condition from optional lower and upper bounds.
+ * @param {*} min Inclusive lower bound, or undefined
+ * @param {*} max Inclusive upper bound, or undefined
+ * @returns {Object|null} Condition, or null when neither bound is set
+ */
+const toRange = (min, max) => {
+  if (min === undefined && max === undefined) {
+    return null;
+  }
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return range;
+};
+
+/**
+ * Builds the paginated response envelope used by every list endpoint.
+ * @param {Array<Object>} data Items of the current page
+ * @param {number} total Items matching the filters
+ * @param {{page: number, limit: number}} pagination
+ * @returns {{data: Array<Object>, page: number, limit: number, total: number, totalPages: number}}
+ */
+const toPage = (data, total, { page, limit }) => ({
+  data,
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+module.exports = {
+  escapeRegExp,
+  parseListQuery,
+  toRange,
+  toPage,
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Password hashing helpers for Tsuki Coffee backend.
+ * Wraps bcrypt so staff and member accounts hash and verify passwords the same way.
+ *
+ * Usage:
+ *   const { hashPassword, verifyPassword } = require('../utils/password');
+ *   const passwordHash = await hashPassword('secret');
+ */
+
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+
+// Minimum accepted password length
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hashes a plain-text password.
+ * @param {string} password Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, authConfig.passwordSaltRounds);
+
+/**
+ * Checks a plain-text password against a stored hash.
+ * @param {string} password Plain-text password
+ * @param {string|null} passwordHash Stored bcrypt hash
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (password, passwordHash) => {
+  if (!passwordHash || typeof password !== 'string') {
+    return false;
+  }
+  return bcrypt.compare(password, passwordHash);
+};
+
+/**
+ * Checks that a candidate password is acceptable.
+ * @param {*} password Candidate password
+ * @returns {string|null} Error message, or null when valid
+ */
+const validatePassword = (password) =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+
+module.exports = { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, validatePassword };
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Phone number helpers for Tsuki Coffee backend.
+ * Normalizes Indonesian phone numbers so the same number written in different formats
+ * ("+62 812-3456", "0812 3456", "628123456") compares equal.
+ *
+ * Usage:
+ *   const { normalizePhone } = require('../utils/phone');
+ *   normalizePhone('+62 812-3456'); // "08123456"
+ */
+
+/**
+ * Reduces a phone number to digits in the local "0..." format.
+ * @param {string} phone Phone number as entered
+ * @returns {string}
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.startsWith('62') ? `0${digits.slice(2)}` : digits;
+};
+
+module.exports = {
+  normalizePhone,
+};
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Request validators for auth routes in Tsuki Coffee backend.
+ * Login bodies are only checked for presence; a wrong password is still a 401 from
+ * authController, so the password length rule applies to new passwords only.
+ *
+ * Usage:
+ *   const authValidators = require('../validators/authValidators');
+ *   router.post('/login', validate(authValidators.loginStaff), authController.loginStaff);
+ */
+
+const { MIN_PASSWORD_LENGTH } = require('../utils/password');
+
+exports.loginStaff = {
+  body: {
+    username: { type: 'string', required: true },
+    password: { type: 'string', required: true },
+  },
+};
+
+exports.loginMember = {
+  body: {
+    phone: { type: 'string', required: true },
+    password: { type: 'string', required: true },
+  },
+};
+
+exports.changeMemberPassword = {
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword: { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH },
+  },
+};
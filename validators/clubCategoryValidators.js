@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Request validators for ClubCategory routes in Tsuki Coffee backend.
+ * Duplicate names are still checked by clubCategoryController.
+ *
+ * Usage:
+ *   const clubCategoryValidators = require('../validators/clubCategoryValidators');
+ *   router.post('/', validate(clubCategoryValidators.addClubCategory), addClubCategory);
+ */
+
+const { idParams, nonNegativeNumber } = require('./common');
+
+// Tier rules shared by add and edit
+const tierRuleFields = {
+  description: { type: 'string', allowEmpty: true },
+  earnMultiplier: nonNegativeNumber,
+  minRedeemPoints: nonNegativeNumber,
+  renewalPeriodMonths: { type: 'integer', min: 1 },
+  benefits: { type: 'array', items: { type: 'string', allowEmpty: true } },
+  rank: { type: 'number' },
+  qualification: {
+    type: 'object',
+    fields: {
+      minSpend: nonNegativeNumber,
+      minVisits: { type: 'integer', min: 0 },
+      periodMonths: { type: 'integer', min: 1 },
+    },
+  },
+};
+
+exports.addClubCategory = {
+  body: { name: { type: 'string', required: true }, ...tierRuleFields },
+};
+
+exports.editClubCategory = {
+  params: idParams,
+  body: { name: { type: 'string' }, ...tierRuleFields },
+};
+
+// Routes that only take the club category id
+// The list takes no query parameters
+exports.getClubCategories = { query: {} };
+
+exports.byId = { params: idParams };
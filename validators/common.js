@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Rules shared by the request validators of Tsuki Coffee backend.
+ * See middleware/validate for the rule format.
+ *
+ * Usage:
+ *   const { idParams, pagination } = require('./common');
+ *   exports.getPointsHistory = { params: idParams, query: pagination };
+ *   exports.getMembers = { query: listQuery(MEMBER_LIST_QUERY) };
+ */
+
+// Route params of /:id routes
+const idParams = { id: { type: 'objectId' } };
+
+// Optional page/limit query parameters (endpoints clamp limit to their own maximum)
+const pagination = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 },
+};
+
+// ?dryRun=true query parameter of the CSV imports
+const dryRunQuery = { dryRun: { type: 'boolean' } };
+
+// Optional ?active=true query parameter of catalog lists
+const activeQuery = { active: { type: 'boolean' } };
+
+// Optional date; null or an empty string clears it
+const optionalDate = { type: 'date', nullable: true, allowEmpty: true };
+
+// Optional non-negative amount
+const nonNegativeNumber = { type: 'number', min: 0 };
+
+// Optional array of ids
+const idList = { type: 'array', items: { type: 'objectId' } };
+
+/**
+ * Builds the query rules of a list endpoint from its parseListQuery spec: pagination, sort,
+ * the legacy ?filter=<JSON> parameter and each declared filter (filter types are rule types).
+ * Allowed sort fields and the keys inside ?filter= are still checked by parseListQuery.
+ * @param {{filters: Object<string, string>}} spec parseListQuery spec
+ * @returns {Object<string, Object>} Query rules
+ */
+const listQuery = ({ filters = {} }) => ({
+  ...pagination,
+  sort: { type: 'string' },
+  filter: { type: 'string' },
+  ...Object.fromEntries(Object.entries(filters).map(([name, type]) => [name, { type }])),
+});
+
+module.exports = {
+  idParams,
+  pagination,
+  dryRunQuery,
+  activeQuery,
+  optionalDate,
+  nonNegativeNumber,
+  idList,
+  listQuery,
+};
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Request validators for Member routes in Tsuki Coffee backend.
+ * List filters are declared once in MEMBER_LIST_QUERY, which the controller passes to
+ * parseListQuery.
+ * Checks shapes and types only; duplicate phones, unknown club categories and membership
+ * state are still checked by memberController and memberService.
+ *
+ * Usage:
+ *   const memberValidators = require('../validators/memberValidators');
+ *   router.post('/', validate(memberValidators.addMember), memberController.addMember);
+ */
+
+const Member = require('../models/Member');
+const Voucher = require('../models/Voucher');
+const Notification = require('../models/Notification');
+const { MIN_PASSWORD_LENGTH } = require('../utils/password');
+const {
+  idParams,
+  dryRunQuery,
+  optionalDate,
+  nonNegativeNumber,
+  listQuery,
+} = require('./common');
+
+// Optional profile fields shared by add and edit; null or an empty string clears them
+const profileFields = {
+  birthDate: { ...optionalDate, notInFuture: true },
+  email: { type: 'string', format: 'email', nullable: true, allowEmpty: true },
+};
+
+// Filters and sort fields shared by the member list and the CSV export
+const MEMBER_LIST_QUERY = {
+  filters: {
+    clubCategory: 'objectId',
+    validUntil: 'date',
+    validUntilFrom: 'date',
+    validUntilTo: 'date',
+    name: 'string',
+    phone: 'string',
+  },
+  sortFields: {
+    name: 'name',
+    createdAt: 'createdAt',
+    validUntil: 'validUntil',
+    points: 'points',
+  },
+  defaultSort: 'name',
+};
+
+exports.MEMBER_LIST_QUERY = MEMBER_LIST_QUERY;
+exports.getMembers = { query: listQuery(MEMBER_LIST_QUERY) };
+exports.exportMembers = exports.getMembers;
+
+exports.addMember = {
+  body: {
+    name: { type: 'string', required: true },
+    phone: { type: 'string', required: true },
+    clubCategory: { type: 'string', nullable: true, allowEmpty: true },
+    validUntil: optionalDate,
+    points: nonNegativeNumber,
+    password: { type: 'string', nullable: true, minLength: MIN_PASSWORD_LENGTH },
+    referralCode: { type: 'string', nullable: true, allowEmpty: true },
+    ...profileFields,
+  },
+};
+
+exports.editMember = {
+  params: idParams,
+  body: {
+    name: { type: 'string' },
+    phone: { type: 'string' },
+    clubCategory: { type: 'string', nullable: true, allowEmpty: true },
+    validUntil: optionalDate,
+    points: nonNegativeNumber,
+    note: { type: 'string', allowEmpty: true },
+    password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+    tierLocked: { type: 'boolean' },
+    ...profileFields,
+  },
+};
+
+exports.searchMember = {
+  query: { query: { type: 'string', required: true } },
+};
+
+exports.importMembers = { query: dryRunQuery };
+
+exports.getExpiringMembers = {
+  query: { days: { type: 'integer', min: 0 } },
+};
+
+// Members of one RFM segment, highest spend first
+const SEGMENT_MEMBER_LIST_QUERY = {
+  sortFields: { monetary: 'rfm.monetary', name: 'name' },
+  defaultSort: '-monetary',
+};
+
+exports.SEGMENT_MEMBER_LIST_QUERY = SEGMENT_MEMBER_LIST_QUERY;
+exports.getSegmentMembers = {
+  params: { segment: { type: 'string', enum: Member.RFM_SEGMENTS } },
+  query: listQuery(SEGMENT_MEMBER_LIST_QUERY),
+};
+
+exports.lookupMember = {
+  params: { token: { type: 'string', maxLength: 2048 } },
+};
+
+exports.editNotificationPreferences = {
+  params: idParams,
+  body: {
+    channels: {
+      type: 'array',
+      items: { type: 'string', enum: Notification.NOTIFICATION_CHANNELS },
+    },
+    language: { type: 'string', enum: Notification.NOTIFICATION_LANGUAGES },
+    optOut: { type: 'boolean' },
+  },
+};
+
+// A member's notifications, newest first
+const NOTIFICATION_LIST_QUERY = {
+  filters: { status: 'string' },
+  sortFields: { createdAt: 'createdAt', id: '_id' },
+  defaultSort: '-createdAt,-id',
+};
+
+exports.NOTIFICATION_LIST_QUERY = NOTIFICATION_LIST_QUERY;
+exports.getNotifications = {
+  params: idParams,
+  query: {
+    ...listQuery(NOTIFICATION_LIST_QUERY),
+    status: { type: 'string', enum: Notification.NOTIFICATION_STATUSES },
+  },
+};
+
+// Routes that only take the member id
+exports.byId = { params: idParams };
+
+exports.renewMembership = {
+  params: idParams,
+  body: {
+    fee: nonNegativeNumber,
+    storeId: { type: 'objectId', nullable: true },
+  },
+};
+
+exports.redeemPoints = {
+  params: idParams,
+  body: { rewardId: { type: 'objectId', required: true } },
+};
+
+exports.getMemberVouchers = {
+  params: idParams,
+  query: { status: { type: 'string', enum: Voucher.VOUCHER_STATUSES } },
+};
+
+// A member's points ledger, newest first
+const POINTS_HISTORY_QUERY = {
+  sortFields: { createdAt: 'createdAt', id: '_id' },
+  defaultSort: '-createdAt,-id',
+};
+
+exports.POINTS_HISTORY_QUERY = POINTS_HISTORY_QUERY;
+exports.getPointsHistory = { params: idParams, query: listQuery(POINTS_HISTORY_QUERY) };
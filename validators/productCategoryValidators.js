@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Request validators for ProductCategory routes in Tsuki Coffee backend.
+ * Duplicate names are still checked by productCategoryController.
+ *
+ * Usage:
+ *   const productCategoryValidators = require('../validators/productCategoryValidators');
+ *   router.put('/:id', validate(productCategoryValidators.editProductCategory), ...);
+ */
+
+const { idParams } = require('./common');
+
+// The list takes no query parameters
+exports.getProductCategories = { query: {} };
+
+exports.addProductCategory = {
+  body: {
+    name: { type: 'string', required: true },
+    description: { type: 'string', allowEmpty: true },
+    sortOrder: { type: 'integer' },
+  },
+};
+
+exports.editProductCategory = {
+  params: idParams,
+  body: {
+    name: { type: 'string' },
+    description: { type: 'string', allowEmpty: true },
+    sortOrder: { type: 'integer' },
+  },
+};
+
+exports.deleteProductCategory = { params: idParams };
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Request validators for Product routes in Tsuki Coffee backend.
+ * List filters are declared once in PRODUCT_LIST_QUERY, which the controller passes to
+ * parseListQuery. Duplicate names and unknown categories are still checked by productService.
+ *
+ * Usage:
+ *   const productValidators = require('../validators/productValidators');
+ *   router.post('/', validate(productValidators.addProduct), productController.addProduct);
+ */
+
+const { idParams, dryRunQuery, nonNegativeNumber, listQuery } = require('./common');
+
+// Product category, given by id or name; null or an empty string clears it
+const category = { type: 'string', nullable: true, allowEmpty: true };
+
+// Fields of one variant
+const variantFields = {
+  name: { type: 'string', required: true },
+  price: nonNegativeNumber,
+  pointValue: nonNegativeNumber,
+  isActive: { type: 'boolean' },
+};
+
+// Route params of /:id/variants/:variantId
+const variantParams = { ...idParams, variantId: { type: 'objectId' } };
+
+// Route params of /:id/stores/:storeId
+const storeParams = { ...idParams, storeId: { type: 'objectId' } };
+
+// Filters and sort fields of the product list
+const PRODUCT_LIST_QUERY = {
+  filters: {
+    name: 'string',
+    search: 'string',
+    category: 'objectId',
+    minPrice: 'number',
+    maxPrice: 'number',
+    store: 'objectId',
+    includeArchived: 'boolean',
+  },
+  sortFields: {
+    name: 'product_name',
+    price: 'price',
+    pointValue: 'pointValue',
+    createdAt: 'createdAt',
+  },
+  defaultSort: 'name',
+};
+
+exports.PRODUCT_LIST_QUERY = PRODUCT_LIST_QUERY;
+exports.getProducts = { query: listQuery(PRODUCT_LIST_QUERY) };
+
+exports.addProduct = {
+  body: {
+    name: { type: 'string', required: true },
+    price: nonNegativeNumber,
+    pointValue: nonNegativeNumber,
+    category,
+    variants: { type: 'array', items: { type: 'object', fields: variantFields } },
+    isActive: { type: 'boolean' },
+  },
+};
+
+exports.importProducts = { query: dryRunQuery };
+
+exports.editProduct = {
+  params: idParams,
+  body: {
+    name: { type: 'string' },
+    price: nonNegativeNumber,
+    pointValue: nonNegativeNumber,
+    category,
+    isActive: { type: 'boolean' },
+  },
+};
+
+exports.addVariant = { params: idParams, body: variantFields };
+
+exports.editVariant = {
+  params: variantParams,
+  body: { ...variantFields, name: { type: 'string' } },
+};
+
+exports.setStoreOverride = {
+  params: storeParams,
+  body: {
+    price: { type: 'number', min: 0, nullable: true },
+    isAvailable: { type: 'boolean' },
+  },
+};
+
+exports.removeStoreOverride = { params: storeParams };
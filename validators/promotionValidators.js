@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Request validators for Promotion routes in Tsuki Coffee backend.
+ * Duplicate names, unknown products and club categories and the startsAt/endsAt order are
+ * still checked by promotionController.
+ *
+ * Usage:
+ *   const promotionValidators = require('../validators/promotionValidators');
+ *   router.post('/', validate(promotionValidators.addPromotion), addPromotion);
+ */
+
+const { TIME_OF_DAY_PATTERN } = require('../models/Promotion');
+const { idParams, activeQuery, idList } = require('./common');
+
+// Optional time of day (HH:mm); null removes the time window bound
+const timeOfDay = (field) => ({
+  type: 'string',
+  nullable: true,
+  pattern: TIME_OF_DAY_PATTERN,
+  patternMessage: `${field} must be a time in HH:mm format or null.`,
+});
+
+// Promotion fields shared by add and edit
+const promotionFields = {
+  description: { type: 'string', allowEmpty: true },
+  startsAt: { type: 'date', nullable: true },
+  endsAt: { type: 'date', nullable: true },
+  daysOfWeek: { type: 'array', items: { type: 'integer', min: 0, max: 6 } },
+  startTime: timeOfDay('startTime'),
+  endTime: timeOfDay('endTime'),
+  products: idList,
+  eligibleCategories: idList,
+  multiplier: { type: 'number', min: 1 },
+  bonusPoints: { type: 'integer', min: 0 },
+  perMemberLimit: { type: 'integer', min: 1, nullable: true },
+  isActive: { type: 'boolean' },
+};
+
+exports.addPromotion = {
+  body: { ...promotionFields, name: { type: 'string', required: true } },
+};
+
+exports.getPromotions = { query: activeQuery };
+
+exports.editPromotion = {
+  params: idParams,
+  body: { ...promotionFields, name: { type: 'string' } },
+};
+
+// Routes that only take the promotion id
+exports.byId = { params: idParams };
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Request validators for Report routes in Tsuki Coffee backend.
+ * The dateFrom/dateTo order and store scoping are still checked by reportController.
+ *
+ * Usage:
+ *   const reportValidators = require('../validators/reportValidators');
+ *   router.get('/sales', validate(reportValidators.getSalesReport), getSalesReport);
+ */
+
+const { INTERVALS } = require('../services/reportService');
+
+// Date-range, club category and store filters shared by every report
+const reportFilters = {
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  category: { type: 'objectId' },
+  store: { type: 'objectId' },
+};
+
+exports.getSalesReport = {
+  query: { ...reportFilters, interval: { type: 'string', enum: INTERVALS } },
+};
+
+exports.getTopProducts = {
+  query: {
+    ...reportFilters,
+    sortBy: { type: 'string', enum: ['quantity', 'revenue'] },
+    limit: { type: 'integer', min: 1, max: 100 },
+  },
+};
+
+exports.getMemberActivity = { query: reportFilters };
+
+exports.getCategoryReport = { query: reportFilters };
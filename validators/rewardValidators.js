@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Request validators for Reward routes in Tsuki Coffee backend.
+ * Duplicate names, unknown club categories and the validFrom/validUntil order are still
+ * checked by rewardController.
+ *
+ * Usage:
+ *   const rewardValidators = require('../validators/rewardValidators');
+ *   router.post('/', validate(rewardValidators.addReward), rewardController.addReward);
+ */
+
+const { idParams, activeQuery, idList } = require('./common');
+
+// Reward fields shared by add and edit; null means unlimited or open-ended
+const rewardFields = {
+  description: { type: 'string', allowEmpty: true },
+  pointCost: { type: 'integer', min: 1 },
+  stock: { type: 'integer', min: 0, nullable: true },
+  perMemberLimit: { type: 'integer', min: 1, nullable: true },
+  validFrom: { type: 'date', nullable: true },
+  validUntil: { type: 'date', nullable: true },
+  eligibleCategories: idList,
+  voucherValidDays: { type: 'integer', min: 1 },
+  isActive: { type: 'boolean' },
+};
+
+exports.addReward = {
+  body: {
+    ...rewardFields,
+    name: { type: 'string', required: true },
+    pointCost: { ...rewardFields.pointCost, required: true },
+  },
+};
+
+exports.getRewards = { query: activeQuery };
+
+exports.editReward = {
+  params: idParams,
+  body: { ...rewardFields, name: { type: 'string' } },
+};
+
+// Routes that only take the reward id
+exports.byId = { params: idParams };
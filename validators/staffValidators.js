@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Request validators for Staff routes in Tsuki Coffee backend.
+ * Duplicate usernames, unknown stores and the cashier store rule are still checked by
+ * staffController.
+ *
+ * Usage:
+ *   const staffValidators = require('../validators/staffValidators');
+ *   router.post('/', validate(staffValidators.addStaff), staffController.addStaff);
+ */
+
+const { STAFF_ROLES } = require('../models/Staff');
+const { MIN_PASSWORD_LENGTH } = require('../utils/password');
+const { idParams } = require('./common');
+
+exports.addStaff = {
+  body: {
+    name: { type: 'string', required: true },
+    username: { type: 'string', required: true },
+    password: { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH },
+    role: { type: 'string', enum: STAFF_ROLES },
+    storeId: { type: 'objectId', nullable: true },
+  },
+};
+
+exports.getStaff = {
+  query: { store: { type: 'objectId' } },
+};
+
+exports.editStaff = {
+  params: idParams,
+  body: {
+    name: { type: 'string' },
+    password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+    role: { type: 'string', enum: STAFF_ROLES },
+    storeId: { type: 'objectId', nullable: true },
+    isActive: { type: 'boolean' },
+  },
+};
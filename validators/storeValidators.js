@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Request validators for Store routes in Tsuki Coffee backend.
+ * Duplicate names and codes are still checked by storeController.
+ *
+ * Usage:
+ *   const storeValidators = require('../validators/storeValidators');
+ *   router.post('/', validate(storeValidators.addStore), storeController.addStore);
+ */
+
+const { idParams, activeQuery } = require('./common');
+
+// Optional contact fields; an empty string clears them
+const contactFields = {
+  address: { type: 'string', allowEmpty: true },
+  phone: { type: 'string', allowEmpty: true },
+};
+
+exports.addStore = {
+  body: {
+    name: { type: 'string', required: true },
+    code: { type: 'string', required: true },
+    ...contactFields,
+  },
+};
+
+exports.getStores = { query: activeQuery };
+
+exports.getStore = { params: idParams };
+
+exports.editStore = {
+  params: idParams,
+  body: {
+    name: { type: 'string' },
+    code: { type: 'string' },
+    ...contactFields,
+    isActive: { type: 'boolean' },
+  },
+};
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Request validators for Transaction routes in Tsuki Coffee backend.
+ * The basket accepts either lineItems or the legacy single-product fields (productId is
+ * required without lineItems). List filters are declared once in TRANSACTION_LIST_QUERY, which
+ * the controller passes to parseListQuery.
+ *
+ * Usage:
+ *   const transactionValidators = require('../validators/transactionValidators');
+ *   router.post('/', validate(transactionValidators.addTransaction), addTransaction);
+ */
+
+const { idParams, listQuery } = require('./common');
+
+// Fields of one basket line (also the legacy single-product body fields)
+const lineItemFields = {
+  productId: { type: 'objectId', required: true },
+  variantId: { type: 'objectId', nullable: true, allowEmpty: true },
+  quantity: { type: 'integer', min: 1 },
+};
+
+// Basket: lineItems or the legacy productId/variantId/quantity fields
+const basketFields = {
+  lineItems: {
+    type: 'array',
+    minLength: 1,
+    items: { type: 'object', fields: lineItemFields },
+  },
+  ...lineItemFields,
+  productId: { type: 'objectId', nullable: true, requiredWithout: 'lineItems' },
+};
+
+// One sale, rung up at the counter or queued offline
+const saleFields = {
+  memberId: { type: 'objectId', required: true },
+  storeId: { type: 'objectId', nullable: true },
+  ...basketFields,
+};
+
+exports.addTransaction = { body: saleFields };
+
+// Largest backlog accepted by one sync request
+const MAX_SYNC_BATCH = 200;
+
+// Only the batch shape is checked here; each sale is checked against syncedSale on its own so
+// one bad sale is rejected in its result instead of failing the whole batch
+exports.syncTransactions = {
+  body: {
+    storeId: { type: 'objectId', nullable: true },
+    transactions: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      maxLength: MAX_SYNC_BATCH,
+      items: {
+        type: 'object',
+        fields: {
+          clientId: { type: 'string', required: true, maxLength: 100 },
+          createdAt: { type: 'date', required: true },
+        },
+      },
+    },
+  },
+};
+
+exports.syncedSale = saleFields;
+
+// Filters and sort fields shared by the transaction list and the CSV export
+const TRANSACTION_LIST_QUERY = {
+  filters: {
+    memberId: 'objectId',
+    productId: 'objectId',
+    store: 'objectId',
+    dateFrom: 'date',
+    dateTo: 'date',
+    minTotal: 'number',
+    maxTotal: 'number',
+    includeVoided: 'boolean',
+  },
+  sortFields: { createdAt: 'createdAt', totalPrice: 'totalPrice', pointsAdded: 'pointsAdded' },
+  defaultSort: '-createdAt',
+};
+
+exports.TRANSACTION_LIST_QUERY = TRANSACTION_LIST_QUERY;
+exports.getTransactions = { query: listQuery(TRANSACTION_LIST_QUERY) };
+exports.exportTransactions = exports.getTransactions;
+
+exports.voidTransaction = {
+  params: idParams,
+  body: { reason: { type: 'string', allowEmpty: true } },
+};
+
+exports.refundTransaction = {
+  params: idParams,
+  body: { reason: { type: 'string', allowEmpty: true }, ...basketFields },
+};
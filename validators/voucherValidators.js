@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Request validators for Voucher routes in Tsuki Coffee backend.
+ *
+ * Usage:
+ *   const voucherValidators = require('../validators/voucherValidators');
+ *   router.get('/:code', validate(voucherValidators.byCode), voucherController.getVoucher);
+ */
+
+// Routes that take a voucher code
+exports.byCode = {
+  params: { code: { type: 'string', maxLength: 64 } },
+};
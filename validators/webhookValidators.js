@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Request validators for Webhook routes in Tsuki Coffee backend.
+ *
+ * Usage:
+ *   const webhookValidators = require('../validators/webhookValidators');
+ *   router.post('/', validate(webhookValidators.addWebhook), addWebhook);
+ */
+
+const { WEBHOOK_EVENTS } = require('../models/WebhookSubscription');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+const { idParams, pagination, activeQuery } = require('./common');
+
+// Endpoint URL that receives the deliveries
+const url = { type: 'string', format: 'url', maxLength: 2048 };
+
+// Events the subscription listens to (at least one)
+const events = {
+  type: 'array',
+  minLength: 1,
+  items: { type: 'string', enum: WEBHOOK_EVENTS },
+};
+
+// Webhook fields shared by add and edit
+const webhookFields = {
+  description: { type: 'string', allowEmpty: true, maxLength: 500 },
+  isActive: { type: 'boolean' },
+};
+
+exports.addWebhook = {
+  body: {
+    ...webhookFields,
+    url: { ...url, required: true },
+    events: { ...events, required: true },
+  },
+};
+
+exports.getWebhooks = { query: activeQuery };
+
+exports.editWebhook = {
+  params: idParams,
+  body: { ...webhookFields, url, events },
+};
+
+exports.getWebhookDeliveries = {
+  params: idParams,
+  query: {
+    ...pagination,
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    event: { type: 'string', enum: WEBHOOK_EVENTS },
+  },
+};
+
+// Routes that only take the webhook or delivery id
+exports.byId = { params: idParams };